@@ -0,0 +1,15 @@
+// api/tmdb.js
+// Vercel function for /api/tmdb/*. vercel.json rewrites /api/tmdb/<endpoint>
+// to /api/tmdb?path=<endpoint>, keeping the original query string.
+import { handleTmdbProxy } from "../server/tmdbProxy.js";
+
+export default async function handler(req, res) {
+  const { path = "", ...rest } = req.query;
+  const query = new URLSearchParams();
+  Object.entries(rest).forEach(([key, value]) => {
+    (Array.isArray(value) ? value : [value]).forEach((v) => query.append(key, v));
+  });
+
+  const endpointPath = `/${(Array.isArray(path) ? path.join("/") : path).replace(/^\/+/, "")}`;
+  await handleTmdbProxy(req, res, endpointPath, query);
+}
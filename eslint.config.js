@@ -30,4 +30,11 @@ export default [
       ],
     },
   },
+  {
+    // Code that runs in Node: the TMDB proxy, its Vercel entry point and the Vite config
+    files: ['api/**/*.js', 'server/**/*.js', 'vite.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
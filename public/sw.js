@@ -0,0 +1,193 @@
+// sw.js
+// Service worker for the installable app. Hand-written (no build plugin), so it finds
+// the hashed bundle names by reading index.html when it installs.
+//
+// - App shell (index.html, bundles, icons): precached, cache-first; navigations fall back to it offline.
+// - TMDB JSON from our proxy: stale-while-revalidate.
+// - image.tmdb.org posters: stale-while-revalidate, but only for movies the page says are saved
+//   (see src/services/offlineCache.js). Those posters are also fetched ahead of time, and offline
+//   any cached size of a poster stands in for the size the page asked for.
+
+const SHELL_CACHE = "shell-v1";
+const API_CACHE = "tmdb-api-v1";
+const POSTER_CACHE = "tmdb-posters-v2";
+const CURRENT_CACHES = [SHELL_CACHE, API_CACHE, POSTER_CACHE];
+
+const SHELL_URLS = ["/", "/manifest.webmanifest", "/icons/icon-192.png", "/icons/icon-512.png", "/vite.svg"];
+const TMDB_API_PATH = "/api/tmdb/";
+const MAX_API_ENTRIES = 500;
+
+const POSTER_HOST = "image.tmdb.org";
+const POSTER_PREFETCH_SIZE = "w500"; // The largest size the poster srcsets pick for cards on a 2x screen
+// The saved poster paths live in the poster cache itself so they survive the worker restarting
+const SAVED_POSTERS_KEY = "/__saved-poster-paths";
+
+// --- Install: precache the shell ---
+
+const findBundleUrls = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      const indexResponse = await fetch("/", { cache: "no-cache" });
+      const html = await indexResponse.clone().text();
+      await cache.put("/", indexResponse);
+      await cache.addAll([...SHELL_URLS.filter((url) => url !== "/"), ...findBundleUrls(html)]);
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cacheNames = await caches.keys();
+      await Promise.all(cacheNames.filter((name) => !CURRENT_CACHES.includes(name)).map((name) => caches.delete(name)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+// --- Strategies ---
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  // Keys come back in insertion order, so the oldest go first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
+
+const staleWhileRevalidate = async (event, cacheName, { maxEntries } = {}) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request)
+    .then(async (response) => {
+      if (response.ok || response.type === "opaque") {
+        await cache.put(event.request, response.clone());
+        if (maxEntries) await trimCache(cacheName, maxEntries);
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (cached) return cached;
+      throw error;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {})); // Refresh in the background
+    return cached;
+  }
+  return network;
+};
+
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+// Fresh index.html when online, so a new deploy is picked up; the cached shell otherwise
+const networkFirstNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match("/")) || Response.error();
+  }
+};
+
+// --- Saved posters ---
+
+let savedPosterPaths = null; // Set of "/abc.jpg" paths, loaded lazily
+
+const loadSavedPosterPaths = async () => {
+  if (savedPosterPaths) return savedPosterPaths;
+  const cache = await caches.open(POSTER_CACHE);
+  const stored = await cache.match(SAVED_POSTERS_KEY);
+  savedPosterPaths = new Set(stored ? await stored.json() : []);
+  return savedPosterPaths;
+};
+
+// /t/p/w500/abc.jpg -> /abc.jpg
+const getPosterPath = (url) => url.pathname.replace(/^\/t\/p\/[^/]+/, "");
+
+const updateSavedPosters = async (posterPaths) => {
+  const previous = await loadSavedPosterPaths();
+  savedPosterPaths = new Set(posterPaths);
+  const cache = await caches.open(POSTER_CACHE);
+  await cache.put(SAVED_POSTERS_KEY, new Response(JSON.stringify(posterPaths)));
+
+  // Drop posters of movies that are no longer saved
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter((request) => new URL(request.url).hostname === POSTER_HOST)
+      .filter((request) => !savedPosterPaths.has(getPosterPath(new URL(request.url))))
+      .map((request) => cache.delete(request))
+  );
+
+  // Fetch newly saved posters now, so they are there the next time the user is offline
+  for (const posterPath of posterPaths) {
+    if (previous.has(posterPath)) continue;
+    const url = `https://${POSTER_HOST}/t/p/${POSTER_PREFETCH_SIZE}${posterPath}`;
+    if (await cache.match(url)) continue;
+    try {
+      await cache.put(url, await fetch(url, { mode: "no-cors" }));
+    } catch {
+      // Offline or blocked; it will be cached the next time it is shown
+    }
+  }
+};
+
+// The srcsets ask for different sizes depending on the screen, so offline the exact size
+// may never have been cached; any other size of the same poster is better than nothing
+const savedPoster = async (event, url) => {
+  try {
+    return await staleWhileRevalidate(event, POSTER_CACHE);
+  } catch (error) {
+    const cache = await caches.open(POSTER_CACHE);
+    const posterPath = getPosterPath(url);
+    const otherSize = (await cache.keys()).find(
+      (request) => new URL(request.url).hostname === POSTER_HOST && getPosterPath(new URL(request.url)) === posterPath
+    );
+    if (otherSize) return cache.match(otherSize);
+    throw error;
+  }
+};
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SAVED_POSTERS") {
+    event.waitUntil(updateSavedPosters(event.data.posterPaths || []));
+  }
+});
+
+// --- Routing ---
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === "navigate") {
+      event.respondWith(networkFirstNavigation(request));
+    } else if (url.pathname.startsWith(TMDB_API_PATH)) {
+      event.respondWith(staleWhileRevalidate(event, API_CACHE, { maxEntries: MAX_API_ENTRIES }));
+    } else if (url.pathname.startsWith("/assets/") || SHELL_URLS.includes(url.pathname)) {
+      event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+    return;
+  }
+
+  if (url.hostname === POSTER_HOST) {
+    event.respondWith(
+      loadSavedPosterPaths().then((paths) =>
+        paths.has(getPosterPath(url)) ? savedPoster(event, url) : fetch(request)
+      )
+    );
+  }
+});
@@ -0,0 +1,37 @@
+// server/devServer.js
+// Local stand-in for the Vercel function. Run it next to `npm run dev`;
+// Vite proxies /api/* here (see vite.config.js).
+import http from "node:http";
+import { handleTmdbProxy } from "./tmdbProxy.js";
+
+const PORT = Number(process.env.API_PORT) || 8787;
+const PREFIX = "/api/tmdb";
+
+// Pick up TMDB_API_KEY from .env when it exists
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file; rely on the real environment.
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (!url.pathname.startsWith(`${PREFIX}/`)) {
+    res.statusCode = 404;
+    res.end("Not found");
+    return;
+  }
+
+  try {
+    await handleTmdbProxy(req, res, url.pathname.slice(PREFIX.length), url.searchParams);
+  } catch (error) {
+    console.error("[devServer] Unhandled proxy error:", error);
+    if (!res.headersSent) res.statusCode = 500;
+    res.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[devServer] TMDB proxy listening on http://localhost:${PORT}${PREFIX}`);
+});
@@ -0,0 +1,154 @@
+// server/tmdbProxy.js
+// Server-side TMDB proxy shared by the Vercel function (api/tmdb.js) and the
+// local dev server (server/devServer.js). Adds the API key on the server so
+// it never ships to the browser, only forwards the endpoints the app uses,
+// rate limits per client IP and sets cache headers on the way out.
+
+const TMDB_BASE_URL = "https://api.themoviedb.org/3";
+
+// --- Endpoint whitelist: [pattern, cache lifetime in seconds] ---
+const ALLOWED_ENDPOINTS = [
+  [/^\/movie\/popular$/, 600],
+  [/^\/tv\/popular$/, 600],
+  [/^\/search\/movie$/, 300],
+  [/^\/search\/tv$/, 300],
+  [/^\/search\/multi$/, 300],
+  [/^\/search\/collection$/, 300],
+  [/^\/movie\/\d+$/, 3600],
+  [/^\/movie\/\d+\/similar$/, 3600],
+  [/^\/movie\/\d+\/watch\/providers$/, 6 * 3600],
+  [/^\/watch\/providers\/movie$/, 24 * 3600],
+  [/^\/genre\/movie\/list$/, 24 * 3600],
+  [/^\/certification\/movie\/list$/, 24 * 3600],
+  [/^\/discover\/movie$/, 600],
+  [/^\/person\/\d+$/, 3600],
+  [/^\/collection\/\d+$/, 3600],
+  [/^\/tv\/\d+$/, 3600],
+  [/^\/tv\/\d+\/season\/\d+$/, 3600],
+  [/^\/tv\/\d+\/season\/\d+\/episode\/\d+$/, 3600],
+  [/^\/genre\/tv\/list$/, 24 * 3600],
+  [/^\/discover\/tv$/, 600],
+];
+
+// --- Rate limiting (fixed window, per IP) ---
+// Counters live in memory, so on Vercel each warm function instance keeps its own window.
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 120;
+const rateLimitWindows = new Map(); // ip -> { count, windowStart }
+
+// X-Forwarded-For is only believed behind a proxy we run (TRUST_PROXY=1, or on Vercel), and
+// only its right-most entry: that one was added by the proxy, anything before it by the client.
+const trustsProxy = () => process.env.TRUST_PROXY === "1" || Boolean(process.env.VERCEL);
+
+const getClientIp = (req) => {
+  const forwardedFor = req.headers["x-forwarded-for"];
+  if (forwardedFor && trustsProxy()) {
+    const proxyEntry = String(forwardedFor).split(",").pop().trim();
+    if (proxyEntry) return proxyEntry;
+  }
+  return req.socket?.remoteAddress || "unknown";
+};
+
+const checkRateLimit = (ip) => {
+  const now = Date.now();
+  let entry = rateLimitWindows.get(ip);
+  if (!entry || now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    entry = { count: 0, windowStart: now };
+    rateLimitWindows.set(ip, entry);
+  }
+  entry.count++;
+
+  // Drop stale windows now and then so the map doesn't grow forever
+  if (rateLimitWindows.size > 5000) {
+    for (const [key, value] of rateLimitWindows) {
+      if (now - value.windowStart >= RATE_LIMIT_WINDOW_MS) rateLimitWindows.delete(key);
+    }
+  }
+
+  return {
+    allowed: entry.count <= RATE_LIMIT_MAX_REQUESTS,
+    remaining: Math.max(0, RATE_LIMIT_MAX_REQUESTS - entry.count),
+    resetMs: entry.windowStart + RATE_LIMIT_WINDOW_MS - now,
+  };
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+  res.end(JSON.stringify(body));
+};
+
+const findCacheLifetime = (endpointPath) => {
+  const match = ALLOWED_ENDPOINTS.find(([pattern]) => pattern.test(endpointPath));
+  return match ? match[1] : null;
+};
+
+/**
+ * Proxies one request to TMDB.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} endpointPath - TMDB path without the /api/tmdb prefix, e.g. "/movie/popular".
+ * @param {URLSearchParams} query - Query parameters to forward.
+ */
+export const handleTmdbProxy = async (req, res, endpointPath, query) => {
+  if (req.method !== "GET") {
+    return sendJson(res, 405, { status_message: "Method not allowed." }, { Allow: "GET" });
+  }
+
+  const cacheLifetime = findCacheLifetime(endpointPath);
+  if (cacheLifetime === null) {
+    return sendJson(res, 404, { status_message: `Endpoint ${endpointPath} is not available through this proxy.` });
+  }
+
+  const rateLimit = checkRateLimit(getClientIp(req));
+  res.setHeader("X-RateLimit-Limit", String(RATE_LIMIT_MAX_REQUESTS));
+  res.setHeader("X-RateLimit-Remaining", String(rateLimit.remaining));
+  if (!rateLimit.allowed) {
+    return sendJson(
+      res,
+      429,
+      { status_message: "Too many requests. Please slow down." },
+      { "Retry-After": String(Math.ceil(rateLimit.resetMs / 1000)) }
+    );
+  }
+
+  const apiKey = process.env.TMDB_API_KEY;
+  if (!apiKey) {
+    console.error("[tmdbProxy] TMDB_API_KEY is not set on the server.");
+    return sendJson(res, 500, { status_message: "The movie API is not configured on the server." });
+  }
+
+  const upstreamUrl = new URL(`${TMDB_BASE_URL}${endpointPath}`);
+  query.forEach((value, key) => {
+    if (key !== "api_key") upstreamUrl.searchParams.append(key, value);
+  });
+  upstreamUrl.searchParams.set("api_key", apiKey);
+
+  let upstream;
+  try {
+    upstream = await fetch(upstreamUrl);
+  } catch (error) {
+    console.error(`[tmdbProxy] Network error while requesting ${endpointPath}:`, error);
+    return sendJson(res, 502, { status_message: "Could not reach TMDB." });
+  }
+
+  const body = await upstream.text();
+  res.statusCode = upstream.status;
+  res.setHeader("Content-Type", upstream.headers.get("content-type") || "application/json; charset=utf-8");
+
+  const retryAfter = upstream.headers.get("retry-after");
+  if (retryAfter) res.setHeader("Retry-After", retryAfter);
+
+  // Only successful responses are cacheable; errors must be retried fresh.
+  if (upstream.ok) {
+    res.setHeader(
+      "Cache-Control",
+      `public, max-age=${Math.min(cacheLifetime, 300)}, s-maxage=${cacheLifetime}, stale-while-revalidate=${cacheLifetime}`
+    );
+  } else {
+    res.setHeader("Cache-Control", "no-store");
+  }
+
+  res.end(body);
+};
@@ -1,45 +1,87 @@
+import { useEffect } from 'react';
 import { Routes, Route } from 'react-router-dom';
 import './css/App.css';
 import Home from './Pages/Home';
 import Favourites from './Pages/Favourites';
 import { MovieProvider, useMovieContext } from './contexts/MovieContext';
 import { GenreProvider } from './contexts/GenreContext'; // <--- NEW: Import GenreProvider
+import { ListsProvider } from './contexts/ListsContext';
+import { SettingsProvider, useSettingsContext } from './contexts/SettingsContext';
+import { I18nProvider } from './contexts/I18nContext';
 import NavBar from './Pages/NavBar';
 import Account from './Pages/Account';
 import MovieDetails from './Pages/MovieDetails';
+import TvDetails from './Pages/TvDetails';
 import SignInPromptModal from './Components/SignInPromptModal';
+import MergeSummaryModal from './Components/MergeSummaryModal';
+import SyncToast from './Components/SyncToast';
+import OfflineBanner from './Components/OfflineBanner';
+import { keepSavedPostersOffline } from './services/offlineCache';
 import GenrePage from './Pages/GenrePage';
+import SearchResults from './Pages/SearchResults';
+import PersonPage from './Pages/PersonPage';
+import CollectionPage from './Pages/CollectionPage';
+import Watchlist from './Pages/Watchlist';
+import Diary from './Pages/Diary';
+import Ratings from './Pages/Ratings';
+import MyLists from './Pages/MyLists';
+import ListPage from './Pages/ListPage';
 
 
 // Define the main App component
 function App() {
-  const { showSignInPrompt } = useMovieContext(); // Get from MovieContext
+  const { showSignInPrompt, mergeSummary, favourites } = useMovieContext(); // Get from MovieContext
+  const { language, region } = useSettingsContext();
+
+  // Keep favourites' posters available offline (their details are fetched once, when they're added)
+  useEffect(() => {
+    keepSavedPostersOffline(favourites);
+  }, [favourites]);
 
   return (
     <div>
       <NavBar />
-      <main className='Main-content'>
+      <OfflineBanner />
+      {/* Remounting on a language/region change makes every page fetch again in the new locale */}
+      <main className='Main-content' key={`${language}-${region}`}>
         <Routes>
           <Route path="/" element={<Home/>}/>
           <Route path="/favourites" element={<Favourites/>}/>
+          <Route path="/watchlist" element={<Watchlist/>}/>
+          <Route path="/diary" element={<Diary/>}/>
+          <Route path="/ratings" element={<Ratings/>}/>
+          <Route path="/lists" element={<MyLists/>}/>
+          <Route path="/lists/:listId" element={<ListPage/>}/> {/* Editable for the owner, read-only for everyone else */}
           <Route path="/account" element={<Account/>}/>
           <Route path="/movie/:id" element={<MovieDetails/>}/>
+          <Route path="/tv/:id" element={<TvDetails/>}/>
+          <Route path="/search" element={<SearchResults/>}/>
+          <Route path="/person/:id" element={<PersonPage/>}/>
+          <Route path="/collection/:id" element={<CollectionPage/>}/>
           <Route path="/genres" element={<GenrePage/>}/> {/* Base genre page */}
           <Route path="/genres/:id" element={<GenrePage/>}/> {/* Genre page with pre-selected ID */}
         </Routes>
       </main>
       {showSignInPrompt && <SignInPromptModal />}
+      {mergeSummary && <MergeSummaryModal />}
+      <SyncToast />
     </div>
   );
 }
 
-// Create a wrapper component that provides the MovieContext AND GenreContext
+// Create a wrapper component that provides the MovieContext, SettingsContext, I18nContext, ListsContext AND GenreContext
 function AppWrapper() {
   return (
     <MovieProvider>
-      <GenreProvider> {/* <--- NEW: GenreProvider wraps the App component */}
-        <App />
-      </GenreProvider>
+      <SettingsProvider> {/* Needs the signed-in user from MovieContext; sets the TMDB language/region */}
+        <I18nProvider> {/* UI language from SettingsContext */}
+          <ListsProvider> {/* Needs the signed-in user from MovieContext */}
+            <GenreProvider> {/* <--- NEW: GenreProvider wraps the App component */}
+              <App />
+            </GenreProvider>
+          </ListsProvider>
+        </I18nProvider>
+      </SettingsProvider>
     </MovieProvider>
   );
 }
@@ -0,0 +1,109 @@
+// Components/AddToListMenu.jsx
+// "Add to List" dropdown on MovieDetails: tick the custom lists a movie belongs on.
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useListsContext } from '../contexts/ListsContext';
+import { useI18n } from '../contexts/I18nContext';
+import { MAX_LIST_NAME_LENGTH } from '../services/customLists';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faListUl, faCheck } from '@fortawesome/free-solid-svg-icons';
+import '../css/AddToListMenu.css';
+
+function AddToListMenu({ movie }) {
+  const { currentUser } = useMovieContext();
+  const { lists, createList, addMovieToList, removeMovieFromList } = useListsContext();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const [error, setError] = useState(null); // Message key, translated when rendered
+  const { t } = useI18n();
+  const menuRef = useRef(null);
+
+  // --- Close when clicking elsewhere ---
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const isOnList = (list) => list.entries.some((entry) => entry.id === movie.id);
+
+  const handleToggle = async (list) => {
+    setError(null);
+    try {
+      if (isOnList(list)) await removeMovieFromList(list.id, movie.id);
+      else await addMovieToList(list.id, movie);
+    } catch {
+      setError('addToList.updateFailed');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    setError(null);
+    try {
+      await createList(newListName, '', [movie]);
+      setNewListName('');
+    } catch {
+      setError('addToList.createFailed');
+    }
+  };
+
+  const listCount = lists.filter(isOnList).length;
+  // The sign-in link goes where the translation puts {link}
+  const [signInBefore, signInAfter] = t('addToList.signInHint').split('{link}');
+
+  return (
+    <div className="add-to-list" ref={menuRef}>
+      <button
+        className={`user-activity-toggle ${listCount > 0 ? 'on-lists' : ''}`}
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-expanded={isOpen}
+      >
+        <FontAwesomeIcon icon={faListUl} />
+        {listCount > 0 ? t('addToList.onLists', { count: listCount }) : t('addToList.add')}
+      </button>
+
+      {isOpen && (
+        <div className="add-to-list-menu">
+          {!currentUser ? (
+            <p className="add-to-list-hint">{signInBefore}<Link to="/account">{t('addToList.signIn')}</Link>{signInAfter}</p>
+          ) : (
+            <>
+              {lists.length === 0 && <p className="add-to-list-hint">{t('addToList.noLists')}</p>}
+              <ul>
+                {lists.map((list) => (
+                  <li key={list.id}>
+                    <button className="add-to-list-item" onClick={() => handleToggle(list)} aria-pressed={isOnList(list)}>
+                      <span className="add-to-list-check">{isOnList(list) && <FontAwesomeIcon icon={faCheck} />}</span>
+                      {list.name}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <form className="add-to-list-create" onSubmit={handleCreate}>
+                <input
+                  type="text"
+                  placeholder={t('addToList.newListPlaceholder')}
+                  value={newListName}
+                  maxLength={MAX_LIST_NAME_LENGTH}
+                  onChange={(e) => setNewListName(e.target.value)}
+                  aria-label={t('addToList.newListLabel')}
+                />
+                <button type="submit" disabled={!newListName.trim()}>{t('addToList.create')}</button>
+              </form>
+              {error && <p className="add-to-list-error">{t(error)}</p>}
+              <Link to="/lists" className="add-to-list-manage">{t('addToList.manage')}</Link>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddToListMenu;
@@ -0,0 +1,24 @@
+// Components/CollectionCard.jsx
+import { Link } from 'react-router-dom';
+import TmdbImage from './TmdbImage';
+import { CARD_IMAGE_SIZES } from '../services/tmdbImages';
+import { useI18n } from '../contexts/I18nContext';
+import "../css/MovieCard.css"
+
+function CollectionCard({ collection }) {
+    const { t } = useI18n();
+    return (
+        <Link to={`/collection/${collection.id}`} className="movie-card-link">
+            <div className="movie-card">
+                <div className="movie-poster">
+                    <TmdbImage path={collection.poster_path} type="poster" alt={collection.name} width={220} sizes={CARD_IMAGE_SIZES} />
+                    <span className="card-type-badge">{t("collectionCard.badge")}</span>
+                </div>
+                <div className="movie-info">
+                    <h3>{collection.name}</h3>
+                </div>
+            </div>
+        </Link>
+    );
+}
+export default CollectionCard;
@@ -0,0 +1,171 @@
+// Components/DiscoverFilters.jsx
+import React, { useState } from "react";
+import {
+  DISCOVER_SORT_OPTIONS,
+  ORIGINAL_LANGUAGES,
+  EMPTY_DISCOVER_FILTERS,
+  DEFAULT_SORT,
+  hasActiveFilters,
+} from "../services/discoverFilters";
+import { getLanguageName } from "../services/userSettings";
+import { useI18n } from "../contexts/I18nContext";
+import "../css/DiscoverFilters.css";
+
+const FIRST_FILM_YEAR = 1874;
+const LATEST_YEAR = new Date().getFullYear() + 5; // Upcoming releases are already on TMDB
+
+// Edits a draft copy of the filters; nothing is fetched until "Apply" is pressed.
+// Render it with a `key` derived from the filters (sort order aside) so the draft
+// resets when the URL changes.
+function DiscoverFilters({ filters, certificationOptions, onApply }) {
+  const [draft, setDraft] = useState(filters);
+  const { t, language } = useI18n();
+  const filtersActive = hasActiveFilters({ ...filters, sortBy: DEFAULT_SORT });
+  const { country, certifications } = certificationOptions;
+  // A rating from a shared link or another region stays selectable
+  const certificationChoices =
+    draft.certification && !certifications.includes(draft.certification)
+      ? [...certifications, draft.certification]
+      : certifications;
+  const [isOpen, setIsOpen] = useState(filtersActive);
+
+  const setField = (field) => (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply({ ...draft, sortBy: filters.sortBy });
+  };
+
+  const handleReset = () => {
+    setDraft(EMPTY_DISCOVER_FILTERS);
+    onApply({ ...EMPTY_DISCOVER_FILTERS, sortBy: filters.sortBy });
+  };
+
+  return (
+    <div className="discover-filters">
+      <div className="discover-filters-bar">
+        <button
+          type="button"
+          className="discover-filters-toggle"
+          onClick={() => setIsOpen((prev) => !prev)}
+          aria-expanded={isOpen}
+        >
+          {isOpen ? t("discoverFilters.hide") : t("discoverFilters.show")}
+          {filtersActive && <span className="discover-filters-dot" aria-label={t("discoverFilters.active")} />}
+        </button>
+
+        {/* Sorting applies immediately, it's the one control people change all the time */}
+        <label className="discover-sort">
+          {t("discoverFilters.sortLabel")}{" "}
+          <select value={filters.sortBy} onChange={(e) => onApply({ ...filters, sortBy: e.target.value })}>
+            {DISCOVER_SORT_OPTIONS.map(({ value, labelKey }) => (
+              <option key={value} value={value}>{t(`discoverFilters.sort.${labelKey}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {isOpen && (
+        <form className="discover-filters-form" onSubmit={handleSubmit}>
+          <fieldset className="discover-field">
+            <legend>{t("discoverFilters.releaseYear")}</legend>
+            <input
+              type="number"
+              min={FIRST_FILM_YEAR}
+              max={LATEST_YEAR}
+              placeholder={t("discoverFilters.from")}
+              value={draft.yearFrom}
+              onChange={setField("yearFrom")}
+              aria-label={t("discoverFilters.yearFromLabel")}
+            />
+            <span className="discover-range-separator">–</span>
+            <input
+              type="number"
+              min={FIRST_FILM_YEAR}
+              max={LATEST_YEAR}
+              placeholder={t("discoverFilters.to")}
+              value={draft.yearTo}
+              onChange={setField("yearTo")}
+              aria-label={t("discoverFilters.yearToLabel")}
+            />
+          </fieldset>
+
+          <fieldset className="discover-field">
+            <legend>{t("discoverFilters.runtime")}</legend>
+            <input
+              type="number"
+              min="0"
+              placeholder={t("discoverFilters.min")}
+              value={draft.minRuntime}
+              onChange={setField("minRuntime")}
+              aria-label={t("discoverFilters.minRuntimeLabel")}
+            />
+            <span className="discover-range-separator">–</span>
+            <input
+              type="number"
+              min="0"
+              placeholder={t("discoverFilters.max")}
+              value={draft.maxRuntime}
+              onChange={setField("maxRuntime")}
+              aria-label={t("discoverFilters.maxRuntimeLabel")}
+            />
+          </fieldset>
+
+          <fieldset className="discover-field">
+            <legend>{t("discoverFilters.rating")}</legend>
+            <input
+              type="number"
+              min="0"
+              max="10"
+              step="0.5"
+              placeholder={t("discoverFilters.minScore")}
+              value={draft.minRating}
+              onChange={setField("minRating")}
+              aria-label={t("discoverFilters.minScoreLabel")}
+            />
+            <input
+              type="number"
+              min="0"
+              step="50"
+              placeholder={t("discoverFilters.minVotes")}
+              value={draft.minVotes}
+              onChange={setField("minVotes")}
+              aria-label={t("discoverFilters.minVotesLabel")}
+            />
+          </fieldset>
+
+          <fieldset className="discover-field">
+            <legend>{t("discoverFilters.languageAndCertification")}</legend>
+            <select value={draft.language} onChange={setField("language")} aria-label={t("discoverFilters.languageLabel")}>
+              <option value="">{t("discoverFilters.anyLanguage")}</option>
+              {ORIGINAL_LANGUAGES.map((code) => (
+                <option key={code} value={code}>{getLanguageName(code, language)}</option>
+              ))}
+            </select>
+            <select
+              value={draft.certification}
+              onChange={setField("certification")}
+              aria-label={t("discoverFilters.certificationLabel", { country })}
+            >
+              <option value="">{t("discoverFilters.anyRating")}</option>
+              {certificationChoices.map((certification) => (
+                <option key={certification} value={certification}>{certification}</option>
+              ))}
+            </select>
+          </fieldset>
+
+          <div className="discover-filters-actions">
+            <button type="button" className="discover-reset-button" onClick={handleReset}>
+              {t("discoverFilters.reset")}
+            </button>
+            <button type="submit" className="discover-apply-button">
+              {t("discoverFilters.apply")}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default DiscoverFilters;
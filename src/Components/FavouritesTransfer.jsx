@@ -0,0 +1,228 @@
+// Components/FavouritesTransfer.jsx
+// The "Import & Export" block on the Account page. Export downloads the favourites;
+// import reads a file, looks up what it needs on TMDB and shows what will change before saving.
+import React, { useRef, useState } from 'react';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useI18n } from '../contexts/I18nContext';
+import {
+  EXPORT_FORMATS,
+  exportFavourites,
+  parseImportFile,
+  resolveImportRows,
+  buildImportPreview,
+} from '../services/favouritesTransfer';
+import { getMovieYear, getEntryKey } from '../services/userLists';
+import '../css/FavouritesTransfer.css';
+
+const downloadFile = ({ filename, content, mimeType }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const formatTitle = (movie) => {
+  const year = getMovieYear(movie);
+  return year ? `${movie.title} (${year})` : movie.title;
+};
+
+function FavouritesTransfer() {
+  const { favourites, importFavourites, currentUser } = useMovieContext();
+  const { t, formatDate } = useI18n();
+  const fileInputRef = useRef(null);
+
+  // idle -> resolving -> preview -> importing -> idle
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [importFormat, setImportFormat] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [unresolved, setUnresolved] = useState([]);
+  const [replaceConflicts, setReplaceConflicts] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const resetImport = () => {
+    setStatus('idle');
+    setPreview(null);
+    setUnresolved([]);
+    setReplaceConflicts(false);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError('');
+    setMessage('');
+
+    let parsed;
+    try {
+      parsed = parseImportFile(await file.text(), file.name);
+    } catch (parseError) {
+      console.error('[FavouritesTransfer] Could not read import file:', parseError);
+      setError(t('favouritesTransfer.readFailed', {
+        file: file.name,
+        reason: t(`favouritesTransfer.readErrors.${parseError.reason || 'invalid'}`),
+      }));
+      resetImport();
+      return;
+    }
+
+    setImportFormat(parsed.format);
+    setStatus('resolving');
+    setProgress({ done: 0, total: parsed.rows.length });
+    const result = await resolveImportRows(parsed.rows, {
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    setPreview(buildImportPreview(result.resolved, favourites));
+    setUnresolved(result.unresolved);
+    setStatus('preview');
+  };
+
+  const handleConfirmImport = async () => {
+    const movies = [
+      ...preview.toAdd,
+      ...(replaceConflicts ? preview.conflicts.map(({ incoming }) => incoming) : []),
+    ];
+    setStatus('importing');
+    try {
+      await importFavourites(movies);
+      setMessage(t('favouritesTransfer.imported', { count: movies.length }));
+      resetImport();
+    } catch (importError) {
+      console.error('[FavouritesTransfer] Import failed:', importError);
+      setError(t('favouritesTransfer.importFailed'));
+      setStatus('preview');
+    }
+  };
+
+  const importCount = preview ? preview.toAdd.length + (replaceConflicts ? preview.conflicts.length : 0) : 0;
+
+  return (
+    <section className="section-block favourites-transfer">
+      <h2 className="section-title">{t('favouritesTransfer.title')}</h2>
+
+      <div className="transfer-group">
+        <h3>{t('favouritesTransfer.exportTitle')}</h3>
+        <div className="transfer-actions">
+          {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              className="transfer-button"
+              onClick={() => downloadFile(exportFavourites(favourites, format))}
+              disabled={favourites.length === 0}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <p className="transfer-hint">
+          {t('favouritesTransfer.letterboxdHint')}
+        </p>
+      </div>
+
+      <div className="transfer-group">
+        <h3>{t('favouritesTransfer.importTitle')}</h3>
+        <p className="transfer-hint">
+          {t('favouritesTransfer.importHint')}
+          {!currentUser && ` ${t('favouritesTransfer.importHintSignedOut')}`}
+        </p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFileChange}
+          disabled={status === 'resolving' || status === 'importing'}
+          className="transfer-file-input"
+        />
+
+        {status === 'resolving' && (
+          <p className="transfer-progress">
+            {t('favouritesTransfer.lookingUp', progress)}
+          </p>
+        )}
+
+        {error && <p className="auth-error">{error}</p>}
+        {message && <p className="auth-feedback">{message}</p>}
+
+        {preview && (status === 'preview' || status === 'importing') && (
+          <div className="transfer-preview">
+            <p className="transfer-preview-summary">
+              {t(preview.duplicates.length > 0 ? 'favouritesTransfer.previewSummaryRepeated' : 'favouritesTransfer.previewSummary', {
+                format: EXPORT_FORMATS[importFormat].label,
+                added: preview.toAdd.length,
+                conflicts: preview.conflicts.length,
+                unresolved: unresolved.length,
+                repeated: preview.duplicates.length,
+              })}
+            </p>
+
+            {preview.toAdd.length > 0 && (
+              <details open={preview.toAdd.length <= 10}>
+                <summary>{t('favouritesTransfer.newFavourites', { count: preview.toAdd.length })}</summary>
+                <ul className="transfer-preview-list">
+                  {preview.toAdd.map((movie) => <li key={getEntryKey(movie)}>{formatTitle(movie)}</li>)}
+                </ul>
+              </details>
+            )}
+
+            {preview.conflicts.length > 0 && (
+              <details>
+                <summary>{t('favouritesTransfer.alreadySaved', { count: preview.conflicts.length })}</summary>
+                <ul className="transfer-preview-list">
+                  {preview.conflicts.map(({ existing }) => (
+                    <li key={getEntryKey(existing)}>
+                      {formatTitle(existing)}
+                      {existing.addedAt && (
+                        <span className="transfer-preview-note"> {t('favouritesTransfer.addedOn', { date: formatDate(existing.addedAt, { dateStyle: "medium" }) })}</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                <label className="transfer-replace">
+                  <input
+                    type="checkbox"
+                    checked={replaceConflicts}
+                    onChange={(e) => setReplaceConflicts(e.target.checked)}
+                  />
+                  {t('favouritesTransfer.replace')}
+                </label>
+              </details>
+            )}
+
+            {unresolved.length > 0 && (
+              <details open>
+                <summary>{t('favouritesTransfer.notFound', { count: unresolved.length })}</summary>
+                <ul className="transfer-preview-list unresolved">
+                  {unresolved.map((row) => (
+                    <li key={row.line}>
+                      {t('favouritesTransfer.row', { line: row.line, title: row.title || t('favouritesTransfer.tmdbId', { id: String(row.tmdbId) }) })}
+                      {row.year && ` (${row.year})`} <span className="transfer-preview-note">{t(`favouritesTransfer.reasons.${row.reason}`)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
+            <div className="transfer-actions">
+              <button
+                className="transfer-button primary"
+                onClick={handleConfirmImport}
+                disabled={importCount === 0 || status === 'importing'}
+              >
+                {status === 'importing' ? t('favouritesTransfer.importing') : t('favouritesTransfer.importButton', { count: importCount })}
+              </button>
+              <button className="transfer-button" onClick={resetImport} disabled={status === 'importing'}>
+                {t('common.cancel')}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default FavouritesTransfer;
@@ -0,0 +1,152 @@
+// Components/ImageGallery.jsx
+// Thumbnail grid for a TMDB `images` object ({ backdrops, posters, logos, profiles, stills }),
+// with type and language filters. A thumbnail opens the filtered list in the ImageLightbox.
+import React, { useState, useMemo } from 'react';
+import ImageLightbox from './ImageLightbox';
+import TmdbImage from './TmdbImage';
+import { useI18n } from '../contexts/I18nContext';
+import { getLanguageName } from '../services/userSettings';
+import '../css/ImageGallery.css';
+
+// TMDB list name -> image type (see IMAGE_SIZES in services/tmdbImages.js)
+const IMAGE_TYPES = [
+  ['backdrops', 'backdrop'],
+  ['posters', 'poster'],
+  ['logos', 'logo'],
+  ['profiles', 'profile'],
+  ['stills', 'still'],
+];
+
+const ALL = 'all';
+const NO_TEXT = 'none'; // Language filter value for images without a language, e.g. textless backdrops
+
+// Grid cells are about 180-260px wide, half the screen on phones.
+// THUMBNAIL_WIDTH picks the src for browsers without srcset support.
+const THUMBNAIL_SIZES = '(max-width: 768px) 45vw, 260px';
+const THUMBNAIL_WIDTH = 300;
+
+function ImageGallery({ images, title, initialCount = 15 }) {
+  const { t, language, formatNumber } = useI18n();
+  const [typeFilter, setTypeFilter] = useState(ALL);
+  const [languageFilter, setLanguageFilter] = useState(ALL);
+  const [showAll, setShowAll] = useState(false);
+  const [openIndex, setOpenIndex] = useState(null); // Index in filteredImages shown in the lightbox
+
+  // One list tagged with each image's type. The same file can be listed under two types.
+  const allImages = useMemo(
+    () => IMAGE_TYPES
+      .flatMap(([listName, type]) => (images?.[listName] || []).map((image) => ({ ...image, type })))
+      .filter((image, index, self) => index === self.findIndex((other) => other.file_path === image.file_path)),
+    [images]
+  );
+
+  const typeCounts = useMemo(() => {
+    const counts = {};
+    allImages.forEach(({ type }) => { counts[type] = (counts[type] || 0) + 1; });
+    return counts;
+  }, [allImages]);
+  const availableTypes = Object.keys(typeCounts);
+
+  // Takes a filter value or an image's iso_639_1, which is null for images without text
+  const getLanguageLabel = (code) => (!code || code === NO_TEXT ? t('gallery.noText') : getLanguageName(code, language));
+
+  // Images without text first, then languages by their name in the UI language
+  const languages = useMemo(() => {
+    const codes = [...new Set(allImages.map((image) => image.iso_639_1 || NO_TEXT))];
+    const name = (code) => (code === NO_TEXT ? '' : getLanguageName(code, language));
+    return codes.sort((a, b) => name(a).localeCompare(name(b), language));
+  }, [allImages, language]);
+
+  const filteredImages = allImages.filter((image) =>
+    (typeFilter === ALL || image.type === typeFilter) &&
+    (languageFilter === ALL || (image.iso_639_1 || NO_TEXT) === languageFilter)
+  );
+  const visibleImages = showAll ? filteredImages : filteredImages.slice(0, initialCount);
+
+  if (allImages.length === 0) return null;
+
+  return (
+    <section className="section-block image-gallery-section">
+      <h2 className="section-title">{t('gallery.title', { count: allImages.length })}</h2>
+
+      {(availableTypes.length > 1 || languages.length > 1) && (
+        <div className="gallery-filters">
+          {availableTypes.length > 1 && (
+            <div className="gallery-type-filters" role="group" aria-label={t('gallery.typeFilter')}>
+              {[ALL, ...availableTypes].map((type) => (
+                <button
+                  key={type}
+                  className={`gallery-filter-button ${typeFilter === type ? 'active' : ''}`}
+                  onClick={() => setTypeFilter(type)}
+                  aria-pressed={typeFilter === type}
+                >
+                  {t(`gallery.types.${type}`)}
+                  <span className="gallery-filter-count">
+                    {formatNumber(type === ALL ? allImages.length : typeCounts[type])}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+          {languages.length > 1 && (
+            <label className="gallery-language-filter">
+              {t('gallery.language')}
+              <select value={languageFilter} onChange={(e) => setLanguageFilter(e.target.value)}>
+                <option value={ALL}>{t('gallery.allLanguages')}</option>
+                {languages.map((code) => (
+                  <option key={code} value={code}>{getLanguageLabel(code)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+      )}
+
+      {filteredImages.length === 0 ? (
+        <p className="gallery-empty">{t('gallery.noMatches')}</p>
+      ) : (
+        <div className="image-gallery">
+          {visibleImages.map((image, index) => (
+            <button
+              key={image.file_path}
+              className={`gallery-thumbnail ${image.type}`}
+              onClick={() => setOpenIndex(index)}
+            >
+              <TmdbImage
+                path={image.file_path}
+                type={image.type}
+                alt={t('gallery.imageAlt', { title, number: index + 1 })}
+                width={THUMBNAIL_WIDTH}
+                sizes={THUMBNAIL_SIZES}
+                className="gallery-image"
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {filteredImages.length > initialCount && (
+        <div className="view-more-container">
+          <button className="view-more-button" onClick={() => setShowAll(!showAll)}>
+            {showAll
+              ? t('gallery.showLess')
+              : t('gallery.viewAll', { count: filteredImages.length - initialCount })}
+          </button>
+        </div>
+      )}
+
+      {openIndex !== null && (
+        <ImageLightbox
+          images={filteredImages}
+          index={openIndex}
+          title={title}
+          getLanguageLabel={getLanguageLabel}
+          onIndexChange={setOpenIndex}
+          onClose={() => setOpenIndex(null)}
+        />
+      )}
+    </section>
+  );
+}
+
+export default ImageGallery;
@@ -0,0 +1,142 @@
+// Components/ImageLightbox.jsx
+// Full-screen viewer opened from ImageGallery. Arrow keys and swipes move through the
+// images (mirrored for right-to-left layouts), Escape or a click outside the image closes it.
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { getImageUrl, getSizeForWidth, buildSrcSet } from '../services/tmdbImages';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChevronLeft, faChevronRight } from '@fortawesome/free-solid-svg-icons';
+import '../css/ImageLightbox.css';
+
+const SWIPE_THRESHOLD = 50; // Pixels a touch has to travel sideways to count as a swipe
+const FALLBACK_WIDTH = 1280; // src for browsers without srcset support
+
+// The image is fitted inside 100vw x 85vh (see .lightbox-image), so tall ones are narrower than the screen
+const getDisplaySizes = (image) =>
+  image.aspect_ratio ? `min(100vw, ${Math.round(85 * image.aspect_ratio)}vh)` : '100vw';
+
+function ImageLightbox({ images, index, title, getLanguageLabel, onIndexChange, onClose }) {
+  const { t, dir, formatNumber } = useI18n();
+  const [loadedPath, setLoadedPath] = useState(null); // file_path of the last image that finished loading
+  const closeButtonRef = useRef(null);
+  const touchStartXRef = useRef(null);
+
+  const image = images[index];
+  const loaded = loadedPath === image.file_path;
+
+  // Wraps around at both ends
+  const step = useCallback(
+    (offset) => onIndexChange((index + offset + images.length) % images.length),
+    [index, images.length, onIndexChange]
+  );
+
+  // --- Keyboard: arrows follow the reading direction ---
+  useEffect(() => {
+    const forward = dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const backward = dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === forward) step(1);
+      else if (e.key === backward) step(-1);
+      else if (e.key === 'Home') onIndexChange(0);
+      else if (e.key === 'End') onIndexChange(images.length - 1);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [dir, step, onClose, onIndexChange, images.length]);
+
+  // --- While open: no page scrolling behind it, focus inside, and back where it was on close ---
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    closeButtonRef.current?.focus();
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      previouslyFocused?.focus?.();
+    };
+  }, []);
+
+  // --- Start loading the neighbours so swiping through doesn't wait on the network ---
+  useEffect(() => {
+    if (images.length < 2) return;
+    [index + 1, index - 1].forEach((neighbourIndex) => {
+      const neighbour = images[(neighbourIndex + images.length) % images.length];
+      const preload = new Image();
+      preload.sizes = getDisplaySizes(neighbour);
+      preload.srcset = buildSrcSet(neighbour.file_path, neighbour.type, neighbour.width);
+    });
+  }, [images, index]);
+
+  const handleTouchStart = (e) => {
+    touchStartXRef.current = e.touches.length === 1 ? e.touches[0].clientX : null; // Not while pinch-zooming
+  };
+
+  const handleTouchEnd = (e) => {
+    const startX = touchStartXRef.current;
+    touchStartXRef.current = null;
+    if (startX === null) return;
+    const distance = e.changedTouches[0].clientX - startX;
+    if (Math.abs(distance) < SWIPE_THRESHOLD) return;
+    // Swiping towards the start of the line brings in the next image
+    const towardsStart = dir === 'rtl' ? distance > 0 : distance < 0;
+    step(towardsStart ? 1 : -1);
+  };
+
+  return (
+    <div
+      className="lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('gallery.lightboxLabel', { title })}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+      onTouchStart={handleTouchStart}
+      onTouchEnd={handleTouchEnd}
+    >
+      <button ref={closeButtonRef} className="lightbox-close" onClick={onClose} aria-label={t('common.close')}>
+        &times;
+      </button>
+
+      {images.length > 1 && (
+        <button className="lightbox-nav previous" onClick={() => step(-1)} aria-label={t('gallery.previous')}>
+          <FontAwesomeIcon icon={faChevronLeft} />
+        </button>
+      )}
+
+      <figure className="lightbox-figure">
+        {!loaded && <div className="lightbox-loading">{t('common.loading')}</div>}
+        <img
+          key={image.file_path}
+          className={`lightbox-image ${loaded ? 'loaded' : ''}`}
+          src={getImageUrl(image.file_path, getSizeForWidth(image.type, FALLBACK_WIDTH))}
+          srcSet={buildSrcSet(image.file_path, image.type, image.width)}
+          sizes={getDisplaySizes(image)}
+          alt={t('gallery.imageAlt', { title, number: index + 1 })}
+          onLoad={() => setLoadedPath(image.file_path)}
+        />
+        <figcaption className="lightbox-caption">
+          <span>{t('gallery.position', { number: index + 1, count: images.length })}</span>
+          <span>{getLanguageLabel(image.iso_639_1)}</span>
+          {image.width > 0 && (
+            <span>
+              {formatNumber(image.width, { useGrouping: false })} × {formatNumber(image.height, { useGrouping: false })}
+            </span>
+          )}
+          <a href={getImageUrl(image.file_path)} target="_blank" rel="noopener noreferrer">
+            {t('gallery.openOriginal')}
+          </a>
+        </figcaption>
+      </figure>
+
+      {images.length > 1 && (
+        <button className="lightbox-nav next" onClick={() => step(1)} aria-label={t('gallery.next')}>
+          <FontAwesomeIcon icon={faChevronRight} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ImageLightbox;
@@ -0,0 +1,33 @@
+// Components/LanguageSwitcher.jsx
+// Picks the language of the app's own text (menus, buttons, messages). TMDB content
+// has its own language setting on the Account page.
+import React from 'react';
+import { useSettingsContext } from '../contexts/SettingsContext';
+import { useI18n } from '../contexts/I18nContext';
+import { UI_LANGUAGES } from '../services/i18n';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faGlobe } from '@fortawesome/free-solid-svg-icons';
+import '../css/LanguageSwitcher.css';
+
+function LanguageSwitcher({ className = '' }) {
+  const { uiLanguage, updateSettings } = useSettingsContext();
+  const { t } = useI18n();
+
+  // Applied locally right away; a failed sync to the account is logged by SettingsContext
+  const changeLanguage = (e) => {
+    updateSettings({ uiLanguage: e.target.value }).catch(() => {});
+  };
+
+  return (
+    <label className={`language-switcher ${className}`} title={t('nav.language')}>
+      <FontAwesomeIcon icon={faGlobe} />
+      <select value={uiLanguage} onChange={changeLanguage} aria-label={t('nav.language')}>
+        {Object.entries(UI_LANGUAGES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSwitcher;
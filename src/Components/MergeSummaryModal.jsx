@@ -0,0 +1,84 @@
+// Components/MergeSummaryModal.jsx
+// Shown after sign-in when movies saved as a guest were merged into the account.
+// Says what was added and what the account already had, and can undo the additions.
+import React, { useState } from 'react';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useI18n } from '../contexts/I18nContext';
+import '../css/SignInPromptModal.css';
+import '../css/MergeSummaryModal.css';
+
+function MergeSummaryModal() {
+  const { mergeSummary, undoLocalMerge, dismissMergeSummary } = useMovieContext();
+  const [undoing, setUndoing] = useState(false);
+  const [undoError, setUndoError] = useState(false);
+  const { t } = useI18n();
+
+  const addedCount = mergeSummary.lists.reduce((count, list) => count + list.added.length, 0);
+  const anyFailed = mergeSummary.lists.some((list) => list.failed);
+
+  const handleUndo = async () => {
+    setUndoing(true);
+    setUndoError(false);
+    try {
+      await undoLocalMerge();
+    } catch (error) {
+      console.error('[MergeSummaryModal] Undo failed:', error);
+      setUndoError(true);
+    }
+    setUndoing(false);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content merge-summary" role="dialog" aria-labelledby="merge-summary-title">
+        <button className="modal-close-button" onClick={dismissMergeSummary} aria-label={t('common.close')}>&times;</button>
+
+        <h2 className="modal-title" id="merge-summary-title">
+          {mergeSummary.undone ? t('mergeSummary.undoneTitle') : t('mergeSummary.title')}
+        </h2>
+
+        <p className="modal-message">
+          {mergeSummary.undone
+            ? t('mergeSummary.undoneMessage', { count: addedCount })
+            : t('mergeSummary.message')}
+        </p>
+
+        {!mergeSummary.undone && (
+          <ul className="merge-summary-lists">
+            {mergeSummary.lists.map(({ listName, added, alreadyThere, failed }) => (
+              <li key={listName} className={failed ? 'failed' : ''}>
+                <strong>{t('mergeSummary.listLabel', { list: t(`userLists.${listName}`) })}</strong>{' '}
+                {failed
+                  ? t('mergeSummary.listFailed')
+                  : t('mergeSummary.listResult', { count: added.length, existing: alreadyThere.length })}
+                {added.length > 0 && (
+                  <details>
+                    <summary>{t('mergeSummary.showAdded')}</summary>
+                    <ul className="merge-summary-titles">
+                      {added.map((entry) => <li key={entry.id}>{entry.title}</li>)}
+                    </ul>
+                  </details>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {undoError && <p className="merge-summary-error">{t('mergeSummary.undoFailed')}</p>}
+
+        <div className="modal-actions">
+          <button className="modal-button primary-button" onClick={dismissMergeSummary}>
+            {anyFailed && !mergeSummary.undone ? t('mergeSummary.ok') : t('mergeSummary.done')}
+          </button>
+          {!mergeSummary.undone && addedCount > 0 && (
+            <button className="modal-button secondary-button" onClick={handleUndo} disabled={undoing}>
+              {undoing ? t('mergeSummary.undoing') : t('mergeSummary.undo', { count: addedCount })}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MergeSummaryModal;
@@ -2,46 +2,113 @@
 import { Link } from 'react-router-dom'; 
 import "../css/MovieCard.css"
 import { useMovieContext } from "../contexts/MovieContext";
+import { useI18n } from "../contexts/I18nContext";
+import { useMyServicesForMovie } from "../hooks/useMyServicesForMovie";
+import TmdbImage from "./TmdbImage";
+import { CARD_IMAGE_SIZES } from "../services/tmdbImages";
 
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faHeart as solidHeart } from '@fortawesome/free-solid-svg-icons';
-import { faHeart as regularHeart } from '@fortawesome/free-regular-svg-icons';
+import { faHeart as solidHeart, faBookmark as solidBookmark, faEye as solidEye } from '@fortawesome/free-solid-svg-icons';
+import { faHeart as regularHeart, faBookmark as regularBookmark, faEye as regularEye } from '@fortawesome/free-regular-svg-icons';
 
 
 function MovieCard({movie}){
-    const {isFavourite, addToFavourites, removeFromFavourites} = useMovieContext()
+    const {
+        isFavourite, addToFavourites, removeFromFavourites,
+        isOnWatchlist, addToWatchlist, removeFromWatchlist,
+        getWatchedEntry, markAsWatched, removeFromWatched,
+        getRating,
+    } = useMovieContext()
     const favourite = isFavourite(movie.id)
+    const onWatchlist = isOnWatchlist(movie.id)
+    const watched = Boolean(getWatchedEntry(movie.id))
+    const userRating = getRating(movie.id)?.rating
+    const { t } = useI18n()
+    // Badge for titles streaming on the user's services, looked up once the card is on screen
+    const { ref: cardRef, services: myServices } = useMyServicesForMovie(movie.id)
 
-    function onFavouriteClick(e){
-        e.preventDefault(); // Prevents the default button action (which might be form submission, though unlikely here)
+    // Wraps an overlay button handler so the click doesn't also follow the card's <Link>
+    const overlayAction = (action) => (e) => {
+        e.preventDefault(); // Prevents the <Link> navigation
         e.stopPropagation(); 
                              // It stops the click event from bubbling up to the parent <Link>
-                             // ensuring only the heart button's action (add/remove favourite) is triggered.
+                             // ensuring only the button's own action is triggered.
+        action()
+    }
+
+    const onFavouriteClick = overlayAction(() => {
         if (favourite) removeFromFavourites(movie.id)
         else addToFavourites(movie)
-    }
+    })
+
+    const onWatchlistClick = overlayAction(() => {
+        if (onWatchlist) removeFromWatchlist(movie.id)
+        else addToWatchlist(movie)
+    })
+
+    const onWatchedClick = overlayAction(() => {
+        if (watched) removeFromWatched(movie.id)
+        else markAsWatched(movie)
+    })
 
     return (
         // Wrap the entire movie-card div with a Link
-        <Link to={`/movie/${movie.id}`} className="movie-card-link"> {/* Added movie-card-link class */}
+        <Link to={`/movie/${movie.id}`} className="movie-card-link" ref={cardRef}> {/* Added movie-card-link class */}
             <div className="movie-card">
                 <div className="movie-poster">
-                    <img src={`https://image.tmdb.org/t/p/w500${movie.poster_path}`} alt={movie.title} />
-                    <div className="movie-overlay">
-                        <button
-                            className={`favourite-btn ${favourite ? "active" : ""}`}
-                            onClick={onFavouriteClick}
+                    <TmdbImage path={movie.poster_path} type="poster" alt={movie.title} width={220} sizes={CARD_IMAGE_SIZES} />
+                    {myServices.length > 0 && (
+                        <span
+                            className="card-streaming-badge"
+                            title={t("myServices.badge", { services: myServices.map((service) => service.provider_name).join(", ") })}
                         >
-                            <FontAwesomeIcon icon={favourite ? solidHeart : regularHeart} />
-                        </button>
+                            {myServices.slice(0, 2).map((service) => (
+                                <TmdbImage
+                                    key={service.provider_id}
+                                    path={service.logo_path}
+                                    type="logo"
+                                    alt={service.provider_name}
+                                    width={22}
+                                    className="card-streaming-logo"
+                                />
+                            ))}
+                        </span>
+                    )}
+                    <div className="movie-overlay">
+                        <div className="movie-card-actions">
+                            <button
+                                className={`favourite-btn ${favourite ? "active" : ""}`}
+                                onClick={onFavouriteClick}
+                                title={favourite ? t("movieCard.removeFavourite") : t("movieCard.addFavourite")}
+                            >
+                                <FontAwesomeIcon icon={favourite ? solidHeart : regularHeart} />
+                            </button>
+                            <button
+                                className={`favourite-btn watchlist-btn ${onWatchlist ? "active" : ""}`}
+                                onClick={onWatchlistClick}
+                                title={onWatchlist ? t("movieCard.removeWatchlist") : t("movieCard.addWatchlist")}
+                            >
+                                <FontAwesomeIcon icon={onWatchlist ? solidBookmark : regularBookmark} />
+                            </button>
+                            <button
+                                className={`favourite-btn watched-btn ${watched ? "active" : ""}`}
+                                onClick={onWatchedClick}
+                                title={watched ? t("movieCard.removeWatched") : t("movieCard.markWatched")}
+                            >
+                                <FontAwesomeIcon icon={watched ? solidEye : regularEye} />
+                            </button>
+                        </div>
                     </div>
                 </div>
                 <div className="movie-info">
                     <h3>{movie.title}</h3>
                     <p>{movie.release_date?.split("-")[0]}</p>
+                    {userRating && (
+                        <span className="user-rating" title={t("movieCard.yourRating")}>★ {t("common.score", { score: userRating })}</span>
+                    )}
                 </div>
             </div>
         </Link>
     );
 }
-export default MovieCard;
\ No newline at end of file
+export default MovieCard;
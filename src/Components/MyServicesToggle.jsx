@@ -0,0 +1,39 @@
+// Components/MyServicesToggle.jsx
+// The "Available on my services" switch above Home, GenrePage and search results.
+// Without any services picked it links to the picker on the Account page instead.
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useSettingsContext } from '../contexts/SettingsContext';
+import { useI18n } from '../contexts/I18nContext';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTv } from '@fortawesome/free-solid-svg-icons';
+import '../css/MyServicesToggle.css';
+
+function MyServicesToggle({ active, onChange }) {
+  const { streamingServices } = useSettingsContext();
+  const { t } = useI18n();
+
+  if (streamingServices.length === 0) {
+    return (
+      <Link to="/account#streaming-services" className="my-services-toggle setup">
+        <FontAwesomeIcon icon={faTv} />
+        {t('myServices.setUp')}
+      </Link>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      role="switch"
+      aria-checked={active}
+      className={`my-services-toggle ${active ? 'active' : ''}`}
+      onClick={() => onChange(!active)}
+    >
+      <span className="my-services-switch" aria-hidden="true" />
+      {t('myServices.toggle')}
+    </button>
+  );
+}
+
+export default MyServicesToggle;
@@ -0,0 +1,23 @@
+// Components/OfflineBanner.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useI18n } from '../contexts/I18nContext';
+import '../css/OfflineBanner.css';
+
+function OfflineBanner() {
+  const { isOnline } = useMovieContext();
+  const { t } = useI18n();
+  if (isOnline) return null;
+
+  // The favourites link goes where the translation puts {link}
+  const [before, after] = t('offlineBanner.message').split('{link}');
+
+  return (
+    <div className="offline-banner" role="status">
+      {before}<Link to="/favourites">{t('offlineBanner.favouritesLink')}</Link>{after}
+    </div>
+  );
+}
+
+export default OfflineBanner;
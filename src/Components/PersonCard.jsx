@@ -0,0 +1,32 @@
+// Components/PersonCard.jsx
+import { Link } from 'react-router-dom';
+import TmdbImage from './TmdbImage';
+import { CARD_IMAGE_SIZES } from '../services/tmdbImages';
+import { useI18n } from '../contexts/I18nContext';
+import "../css/MovieCard.css"
+
+function PersonCard({ person }) {
+    const { t } = useI18n();
+    const knownFor = person.known_for
+        ?.map((item) => item.title || item.name)
+        .filter(Boolean)
+        .slice(0, 2)
+        .join(", ");
+
+    return (
+        <Link to={`/person/${person.id}`} className="movie-card-link">
+            <div className="movie-card">
+                <div className="movie-poster">
+                    <TmdbImage path={person.profile_path} type="profile" alt={person.name} width={220} sizes={CARD_IMAGE_SIZES} />
+                    <span className="card-type-badge">{t("personCard.badge")}</span>
+                </div>
+                <div className="movie-info">
+                    <h3>{person.name}</h3>
+                    <p>{person.known_for_department}</p>
+                    {knownFor && <p className="card-known-for">{knownFor}</p>}
+                </div>
+            </div>
+        </Link>
+    );
+}
+export default PersonCard;
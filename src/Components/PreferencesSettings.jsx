@@ -0,0 +1,78 @@
+// Components/PreferencesSettings.jsx
+// The "Preferences" block on the Account page: region and content language.
+import React, { useState, useMemo } from 'react';
+import { useSettingsContext } from '../contexts/SettingsContext';
+import { useI18n } from '../contexts/I18nContext';
+import {
+  SUPPORTED_REGIONS,
+  SUPPORTED_LANGUAGES,
+  getRegionName,
+  getLanguageName,
+  detectSettings,
+} from '../services/userSettings';
+import '../css/PreferencesSettings.css';
+
+// Options listed by their name in the UI language
+const sortByName = (codes, getName, uiLanguage) =>
+  codes
+    .map((code) => ({ code, name: getName(code, uiLanguage) }))
+    .sort((a, b) => a.name.localeCompare(b.name, uiLanguage));
+
+function PreferencesSettings() {
+  const { region, language, uiLanguage, updateSettings, resetToDetectedSettings } = useSettingsContext();
+  const { t } = useI18n();
+  const [saveError, setSaveError] = useState('');
+  const regionOptions = useMemo(() => sortByName(SUPPORTED_REGIONS, getRegionName, uiLanguage), [uiLanguage]);
+  const languageOptions = useMemo(() => sortByName(SUPPORTED_LANGUAGES, getLanguageName, uiLanguage), [uiLanguage]);
+
+  const save = async (changes) => {
+    setSaveError('');
+    try {
+      await updateSettings(changes);
+    } catch {
+      setSaveError(t('preferences.syncFailed'));
+    }
+  };
+
+  const detected = detectSettings();
+  const matchesBrowser = detected.region === region && detected.language === language;
+
+  return (
+    <section className="section-block preferences-section">
+      <h2 className="section-title">{t('preferences.title')}</h2>
+      <div className="preferences-fields">
+        <label className="preferences-field">
+          <span>{t('preferences.region')}</span>
+          <select value={region} onChange={(e) => save({ region: e.target.value })}>
+            {regionOptions.map(({ code, name }) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+          <small>{t('preferences.regionHint')}</small>
+        </label>
+
+        <label className="preferences-field">
+          <span>{t('preferences.contentLanguage')}</span>
+          <select value={language} onChange={(e) => save({ language: e.target.value })}>
+            {languageOptions.map(({ code, name }) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+          <small>{t('preferences.contentLanguageHint')}</small>
+        </label>
+      </div>
+
+      {!matchesBrowser && (
+        <button className="preferences-detect" onClick={() => resetToDetectedSettings().catch(() => {})}>
+          {t('preferences.useBrowserSettings', {
+            region: getRegionName(detected.region, uiLanguage),
+            language: getLanguageName(detected.language, uiLanguage),
+          })}
+        </button>
+      )}
+      {saveError && <p className="auth-error">{saveError}</p>}
+    </section>
+  );
+}
+
+export default PreferencesSettings;
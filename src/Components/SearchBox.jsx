@@ -0,0 +1,205 @@
+// Components/SearchBox.jsx
+import { useState, useEffect, useRef, useId } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faMagnifyingGlass } from "@fortawesome/free-solid-svg-icons";
+import { searchMulti } from "../services/api";
+import TmdbImage from "./TmdbImage";
+import { useI18n } from "../contexts/I18nContext";
+import "../css/SearchBox.css";
+
+const SUGGESTION_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+const MAX_SUGGESTIONS = 6;
+
+// Suggestions mix movies, TV shows and people; these helpers hide the differences
+const getSuggestionPath = (item) => `/${item.media_type}/${item.id}`;
+const getSuggestionImage = (item) => (item.media_type === "person" ? item.profile_path : item.poster_path);
+const getSuggestionSubtitle = (item, t, formatYear) => {
+  if (item.media_type === "person") return item.known_for_department || t("searchBox.person");
+  const year = Number((item.release_date || item.first_air_date)?.split("-")[0]);
+  const yearLabel = year ? formatYear(year) : "—";
+  if (item.media_type === "tv") return t("searchBox.tvSeries", { year: yearLabel });
+  return yearLabel;
+};
+
+function SearchBox({ onNavigate }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const listboxId = useId();
+  const { t, formatYear } = useI18n();
+
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [loading, setLoading] = useState(false);
+
+  const containerRef = useRef(null);
+
+  // --- Mirror the query of the /search page, so back/forward restores it here too ---
+  useEffect(() => {
+    if (location.pathname === "/search") {
+      setQuery(new URLSearchParams(location.search).get("q") || "");
+    }
+    setIsOpen(false);
+  }, [location.pathname, location.search]);
+
+  // --- Debounced, cancellable typeahead ---
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await searchMulti(trimmed, 1, { signal: controller.signal });
+        setSuggestions((data.results || []).slice(0, MAX_SUGGESTIONS));
+        setActiveIndex(-1);
+      } catch (err) {
+        if (err.name === "AbortError") return; // Superseded by newer input
+        console.error("[SearchBox] Failed to load suggestions:", err);
+        setSuggestions([]);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, SUGGESTION_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  // --- Close the suggestion list when clicking elsewhere ---
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  const goTo = (path) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    navigate(path);
+    if (onNavigate) onNavigate();
+  };
+
+  const openSuggestion = (item) => goTo(getSuggestionPath(item));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = query.trim();
+    if (!trimmed) return;
+    if (activeIndex >= 0 && suggestions[activeIndex]) {
+      openSuggestion(suggestions[activeIndex]);
+      return;
+    }
+    goTo(`/search?q=${encodeURIComponent(trimmed)}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      if (!suggestions.length) return;
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((prev) => (prev + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      if (!suggestions.length) return;
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showList = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="search-box" ref={containerRef}>
+      <form onSubmit={handleSubmit} className="search-box-form" role="search">
+        <FontAwesomeIcon icon={faMagnifyingGlass} className="search-box-icon" />
+        <input
+          type="search"
+          className="search-box-input"
+          placeholder={t("searchBox.placeholder")}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded={showList}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? `${listboxId}-${activeIndex}` : undefined}
+        />
+      </form>
+
+      {showList && (
+        <ul className="search-suggestions" id={listboxId} role="listbox">
+          {loading && suggestions.length === 0 && (
+            <li className="search-suggestion-status">{t("searchBox.searching")}</li>
+          )}
+          {!loading && suggestions.length === 0 && (
+            <li className="search-suggestion-status">{t("searchBox.noMatches")}</li>
+          )}
+          {suggestions.map((item, index) => (
+            <li
+              key={`${item.media_type}-${item.id}`}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`search-suggestion ${index === activeIndex ? "active" : ""}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              // mousedown instead of click so the input doesn't lose focus first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                openSuggestion(item);
+              }}
+            >
+              <TmdbImage
+                path={getSuggestionImage(item)}
+                type={item.media_type === "person" ? "profile" : "poster"}
+                label={item.title || item.name}
+                width={34}
+                className={`search-suggestion-poster ${item.media_type === "person" ? "person" : ""}`}
+              />
+              <div className="search-suggestion-text">
+                <span className="search-suggestion-title">{item.title || item.name}</span>
+                <span className="search-suggestion-year">{getSuggestionSubtitle(item, t, formatYear)}</span>
+              </div>
+            </li>
+          ))}
+          {suggestions.length > 0 && (
+            <li
+              className="search-suggestion-all"
+              onMouseDown={(e) => {
+                e.preventDefault();
+                goTo(`/search?q=${encodeURIComponent(query.trim())}`);
+              }}
+            >
+              {t("searchBox.seeAll", { query: query.trim() })}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SearchBox;
@@ -0,0 +1,220 @@
+// Components/SeasonBrowser.jsx
+// The seasons of a TV show with their episodes. The picked season is kept in the URL
+// (?season=2) so back and forward move between seasons, and its episodes are loaded when it
+// is picked. Opening an episode loads its directors, writers and guest stars.
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getTvSeasonDetails, getTvEpisodeDetails } from '../services/api';
+import { sortSeasons, getDefaultSeasonNumber } from '../services/tvShows';
+import { getLocalDateString } from '../services/userLists';
+import TmdbImage from './TmdbImage';
+import { useI18n } from '../contexts/I18nContext';
+import '../css/SeasonBrowser.css';
+
+const SEASON_PARAM = 'season';
+
+const WRITER_JOBS = ['Writer', 'Screenplay', 'Teleplay', 'Story'];
+
+// Comma-separated names linking to the people's pages, each listed once
+const renderPeople = (people) =>
+  people
+    .filter((person, index) => index === people.findIndex((other) => other.id === person.id))
+    .map((person, index) => (
+      <React.Fragment key={person.id}>
+        {index > 0 && ', '}
+        <Link to={`/person/${person.id}`} className="person-link">{person.name}</Link>
+      </React.Fragment>
+    ));
+
+// The credits part of an opened episode
+function EpisodeCredits({ showId, seasonNumber, episodeNumber }) {
+  const { t } = useI18n();
+  const [credits, setCredits] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getTvEpisodeDetails(showId, seasonNumber, episodeNumber)
+      .then((episode) => {
+        if (!cancelled) setCredits(episode.credits || { cast: [], crew: [], guest_stars: [] });
+      })
+      .catch((err) => {
+        console.error("[SeasonBrowser] Couldn't load episode credits:", err);
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showId, seasonNumber, episodeNumber]);
+
+  if (failed) return <p className="episode-credits-message">{t('tvDetails.creditsFailed')}</p>;
+  if (!credits) return <p className="episode-credits-message">{t('common.loading')}</p>;
+
+  const directors = credits.crew.filter((person) => person.job === 'Director');
+  const writers = credits.crew.filter((person) => WRITER_JOBS.includes(person.job));
+  const guestStars = credits.guest_stars || [];
+
+  if (!directors.length && !writers.length && !guestStars.length) {
+    return <p className="episode-credits-message">{t('tvDetails.noCredits')}</p>;
+  }
+
+  return (
+    <ul className="details-list episode-credits">
+      {directors.length > 0 && (
+        <li><strong>{t('tvDetails.directedBy')}</strong> {renderPeople(directors)}</li>
+      )}
+      {writers.length > 0 && (
+        <li><strong>{t('tvDetails.writtenBy')}</strong> {renderPeople(writers)}</li>
+      )}
+      {guestStars.length > 0 && (
+        <li>
+          <strong>{t('tvDetails.guestStars')}</strong>{' '}
+          {guestStars.map((person, index) => (
+            <React.Fragment key={person.id}>
+              {index > 0 && ', '}
+              <Link to={`/person/${person.id}`} className="person-link">{person.name}</Link>
+              {person.character && ` (${person.character})`}
+            </React.Fragment>
+          ))}
+        </li>
+      )}
+    </ul>
+  );
+}
+
+function SeasonBrowser({ showId, seasons }) {
+  const { t, formatDate, formatRuntime, formatDecimal, formatNumber, formatYear } = useI18n();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [season, setSeason] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
+  const [openEpisode, setOpenEpisode] = useState(null); // Episode number whose credits are shown
+
+  const sortedSeasons = useMemo(() => sortSeasons(seasons), [seasons]);
+  const requestedSeason = Number(searchParams.get(SEASON_PARAM));
+  const seasonNumber = searchParams.has(SEASON_PARAM) && sortedSeasons.some((s) => s.season_number === requestedSeason)
+    ? requestedSeason
+    : getDefaultSeasonNumber(seasons);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchSeason = async () => {
+      setLoading(true);
+      setError(false);
+      setOpenEpisode(null);
+      try {
+        const seasonData = await getTvSeasonDetails(showId, seasonNumber);
+        if (!cancelled) setSeason(seasonData);
+      } catch (err) {
+        console.error(`[SeasonBrowser] Failed to load season ${seasonNumber}:`, err);
+        if (!cancelled) {
+          setError(true);
+          setSeason(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchSeason();
+    return () => {
+      cancelled = true;
+    };
+  }, [showId, seasonNumber]);
+
+  const pickSeason = (number) => {
+    const next = new URLSearchParams(searchParams);
+    if (number === getDefaultSeasonNumber(seasons)) next.delete(SEASON_PARAM);
+    else next.set(SEASON_PARAM, number);
+    setSearchParams(next);
+  };
+
+  const today = getLocalDateString();
+  const episodes = season?.episodes || [];
+
+  return (
+    <section className="section-block season-browser">
+      <h2 className="section-title">{t('tvDetails.seasons')}</h2>
+
+      {sortedSeasons.length > 1 && (
+        <div className="season-tabs" role="group" aria-label={t('tvDetails.seasonPicker')}>
+          {sortedSeasons.map((s) => (
+            <button
+              key={s.season_number}
+              className={`season-tab ${s.season_number === seasonNumber ? 'active' : ''}`}
+              onClick={() => pickSeason(s.season_number)}
+              aria-pressed={s.season_number === seasonNumber}
+            >
+              {s.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading && <p className="season-message">{t('tvDetails.loadingSeason')}</p>}
+      {!loading && error && <p className="season-message">{t('tvDetails.seasonFailed')}</p>}
+
+      {!loading && season && (
+        <>
+          <div className="season-summary">
+            <TmdbImage path={season.poster_path} type="poster" label={season.name} width={90} className="season-poster" />
+            <div className="season-summary-text">
+              <h3>{season.name}</h3>
+              <span className="season-meta">
+                {[
+                  season.air_date && formatYear(Number(season.air_date.split('-')[0])),
+                  t('tvDetails.episodeCount', { count: episodes.length }),
+                ].filter(Boolean).join(' · ')}
+              </span>
+              {season.overview && <p className="season-overview">{season.overview}</p>}
+            </div>
+          </div>
+
+          {episodes.length === 0 ? (
+            <p className="season-message">{t('tvDetails.noEpisodes')}</p>
+          ) : (
+            <ol className="episode-list">
+              {episodes.map((episode) => {
+                const isOpen = openEpisode === episode.episode_number;
+                const aired = Boolean(episode.air_date) && episode.air_date <= today;
+                return (
+                  <li key={episode.episode_number} className={`episode ${aired ? '' : 'upcoming'}`}>
+                    <TmdbImage path={episode.still_path} type="still" label={episode.name} width={227} className="episode-still" />
+                    <div className="episode-info">
+                      <h4 className="episode-title">
+                        <span className="episode-number">{formatNumber(episode.episode_number)}</span>
+                        {episode.name}
+                      </h4>
+                      <span className="episode-meta">
+                        {[
+                          episode.air_date && (aired
+                            ? formatDate(episode.air_date)
+                            : t('tvDetails.airsOn', { date: formatDate(episode.air_date) })),
+                          formatRuntime(episode.runtime),
+                          aired && episode.vote_average > 0 && `⭐ ${formatDecimal(episode.vote_average)}`,
+                        ].filter(Boolean).join(' · ')}
+                      </span>
+                      {episode.overview && <p className="episode-overview">{episode.overview}</p>}
+                      <button
+                        className="episode-credits-toggle"
+                        onClick={() => setOpenEpisode(isOpen ? null : episode.episode_number)}
+                        aria-expanded={isOpen}
+                      >
+                        {isOpen ? t('tvDetails.hideCredits') : t('tvDetails.showCredits')}
+                      </button>
+                      {isOpen && (
+                        <EpisodeCredits showId={showId} seasonNumber={seasonNumber} episodeNumber={episode.episode_number} />
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default SeasonBrowser;
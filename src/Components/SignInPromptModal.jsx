@@ -2,11 +2,13 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom'; // To navigate to Account page
 import { useMovieContext } from '../contexts/MovieContext'; // To access context values
+import { useI18n } from '../contexts/I18nContext'; // Translated text
 import '../css/SignInPromptModal.css'; // This CSS file will be created next
 
 function SignInPromptModal() {
   // Destructure the necessary function from the MovieContext
   const { dismissSignInPromptForSession } = useMovieContext();
+  const { t } = useI18n();
   const navigate = useNavigate();
 
   // Handler for when the user chooses to sign in
@@ -27,25 +29,25 @@ function SignInPromptModal() {
       {/* The main content area of the modal */}
       <div className="modal-content">
         {/* Close button for the modal */}
-        <button className="modal-close-button" onClick={dismissSignInPromptForSession}>&times;</button>
+        <button className="modal-close-button" onClick={dismissSignInPromptForSession} aria-label={t('common.close')}>&times;</button>
         
         {/* Modal title */}
-        <h2 className="modal-title">Save Your Favorites!</h2>
+        <h2 className="modal-title">{t('signInPrompt.title')}</h2>
         
         {/* Modal message explaining the benefit of signing in */}
         <p className="modal-message">
-          Sign in to permanently save your favorite movies across devices. Otherwise, your liked movies will be lost if you close your browser or refresh the page.
+          {t('signInPrompt.message')}
         </p>
         
         {/* Container for the action buttons */}
         <div className="modal-actions">
           {/* Primary button to navigate to the sign-in page */}
           <button className="modal-button primary-button" onClick={handleSignInClick}>
-            Sign In / Create Account
+            {t('signInPrompt.signIn')}
           </button>
           {/* Secondary button to dismiss the modal and continue as guest */}
           <button className="modal-button secondary-button" onClick={handleContinueAsGuestClick}>
-            Continue as Guest
+            {t('signInPrompt.continueAsGuest')}
           </button>
         </div>
       </div>
@@ -0,0 +1,124 @@
+// Components/StreamingServicesSettings.jsx
+// The "My streaming services" block on the Account page. The picked services drive the
+// "Available on my services" toggle and the MovieCard badge.
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useSettingsContext } from '../contexts/SettingsContext';
+import { useI18n } from '../contexts/I18nContext';
+import { getWatchProviderList } from '../services/api';
+import { getRegionName } from '../services/userSettings';
+import TmdbImage from './TmdbImage';
+import '../css/StreamingServicesSettings.css';
+
+// TMDB lists hundreds of services per region; the most important ones come first
+const INITIAL_SERVICE_COUNT = 18;
+const SECTION_ID = 'streaming-services'; // MyServicesToggle links here
+
+function StreamingServicesSettings() {
+  const { region, uiLanguage, streamingServices, updateSettings } = useSettingsContext();
+  const { t } = useI18n();
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const sectionRef = useRef(null);
+  const location = useLocation();
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setLoadError(false);
+    getWatchProviderList()
+      .then((list) => {
+        if (!cancelled) setServices(list);
+      })
+      .catch(() => {
+        if (!cancelled) setLoadError(true);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [region]);
+
+  // The router doesn't scroll to #hash targets, and the list has to be there first
+  useEffect(() => {
+    if (!loading && location.hash === `#${SECTION_ID}`) sectionRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [loading, location.hash]);
+
+  const save = async (nextServices) => {
+    setSaveError('');
+    try {
+      await updateSettings({ streamingServices: nextServices });
+    } catch {
+      setSaveError(t('preferences.syncFailed'));
+    }
+  };
+
+  const toggleService = (serviceId) => {
+    save(
+      streamingServices.includes(serviceId)
+        ? streamingServices.filter((id) => id !== serviceId)
+        : [...streamingServices, serviceId]
+    );
+  };
+
+  // Picked services stay visible even when they rank below the cut
+  const visibleServices = showAll
+    ? services
+    : services.filter((service, index) => index < INITIAL_SERVICE_COUNT || streamingServices.includes(service.provider_id));
+
+  return (
+    <section className="section-block streaming-services-section" id={SECTION_ID} ref={sectionRef}>
+      <h2 className="section-title">{t('myServices.settingsTitle')}</h2>
+      <p className="streaming-services-hint">
+        {t('myServices.settingsHint', { region: getRegionName(region, uiLanguage) })}
+      </p>
+
+      {loading && <p className="streaming-services-status">{t('myServices.loading')}</p>}
+      {loadError && <p className="auth-error">{t('myServices.loadError')}</p>}
+
+      {!loading && !loadError && (
+        <>
+          <ul className="streaming-services-grid">
+            {visibleServices.map((service) => {
+              const selected = streamingServices.includes(service.provider_id);
+              return (
+                <li key={service.provider_id}>
+                  <button
+                    type="button"
+                    className={`streaming-service ${selected ? 'selected' : ''}`}
+                    onClick={() => toggleService(service.provider_id)}
+                    aria-pressed={selected}
+                  >
+                    <TmdbImage path={service.logo_path} type="logo" label={service.provider_name} width={36} className="streaming-service-logo" />
+                    <span>{service.provider_name}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="streaming-services-actions">
+            {services.length > INITIAL_SERVICE_COUNT && (
+              <button type="button" className="preferences-detect" onClick={() => setShowAll((prev) => !prev)}>
+                {showAll ? t('myServices.showFewer') : t('myServices.showAll', { count: services.length })}
+              </button>
+            )}
+            {streamingServices.length > 0 && (
+              <button type="button" className="preferences-detect" onClick={() => save([])}>
+                {t('myServices.clear', { count: streamingServices.length })}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+      {saveError && <p className="auth-error">{saveError}</p>}
+    </section>
+  );
+}
+
+export default StreamingServicesSettings;
@@ -0,0 +1,44 @@
+// Components/SyncToast.jsx
+// Tells the user when a change to one of their lists couldn't be saved and was undone.
+import React, { useEffect } from 'react';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useI18n } from '../contexts/I18nContext';
+import '../css/SyncToast.css';
+
+const TOAST_DURATION_MS = 8000;
+
+const describeFailedWrite = ({ type, title, listName }, t) =>
+  t(type === 'set' ? 'syncToast.saveFailed' : 'syncToast.removeFailed', {
+    title: title || t('syncToast.untitled'),
+    list: t(`syncToast.lists.${listName}`),
+  });
+
+function Toast({ operation, onDismiss }) {
+  const { t } = useI18n();
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(operation.id), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [operation.id, onDismiss]);
+
+  return (
+    <div className="sync-toast" role="alert">
+      <span>{describeFailedWrite(operation, t)} {t('syncToast.undone')}</span>
+      <button className="sync-toast-close" onClick={() => onDismiss(operation.id)} aria-label={t('syncToast.dismiss')}>&times;</button>
+    </div>
+  );
+}
+
+function SyncToast() {
+  const { failedWrites, dismissFailedWrite } = useMovieContext();
+  if (failedWrites.length === 0) return null;
+
+  return (
+    <div className="sync-toasts">
+      {failedWrites.map((operation) => (
+        <Toast key={operation.id} operation={operation} onDismiss={dismissFailedWrite} />
+      ))}
+    </div>
+  );
+}
+
+export default SyncToast;
@@ -0,0 +1,100 @@
+// Components/TmdbImage.jsx
+// Every TMDB image in the app (posters, backdrops, profiles, logos, episode stills) goes
+// through this: a srcset of TMDB's sizes, lazy loading behind a blurred low-res preview,
+// and a generated placeholder when there is no image or it fails to load.
+//
+// The class name goes on a wrapper <span> that fills its parent by default, so callers
+// size and shape it like they would the <img> itself.
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFilm, faUser, faImage } from '@fortawesome/free-solid-svg-icons';
+import { IMAGE_SIZES, getImageUrl, getSizeForWidth, buildSrcSet } from '../services/tmdbImages';
+import '../css/TmdbImage.css';
+
+// How wide each type is usually shown, in CSS pixels, when the caller doesn't say
+const DEFAULT_WIDTHS = { poster: 185, backdrop: 780, profile: 185, logo: 92, still: 300 };
+
+const PLACEHOLDER_ICONS = { poster: faFilm, backdrop: faFilm, still: faFilm, profile: faUser, logo: faImage };
+
+// The same label always gets the same colour, so a movie's placeholder matches everywhere
+const getPlaceholderHue = (label) =>
+  [...label].reduce((hash, char) => (hash * 31 + char.codePointAt(0)) % 360, 7);
+
+// "Christian Bale" -> "CB" for people, "Inception" -> "I" for everything else
+const getInitials = (label, type) =>
+  label
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, type === 'profile' ? 2 : 1)
+    .map((word) => [...word][0].toUpperCase())
+    .join('');
+
+/**
+ * @param {object} props
+ * @param {string|null} props.path - TMDB file path; null or missing shows the placeholder
+ * @param {'poster'|'backdrop'|'profile'|'logo'|'still'} [props.type]
+ * @param {string} [props.alt]
+ * @param {string} [props.label] - Text the placeholder takes its initials and colour from; defaults to alt
+ * @param {number} [props.width] - Displayed width in CSS pixels, for `sizes` and the non-srcset fallback
+ * @param {string} [props.sizes] - Overrides the `sizes` attribute for layouts that change with the viewport
+ * @param {boolean} [props.priority] - Above the fold: load right away, without the preview
+ * @param {string} [props.className]
+ */
+function TmdbImage({
+  path,
+  type = 'poster',
+  alt = '',
+  label = alt,
+  width = DEFAULT_WIDTHS[type],
+  sizes = `${width}px`,
+  priority = false,
+  className = '',
+}) {
+  const [loadedPath, setLoadedPath] = useState(null);
+  const [failedPath, setFailedPath] = useState(null);
+
+  if (!path || failedPath === path) {
+    return (
+      <span
+        className={`tmdb-image tmdb-image-placeholder ${type} ${className}`}
+        style={{ '--placeholder-hue': getPlaceholderHue(label || type) }}
+        role={alt ? 'img' : undefined}
+        aria-label={alt || undefined}
+        aria-hidden={alt ? undefined : true}
+      >
+        {label ? (
+          <span className="tmdb-image-initials">{getInitials(label, type)}</span>
+        ) : (
+          <FontAwesomeIcon icon={PLACEHOLDER_ICONS[type]} className="tmdb-image-icon" />
+        )}
+      </span>
+    );
+  }
+
+  const loaded = loadedPath === path;
+  const [previewSize, previewWidth] = IMAGE_SIZES[type][0];
+  // The preview only pays off when the real image is a lot bigger than the smallest size
+  const showPreview = !priority && !loaded && width >= previewWidth * 2;
+
+  return (
+    <span className={`tmdb-image ${type} ${loaded ? 'loaded' : ''} ${className}`}>
+      {showPreview && (
+        <img className="tmdb-image-preview" src={getImageUrl(path, previewSize)} alt="" aria-hidden="true" loading="lazy" />
+      )}
+      <img
+        className="tmdb-image-full"
+        src={getImageUrl(path, getSizeForWidth(type, width))}
+        srcSet={buildSrcSet(path, type)}
+        sizes={sizes}
+        alt={alt}
+        loading={priority ? 'eager' : 'lazy'}
+        fetchPriority={priority ? 'high' : 'auto'}
+        decoding="async"
+        onLoad={() => setLoadedPath(path)}
+        onError={() => setFailedPath(path)}
+      />
+    </span>
+  );
+}
+
+export default TmdbImage;
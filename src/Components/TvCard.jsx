@@ -0,0 +1,56 @@
+// Components/TvCard.jsx
+// MovieCard's counterpart for TV shows. Shows can only be favourited; the watchlist,
+// diary and ratings are for movies.
+import { Link } from 'react-router-dom';
+import TmdbImage from './TmdbImage';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useI18n } from '../contexts/I18nContext';
+import { CARD_IMAGE_SIZES } from '../services/tmdbImages';
+import "../css/MovieCard.css"
+
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faHeart as solidHeart } from '@fortawesome/free-solid-svg-icons';
+import { faHeart as regularHeart } from '@fortawesome/free-regular-svg-icons';
+
+// Takes a TMDB show, or a favourite record of one (which has a title and year instead)
+function TvCard({ show }) {
+    const { isFavourite, addToFavourites, removeFromFavourites } = useMovieContext()
+    const { t } = useI18n()
+    const favourite = isFavourite(show.id, "tv")
+    const name = show.name ?? show.title
+    const year = (show.first_air_date || show.release_date)?.split("-")[0] || show.year
+
+    const onFavouriteClick = (e) => {
+        e.preventDefault(); // Don't follow the card's <Link>
+        e.stopPropagation();
+        if (favourite) removeFromFavourites(show.id, "tv")
+        else addToFavourites({ ...show, media_type: "tv" })
+    }
+
+    return (
+        <Link to={`/tv/${show.id}`} className="movie-card-link">
+            <div className="movie-card">
+                <div className="movie-poster">
+                    <TmdbImage path={show.poster_path} type="poster" alt={name} width={220} sizes={CARD_IMAGE_SIZES} />
+                    <span className="card-type-badge">{t("tvCard.badge")}</span>
+                    <div className="movie-overlay">
+                        <div className="movie-card-actions">
+                            <button
+                                className={`favourite-btn ${favourite ? "active" : ""}`}
+                                onClick={onFavouriteClick}
+                                title={favourite ? t("movieCard.removeFavourite") : t("movieCard.addFavourite")}
+                            >
+                                <FontAwesomeIcon icon={favourite ? solidHeart : regularHeart} />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div className="movie-info">
+                    <h3>{name}</h3>
+                    <p>{year}</p>
+                </div>
+            </div>
+        </Link>
+    );
+}
+export default TvCard;
@@ -0,0 +1,156 @@
+// Components/UserMovieActivity.jsx
+// The "Your Activity" block on MovieDetails: watchlist, watched date, custom lists, rating and review.
+import React, { useState } from 'react';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useI18n } from '../contexts/I18nContext';
+import AddToListMenu from './AddToListMenu';
+import { MIN_RATING, MAX_RATING, MAX_REVIEW_LENGTH, getLocalDateString } from '../services/userLists';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBookmark as solidBookmark, faEye as solidEye, faStar as solidStar } from '@fortawesome/free-solid-svg-icons';
+import { faBookmark as regularBookmark, faEye as regularEye, faStar as regularStar } from '@fortawesome/free-regular-svg-icons';
+import '../css/UserMovieActivity.css';
+
+const RATING_VALUES = Array.from({ length: MAX_RATING - MIN_RATING + 1 }, (_, i) => MIN_RATING + i);
+
+function UserMovieActivity({ movie }) {
+  const {
+    isOnWatchlist, addToWatchlist, removeFromWatchlist,
+    getWatchedEntry, markAsWatched, removeFromWatched,
+    getRating, rateMovie, removeRating,
+  } = useMovieContext();
+  const { t } = useI18n();
+
+  const onWatchlist = isOnWatchlist(movie.id);
+  const watchedEntry = getWatchedEntry(movie.id);
+  const savedRating = getRating(movie.id);
+
+  // Draft of the rating form; starts from what is saved
+  const [rating, setRating] = useState(savedRating?.rating || 0);
+  const [review, setReview] = useState(savedRating?.review || '');
+  const [hoveredRating, setHoveredRating] = useState(0);
+  const [savedMessage, setSavedMessage] = useState(null); // Message key, translated when rendered
+
+  // Pick up a rating that arrives later (e.g. Firestore syncing after the page opened)
+  const [syncedRatingAt, setSyncedRatingAt] = useState(savedRating?.ratedAt);
+  if (savedRating?.ratedAt !== syncedRatingAt) {
+    setSyncedRatingAt(savedRating?.ratedAt);
+    setRating(savedRating?.rating || 0);
+    setReview(savedRating?.review || '');
+  }
+
+  const isDirty = rating !== (savedRating?.rating || 0) || review.trim() !== (savedRating?.review || '');
+
+  const handleWatchedToggle = () => {
+    if (watchedEntry) removeFromWatched(movie.id);
+    else markAsWatched(movie);
+  };
+
+  const handleWatchedDateChange = (e) => {
+    if (e.target.value) markAsWatched(movie, e.target.value);
+  };
+
+  const handleSaveRating = async (e) => {
+    e.preventDefault();
+    if (!rating) return;
+    await rateMovie(movie, rating, review);
+    setSavedMessage('userActivity.saved');
+  };
+
+  const handleDeleteRating = async () => {
+    await removeRating(movie.id);
+    setRating(0);
+    setReview('');
+    setSavedMessage('userActivity.ratingRemoved');
+  };
+
+  const displayedRating = hoveredRating || rating;
+
+  return (
+    <section className="section-block user-activity">
+      <h2 className="section-title">{t('userActivity.title')}</h2>
+
+      <div className="user-activity-lists">
+        <button
+          className={`user-activity-toggle watchlist ${onWatchlist ? 'active' : ''}`}
+          onClick={() => (onWatchlist ? removeFromWatchlist(movie.id) : addToWatchlist(movie))}
+          aria-pressed={onWatchlist}
+        >
+          <FontAwesomeIcon icon={onWatchlist ? solidBookmark : regularBookmark} />
+          {onWatchlist ? t('userActivity.onWatchlist') : t('userActivity.addWatchlist')}
+        </button>
+
+        <button
+          className={`user-activity-toggle watched ${watchedEntry ? 'active' : ''}`}
+          onClick={handleWatchedToggle}
+          aria-pressed={Boolean(watchedEntry)}
+        >
+          <FontAwesomeIcon icon={watchedEntry ? solidEye : regularEye} />
+          {watchedEntry ? t('userActivity.watched') : t('userActivity.markWatched')}
+        </button>
+
+        {watchedEntry && (
+          <label className="user-activity-date">
+            {t('userActivity.watchedOn')}{' '}
+            <input
+              type="date"
+              value={watchedEntry.watchedOn}
+              max={getLocalDateString()}
+              onChange={handleWatchedDateChange}
+            />
+          </label>
+        )}
+
+        <AddToListMenu movie={movie} />
+      </div>
+
+      <form className="user-rating-form" onSubmit={handleSaveRating}>
+        <div className="user-rating-stars" role="radiogroup" aria-label={t('userActivity.ratingLabel')} onMouseLeave={() => setHoveredRating(0)}>
+          {RATING_VALUES.map((value) => (
+            <button
+              type="button"
+              key={value}
+              role="radio"
+              aria-checked={rating === value}
+              aria-label={t('userActivity.ratingValue', { rating: value, max: MAX_RATING })}
+              className={`user-rating-star ${value <= displayedRating ? 'filled' : ''}`}
+              onMouseEnter={() => setHoveredRating(value)}
+              onClick={() => {
+                setRating(value);
+                setSavedMessage(null);
+              }}
+            >
+              <FontAwesomeIcon icon={value <= displayedRating ? solidStar : regularStar} />
+            </button>
+          ))}
+          <span className="user-rating-value">{displayedRating ? t('common.score', { score: displayedRating }) : t('userActivity.notRated')}</span>
+        </div>
+
+        <textarea
+          className="user-review-input"
+          placeholder={t('userActivity.reviewPlaceholder')}
+          value={review}
+          maxLength={MAX_REVIEW_LENGTH}
+          rows={3}
+          onChange={(e) => {
+            setReview(e.target.value);
+            setSavedMessage(null);
+          }}
+        />
+
+        <div className="user-rating-actions">
+          {savedMessage && !isDirty && <span className="user-rating-feedback">{t(savedMessage)}</span>}
+          {savedRating && (
+            <button type="button" className="user-rating-delete" onClick={handleDeleteRating}>
+              {t('userActivity.deleteRating')}
+            </button>
+          )}
+          <button type="submit" className="user-rating-save" disabled={!rating || !isDirty}>
+            {savedRating ? t('userActivity.updateRating') : t('userActivity.saveRating')}
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
+
+export default UserMovieActivity;
@@ -0,0 +1,198 @@
+// Components/VideoHub.jsx
+// A movie's trailers, teasers, clips and featurettes: one main player plus a picker that
+// can be filtered by type and language. Nothing comes from YouTube or Vimeo, not even a
+// thumbnail, until the user presses play or picks a video, so just opening the page
+// sends them no requests.
+import React, { useState, useMemo, useRef } from 'react';
+import { useI18n } from '../contexts/I18nContext';
+import { useSettingsContext } from '../contexts/SettingsContext';
+import { getLanguageName } from '../services/userSettings';
+import {
+  VIDEO_TYPE_ORDER,
+  isPlayableVideo,
+  getVideoType,
+  getEmbedUrl,
+  getWatchUrl,
+  getThumbnailUrl,
+  pickFeaturedVideo,
+} from '../services/tmdbVideos';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlay } from '@fortawesome/free-solid-svg-icons';
+import '../css/ImageGallery.css'; // The filter bar is shared with the image gallery
+import '../css/VideoHub.css';
+
+const ALL = 'all';
+
+// A plain frame with the site's name until the user has played something (thumbnail images
+// come from the video site too), and for sites without a static thumbnail URL (Vimeo)
+function VideoThumbnail({ video, large = false, showImage }) {
+  const src = showImage && getThumbnailUrl(video, large);
+  if (!src) {
+    return <span className="video-thumbnail placeholder">{video.site}</span>;
+  }
+  return <img className="video-thumbnail" src={src} alt="" loading="lazy" />;
+}
+
+function VideoHub({ videos, title, initialCount = 12 }) {
+  const { t, language, formatNumber, formatDate } = useI18n();
+  const { language: contentLanguage } = useSettingsContext();
+  const [typeFilter, setTypeFilter] = useState(ALL);
+  const [languageFilter, setLanguageFilter] = useState(ALL);
+  const [showAll, setShowAll] = useState(false);
+  const [selectedId, setSelectedId] = useState(null); // null: the featured video
+  const [playing, setPlaying] = useState(false); // Also the user's opt-in to loading thumbnails
+  const playerRef = useRef(null);
+
+  const allVideos = useMemo(
+    () => (videos?.results || []).filter(isPlayableVideo).map((video) => ({ ...video, category: getVideoType(video) })),
+    [videos]
+  );
+
+  const typeCounts = useMemo(() => {
+    const counts = {};
+    allVideos.forEach(({ category }) => { counts[category] = (counts[category] || 0) + 1; });
+    return counts;
+  }, [allVideos]);
+  const availableTypes = VIDEO_TYPE_ORDER.filter((type) => typeCounts[type]);
+
+  const languages = useMemo(() => {
+    const codes = [...new Set(allVideos.map((video) => video.iso_639_1).filter(Boolean))];
+    return codes.sort((a, b) => getLanguageName(a, language).localeCompare(getLanguageName(b, language), language));
+  }, [allVideos, language]);
+
+  const featured = useMemo(() => pickFeaturedVideo(allVideos, contentLanguage.split('-')[0]), [allVideos, contentLanguage]);
+  const selected = allVideos.find((video) => video.id === selectedId) || featured;
+
+  const filteredVideos = allVideos
+    .filter((video) =>
+      (typeFilter === ALL || video.category === typeFilter) &&
+      (languageFilter === ALL || video.iso_639_1 === languageFilter)
+    )
+    .sort((a, b) => VIDEO_TYPE_ORDER.indexOf(a.category) - VIDEO_TYPE_ORDER.indexOf(b.category));
+  const visibleVideos = showAll ? filteredVideos : filteredVideos.slice(0, initialCount);
+
+  // Picking a video counts as asking for it, so it starts playing straight away
+  const playVideo = (video) => {
+    setSelectedId(video.id);
+    setPlaying(true);
+    playerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  if (!selected) return null;
+
+  const publishedOn = selected.published_at && formatDate(selected.published_at);
+
+  return (
+    <section className="section-block video-hub">
+      <h2 className="section-title">{t('videos.title', { count: allVideos.length })}</h2>
+
+      {/* --- Main player --- */}
+      <div className="video-player" ref={playerRef}>
+        {playing ? (
+          <iframe
+            key={selected.id}
+            src={getEmbedUrl(selected)}
+            allow="autoplay; encrypted-media; fullscreen; picture-in-picture"
+            allowFullScreen
+            title={selected.name}
+          ></iframe>
+        ) : (
+          <button
+            className="video-player-start"
+            onClick={() => setPlaying(true)}
+            aria-label={t('videos.play', { name: selected.name })}
+          >
+            <VideoThumbnail video={selected} large showImage={playing} />
+            <span className="video-play-icon"><FontAwesomeIcon icon={faPlay} /></span>
+            <span className="video-privacy-note">{t('videos.privacyNote', { site: selected.site })}</span>
+          </button>
+        )}
+      </div>
+      <div className="video-player-caption">
+        <span className="video-player-name">{selected.name}</span>
+        <span>{t(`videos.typeNames.${selected.category}`)}</span>
+        {selected.iso_639_1 && <span>{getLanguageName(selected.iso_639_1, language)}</span>}
+        {publishedOn && <span>{publishedOn}</span>}
+        <a href={getWatchUrl(selected)} target="_blank" rel="noopener noreferrer">
+          {t('videos.watchOn', { site: selected.site })}
+        </a>
+      </div>
+
+      {/* --- Picker --- */}
+      {allVideos.length > 1 && (
+        <>
+          {(availableTypes.length > 1 || languages.length > 1) && (
+            <div className="gallery-filters">
+              {availableTypes.length > 1 && (
+                <div className="gallery-type-filters" role="group" aria-label={t('videos.typeFilter')}>
+                  {[ALL, ...availableTypes].map((type) => (
+                    <button
+                      key={type}
+                      className={`gallery-filter-button ${typeFilter === type ? 'active' : ''}`}
+                      onClick={() => setTypeFilter(type)}
+                      aria-pressed={typeFilter === type}
+                    >
+                      {t(`videos.types.${type}`)}
+                      <span className="gallery-filter-count">
+                        {formatNumber(type === ALL ? allVideos.length : typeCounts[type])}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+              {languages.length > 1 && (
+                <label className="gallery-language-filter">
+                  {t('videos.language')}
+                  <select value={languageFilter} onChange={(e) => setLanguageFilter(e.target.value)}>
+                    <option value={ALL}>{t('videos.allLanguages')}</option>
+                    {languages.map((code) => (
+                      <option key={code} value={code}>{getLanguageName(code, language)}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+          )}
+
+          {filteredVideos.length === 0 ? (
+            <p className="gallery-empty">{t('videos.noMatches')}</p>
+          ) : (
+            <ul className="video-picker" aria-label={t('videos.pickerLabel', { title })}>
+              {visibleVideos.map((video) => (
+                <li key={video.id}>
+                  <button
+                    className={`video-picker-item ${video === selected ? 'selected' : ''}`}
+                    onClick={() => playVideo(video)}
+                    aria-current={video === selected ? 'true' : undefined}
+                  >
+                    <span className="video-picker-thumbnail">
+                      <VideoThumbnail video={video} showImage={playing} />
+                      <span className="video-play-icon small"><FontAwesomeIcon icon={faPlay} /></span>
+                    </span>
+                    <span className="video-picker-name">{video.name}</span>
+                    <span className="video-picker-meta">
+                      {t(`videos.typeNames.${video.category}`)}
+                      {video.iso_639_1 && ` · ${getLanguageName(video.iso_639_1, language)}`}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {filteredVideos.length > initialCount && (
+            <div className="view-more-container">
+              <button className="view-more-button" onClick={() => setShowAll(!showAll)}>
+                {showAll
+                  ? t('videos.showLess')
+                  : t('videos.viewAll', { count: filteredVideos.length - initialCount })}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default VideoHub;
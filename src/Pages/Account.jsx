@@ -1,11 +1,20 @@
 // Pages/Account.jsx - Final Consolidated Version
 import React, { useState, useEffect } from 'react';
 import { useMovieContext } from '../contexts/MovieContext'; // Now gets more values from context
+import { useI18n } from '../contexts/I18nContext';
 import MovieCard from '../Components/MovieCard';
+import TvCard from '../Components/TvCard';
+import FavouritesTransfer from '../Components/FavouritesTransfer';
+import PreferencesSettings from '../Components/PreferencesSettings';
+import StreamingServicesSettings from '../Components/StreamingServicesSettings';
+import { useHydratedMovies, useHydrateOnScreen } from '../hooks/useHydratedMovies';
+import { USER_LIST_NAMES, getListCollectionPath, getEntryKey, getMediaType } from '../services/userLists';
+import { getSettingsDocPath } from '../services/userSettings';
+import { commitInChunks } from '../services/firestoreBatches';
 import '../css/Account.css';
 
 // Firebase Imports
-// db is imported here because writeBatch, collection, query, getDocs, deleteDoc directly use it.
+// db is imported here because collection, query, getDocs, deleteDoc directly use it.
 // auth and googleProvider are used in auth functions that might be local or passed down.
 import { auth, googleProvider, db } from '../firebase';
 import {
@@ -23,7 +32,6 @@ import {
   getDocs,
   deleteDoc,
   doc,
-  writeBatch,
 } from 'firebase/firestore';
 
 
@@ -44,7 +52,10 @@ const generatePlaceholderAvatar = (displayName, email) => {
 
 function Account() {
   // NEW: Get currentUser, showSignInPrompt, and closeSignInPrompt from context
-  const { favourites, currentUser, showSignInPrompt, closeSignInPrompt } = useMovieContext();
+  const { favourites: favouriteRecords, currentUser, showSignInPrompt, closeSignInPrompt } = useMovieContext();
+  const favourites = useHydratedMovies(favouriteRecords);
+  const hydrateRef = useHydrateOnScreen(favourites);
+  const { t, formatDate } = useI18n();
 
   // --- Auth Form State Management (These are local to Account component for forms) ---
   const [email, setEmail] = useState('');
@@ -75,7 +86,7 @@ function Account() {
       setEmail('');
       setPassword('');
       setDisplayName('');
-      setFeedbackMessage('Account created successfully! You are now signed in.');
+      setFeedbackMessage(t('account.signedUp'));
       // onAuthStateChanged in MovieContext will update currentUser state globally
     } catch (error) {
       console.error("Email signup error:", error.message);
@@ -107,7 +118,7 @@ function Account() {
     } catch (error) {
       console.error("Google sign-in error:", error.message);
       if (error.code === 'auth/popup-closed-by-user') {
-        setAuthError('Google sign-in popup was closed.');
+        setAuthError(t('account.popupClosed'));
       } else {
         setAuthError(error.message);
       }
@@ -120,7 +131,7 @@ function Account() {
     try {
       await signOut(auth);
       console.log('User signed out.'); // Good for dev, consider removing for prod
-      setFeedbackMessage('You have been successfully signed out.');
+      setFeedbackMessage(t('account.signedOut'));
       // onAuthStateChanged in MovieContext will update currentUser state globally to null
     } catch (error) {
       console.error("Sign out error:", error.message);
@@ -131,7 +142,7 @@ function Account() {
   // --- Delete Account Handler (Uses currentUser from context as the target user to delete) ---
   const handleDeleteAccount = async () => {
     if (!currentUser) { // Use currentUser from context
-      setAuthError("No user is logged in to delete.");
+      setAuthError(t('account.noUserToDelete'));
       return;
     }
 
@@ -142,23 +153,31 @@ function Account() {
   const confirmDeleteAction = async () => {
     setShowDeleteConfirm(false); // Close the modal
     setAuthError('');
-    setFeedbackMessage('Deleting account...');
+    setFeedbackMessage(t('account.deleting'));
     try {
-      // 1. Delete user's data from Firestore (favorites in this case)
-      // IMPORTANT: This assumes your Firestore security rules allow the user to delete their own favorites.
+      // 1. Delete user's data from Firestore (favorites, watchlist, diary and ratings)
+      // IMPORTANT: This assumes your Firestore security rules allow the user to delete their own lists.
       // With test mode rules (allow read, write: if true;), this will work, but is insecure.
       // Once you implement proper rules, ensure:
-      // match /users/{userId}/favorites/{documentId} { allow delete: if request.auth.uid == userId; }
-      const favoritesCollectionRef = collection(db, `users/${currentUser.uid}/favorites`); // Use currentUser.uid
-      const q = query(favoritesCollectionRef);
-      const querySnapshot = await getDocs(q);
-
-      const batch = writeBatch(db);
-      querySnapshot.forEach((docToDelete) => {
-        batch.delete(docToDelete.ref);
-      });
-      await batch.commit();
-      console.log(`Successfully deleted ${querySnapshot.size} favorite movies from Firestore for user ${currentUser.uid}.`);
+      // match /users/{userId}/{list}/{documentId} { allow delete: if request.auth.uid == userId; }
+      for (const listName of USER_LIST_NAMES) {
+        const listCollectionRef = collection(db, getListCollectionPath(currentUser.uid, listName)); // Use currentUser.uid
+        const q = query(listCollectionRef);
+        const querySnapshot = await getDocs(q);
+
+        // A list can hold more than the 500 writes one batch allows
+        await commitInChunks(querySnapshot.docs, (batch, docToDelete) => batch.delete(docToDelete.ref));
+        console.log(`Successfully deleted ${querySnapshot.size} ${listName} entries from Firestore for user ${currentUser.uid}.`);
+      }
+
+      // Custom lists, including the public copies of shared ones
+      const listsSnapshot = await getDocs(query(collection(db, `users/${currentUser.uid}/lists`)));
+      const listRefs = listsSnapshot.docs.flatMap((listDoc) => [listDoc.ref, doc(db, 'publicLists', listDoc.id)]);
+      await commitInChunks(listRefs, (batch, listRef) => batch.delete(listRef));
+      console.log(`Successfully deleted ${listsSnapshot.size} custom lists from Firestore for user ${currentUser.uid}.`);
+
+      // Region and language preferences
+      await deleteDoc(doc(db, getSettingsDocPath(currentUser.uid)));
 
       // 2. Delete the user from Firebase Authentication
       // IMPORTANT: Firebase requires a recent re-authentication for security-sensitive operations like deleteUser.
@@ -166,14 +185,14 @@ function Account() {
       // The current error handling correctly advises re-signing in.
       await deleteUser(currentUser); // Use currentUser object from context
       console.log('User account deleted successfully!');
-      setFeedbackMessage('Your account has been successfully deleted. You have been logged out.');
+      setFeedbackMessage(t('account.deleted'));
       // onAuthStateChanged in MovieContext will update currentUser state globally to null
     } catch (error) {
       console.error("Error deleting account:", error.message);
       if (error.code === 'auth/requires-recent-login') {
-        setAuthError('Please sign in again recently to delete your account. (Sign out and sign back in, then try again).');
+        setAuthError(t('account.recentLoginRequired'));
       } else {
-        setAuthError(`Failed to delete account: ${error.message}`);
+        setAuthError(t('account.deleteFailed', { message: error.message }));
       }
       setFeedbackMessage('');
     }
@@ -181,32 +200,32 @@ function Account() {
 
   const cancelDeleteAction = () => {
     setShowDeleteConfirm(false); // Close the modal
-    setFeedbackMessage('Account deletion cancelled.');
+    setFeedbackMessage(t('account.deleteCancelled'));
     setAuthError('');
   };
 
 
   return (
     <div className="account-page">
-      <h1 className="account-page-title">My Account</h1>
+      <h1 className="account-page-title">{t('account.title')}</h1>
 
       {currentUser ? ( // Check currentUser from context
         // --- Logged In User View ---
         <section className="section-block profile-info-section">
-          <h2 className="section-title">Profile Information</h2>
+          <h2 className="section-title">{t('account.profileTitle')}</h2>
           <div className="profile-details">
             <img
                 src={currentUser.photoURL || generatePlaceholderAvatar(currentUser.displayName, currentUser.email)}
-                alt="User Avatar"
+                alt={t('account.avatarAlt')}
                 className="profile-avatar"
-                title="Your profile picture"
+                title={t('account.avatarTitle')}
                 style={{ cursor: 'default' }}
             />
             <div className="profile-text">
-              <p><strong>Welcome,</strong> {currentUser.displayName || currentUser.email}</p>
-              <p><strong>Email:</strong> {currentUser.email}</p>
+              <p><strong>{t('account.welcome')}</strong> {currentUser.displayName || currentUser.email}</p>
+              <p><strong>{t('account.email')}</strong> {currentUser.email}</p>
               {currentUser.metadata?.creationTime && (
-                <p><strong>Member Since:</strong> {new Date(currentUser.metadata.creationTime).toLocaleDateString()}</p>
+                <p><strong>{t('account.memberSince')}</strong> {formatDate(currentUser.metadata.creationTime)}</p>
               )}
             </div>
             {/* Display general feedback message here related to profile info/logout */}
@@ -214,13 +233,13 @@ function Account() {
             {authError && <p className="auth-error">{authError}</p>}
 
             {/* Sign Out Button */}
-            <button onClick={handleSignOut} className="auth-button sign-out-button">Sign Out</button>
+            <button onClick={handleSignOut} className="auth-button sign-out-button">{t('account.signOut')}</button>
           </div>
         </section>
       ) : (
         // --- Auth Forms View (Not Logged In) ---
         <section className="section-block auth-section">
-          <h2 className="section-title">{isRegistering ? "Create Account" : "Sign In"}</h2>
+          <h2 className="section-title">{isRegistering ? t('account.createAccount') : t('account.signIn')}</h2>
           {authError && <p className="auth-error">{authError}</p>}
           {feedbackMessage && <p className="auth-feedback">{feedbackMessage}</p>}
 
@@ -228,7 +247,7 @@ function Account() {
             {isRegistering && (
               <input
                 type="text"
-                placeholder="Display Name"
+                placeholder={t('account.displayNamePlaceholder')}
                 value={displayName}
                 onChange={(e) => setDisplayName(e.target.value)}
                 required
@@ -237,7 +256,7 @@ function Account() {
             )}
             <input
               type="email"
-              placeholder="Email"
+              placeholder={t('account.emailPlaceholder')}
               value={email}
               onChange={(e) => setEmail(e.target.value)}
               required
@@ -245,31 +264,31 @@ function Account() {
             />
             <input
               type="password"
-              placeholder="Password"
+              placeholder={t('account.passwordPlaceholder')}
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               required
               className="auth-input"
             />
             <button type="submit" className="auth-button">
-              {isRegistering ? "Sign Up" : "Sign In"}
+              {isRegistering ? t('account.signUp') : t('account.signIn')}
             </button>
           </form>
 
           <div className="auth-divider">
             <span className="divider-line"></span>
-            <span className="divider-text">OR</span>
+            <span className="divider-text">{t('account.or')}</span>
             <span className="divider-line"></span>
           </div>
 
           <button onClick={handleGoogleSignIn} className="auth-button google-auth-button">
-            Sign In with Google
+            {t('account.googleSignIn')}
           </button>
 
           <p className="auth-toggle-text">
-            {isRegistering ? "Already have an account?" : "Don't have an account?"}{' '}
+            {isRegistering ? t('account.haveAccount') : t('account.noAccount')}{' '}
             <span onClick={() => setIsRegistering(!isRegistering)} className="toggle-link">
-              {isRegistering ? "Sign In" : "Sign Up"}
+              {isRegistering ? t('account.signIn') : t('account.signUp')}
             </span>
           </p>
         </section>
@@ -277,29 +296,39 @@ function Account() {
 
       {/* My Favorites Section (Always display, but data depends on login status in context) */}
       <section className="section-block my-favorites-section">
-        <h2 className="section-title">My Favorites ({favourites.length})</h2>
+        <h2 className="section-title">{t('account.favouritesTitle', { count: favourites.length })}</h2>
         {/* Sign-in prompt for guest users */}
         {showSignInPrompt && !currentUser && (
             <div className="sign-in-prompt">
-              <p>Sign in to permanently save your favorites!</p>
-              <button onClick={closeSignInPrompt} className="prompt-close-button">X</button>
+              <p>{t('account.guestPrompt')}</p>
+              <button onClick={closeSignInPrompt} className="prompt-close-button" aria-label={t('common.close')}>X</button>
             </div>
         )}
         {/* Check favorites loading state from context if needed: {isFavoritesLoading ? <p>Loading Favorites...</p> : ...} */}
         {favourites.length === 0 ? (
           <p className="no-movies-message">
-            {currentUser ? "You haven't added any movies to your favorites yet. Start exploring and find some!" :
-            "You haven't added any movies to your favorites. Your favorites will be saved here after you sign in."}
+            {currentUser ? t('account.noFavouritesSignedIn') : t('account.noFavouritesGuest')}
           </p>
         ) : (
-          <div className="favorites-grid movies-grid">
+          <div className="favorites-grid movies-grid" ref={hydrateRef}>
             {favourites.map((movie) => (
-              <MovieCard key={movie.id} movie={movie} />
+              getMediaType(movie) === 'tv'
+                ? <TvCard key={getEntryKey(movie)} show={movie} />
+                : <MovieCard key={getEntryKey(movie)} movie={movie} />
             ))}
           </div>
         )}
       </section>
 
+      {/* Region and content language (guests keep them on this device) */}
+      <PreferencesSettings />
+
+      {/* Subscriptions for "Available on my services" and the MovieCard badge */}
+      <StreamingServicesSettings />
+
+      {/* Export and import of favourites (works for guests too, against localStorage) */}
+      <FavouritesTransfer />
+
       {/* NEW: Delete Account Section (only visible if user is logged in) */}
       {currentUser && ( // Check currentUser from context
         <section className="section-block delete-account-section-wrapper">
@@ -310,7 +339,7 @@ function Account() {
               For simplicity, I'll remove the local ones from here as they are global in profile. */}
           {/* authError and feedbackMessage will be displayed in the profile info section above,
               acting as general messages for the logged-in user's actions. */}
-          <button onClick={handleDeleteAccount} className="auth-button delete-account-button">Delete Account</button>
+          <button onClick={handleDeleteAccount} className="auth-button delete-account-button">{t('account.deleteAccount')}</button>
         </section>
       )}
 
@@ -318,11 +347,11 @@ function Account() {
       {showDeleteConfirm && (
         <div className="modal-overlay">
           <div className="modal-content">
-            <h3>Confirm Account Deletion</h3>
-            <p>WARNING: Deleting your account is permanent. All your data, including favorites, will be lost. This cannot be undone. Are you absolutely sure?</p>
+            <h3>{t('account.confirmDeleteTitle')}</h3>
+            <p>{t('account.confirmDeleteMessage')}</p>
             <div className="modal-actions">
-              <button onClick={confirmDeleteAction} className="auth-button confirm-delete-button">Yes, Delete My Account</button>
-              <button onClick={cancelDeleteAction} className="auth-button cancel-delete-button">Cancel</button>
+              <button onClick={confirmDeleteAction} className="auth-button confirm-delete-button">{t('account.confirmDelete')}</button>
+              <button onClick={cancelDeleteAction} className="auth-button cancel-delete-button">{t('common.cancel')}</button>
             </div>
           </div>
         </div>
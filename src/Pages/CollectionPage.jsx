@@ -0,0 +1,179 @@
+// Pages/CollectionPage.jsx
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getCollectionDetails, NotFoundError } from '../services/api';
+import { getLocalDateString } from '../services/userLists';
+import ImageGallery from '../Components/ImageGallery';
+import TmdbImage from '../Components/TmdbImage';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useI18n } from '../contexts/I18nContext';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faHeart as solidHeart, faEye as solidEye } from '@fortawesome/free-solid-svg-icons';
+import { faHeart as regularHeart, faEye as regularEye } from '@fortawesome/free-regular-svg-icons';
+import '../css/MovieDetails.css';
+import '../css/CollectionPage.css';
+
+// Films without a release date yet go last
+const byReleaseDate = (a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999');
+
+const isReleased = (movie, today) => Boolean(movie.release_date) && movie.release_date <= today;
+
+function CollectionPage() {
+  const { id } = useParams();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null); // Message key, translated when rendered
+  const {
+    isFavourite, addToFavourites, removeFromFavourites,
+    getWatchedEntry, markAsWatched, removeFromWatched,
+  } = useMovieContext();
+  const { t, formatDate, formatNumber } = useI18n();
+
+  useEffect(() => {
+    const fetchCollection = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const collectionData = await getCollectionDetails(id);
+        setCollection(collectionData);
+      } catch (err) {
+        console.error("[CollectionPage] Failed to load collection:", err);
+        setError(err instanceof NotFoundError ? 'collection.notFound' : 'collection.loadFailed');
+        setCollection(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCollection();
+  }, [id]);
+
+  if (loading) {
+    return <div className="movie-details-loading">{t('collection.loading')}</div>;
+  }
+
+  if (error || !collection) {
+    return <div className="movie-details-error">{t(error || 'collection.notFound')}</div>;
+  }
+
+  const { name, overview, poster_path, backdrop_path, parts = [], images } = collection;
+  const movies = [...parts].sort(byReleaseDate);
+
+  // --- Progress: announced sequels can't be watched yet, so they only count once seen ---
+  const today = getLocalDateString();
+  const watchable = movies.filter((movie) => isReleased(movie, today) || getWatchedEntry(movie.id));
+  const seenCount = watchable.filter((movie) => getWatchedEntry(movie.id)).length;
+  const seenPercent = watchable.length > 0 ? Math.round((seenCount / watchable.length) * 100) : 0;
+  const nextUp = watchable.find((movie) => !getWatchedEntry(movie.id));
+
+  const getDateLabel = (movie) => {
+    if (!movie.release_date) return t('collection.dateUnknown');
+    if (!isReleased(movie, today)) return t('collection.comingOn', { date: formatDate(movie.release_date) });
+    return formatDate(movie.release_date);
+  };
+
+  return (
+    <div className="movie-details-page collection-page">
+      <div className="movie-header-backdrop">
+        {backdrop_path && (
+          <TmdbImage path={backdrop_path} type="backdrop" width={1280} sizes="100vw" priority className="header-backdrop-image" />
+        )}
+        <div className="backdrop-overlay"></div>
+        <div className="movie-header-content">
+          <TmdbImage path={poster_path} type="poster" alt={name} width={250} priority className="movie-poster-large" />
+          <div className="movie-info-header">
+            <h1>{name}</h1>
+            <div className="subtitle-info">
+              <span>{t('collection.movieCount', { count: movies.length })}</span>
+            </div>
+            {watchable.length > 0 && (
+              <div className="collection-progress">
+                <span className="collection-progress-label">
+                  {seenCount === watchable.length
+                    ? t('collection.complete', { count: seenCount })
+                    : t('collection.progress', { seen: seenCount, count: watchable.length })}
+                </span>
+                <div
+                  className="collection-progress-bar"
+                  role="progressbar"
+                  aria-label={t('collection.progressLabel')}
+                  aria-valuemin={0}
+                  aria-valuemax={watchable.length}
+                  aria-valuenow={seenCount}
+                >
+                  <div className="collection-progress-fill" style={{ width: `${seenPercent}%` }} />
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="movie-body-content">
+        <section className="section-block">
+          <h2 className="section-title">{t('collection.overview')}</h2>
+          <p className="storyline-text">{overview || t('collection.noOverview')}</p>
+        </section>
+
+        {/* Every film in release order, with the user's favourite and watched status */}
+        <section className="section-block">
+          <h2 className="section-title">{t('collection.watchInOrder')}</h2>
+          <ol className="collection-order">
+            {movies.map((movie, index) => {
+              const watchedEntry = getWatchedEntry(movie.id);
+              const favourite = isFavourite(movie.id);
+              const canWatch = isReleased(movie, today) || Boolean(watchedEntry);
+
+              return (
+                <li
+                  key={movie.id}
+                  className={`collection-entry ${watchedEntry ? 'watched' : ''} ${movie === nextUp ? 'next' : ''}`}
+                >
+                  <span className="collection-entry-number">{formatNumber(index + 1)}</span>
+                  <Link to={`/movie/${movie.id}`} className="collection-entry-poster" tabIndex={-1} aria-hidden="true">
+                    <TmdbImage path={movie.poster_path} type="poster" label={movie.title} width={60} />
+                  </Link>
+                  <div className="collection-entry-info">
+                    <Link to={`/movie/${movie.id}`} className="collection-entry-title">{movie.title}</Link>
+                    <span className="collection-entry-date">{getDateLabel(movie)}</span>
+                    {watchedEntry && (
+                      <span className="collection-entry-status">
+                        {watchedEntry.watchedOn
+                          ? t('collection.watchedOn', { date: formatDate(watchedEntry.watchedOn) })
+                          : t('collection.watched')}
+                      </span>
+                    )}
+                    {movie === nextUp && <span className="collection-entry-next">{t('collection.upNext')}</span>}
+                  </div>
+                  <div className="collection-entry-actions">
+                    <button
+                      className={`collection-action favourite ${favourite ? 'active' : ''}`}
+                      onClick={() => (favourite ? removeFromFavourites(movie.id) : addToFavourites(movie))}
+                      aria-pressed={favourite}
+                      title={favourite ? t('movieCard.removeFavourite') : t('movieCard.addFavourite')}
+                    >
+                      <FontAwesomeIcon icon={favourite ? solidHeart : regularHeart} />
+                    </button>
+                    <button
+                      className={`collection-action watched ${watchedEntry ? 'active' : ''}`}
+                      onClick={() => (watchedEntry ? removeFromWatched(movie.id) : markAsWatched(movie))}
+                      aria-pressed={Boolean(watchedEntry)}
+                      disabled={!canWatch}
+                      title={watchedEntry ? t('movieCard.removeWatched') : t('movieCard.markWatched')}
+                    >
+                      <FontAwesomeIcon icon={watchedEntry ? solidEye : regularEye} />
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+
+        <ImageGallery key={collection.id} images={images} title={name} />
+      </div>
+    </div>
+  );
+}
+
+export default CollectionPage;
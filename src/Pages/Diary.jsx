@@ -0,0 +1,88 @@
+// Pages/Diary.jsx
+import { useMemo } from "react";
+import { Link } from "react-router-dom";
+import TmdbImage from "../Components/TmdbImage";
+import { useMovieContext } from "../contexts/MovieContext";
+import { useI18n } from "../contexts/I18nContext";
+import "../css/UserLists.css";
+
+// Dates are stored as YYYY-MM-DD; parsing them as UTC would show the previous day west of Greenwich
+const parseLocalDate = (dateString) => {
+    const [year, month, day] = dateString.split("-").map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Newest first, then grouped by month: [{ label: "October 2026", entries }]
+const groupByMonth = (entries, formatDate) => {
+    const groups = [];
+    [...entries]
+        .sort((a, b) => b.watchedOn.localeCompare(a.watchedOn) || (b.loggedAt || "").localeCompare(a.loggedAt || ""))
+        .forEach((entry) => {
+            const label = formatDate(parseLocalDate(entry.watchedOn), { month: "long", year: "numeric" });
+            const lastGroup = groups[groups.length - 1];
+            if (lastGroup?.label === label) lastGroup.entries.push(entry);
+            else groups.push({ label, entries: [entry] });
+        });
+    return groups;
+};
+
+function Diary() {
+    const { watched, getRating, removeFromWatched, isListLoading } = useMovieContext();
+    const { t, formatDate, formatNumber, formatYear } = useI18n();
+    const months = useMemo(() => groupByMonth(watched, formatDate), [watched, formatDate]);
+
+    if (isListLoading("watched")) {
+        return <div className="user-list-loading">{t("diary.loading")}</div>;
+    }
+
+    if (watched.length === 0) {
+        return (
+            <div className="user-list-empty">
+                <h2>{t("diary.emptyTitle")}</h2>
+                <p>{t("diary.emptyMessage")}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="user-list-page">
+            <h2>{t("diary.title")}</h2>
+            <p className="user-list-summary">
+                {t("diary.count", { count: watched.length })} · <Link to="/ratings">{t("diary.seeRatings")}</Link>
+            </p>
+
+            {months.map(({ label, entries }) => (
+                <section key={label} className="diary-month">
+                    <h3 className="diary-month-title">{label}</h3>
+                    <ul className="user-list-rows">
+                        {entries.map((entry) => {
+                            const rating = getRating(entry.id);
+                            return (
+                                <li key={entry.id} className="user-list-row">
+                                    <span className="diary-day">{formatNumber(parseLocalDate(entry.watchedOn).getDate())}</span>
+                                    <Link to={`/movie/${entry.id}`} className="user-list-poster">
+                                        <TmdbImage path={entry.poster_path} type="poster" alt={entry.title} width={46} />
+                                    </Link>
+                                    <div className="user-list-row-text">
+                                        <Link to={`/movie/${entry.id}`} className="user-list-title">{entry.title}</Link>
+                                        <span className="user-list-meta">{entry.release_date && formatYear(Number(entry.release_date.split("-")[0]))}</span>
+                                    </div>
+                                    {rating && <span className="user-list-rating">★ {t("common.score", { score: rating.rating })}</span>}
+                                    <button
+                                        className="user-list-remove"
+                                        onClick={() => removeFromWatched(entry.id)}
+                                        title={t("diary.removeTitle")}
+                                    >
+                                        {t("diary.remove")}
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </section>
+            ))}
+        </div>
+    );
+}
+
+export default Diary;
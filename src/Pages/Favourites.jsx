@@ -1,21 +1,232 @@
+import { useMemo, useState } from "react"
+import { Link, useSearchParams } from "react-router-dom"
 import "../css/Favourites.css"
+import "../css/UserLists.css"
 import { useMovieContext } from "../contexts/MovieContext"
+import { useGenreContext } from "../contexts/GenreContext"
+import { useI18n } from "../contexts/I18nContext"
 import MovieCard from "../Components/MovieCard"
+import TvCard from "../Components/TvCard"
+import TmdbImage from "../Components/TmdbImage"
+import { useHydratedMovies, useHydrateOnScreen } from "../hooks/useHydratedMovies"
+import { getEntryKey, getEntryPath, getMediaType } from "../services/userLists"
 
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTableCells, faList, faHeart } from '@fortawesome/free-solid-svg-icons';
+
+const VIEW_STORAGE_KEY = "favouritesView"
+
+// Favourites saved before addedAt existed sort as the oldest. Labels are favourites.sort.<key>.
+const SORT_OPTIONS = {
+    added: (a, b) => (b.addedAt || "").localeCompare(a.addedAt || ""),
+    title: (a, b) => (a.title || "").localeCompare(b.title || ""),
+    newest: (a, b) => (b.release_date || "").localeCompare(a.release_date || ""),
+    oldest: (a, b) => (a.release_date || "9999").localeCompare(b.release_date || "9999"),
+    rating: (a, b) => (b.vote_average || 0) - (a.vote_average || 0),
+}
+
+const RATING_STEPS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+
+// Labels are favourites.types.<type>
+const MEDIA_TYPES = ["movie", "tv"]
+
+// Favourites added from a list carry genre_ids, ones added from MovieDetails carry genres
+const getGenreIds = (movie) => movie.genre_ids || movie.genres?.map((genre) => genre.id) || []
+
+const getDecade = (movie) => {
+    const year = Number(movie.release_date?.split("-")[0])
+    return year ? Math.floor(year / 10) * 10 : null
+}
+
+const readNumberParam = (searchParams, name, fallback) => {
+    const value = Number(searchParams.get(name))
+    return searchParams.has(name) && !isNaN(value) ? value : fallback
+}
 
 function Favourites(){
-    const {favourites} = useMovieContext()
+    const {favourites: favouriteRecords, removeFromFavourites} = useMovieContext()
+    // Stored favourites are slim; overviews and fresh ratings are filled in from TMDB as they come on screen
+    const favourites = useHydratedMovies(favouriteRecords)
+    const {genres: movieGenres, tvGenres} = useGenreContext()
+    const {t, formatNumber, formatDecimal, formatYear} = useI18n()
+    const [searchParams, setSearchParams] = useSearchParams()
+    const [view, setView] = useState(() => localStorage.getItem(VIEW_STORAGE_KEY) || "grid")
+
+    // --- Sort and filters live in the URL so back/forward keeps them ---
+    const searchText = searchParams.get("q") || ""
+    const sortBy = SORT_OPTIONS[searchParams.get("sort")] ? searchParams.get("sort") : "added"
+    const mediaType = MEDIA_TYPES.includes(searchParams.get("type")) ? searchParams.get("type") : null
+    const genreId = readNumberParam(searchParams, "genre", null)
+    const decade = readNumberParam(searchParams, "decade", null)
+    const minRating = readNumberParam(searchParams, "minRating", 0)
+    const maxRating = readNumberParam(searchParams, "maxRating", 10)
+
+    const updateParams = (changes) => {
+        const next = new URLSearchParams(searchParams)
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === "" || value === null || value === undefined) next.delete(key)
+            else next.set(key, value)
+        })
+        setSearchParams(next, { replace: true })
+    }
+
+    const changeView = (nextView) => {
+        setView(nextView)
+        localStorage.setItem(VIEW_STORAGE_KEY, nextView)
+    }
+
+    // Shows have a few genres of their own (e.g. "Sci-Fi & Fantasy"); the shared ones keep their movie name
+    const genres = useMemo(
+        () => [...movieGenres, ...tvGenres.filter((genre) => !movieGenres.some((movieGenre) => movieGenre.id === genre.id))],
+        [movieGenres, tvGenres]
+    )
+    const hasShows = favourites.some((movie) => getMediaType(movie) === "tv")
+
+    // Only offer genres and decades that actually occur in the favourites
+    const availableGenres = useMemo(() => {
+        const ids = new Set(favourites.flatMap(getGenreIds))
+        return genres.filter((genre) => ids.has(genre.id))
+    }, [favourites, genres])
+
+    const availableDecades = useMemo(
+        () => [...new Set(favourites.map(getDecade).filter(Boolean))].sort((a, b) => b - a),
+        [favourites]
+    )
+
+    const visibleFavourites = useMemo(() => {
+        const query = searchText.trim().toLowerCase()
+        return favourites
+            .filter((movie) => !query || movie.title?.toLowerCase().includes(query) || movie.overview?.toLowerCase().includes(query))
+            .filter((movie) => mediaType === null || getMediaType(movie) === mediaType)
+            .filter((movie) => genreId === null || getGenreIds(movie).includes(genreId))
+            .filter((movie) => decade === null || getDecade(movie) === decade)
+            .filter((movie) => (movie.vote_average || 0) >= minRating && (movie.vote_average || 0) <= maxRating)
+            .sort(SORT_OPTIONS[sortBy])
+    }, [favourites, searchText, mediaType, genreId, decade, minRating, maxRating, sortBy])
+
+    const hydrateRef = useHydrateOnScreen(visibleFavourites)
+
+    const filtersActive = Boolean(searchText) || mediaType !== null || genreId !== null || decade !== null || minRating > 0 || maxRating < 10
 
     // Check if there are any favourite movies to display
     if (favourites && favourites.length > 0) {
         return (
             <div className="favourites">
-                <h2>Your Favourites</h2>
-                <div className="movies-grid">
-                {favourites.map((movie) => (
-                    <MovieCard movie={movie} key={movie.id}/>
-                ))}
+                <h2>{t("favourites.title")}</h2>
+
+                <div className="favourites-toolbar">
+                    <input
+                        type="search"
+                        className="favourites-search"
+                        placeholder={t("favourites.searchPlaceholder")}
+                        value={searchText}
+                        onChange={(e) => updateParams({ q: e.target.value })}
+                        aria-label={t("favourites.searchLabel")}
+                    />
+                    <select value={sortBy} onChange={(e) => updateParams({ sort: e.target.value === "added" ? "" : e.target.value })} aria-label={t("favourites.sortLabel")}>
+                        {Object.keys(SORT_OPTIONS).map((value) => (
+                            <option key={value} value={value}>{t(`favourites.sort.${value}`)}</option>
+                        ))}
+                    </select>
+                    {hasShows && (
+                        <select value={mediaType ?? ""} onChange={(e) => updateParams({ type: e.target.value })} aria-label={t("favourites.typeLabel")}>
+                            <option value="">{t("favourites.allTypes")}</option>
+                            {MEDIA_TYPES.map((type) => (
+                                <option key={type} value={type}>{t(`favourites.types.${type}`)}</option>
+                            ))}
+                        </select>
+                    )}
+                    <select value={genreId ?? ""} onChange={(e) => updateParams({ genre: e.target.value })} aria-label={t("favourites.genreLabel")}>
+                        <option value="">{t("favourites.allGenres")}</option>
+                        {availableGenres.map((genre) => (
+                            <option key={genre.id} value={genre.id}>{genre.name}</option>
+                        ))}
+                    </select>
+                    <select value={decade ?? ""} onChange={(e) => updateParams({ decade: e.target.value })} aria-label={t("favourites.decadeLabel")}>
+                        <option value="">{t("favourites.allDecades")}</option>
+                        {availableDecades.map((value) => (
+                            <option key={value} value={value}>{t("favourites.decade", { decade: formatYear(value) })}</option>
+                        ))}
+                    </select>
+                    <label className="favourites-rating-range">
+                        {t("favourites.rating")}
+                        <select value={minRating} onChange={(e) => updateParams({ minRating: e.target.value === "0" ? "" : e.target.value })} aria-label={t("favourites.minRating")}>
+                            {RATING_STEPS.filter((step) => step <= maxRating).map((step) => (
+                                <option key={step} value={step}>{formatNumber(step)}</option>
+                            ))}
+                        </select>
+                        –
+                        <select value={maxRating} onChange={(e) => updateParams({ maxRating: e.target.value === "10" ? "" : e.target.value })} aria-label={t("favourites.maxRating")}>
+                            {RATING_STEPS.filter((step) => step >= minRating).map((step) => (
+                                <option key={step} value={step}>{formatNumber(step)}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <div className="favourites-view-toggle" role="group" aria-label={t("favourites.layout")}>
+                        <button className={view === "grid" ? "active" : ""} onClick={() => changeView("grid")} aria-pressed={view === "grid"} title={t("favourites.grid")}>
+                            <FontAwesomeIcon icon={faTableCells} />
+                        </button>
+                        <button className={view === "compact" ? "active" : ""} onClick={() => changeView("compact")} aria-pressed={view === "compact"} title={t("favourites.compact")}>
+                            <FontAwesomeIcon icon={faList} />
+                        </button>
+                    </div>
                 </div>
+
+                <p className="user-list-summary">
+                    {filtersActive
+                        ? t("favourites.showing", { visible: visibleFavourites.length, count: favourites.length })
+                        : t("favourites.count", { count: favourites.length })}
+                    {filtersActive && (
+                        <>
+                            {" · "}
+                            <button className="favourites-clear-filters" onClick={() => setSearchParams(sortBy === "added" ? {} : { sort: sortBy }, { replace: true })}>
+                                {t("favourites.clearFilters")}
+                            </button>
+                        </>
+                    )}
+                </p>
+
+                {visibleFavourites.length === 0 && (
+                    <p className="favourites-no-matches">{t("favourites.noMatches")}</p>
+                )}
+
+                {view === "grid" ? (
+                    <div className="movies-grid" ref={hydrateRef}>
+                    {visibleFavourites.map((movie) => (
+                        getMediaType(movie) === "tv"
+                            ? <TvCard show={movie} key={getEntryKey(movie)}/>
+                            : <MovieCard movie={movie} key={getEntryKey(movie)}/>
+                    ))}
+                    </div>
+                ) : (
+                    <ul className="user-list-rows" ref={hydrateRef}>
+                        {visibleFavourites.map((movie) => (
+                            <li key={getEntryKey(movie)} className="user-list-row">
+                                <Link to={getEntryPath(movie)} className="user-list-poster">
+                                    <TmdbImage path={movie.poster_path} type="poster" alt={movie.title} width={46} />
+                                </Link>
+                                <div className="user-list-row-text">
+                                    <Link to={getEntryPath(movie)} className="user-list-title">{movie.title}</Link>
+                                    <span className="user-list-meta">
+                                        {[
+                                            getMediaType(movie) === "tv" && t("tvCard.badge"),
+                                            movie.release_date?.split("-")[0],
+                                            genres.filter((genre) => getGenreIds(movie).includes(genre.id)).map((genre) => genre.name).join(", "),
+                                        ].filter(Boolean).join(" · ")}
+                                    </span>
+                                </div>
+                                {movie.vote_average > 0 && <span className="user-list-rating">⭐ {formatDecimal(movie.vote_average)}</span>}
+                                <button
+                                    className="user-list-remove favourites-remove"
+                                    onClick={() => removeFromFavourites(movie.id, getMediaType(movie))}
+                                    title={t("favourites.remove")}
+                                >
+                                    <FontAwesomeIcon icon={faHeart} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </div>
         );
     }
@@ -23,8 +234,8 @@ function Favourites(){
     // Display message when there are no favourite movies
     return (
         <div className="favourites-empty">
-            <h2>No Favourite Movies Yet</h2>
-            <p>Start adding movies to your favourites and they will appear here!</p>
+            <h2>{t("favourites.emptyTitle")}</h2>
+            <p>{t("favourites.emptyMessage")}</p>
         </div>
     );
 }
@@ -1,172 +1,193 @@
 // Pages/GenrePage.jsx 
 
-import React, { useState, useEffect, useRef } from "react";
+import React, { useMemo, useCallback } from "react";
 import { useParams, useSearchParams, useNavigate } from "react-router-dom";
 import MovieCard from "../Components/MovieCard";
 import { useGenreContext } from "../contexts/GenreContext";
-import { getMoviesByGenres } from "../services/api";
+import DiscoverFilters from "../Components/DiscoverFilters";
+import MyServicesToggle from "../Components/MyServicesToggle";
+import { useSettingsContext } from "../contexts/SettingsContext";
+import { useI18n } from "../contexts/I18nContext";
+import { discoverMovies } from "../services/api";
+import {
+  readDiscoverFilters,
+  writeDiscoverFilters,
+  hasActiveFilters,
+  toDiscoverParams,
+  readGenreSelection,
+  hasGenreSelection,
+  buildGenresPath,
+} from "../services/discoverFilters";
+import { usePaginatedFeed } from "../hooks/usePaginatedFeed";
+import { useCertificationOptions } from "../hooks/useCertificationOptions";
 import "../css/GenrePage.css";
 
-const MAX_GENRE_MOVIES_TO_FETCH = 500;
-
 function GenrePage() {
   const { id: paramGenreId } = useParams();
   const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
   const { genres, genresLoading, genresError } = useGenreContext();
-
-  const [selectedGenreIds, setSelectedGenreIds] = useState([]);
-  const [displayedMovies, setDisplayedMovies] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
-  const [hasMore, setHasMore] = useState(true);
-
-  const isInitialMount = useRef(true);
-
-  // --- Sync component state with URL ---
-  useEffect(() => {
-    const hasIdsKey = searchParams.has("ids");
-    const idsFromQuery =
-      searchParams
-        .get("ids")
-        ?.split(",")
-        .map(Number)
-        .filter((n) => !isNaN(n)) || [];
-
-    const idsFromParam = paramGenreId ? [parseInt(paramGenreId, 10)] : [];
-    const sourceIds = hasIdsKey ? idsFromQuery : idsFromParam;
-    const uniqueSortedIds = Array.from(new Set(sourceIds)).sort((a, b) => a - b);
-
-    setSelectedGenreIds(uniqueSortedIds);
-    setDisplayedMovies([]);
-    setCurrentPage(1);
-    setTotalPages(1);
-    setHasMore(true);
-    setError(null);
-    setLoading(true);
-    isInitialMount.current = false;
-  }, [paramGenreId, searchParams]);
-
-  // --- Fetch movies whenever selectedGenreIds or currentPage changes ---
-  useEffect(() => {
-    if (genresLoading) {
-      setLoading(true);
-      return;
-    }
-
-    if (selectedGenreIds.length === 0) {
-      setDisplayedMovies([]);
-      setHasMore(false);
-      setLoading(false);
-      setError(null);
-      return;
-    }
-
-    const fetchMovies = async () => {
-      setLoading(true);
-      try {
-        const response = await getMoviesByGenres(selectedGenreIds, currentPage);
-        const newMovies = response.results || [];
-
-        if (currentPage === 1) {
-          // fresh fetch
-          setDisplayedMovies(newMovies);
-        } else {
-          // append for "Load More"
-          setDisplayedMovies((prev) => {
-            const ids = new Set(prev.map((m) => m.id));
-            const filtered = newMovies.filter((m) => !ids.has(m.id));
-            return [...prev, ...filtered].slice(0, MAX_GENRE_MOVIES_TO_FETCH);
-          });
-        }
-
-        setTotalPages(response.total_pages || 1);
-        setHasMore(currentPage < (response.total_pages || 1));
-        setError(null);
-      } catch (err) {
-        console.error("[GenrePage] Error fetching movies:", err);
-        setError("Failed to load movies for the selected genres. Please try again.");
-        setHasMore(false);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchMovies();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedGenreIds, currentPage, genresLoading]);
+  const { streamingServices } = useSettingsContext();
+  const { t } = useI18n();
+  const certificationOptions = useCertificationOptions();
+
+  // --- Included/excluded genres come straight from the URL ---
+  const genreSelection = useMemo(
+    () => readGenreSelection(searchParams, paramGenreId),
+    [searchParams, paramGenreId]
+  );
+  const { included, excluded, matchAny } = genreSelection;
+
+  // --- Year, rating, runtime... filters and sort order, also from the URL ---
+  const filters = useMemo(() => readDiscoverFilters(searchParams), [searchParams]);
+  const filtersActive = hasActiveFilters(filters);
+  // Remounts the filter panel (dropping unapplied edits) whenever the applied filters change
+  const filterPanelKey = writeDiscoverFilters(new URLSearchParams(), { ...filters, sortBy: undefined }).toString();
+  const discoverParams = useMemo(
+    () => toDiscoverParams(genreSelection, filters, streamingServices, certificationOptions.country),
+    [genreSelection, filters, streamingServices, certificationOptions.country]
+  );
+  const hasSelection = hasGenreSelection(genreSelection) || filtersActive;
+  // An age rating filter waits for the region's rating system to be known
+  const waitingForCertifications = Boolean(filters.certification) && certificationOptions.loading;
+
+  // --- Movies for the selection, fetched page by page as the user scrolls ---
+  const fetchPage = useCallback(
+    (page) => discoverMovies(discoverParams, page),
+    [discoverParams]
+  );
+  const {
+    items: displayedMovies,
+    loading: feedLoading,
+    error: feedError,
+    hasMore,
+    loadMore,
+    sentinelRef,
+  } = usePaginatedFeed(`discover:${JSON.stringify(discoverParams)}`, fetchPage, {
+    enabled: hasSelection && !waitingForCertifications,
+  });
+
+  const loading = genresLoading || feedLoading || waitingForCertifications;
+  const error = Boolean(feedError);
+
+  // --- Handle Filter Changes ---
+  const handleApplyFilters = (newFilters) => {
+    setSearchParams(writeDiscoverFilters(searchParams, newFilters));
+  };
 
   // --- Handle Genre Toggle ---
-  const handleGenreToggle = (genreId) => {
-    const wasEmpty = selectedGenreIds.length === 0;
-    const currentIds = new Set(selectedGenreIds);
-
-    if (currentIds.has(genreId)) currentIds.delete(genreId);
-    else currentIds.add(genreId);
-
-    const newIds = Array.from(currentIds);
-
-    if (newIds.length === 0) {
-      setSearchParams({});
-      navigate(`/genres`);
-      return;
-    }
+  // Each click moves a genre along: off -> included -> excluded -> off.
+  // The filters travel along with every genre change.
+  const filterParams = writeDiscoverFilters(new URLSearchParams(), filters);
+
+  const getGenreState = (genreId) => {
+    if (included.includes(genreId)) return "included";
+    if (excluded.includes(genreId)) return "excluded";
+    return "off";
+  };
 
-    if (wasEmpty && newIds.length === 1) {
-      const onlyId = newIds[0];
-      setSearchParams({});
-      navigate(`/genres/${onlyId}`);
-      return;
-    }
+  const handleGenreToggle = (genreId) => {
+    const wasEmpty = !hasGenreSelection(genreSelection);
+    const state = getGenreState(genreId);
+    const without = (ids) => ids.filter((id) => id !== genreId);
+    const byId = (a, b) => a - b;
+
+    const next = {
+      ...genreSelection,
+      included: state === "off" ? [...included, genreId].sort(byId) : without(included),
+      excluded: state === "included" ? [...excluded, genreId].sort(byId) : without(excluded),
+    };
 
-    setSearchParams({ ids: newIds.join(",") });
-    navigate(`/genres?ids=${newIds.join(",")}`);
+    // A first pick keeps the short /genres/:id link
+    navigate(buildGenresPath(next, filterParams, { preferShortPath: wasEmpty }));
   };
 
-  const handleLoadMore = () => {
-    if (!loading && hasMore) {
-      setCurrentPage((p) => p + 1);
-    }
+  const handleMatchModeChange = (nextMatchAny) => {
+    navigate(buildGenresPath({ ...genreSelection, matchAny: nextMatchAny }, filterParams));
   };
 
   const showNoResultsMessage =
-    !loading && !error && displayedMovies.length === 0 && selectedGenreIds.length > 0;
+    !loading && !error && displayedMovies.length === 0 && hasSelection;
 
   return (
     <div className="genre-page">
-      <h1 className="genre-page-title">Explore Genres</h1>
+      <h1 className="genre-page-title">{t("genrePage.title")}</h1>
 
-      {genresLoading && <div className="loading-genres">Loading genres...</div>}
-      {genresError && <div className="error-genres">{genresError}</div>}
+      {genresLoading && <div className="loading-genres">{t("nav.loadingGenres")}</div>}
+      {genresError && <div className="error-genres">{t("genrePage.genresError")}</div>}
 
       {!genresLoading && !genresError && genres.length > 0 && (
         <div className="genre-filters">
-          {genres.map((genre) => (
-            <button
-              key={genre.id}
-              className={`genre-filter-button ${
-                selectedGenreIds.includes(genre.id) ? "active" : ""
-              }`}
-              onClick={() => handleGenreToggle(genre.id)}
-            >
-              {genre.name}
-            </button>
-          ))}
+          {genres.map((genre) => {
+            const state = getGenreState(genre.id);
+            const stateLabel = t(`genrePage.states.${state}`);
+            return (
+              <button
+                key={genre.id}
+                className={`genre-filter-button ${state === "included" ? "active" : ""} ${
+                  state === "excluded" ? "excluded" : ""
+                }`}
+                onClick={() => handleGenreToggle(genre.id)}
+                aria-label={t("genrePage.genreState", { genre: genre.name, state: stateLabel })}
+                title={stateLabel}
+              >
+                {state === "excluded" && <span className="genre-exclude-mark" aria-hidden="true">−</span>}
+                {genre.name}
+              </button>
+            );
+          })}
+          <p className="genre-filters-hint">{t("genrePage.hint")}</p>
+        </div>
+      )}
+
+      {included.length > 1 && (
+        <div className="genre-match-mode" role="group" aria-label={t("genrePage.matchLabel")}>
+          <span>{t("genrePage.matchPrefix")}</span>
+          <button
+            className={`genre-match-button ${!matchAny ? "active" : ""}`}
+            onClick={() => handleMatchModeChange(false)}
+            aria-pressed={!matchAny}
+          >
+            {t("genrePage.matchAll")}
+          </button>
+          <button
+            className={`genre-match-button ${matchAny ? "active" : ""}`}
+            onClick={() => handleMatchModeChange(true)}
+            aria-pressed={matchAny}
+          >
+            {t("genrePage.matchAny")}
+          </button>
+        </div>
+      )}
+
+      {!genresLoading && (
+        <DiscoverFilters
+          key={filterPanelKey}
+          filters={filters}
+          certificationOptions={certificationOptions}
+          onApply={handleApplyFilters}
+        />
+      )}
+
+      {!genresLoading && (
+        <div className="genre-my-services">
+          <MyServicesToggle
+            active={filters.myServices === "1" && streamingServices.length > 0}
+            onChange={(active) => handleApplyFilters({ ...filters, myServices: active ? "1" : "" })}
+          />
         </div>
       )}
 
       {loading && displayedMovies.length === 0 && (
-        <div className="loading">Loading movies...</div>
+        <div className="loading">{t("genrePage.loading")}</div>
       )}
 
       {error ? (
-        <div className="error_message">{error}</div>
+        <div className="error_message">{t("genrePage.loadError")}</div>
       ) : (
         showNoResultsMessage && (
           <div className="no-results">
-            No movies found for the selected genre(s). Please try different genres.
+            {t("genrePage.noResults")}
           </div>
         )
       )}
@@ -178,19 +199,16 @@ function GenrePage() {
       </div>
 
       {loading && displayedMovies.length > 0 && (
-        <div className="loading-more">Loading more movies...</div>
+        <div className="loading-more">{t("home.loadingMore")}</div>
       )}
 
-      {hasMore && !loading && displayedMovies.length > 0 && (
-        <div className="load-more-container">
-          <button
-            onClick={handleLoadMore}
-            className="load-more-button"
-            disabled={loading}
-          >
-            Load More
-          </button>
-        </div>
+      {/* Infinite scroll: the next page loads when this comes into view */}
+      {hasMore && !error && displayedMovies.length > 0 && (
+        <div ref={sentinelRef} className="feed-sentinel" aria-hidden="true" />
+      )}
+
+      {error && (
+        <button onClick={loadMore} className="feed-retry-button">{t("common.tryAgain")}</button>
       )}
     </div>
   );
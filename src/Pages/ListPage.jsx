@@ -0,0 +1,338 @@
+// Pages/ListPage.jsx
+// /lists/:listId — the owner gets an editor, everyone else the read-only public copy.
+import React, { useState, useEffect } from "react";
+import { Link, useParams, useNavigate } from "react-router-dom";
+import TmdbImage from "../Components/TmdbImage";
+import { useListsContext } from "../contexts/ListsContext";
+import { useI18n } from "../contexts/I18nContext";
+import { getPublicList, MAX_LIST_NAME_LENGTH, MAX_NOTE_LENGTH } from "../services/customLists";
+import "../css/UserLists.css";
+import "../css/CustomLists.css";
+
+// --- Position and poster, shared by both views ---
+function EntryPoster({ entry, position }) {
+    const { formatNumber } = useI18n();
+    return (
+        <>
+            <span className="custom-list-position">{formatNumber(position)}</span>
+            <Link to={`/movie/${entry.id}`} className="user-list-poster">
+                <TmdbImage path={entry.poster_path} type="poster" alt={entry.title} width={46} />
+            </Link>
+        </>
+    );
+}
+
+function PublicListView({ listId }) {
+    const [list, setList] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null); // Message key, translated when rendered
+    const { t, formatYear } = useI18n();
+
+    useEffect(() => {
+        const fetchList = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const publicList = await getPublicList(listId);
+                setList(publicList);
+                if (!publicList) setError("listPage.notPublic");
+            } catch (err) {
+                console.error("[ListPage] Failed to load public list:", err);
+                setError("listPage.loadFailed");
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchList();
+    }, [listId]);
+
+    if (loading) return <div className="user-list-loading">{t("listPage.loading")}</div>;
+    if (error) return <div className="user-list-empty"><h2>{t("listPage.unavailable")}</h2><p>{t(error)}</p></div>;
+
+    return (
+        <div className="custom-lists-page">
+            <h2>{list.name}</h2>
+            <p className="user-list-summary">
+                {t("listPage.byOwner", { owner: list.ownerName || t("listPage.unknownOwner") })} · {t("lists.movieCount", { count: list.entries.length })}
+            </p>
+            {list.description && <p className="custom-list-description">{list.description}</p>}
+
+            <ol className="user-list-rows">
+                {list.entries.map((entry, index) => (
+                    <li key={entry.id} className="user-list-row">
+                        <EntryPoster entry={entry} position={index + 1} />
+                        <div className="user-list-row-text">
+                            <Link to={`/movie/${entry.id}`} className="user-list-title">{entry.title}</Link>
+                            <span className="user-list-meta">{entry.release_date && formatYear(Number(entry.release_date.split("-")[0]))}</span>
+                            {entry.note && <p className="user-list-review">{entry.note}</p>}
+                        </div>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
+
+// Saves on blur so typing doesn't write to Firestore on every keystroke
+function EntryNote({ note, onSave }) {
+    const [draft, setDraft] = useState(note);
+    const [editing, setEditing] = useState(false);
+    const { t } = useI18n();
+
+    if (!editing) {
+        return (
+            <button className="custom-list-note-button" onClick={() => { setDraft(note); setEditing(true); }}>
+                {note ? <span className="user-list-review">{note}</span> : t("listPage.addNote")}
+            </button>
+        );
+    }
+
+    return (
+        <textarea
+            className="custom-list-note-input"
+            value={draft}
+            maxLength={MAX_NOTE_LENGTH}
+            rows={2}
+            autoFocus
+            placeholder={t("listPage.notePlaceholder")}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={() => {
+                setEditing(false);
+                if (draft.trim() !== note) onSave(draft);
+            }}
+            onKeyDown={(e) => {
+                if (e.key === "Escape") {
+                    setDraft(note);
+                    setEditing(false);
+                }
+            }}
+        />
+    );
+}
+
+function ListEditor({ list }) {
+    const { updateListDetails, deleteList, setListPublic, removeMovieFromList, moveListEntry, setEntryNote } = useListsContext();
+    const navigate = useNavigate();
+    const { t, formatYear } = useI18n();
+
+    const [isEditingDetails, setIsEditingDetails] = useState(false);
+    const [name, setName] = useState(list.name);
+    const [description, setDescription] = useState(list.description);
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [draggedIndex, setDraggedIndex] = useState(null);
+    const [dropIndex, setDropIndex] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState(null); // Message key, translated when rendered
+
+    // The list can be renamed on another device or tab: start the draft over from the saved details
+    useEffect(() => {
+        setName(list.name);
+        setDescription(list.description);
+    }, [list.name, list.description]);
+
+    const shareUrl = `${window.location.origin}/lists/${list.id}`;
+
+    // Every edit reports failures the same way
+    const run = (promise) => {
+        setError(null);
+        return promise.catch(() => setError("listPage.saveFailed"));
+    };
+
+    const handleSaveDetails = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        run(updateListDetails(list.id, { name, description }).then(() => setIsEditingDetails(false)));
+    };
+
+    const handleDelete = () => {
+        run(deleteList(list.id).then(() => navigate("/lists")));
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch {
+            setError("listPage.copyFailed");
+        }
+    };
+
+    // --- Drag and drop reordering ---
+    const handleDragStart = (index) => (e) => {
+        setDraggedIndex(index);
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", String(index)); // Firefox won't start a drag without data
+    };
+
+    const handleDragOver = (index) => (e) => {
+        if (draggedIndex === null) return;
+        e.preventDefault(); // Allows dropping here
+        setDropIndex(index);
+    };
+
+    const handleDrop = (index) => (e) => {
+        e.preventDefault();
+        if (draggedIndex !== null && draggedIndex !== index) {
+            run(moveListEntry(list.id, draggedIndex, index));
+        }
+        setDraggedIndex(null);
+        setDropIndex(null);
+    };
+
+    const handleDragEnd = () => {
+        setDraggedIndex(null);
+        setDropIndex(null);
+    };
+
+    return (
+        <div className="custom-lists-page">
+            {isEditingDetails ? (
+                <form className="custom-list-details-form" onSubmit={handleSaveDetails}>
+                    <input
+                        type="text"
+                        className="custom-list-input"
+                        value={name}
+                        maxLength={MAX_LIST_NAME_LENGTH}
+                        onChange={(e) => setName(e.target.value)}
+                        aria-label={t("listPage.nameLabel")}
+                        autoFocus
+                    />
+                    <textarea
+                        className="custom-list-input"
+                        value={description}
+                        placeholder={t("lists.descriptionPlaceholder")}
+                        rows={2}
+                        onChange={(e) => setDescription(e.target.value)}
+                        aria-label={t("listPage.descriptionLabel")}
+                    />
+                    <div className="custom-list-actions">
+                        <button type="button" className="custom-list-button" onClick={() => setIsEditingDetails(false)}>{t("common.cancel")}</button>
+                        <button type="submit" className="custom-list-button primary" disabled={!name.trim()}>{t("listPage.save")}</button>
+                    </div>
+                </form>
+            ) : (
+                <>
+                    <h2>{list.name}</h2>
+                    <p className="user-list-summary">
+                        {t("lists.movieCount", { count: list.entries.length })} · <Link to="/lists">{t("listPage.allLists")}</Link>
+                    </p>
+                    {list.description && <p className="custom-list-description">{list.description}</p>}
+                </>
+            )}
+
+            <div className="custom-list-toolbar">
+                {!isEditingDetails && (
+                    <button
+                        className="custom-list-button"
+                        onClick={() => {
+                            setName(list.name);
+                            setDescription(list.description);
+                            setIsEditingDetails(true);
+                        }}
+                    >
+                        {t("listPage.rename")}
+                    </button>
+                )}
+                <label className="custom-list-public-toggle">
+                    <input
+                        type="checkbox"
+                        checked={list.isPublic}
+                        onChange={(e) => run(setListPublic(list.id, e.target.checked))}
+                    />
+                    {t("listPage.publicToggle")}
+                </label>
+                <button className="custom-list-button danger" onClick={() => setShowDeleteConfirm(true)}>
+                    {t("listPage.deleteList")}
+                </button>
+            </div>
+
+            {list.isPublic && (
+                <div className="custom-list-share">
+                    <input type="text" readOnly value={shareUrl} onFocus={(e) => e.target.select()} aria-label={t("listPage.shareLink")} />
+                    <button className="custom-list-button primary" onClick={handleCopyLink}>
+                        {copied ? t("listPage.copied") : t("listPage.copyLink")}
+                    </button>
+                </div>
+            )}
+
+            {showDeleteConfirm && (
+                <div className="custom-list-confirm">
+                    <p>{t(list.isPublic ? "listPage.confirmDeletePublic" : "listPage.confirmDelete", { name: list.name })}</p>
+                    <div className="custom-list-actions">
+                        <button className="custom-list-button" onClick={() => setShowDeleteConfirm(false)}>{t("common.cancel")}</button>
+                        <button className="custom-list-button danger" onClick={handleDelete}>{t("listPage.delete")}</button>
+                    </div>
+                </div>
+            )}
+
+            {error && <p className="custom-list-error">{t(error)}</p>}
+
+            {list.entries.length === 0 ? (
+                <p className="custom-lists-none">{t("listPage.empty")}</p>
+            ) : (
+                <ol className="user-list-rows">
+                    {list.entries.map((entry, index) => (
+                        <li
+                            key={entry.id}
+                            className={`user-list-row custom-list-entry ${draggedIndex === index ? "dragging" : ""} ${
+                                dropIndex === index && draggedIndex !== index ? "drop-target" : ""
+                            }`}
+                            draggable
+                            onDragStart={handleDragStart(index)}
+                            onDragOver={handleDragOver(index)}
+                            onDrop={handleDrop(index)}
+                            onDragEnd={handleDragEnd}
+                        >
+                            <span className="custom-list-drag-handle" aria-hidden="true" title={t("listPage.dragHandle")}>⠿</span>
+                            <EntryPoster entry={entry} position={index + 1} />
+                            <div className="user-list-row-text">
+                                <Link to={`/movie/${entry.id}`} className="user-list-title">{entry.title}</Link>
+                                <span className="user-list-meta">{entry.release_date && formatYear(Number(entry.release_date.split("-")[0]))}</span>
+                                <EntryNote note={entry.note} onSave={(note) => run(setEntryNote(list.id, entry.id, note))} />
+                            </div>
+                            {/* Buttons for keyboard and touch users, who can't drag */}
+                            <div className="custom-list-move-buttons">
+                                <button
+                                    onClick={() => run(moveListEntry(list.id, index, index - 1))}
+                                    disabled={index === 0}
+                                    aria-label={t("listPage.moveUp", { title: entry.title })}
+                                >
+                                    ▲
+                                </button>
+                                <button
+                                    onClick={() => run(moveListEntry(list.id, index, index + 1))}
+                                    disabled={index === list.entries.length - 1}
+                                    aria-label={t("listPage.moveDown", { title: entry.title })}
+                                >
+                                    ▼
+                                </button>
+                            </div>
+                            <button
+                                className="user-list-remove"
+                                onClick={() => run(removeMovieFromList(list.id, entry.id))}
+                                title={t("listPage.removeTitle")}
+                            >
+                                {t("listPage.remove")}
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+function ListPage() {
+    const { listId } = useParams();
+    const { getList, listsLoading } = useListsContext();
+    const { t } = useI18n();
+
+    // Wait until we know whether this is one of the user's own lists
+    if (listsLoading) return <div className="user-list-loading">{t("listPage.loading")}</div>;
+
+    const ownList = getList(listId);
+    return ownList ? <ListEditor key={listId} list={ownList} /> : <PublicListView listId={listId} />;
+}
+
+export default ListPage;
@@ -1,9 +1,24 @@
 // Pages/MovieDetails.jsx
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { getMovieDetails, getSimilarMovies, getMovieWatchProviders } from '../services/api'; // Import new getMovieWatchProviders
+import {
+  getMovieDetails,
+  getSimilarMovies,
+  getMovieWatchProviders,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+  AuthError,
+} from '../services/api';
 import MovieCard from '../Components/MovieCard';
+import UserMovieActivity from '../Components/UserMovieActivity';
+import ImageGallery from '../Components/ImageGallery';
+import VideoHub from '../Components/VideoHub';
+import TmdbImage from '../Components/TmdbImage';
 import { useMovieContext } from '../contexts/MovieContext';
+import { useSettingsContext } from '../contexts/SettingsContext';
+import { useI18n } from '../contexts/I18nContext';
+import { getRegionName, getLanguageName } from '../services/userSettings';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faHeart as solidHeart } from '@fortawesome/free-solid-svg-icons';
 import { faHeart as regularHeart } from '@fortawesome/free-regular-svg-icons';
@@ -11,8 +26,25 @@ import '../css/MovieDetails.css';
 
 // Define the number of items per initial row (approximate, depends on screen size)
 const INITIAL_PHOTO_COUNT = 15; // Display approximately 3 rows of photos
-const INITIAL_VIDEO_COUNT = 12; // Display approximately 3 rows of videos
 
+// Used when TMDB has no release info for the user's region
+const FALLBACK_REGION = 'US';
+const THEATRICAL_RELEASE_TYPE = 3;
+
+const findRegionalRelease = (releaseDates, region) =>
+  releaseDates?.results.find((release) => release.iso_3166_1 === region);
+
+
+// Comma-separated list of names, each linking to the person's page
+const renderPeopleLinks = (people, emptyText) => {
+  if (!people?.length) return emptyText;
+  return people.map((person, index) => (
+    <React.Fragment key={person.id}>
+      {index > 0 && ', '}
+      <Link to={`/person/${person.id}`} className="person-link">{person.name}</Link>
+    </React.Fragment>
+  ));
+};
 
 function MovieDetails() {
   const { id } = useParams();
@@ -20,12 +52,12 @@ function MovieDetails() {
   const [similarMovies, setSimilarMovies] = useState([]);
   const [watchProviders, setWatchProviders] = useState(null); // NEW STATE for watch providers
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const [showAllImages, setShowAllImages] = useState(false);
-  const [showAllVideos, setShowAllVideos] = useState(false);
+  const [error, setError] = useState(null); // Message key, translated when rendered
 
   const { isFavourite, addToFavourites, removeFromFavourites } = useMovieContext();
+  const { region, streamingServices } = useSettingsContext();
+  const { t, language, formatDate, formatRuntime, formatDecimal, formatCompactNumber } = useI18n();
+  const notAvailable = t('common.notAvailable');
   const favourite = movie ? isFavourite(movie.id) : false;
 
   function onFavouriteClick(e) {
@@ -42,15 +74,13 @@ function MovieDetails() {
       try {
         setLoading(true);
         setError(null);
-        setShowAllImages(false);
-        setShowAllVideos(false);
 
         const movieData = await getMovieDetails(id);
         console.log("[MovieDetails] Raw movieData received from API:", movieData);
 
         if (!movieData || Object.keys(movieData).length === 0 || movieData.success === false) {
             console.warn("[MovieDetails] movieData is empty, invalid, or API returned an error:", movieData);
-            setError(movieData.status_message || "No movie data found for this ID or API error.");
+            setError('movieDetails.noData');
             setMovie(null);
             setSimilarMovies([]);
             setWatchProviders(null); // Clear watch providers on error
@@ -58,7 +88,12 @@ function MovieDetails() {
         }
         setMovie(movieData);
 
-        const similarData = await getSimilarMovies(id);
+        // Similar movies and watch providers are extras: when they fail (e.g. offline with
+        // only the details cached) the page still shows the movie without those sections.
+        const similarData = await getSimilarMovies(id).catch((err) => {
+            console.warn("[MovieDetails] Couldn't load similar movies:", err);
+            return [];
+        });
         console.log("[MovieDetails] Raw similarData received from API:", similarData);
 
         if (!Array.isArray(similarData)) {
@@ -71,19 +106,28 @@ function MovieDetails() {
         }
 
         // NEW: Fetch watch providers
-        const providersData = await getMovieWatchProviders(id, 'US'); // Fetch for US region
+        const providersData = await getMovieWatchProviders(id, region).catch((err) => {
+            console.warn("[MovieDetails] Couldn't load watch providers:", err);
+            return null;
+        });
         console.log("[MovieDetails] Raw watchProvidersData received from API:", providersData);
         setWatchProviders(providersData);
 
 
       } catch (err) {
         console.error("[MovieDetails] Caught error during data fetch:", err);
-        if (err instanceof TypeError) {
-            console.error("[MovieDetails] Network error or CORS issue. Check your API key and internet connection.");
-        } else if (err.message.includes('HTTP status')) {
-            console.error(`[MovieDetails] API responded with a non-OK status: ${err.message}`);
+        if (err instanceof NotFoundError) {
+            setError('movieDetails.notFound');
+        } else if (err instanceof RateLimitError) {
+            setError('movieDetails.rateLimited');
+        } else if (err instanceof NetworkError) {
+            setError('movieDetails.networkError');
+        } else if (err instanceof AuthError) {
+            console.error("[MovieDetails] TMDB rejected the request. Check your API key.");
+            setError('movieDetails.unavailable');
+        } else {
+            setError('movieDetails.loadFailed');
         }
-        setError("Failed to load movie details. Please try again later.");
         setMovie(null);
         setSimilarMovies([]);
         setWatchProviders(null); // Clear watch providers on error
@@ -94,61 +138,43 @@ function MovieDetails() {
     };
 
     fetchData();
-  }, [id]);
-
-  // --- Helper Functions (No changes here, copied for completeness) ---
-  const getOfficialTrailer = (videos) => {
-    return videos?.results.find(
-      (video) => video.type === 'Trailer' && video.site === 'YouTube' && video.official
-    );
-  };
-
-  const formatRuntime = (minutes) => {
-    if (!minutes) return 'N/A';
-    const hours = Math.floor(minutes / 60);
-    const remainingMinutes = minutes % 60;
-    return `${hours}h ${remainingMinutes}m`;
-  };
+  }, [id, region]);
 
+  // --- Helper Functions ---
+  // Certification and release date come from the user's region, falling back to the US ones
   const getCertification = (releaseDates) => {
-    const usRelease = releaseDates?.results.find(
-      (release) => release.iso_3166_1 === 'US'
-    );
-    const certification = usRelease?.release_dates.find(
-      (date) => date.certification !== ''
-    )?.certification;
-    return certification || 'N/A';
+    const certification = [region, FALLBACK_REGION]
+      .map((country) => findRegionalRelease(releaseDates, country)?.release_dates.find(
+        (date) => date.certification !== ''
+      )?.certification)
+      .find(Boolean);
+    return certification || notAvailable;
   };
 
   const getFormattedReleaseDate = (releaseDates, fallbackDate) => {
-    const usRelease = releaseDates?.results.find(
-      (release) => release.iso_3166_1 === 'US'
-    );
-    const primaryDate = usRelease?.release_dates[0]?.release_date;
-    if (primaryDate) {
-      return new Date(primaryDate).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-    }
-    return fallbackDate || 'N/A';
+    const regionalRelease = findRegionalRelease(releaseDates, region) || findRegionalRelease(releaseDates, FALLBACK_REGION);
+    // Prefer the theatrical release over premieres and festival screenings
+    const primaryDate = (
+      regionalRelease?.release_dates.find((date) => date.type === THEATRICAL_RELEASE_TYPE) ||
+      regionalRelease?.release_dates[0]
+    )?.release_date;
+    return formatDate(primaryDate || fallbackDate) || notAvailable;
   };
 
   // --- Conditional Rendering for Loading, Error, Not Found ---
   if (loading) {
     console.log("[MovieDetails] Rendering: Loading state display...");
-    return <div className="movie-details-loading">Loading movie details...</div>;
+    return <div className="movie-details-loading">{t('movieDetails.loading')}</div>;
   }
 
   if (error) {
     console.log("[MovieDetails] Rendering: Error state display. Error message:", error);
-    return <div className="movie-details-error">{error}</div>;
+    return <div className="movie-details-error">{t(error)}</div>;
   }
 
   if (!movie) {
     console.log("[MovieDetails] Rendering: Movie not found state (movie object is null after loading).");
-    return <div className="movie-details-not-found">Movie not found.</div>;
+    return <div className="movie-details-not-found">{t('movieDetails.notFound')}</div>;
   }
 
   // --- Destructure movie data for easier access ---
@@ -171,49 +197,37 @@ function MovieDetails() {
     spoken_languages,
     alternative_titles,
     production_companies,
+    belongs_to_collection,
   } = movie;
 
-  const officialTrailer = getOfficialTrailer(videos);
-  const formattedRuntime = formatRuntime(runtime);
+  const formattedRuntime = formatRuntime(runtime) || notAvailable;
   const certification = getCertification(release_dates);
   const formattedReleaseDate = getFormattedReleaseDate(release_dates, release_date);
 
   const directors = credits?.crew.filter(c => c.job === 'Director');
-  const writers = credits?.crew.filter(c => ['Writer', 'Screenplay', 'Story'].includes(c.job));
+  // Someone credited for both Screenplay and Story should only be listed once
+  const writers = credits?.crew
+    .filter(c => ['Writer', 'Screenplay', 'Story'].includes(c.job))
+    .filter((c, index, self) => index === self.findIndex((other) => other.id === c.id));
   const castToShow = credits?.cast ? credits.cast.slice(0, 20) : [];
 
-  const allAvailableImages = [
-    ...(images?.backdrops || []),
-    ...(images?.posters || [])
-  ].filter((img, index, self) =>
-    index === self.findIndex((t) => (
-      t.file_path === img.file_path
-    ))
-  );
-  const imagesToDisplay = showAllImages ? allAvailableImages : allAvailableImages.slice(0, INITIAL_PHOTO_COUNT);
-
-
-  const allAvailableVideos = videos?.results.filter(video =>
-    video.site === 'YouTube' && video.key !== officialTrailer?.key
-  ) || [];
-  const videosToDisplay = showAllVideos ? allAvailableVideos : allAvailableVideos.slice(0, INITIAL_VIDEO_COUNT);
 
   const stars = credits?.cast.filter(c => c.order < 5);
+  const languageCode = spoken_languages?.[0]?.iso_639_1 || movie.original_language;
+  // The TMDB link goes where the translation puts {link}
+  const [findOptionsBefore, findOptionsAfter] = t('movieDetails.findAllOptions').split('{link}');
 
 
   return (
     <div className="movie-details-page">
       {/* Movie Header with Backdrop and Poster */}
-      <div className="movie-header-backdrop" style={{
-        backgroundImage: backdrop_path ? `url(https://image.tmdb.org/t/p/original${backdrop_path})` : 'none'
-      }}>
+      <div className="movie-header-backdrop">
+        {backdrop_path && (
+          <TmdbImage path={backdrop_path} type="backdrop" width={1280} sizes="100vw" priority className="header-backdrop-image" />
+        )}
         <div className="backdrop-overlay"></div>
         <div className="movie-header-content">
-          <img
-            src={poster_path ? `https://image.tmdb.org/t/p/w500${poster_path}` : '/placeholder-poster.png'}
-            alt={title}
-            className="movie-poster-large"
-          />
+          <TmdbImage path={poster_path} type="poster" alt={title} width={250} priority className="movie-poster-large" />
           <div className="movie-info-header">
             <div className="title-and-favorite">
                 <h1>{title}</h1>
@@ -221,23 +235,27 @@ function MovieDetails() {
                 <button
                     className={`favourite-btn-details ${favourite ? "active" : ""}`}
                     onClick={onFavouriteClick}
-                    title={favourite ? "Remove from favorites" : "Add to favorites"}
+                    title={favourite ? t('movieDetails.removeFavourite') : t('movieDetails.addFavourite')}
                 >
                     <FontAwesomeIcon icon={favourite ? solidHeart : regularHeart} />
                 </button>
             </div>
 
             <div className="subtitle-info">
-              <span>{release_date ? release_date.split('-')[0] : 'N/A'}</span>
+              <span>{release_date ? release_date.split('-')[0] : notAvailable}</span>
               <span>{certification}</span>
               <span>{formattedRuntime}</span>
             </div>
             <div className="rating-info">
               <span className="star-icon">⭐</span>
               <span className="score">
-                {vote_average ? vote_average.toFixed(1) : 'N/A'}/10
+                {vote_average ? t('common.score', { score: formatDecimal(vote_average) }) : notAvailable}
               </span>
-              <span className="vote-count">({vote_count ? (vote_count / 1000).toFixed(0) + 'K' : 'N/A'} votes)</span>
+              {vote_count > 0 && (
+                <span className="vote-count">
+                  {t('movieDetails.votes', { count: vote_count, votes: formatCompactNumber(vote_count) })}
+                </span>
+              )}
             </div>
             <div className="genres">
               {genres && genres.map((genre) => (
@@ -252,49 +270,55 @@ function MovieDetails() {
 
       {/* Main Body Content */}
       <div className="movie-body-content">
+        {/* Part of a franchise: links to the collection's watch-in-order page */}
+        {belongs_to_collection && (
+          <Link to={`/collection/${belongs_to_collection.id}`} className="collection-banner">
+            {belongs_to_collection.backdrop_path && (
+              <TmdbImage
+                path={belongs_to_collection.backdrop_path}
+                type="backdrop"
+                sizes="(max-width: 1200px) 100vw, 1200px"
+                className="collection-banner-image"
+              />
+            )}
+            <span className="collection-banner-name">
+              {t('movieDetails.partOfCollection', { name: belongs_to_collection.name })}
+            </span>
+            <span className="collection-banner-link">{t('movieDetails.viewCollection')}</span>
+          </Link>
+        )}
+
         {/* Storyline */}
         <section className="section-block">
-          <h2 className="section-title">Storyline</h2>
-          <p className="storyline-text">{overview || 'No storyline available.'}</p>
+          <h2 className="section-title">{t('movieDetails.storyline')}</h2>
+          <p className="storyline-text">{overview || t('movieDetails.noStoryline')}</p>
         </section>
 
-        {/* Trailer Section */}
-        {officialTrailer && (
-          <section className="section-block trailer-section">
-            <h2 className="section-title">Trailer</h2>
-            <div className="video-player-wrapper">
-              <iframe
-                src={`https://www.youtube.com/embed/${officialTrailer.key}`} // Correct YouTube embed URL
-                frameBorder="0"
-                allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                allowFullScreen
-                title={officialTrailer.name}
-              ></iframe>
-            </div>
-          </section>
-        )}
+        {/* Watchlist, diary, rating and review */}
+        <UserMovieActivity key={movie.id} movie={movie} />
+
+        {/* Trailers, teasers, clips and featurettes; nothing loads from YouTube until one is played */}
+        <VideoHub key={movie.id} videos={videos} title={title} />
 
         {/* NEW: Where to Watch Section */}
         {watchProviders && (
           <section className="section-block where-to-watch-section">
-            <h2 className="section-title">Where to Watch</h2>
+            <h2 className="section-title">{t('movieDetails.whereToWatch')}</h2>
             {watchProviders.link && (
                 <p className="watch-provider-link-text">
-                    Find all options at <a href={watchProviders.link} target="_blank" rel="noopener noreferrer">TMDB</a>
+                    {findOptionsBefore}<a href={watchProviders.link} target="_blank" rel="noopener noreferrer">TMDB</a>{findOptionsAfter}
                 </p>
             )}
             {watchProviders.flatrate?.length > 0 && (
               <div className="provider-category">
-                <h3>Stream</h3>
+                <h3>{t('movieDetails.stream')}</h3>
                 <div className="provider-list">
                   {watchProviders.flatrate.map((provider) => (
-                    <div key={provider.provider_id} className="provider-item">
-                      <img
-                        src={`https://image.tmdb.org/t/p/original${provider.logo_path}`}
-                        alt={provider.provider_name}
-                        title={provider.provider_name}
-                        className="provider-logo"
-                      />
+                    <div
+                      key={provider.provider_id}
+                      className={`provider-item ${streamingServices.includes(provider.provider_id) ? 'mine' : ''}`}
+                    >
+                      <TmdbImage path={provider.logo_path} type="logo" alt="" width={60} className="provider-logo" />
                       <span>{provider.provider_name}</span>
                     </div>
                   ))}
@@ -303,16 +327,11 @@ function MovieDetails() {
             )}
             {watchProviders.rent?.length > 0 && (
               <div className="provider-category">
-                <h3>Rent</h3>
+                <h3>{t('movieDetails.rent')}</h3>
                 <div className="provider-list">
                   {watchProviders.rent.map((provider) => (
                     <div key={provider.provider_id} className="provider-item">
-                      <img
-                        src={`https://image.tmdb.org/t/p/original${provider.logo_path}`}
-                        alt={provider.provider_name}
-                        title={provider.provider_name}
-                        className="provider-logo"
-                      />
+                      <TmdbImage path={provider.logo_path} type="logo" alt="" width={60} className="provider-logo" />
                       <span>{provider.provider_name}</span>
                     </div>
                   ))}
@@ -321,16 +340,11 @@ function MovieDetails() {
             )}
             {watchProviders.buy?.length > 0 && (
               <div className="provider-category">
-                <h3>Buy</h3>
+                <h3>{t('movieDetails.buy')}</h3>
                 <div className="provider-list">
                   {watchProviders.buy.map((provider) => (
                     <div key={provider.provider_id} className="provider-item">
-                      <img
-                        src={`https://image.tmdb.org/t/p/original${provider.logo_path}`}
-                        alt={provider.provider_name}
-                        title={provider.provider_name}
-                        className="provider-logo"
-                      />
+                      <TmdbImage path={provider.logo_path} type="logo" alt="" width={60} className="provider-logo" />
                       <span>{provider.provider_name}</span>
                     </div>
                   ))}
@@ -338,7 +352,7 @@ function MovieDetails() {
               </div>
             )}
             {!watchProviders.flatrate?.length && !watchProviders.rent?.length && !watchProviders.buy?.length && (
-                <p>No streaming, rent, or buy options available in US.</p>
+                <p>{t('movieDetails.noProviders', { region: getRegionName(region, language) })}</p>
             )}
           </section>
         )}
@@ -346,34 +360,34 @@ function MovieDetails() {
 
         {/* Details Section */}
         <section className="section-block">
-          <h2 className="section-title">Details</h2>
+          <h2 className="section-title">{t('movieDetails.details')}</h2>
           <ul className="details-list">
             <li>
-              <strong>Release Date:</strong> {formattedReleaseDate}
+              <strong>{t('movieDetails.releaseDate')}</strong> {formattedReleaseDate}
             </li>
             <li>
-              <strong>Countries of Origin:</strong>{' '}
-              {production_countries?.map((country) => country.name).join(', ') || 'N/A'}
+              <strong>{t('movieDetails.countries')}</strong>{' '}
+              {production_countries?.map((country) => country.name).join(', ') || notAvailable}
             </li>
             {homepage && (
               <li>
-                <strong>Official Site:</strong>{' '}
+                <strong>{t('movieDetails.officialSite')}</strong>{' '}
                 <a href={homepage} target="_blank" rel="noopener noreferrer">
                   {homepage}
                 </a>
               </li>
             )}
             <li>
-              <strong>Language:</strong>{' '}
-              {spoken_languages?.[0]?.english_name || movie.original_language || 'N/A'}
+              <strong>{t('movieDetails.language')}</strong>{' '}
+              {languageCode ? getLanguageName(languageCode, language) : notAvailable}
             </li>
             <li>
-              <strong>Also Known As:</strong>{' '}
-              {alternative_titles?.titles?.map((t) => t.title).join(', ') || 'N/A'}
+              <strong>{t('movieDetails.alsoKnownAs')}</strong>{' '}
+              {alternative_titles?.titles?.map((alternative) => alternative.title).join(', ') || notAvailable}
             </li>
             <li>
-              <strong>Production Companies:</strong>{' '}
-              {production_companies?.map((company) => company.name).join(', ') || 'N/A'}
+              <strong>{t('movieDetails.productionCompanies')}</strong>{' '}
+              {production_companies?.map((company) => company.name).join(', ') || notAvailable}
             </li>
           </ul>
         </section>
@@ -381,115 +395,45 @@ function MovieDetails() {
         {/* Expanded Cast & Crew Section */}
         {credits && (
           <section className="section-block">
-            <h2 className="section-title">Cast & Crew</h2>
+            <h2 className="section-title">{t('movieDetails.castAndCrew')}</h2>
             <ul className="details-list cast-crew-overview">
                 <li>
-                    <strong>Director:</strong>{' '}
-                    {directors?.map((d) => d.name).join(', ') || 'N/A'}
+                    <strong>{t('movieDetails.director')}</strong>{' '}
+                    {renderPeopleLinks(directors, notAvailable)}
                 </li>
                 <li>
-                    <strong>Writers:</strong>{' '}
-                    {writers?.map((w) => w.name).join(', ') || 'N/A'}
+                    <strong>{t('movieDetails.writers')}</strong>{' '}
+                    {renderPeopleLinks(writers, notAvailable)}
                 </li>
                  <li>
-                    <strong>Stars:</strong>{' '}
-                    {stars?.map((actor) => actor.name).join(', ') || 'N/A'}
+                    <strong>{t('movieDetails.stars')}</strong>{' '}
+                    {renderPeopleLinks(stars, notAvailable)}
                   </li>
             </ul>
 
             {castToShow.length > 0 && (
                 <div className="cast-grid">
                   {castToShow.map((person) => (
-                    <div key={person.id} className="cast-item">
-                      <img
-                        src={person.profile_path ? `https://image.tmdb.org/t/p/w185${person.profile_path}` : '/placeholder-person.png'}
-                        alt={person.name}
-                        className="cast-photo"
-                      />
+                    <Link to={`/person/${person.id}`} key={person.id} className="cast-item">
+                      <TmdbImage path={person.profile_path} type="profile" label={person.name} width={100} className="cast-photo" />
                       <div className="cast-info">
                         <span className="cast-name">{person.name}</span>
                         <span className="cast-character">{person.character}</span>
                       </div>
-                    </div>
+                    </Link>
                   ))}
                 </div>
             )}
           </section>
         )}
 
-        {/* Photos Section */}
-        {allAvailableImages.length > 0 && (
-          <section className="section-block">
-            <h2 className="section-title">Photos ({allAvailableImages.length})</h2>
-            <div className="image-gallery limited-photos-grid">
-              {imagesToDisplay.map((image, index) => (
-                <img
-                  key={image.file_path || index}
-                  src={`https://image.tmdb.org/t/p/w500${image.file_path}`}
-                  alt={`${title} still ${index + 1}`}
-                  className="gallery-image"
-                />
-              ))}
-            </div>
-            {allAvailableImages.length > INITIAL_PHOTO_COUNT && !showAllImages && (
-              <div className="view-more-container">
-                <button className="view-more-button" onClick={() => setShowAllImages(true)}>
-                  View All {allAvailableImages.length - INITIAL_PHOTO_COUNT} Photos
-                </button>
-              </div>
-            )}
-             {allAvailableImages.length > INITIAL_PHOTO_COUNT && showAllImages && (
-              <div className="view-more-container">
-                <button className="view-more-button" onClick={() => setShowAllImages(false)}>
-                  Show Less
-                </button>
-              </div>
-            )}
-          </section>
-        )}
-
-        {/* Videos Section */}
-        {allAvailableVideos.length > 0 && (
-          <section className="section-block">
-            <h2 className="section-title">Videos ({allAvailableVideos.length})</h2>
-            <div className="other-videos-grid limited-videos-grid">
-              {videosToDisplay.map((video) => (
-                <div key={video.key} className="video-thumbnail-wrapper">
-                  <a href={`https://www.youtube.com/watch?v=${video.key}`} target="_blank" rel="noopener noreferrer"> {/* Correct YouTube watch URL */}
-                    <img
-                      src={`https://img.youtube.com/vi/${video.key}/mqdefault.jpg`} // Correct YouTube thumbnail URL
-                      alt={video.name}
-                      className="video-thumbnail"
-                    />
-                    <div className="video-thumbnail-overlay">
-                        <span className="play-icon">▶</span>
-                        <span className="video-name">{video.name}</span>
-                    </div>
-                  </a>
-                </div>
-              ))}
-            </div>
-            {allAvailableVideos.length > INITIAL_VIDEO_COUNT && !showAllVideos && (
-              <div className="view-more-container">
-                <button className="view-more-button" onClick={() => setShowAllVideos(true)}>
-                  View All {allAvailableVideos.length - INITIAL_VIDEO_COUNT} Videos
-                </button>
-              </div>
-            )}
-             {allAvailableVideos.length > INITIAL_VIDEO_COUNT && showAllVideos && (
-              <div className="view-more-container">
-                <button className="view-more-button" onClick={() => setShowAllVideos(false)}>
-                  Show Less
-                </button>
-              </div>
-            )}
-          </section>
-        )}
+        {/* Photos: backdrops, posters and logos, with a full-screen viewer */}
+        <ImageGallery key={movie.id} images={images} title={title} initialCount={INITIAL_PHOTO_COUNT} />
 
         {/* Similar Movies Section */}
         {similarMovies.length > 0 && (
           <section className="section-block similar-movies-section">
-            <h2 className="section-title">Similar Movies</h2>
+            <h2 className="section-title">{t('movieDetails.similar')}</h2>
             <div className="similar-movies-grid movies-grid">
               {similarMovies.map((similarMovie) => (
                 <MovieCard key={similarMovie.id} movie={similarMovie} />
@@ -0,0 +1,107 @@
+// Pages/MyLists.jsx
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useMovieContext } from "../contexts/MovieContext";
+import { useListsContext } from "../contexts/ListsContext";
+import { useI18n } from "../contexts/I18nContext";
+import { MAX_LIST_NAME_LENGTH } from "../services/customLists";
+import TmdbImage from "../Components/TmdbImage";
+import "../css/UserLists.css";
+import "../css/CustomLists.css";
+
+const PREVIEW_POSTER_COUNT = 4;
+
+function MyLists() {
+    const { currentUser } = useMovieContext();
+    const { lists, listsLoading, listsError, createList } = useListsContext();
+    const navigate = useNavigate();
+    const { t } = useI18n();
+
+    const [name, setName] = useState("");
+    const [description, setDescription] = useState("");
+    const [creating, setCreating] = useState(false);
+    const [createError, setCreateError] = useState(false);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setCreating(true);
+        setCreateError(false);
+        try {
+            const list = await createList(name, description);
+            navigate(`/lists/${list.id}`);
+        } catch {
+            setCreateError(true);
+            setCreating(false);
+        }
+    };
+
+    if (!currentUser) {
+        // The sign-in link goes where the translation puts {link}
+        const [before, after] = t("lists.signedOut").split("{link}");
+        return (
+            <div className="user-list-empty custom-lists-signed-out">
+                <h2>{t("lists.title")}</h2>
+                <p>
+                    {before}<Link to="/account">{t("lists.signIn")}</Link>{after}
+                </p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="custom-lists-page">
+            <h2>{t("lists.title")}</h2>
+
+            <form className="custom-list-create" onSubmit={handleCreate}>
+                <input
+                    type="text"
+                    className="custom-list-input"
+                    placeholder={t("lists.namePlaceholder")}
+                    value={name}
+                    maxLength={MAX_LIST_NAME_LENGTH}
+                    onChange={(e) => setName(e.target.value)}
+                />
+                <input
+                    type="text"
+                    className="custom-list-input"
+                    placeholder={t("lists.descriptionPlaceholder")}
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                />
+                <button type="submit" className="custom-list-button primary" disabled={creating || !name.trim()}>
+                    {creating ? t("lists.creating") : t("lists.create")}
+                </button>
+            </form>
+            {createError && <p className="custom-list-error">{t("lists.createFailed")}</p>}
+
+            {listsLoading && <div className="user-list-loading">{t("lists.loading")}</div>}
+            {listsError && <p className="custom-list-error">{t(listsError)}</p>}
+
+            {!listsLoading && lists.length === 0 && (
+                <p className="custom-lists-none">{t("lists.none")}</p>
+            )}
+
+            <div className="custom-lists-grid">
+                {lists.map((list) => (
+                    <Link to={`/lists/${list.id}`} key={list.id} className="custom-list-tile">
+                        <div className="custom-list-tile-posters">
+                            {list.entries.slice(0, PREVIEW_POSTER_COUNT).map((entry) => (
+                                <TmdbImage key={entry.id} path={entry.poster_path} type="poster" label={entry.title} width={100} />
+                            ))}
+                        </div>
+                        <div className="custom-list-tile-info">
+                            <h3>{list.name}</h3>
+                            <p>
+                                {t("lists.movieCount", { count: list.entries.length })}
+                                {list.isPublic && <span className="custom-list-public-badge">{t("lists.public")}</span>}
+                            </p>
+                        </div>
+                    </Link>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default MyLists;
@@ -1,12 +1,18 @@
 import React, { useState, useEffect, useRef } from "react";
 import { Link } from "react-router-dom";
 import { useGenreContext } from "../contexts/GenreContext";
+import { useMovieContext } from "../contexts/MovieContext";
+import { useI18n } from "../contexts/I18nContext";
+import SearchBox from "../Components/SearchBox";
+import LanguageSwitcher from "../Components/LanguageSwitcher";
 import "../css/Navbar.css";
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faBars, faTimes, faChevronDown, faChevronUp, faUserCircle } from '@fortawesome/free-solid-svg-icons';
+import { faBars, faTimes, faChevronDown, faChevronUp, faUserCircle, faRotate, faCloud } from '@fortawesome/free-solid-svg-icons';
 
 function NavBar() {
     const { genres, genresLoading, genresError } = useGenreContext();
+    const { syncStatus, pendingWriteCount } = useMovieContext();
+    const { t } = useI18n();
     const [isDropdownOpen, setIsDropdownOpen] = useState(false);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const [isMobileGenreSubMenuOpen, setIsMobileGenreSubMenuOpen] = useState(false);
@@ -77,16 +83,30 @@ function NavBar() {
     return (
         <nav className="navbar">
             <div className="navbar-brand">
-                <Link to="/">Movie Library</Link>
+                <Link to="/">{t('nav.brand')}</Link>
             </div>
 
+            {syncStatus !== 'synced' && (
+                <div className={`sync-badge ${syncStatus}`} role="status">
+                    <FontAwesomeIcon icon={syncStatus === 'offline' ? faCloud : faRotate} spin={syncStatus === 'syncing'} />
+                    {syncStatus === 'offline'
+                        ? (pendingWriteCount > 0 ? t('nav.offlinePending', { count: pendingWriteCount }) : t('nav.offline'))
+                        : t('nav.syncing')}
+                </div>
+            )}
+
+            <SearchBox />
+
             <div className="hamburger-icon" onClick={toggleMobileMenu}>
                 <FontAwesomeIcon icon={isMobileMenuOpen ? faTimes : faBars} />
             </div>
 
             <div className="navbar-links desktop-nav-links">
-                <Link to="/" className="nav-link"> Home </Link>
-                <Link to="/favourites" className="nav-link"> Favourites </Link>
+                <Link to="/" className="nav-link"> {t('nav.home')} </Link>
+                <Link to="/favourites" className="nav-link"> {t('nav.favourites')} </Link>
+                <Link to="/watchlist" className="nav-link"> {t('nav.watchlist')} </Link>
+                <Link to="/diary" className="nav-link"> {t('nav.diary')} </Link>
+                <Link to="/lists" className="nav-link"> {t('nav.lists')} </Link>
                 <div
                     className="nav-dropdown"
                     ref={dropdownRef}
@@ -94,14 +114,14 @@ function NavBar() {
                     onMouseLeave={handleMouseLeave}
                 >
                     <button className="nav-link nav-dropdown-toggle" onClick={toggleDesktopDropdown}>
-                        Genres <FontAwesomeIcon icon={isDropdownOpen ? faChevronUp : faChevronDown} style={{ marginLeft: '5px' }} />
+                        {t('nav.genres')} <FontAwesomeIcon icon={isDropdownOpen ? faChevronUp : faChevronDown} style={{ marginInlineStart: '5px' }} />
                     </button>
                     {isDropdownOpen && (
                         <div className="dropdown-menu">
-                            {genresLoading && <div className="dropdown-loading">Loading genres...</div>}
-                            {genresError && <div className="dropdown-error">Error loading genres.</div>}
+                            {genresLoading && <div className="dropdown-loading">{t('nav.loadingGenres')}</div>}
+                            {genresError && <div className="dropdown-error">{t('nav.genresError')}</div>}
                             {!genresLoading && !genresError && genres.length === 0 && (
-                                <div className="dropdown-empty">No genres found.</div>
+                                <div className="dropdown-empty">{t('nav.noGenres')}</div>
                             )}
                             {!genresLoading && !genresError && genres.length > 0 && (
                                 <div className="genres-grid">
@@ -120,9 +140,10 @@ function NavBar() {
                         </div>
                     )}
                 </div>
+                <LanguageSwitcher />
                 <Link to="/account" className="nav-link">
-                    <FontAwesomeIcon icon={faUserCircle} style={{ marginRight: '5px' }} />
-                    Account
+                    <FontAwesomeIcon icon={faUserCircle} style={{ marginInlineEnd: '5px' }} />
+                    {t('nav.account')}
                 </Link>
             </div>
 
@@ -134,21 +155,25 @@ function NavBar() {
                     </div>
                     {/* --- END NEW CLOSE ICON --- */}
 
-                    <Link to="/" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>Home</Link>
-                    <Link to="/favourites" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>Favourites</Link>
+                    <Link to="/" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>{t('nav.home')}</Link>
+                    <Link to="/favourites" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>{t('nav.favourites')}</Link>
+                    <Link to="/watchlist" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>{t('nav.watchlist')}</Link>
+                    <Link to="/diary" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>{t('nav.diary')}</Link>
+                    <Link to="/ratings" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>{t('nav.ratings')}</Link>
+                    <Link to="/lists" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>{t('nav.lists')}</Link>
 
                     <div className="mobile-nav-genre-toggle">
                         <button onClick={toggleMobileGenreSubMenu}>
-                            Genres <FontAwesomeIcon icon={isMobileGenreSubMenuOpen ? faChevronUp : faChevronDown} style={{ marginLeft: '5px' }} />
+                            {t('nav.genres')} <FontAwesomeIcon icon={isMobileGenreSubMenuOpen ? faChevronUp : faChevronDown} style={{ marginInlineStart: '5px' }} />
                         </button>
                     </div>
 
                     {isMobileGenreSubMenuOpen && (
                         <div className={`mobile-genre-sub-menu ${isMobileGenreSubMenuOpen ? 'open' : ''}`}>
-                            {genresLoading && <div className="mobile-dropdown-loading">Loading genres...</div>}
-                            {genresError && <div className="mobile-dropdown-error">Error loading genres.</div>}
+                            {genresLoading && <div className="mobile-dropdown-loading">{t('nav.loadingGenres')}</div>}
+                            {genresError && <div className="mobile-dropdown-error">{t('nav.genresError')}</div>}
                             {!genresLoading && !genresError && genres.length === 0 && (
-                                <div className="mobile-dropdown-empty">No genres found.</div>
+                                <div className="mobile-dropdown-empty">{t('nav.noGenres')}</div>
                             )}
                             {!genresLoading && !genresError && genres.length > 0 && (
                                 <div className="mobile-genres-list">
@@ -166,9 +191,10 @@ function NavBar() {
                             )}
                         </div>
                     )}
+                    <LanguageSwitcher className="mobile" />
                     <Link to="/account" className="mobile-nav-link" onClick={() => setIsMobileMenuOpen(false)}>
-                        <FontAwesomeIcon icon={faUserCircle} style={{ marginRight: '5px' }} />
-                        Account
+                        <FontAwesomeIcon icon={faUserCircle} style={{ marginInlineEnd: '5px' }} />
+                        {t('nav.account')}
                     </Link>
                 </div>
             )}
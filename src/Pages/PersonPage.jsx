@@ -0,0 +1,259 @@
+// Pages/PersonPage.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { getPersonDetails, NotFoundError } from '../services/api';
+import MovieCard from '../Components/MovieCard';
+import TvCard from '../Components/TvCard';
+import ImageGallery from '../Components/ImageGallery';
+import TmdbImage from '../Components/TmdbImage';
+import { useI18n } from '../contexts/I18nContext';
+import '../css/MovieDetails.css';
+import '../css/PersonPage.css';
+
+const KNOWN_FOR_COUNT = 8;
+
+// TMDB's department names -> personPage.departments.<key>; others are shown as TMDB sends them
+const DEPARTMENT_KEYS = {
+  Acting: 'acting',
+  Directing: 'directing',
+  Writing: 'writing',
+  Production: 'production',
+  Creator: 'creator',
+  Camera: 'camera',
+  Editing: 'editing',
+  Sound: 'sound',
+  Art: 'art',
+  'Costume & Make-Up': 'costume',
+  'Visual Effects': 'visualEffects',
+  Lighting: 'lighting',
+  Crew: 'crew',
+};
+
+// Filmography filters, selected with ?dept=. Crew departments use TMDB's names.
+const DEPARTMENT_FILTERS = ['all', 'Acting', 'Directing', 'Writing'];
+
+// Labels are personPage.sort.<option>
+const SORT_OPTIONS = ['year', 'popularity'];
+
+// Shows are dated by their first episode
+const getDate = (credit) => credit.release_date || credit.first_air_date || '';
+const getYear = (credit) => Number(getDate(credit).split('-')[0]) || null;
+
+// Talk and news show appearances (TMDB genres 10767 and 10763) would bury the actual roles
+const TALK_AND_NEWS_GENRES = [10767, 10763];
+const isListedCredit = (credit) =>
+  credit.media_type === 'movie' ||
+  (credit.media_type === 'tv' && !credit.genre_ids?.some((id) => TALK_AND_NEWS_GENRES.includes(id)));
+
+// One entry per movie or show, with every role the person had on it (e.g. Director and Writer)
+const buildFilmography = (combinedCredits) => {
+  const entries = new Map();
+  const addRole = (credit, role) => {
+    if (!isListedCredit(credit)) return;
+    const key = `${credit.media_type}-${credit.id}`; // Movie and show ids can clash
+    if (!entries.has(key)) entries.set(key, { key, movie: credit, roles: [] });
+    entries.get(key).roles.push(role);
+  };
+
+  combinedCredits?.cast?.forEach((credit) =>
+    addRole(credit, { department: 'Acting', label: credit.character })
+  );
+  combinedCredits?.crew?.forEach((credit) =>
+    addRole(credit, { department: credit.department, label: credit.job })
+  );
+  return [...entries.values()];
+};
+
+// Newest first; titles without a release date yet (announced projects) lead the list
+const byYear = (a, b) =>
+  (getDate(b.movie) || '9999').localeCompare(getDate(a.movie) || '9999');
+const byPopularity = (a, b) => (b.movie.popularity || 0) - (a.movie.popularity || 0);
+
+function PersonPage() {
+  const { id } = useParams();
+  const { t, formatDate, formatNumber, formatYear } = useI18n();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [person, setPerson] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null); // Message key, translated when rendered
+
+  const department = DEPARTMENT_FILTERS.includes(searchParams.get('dept'))
+    ? searchParams.get('dept')
+    : 'all';
+  const sortBy = searchParams.get('sort') === 'popularity' ? 'popularity' : 'year';
+
+  useEffect(() => {
+    const fetchPerson = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const personData = await getPersonDetails(id);
+        setPerson(personData);
+      } catch (err) {
+        console.error("[PersonPage] Failed to load person:", err);
+        setError(err instanceof NotFoundError ? 'personPage.notFound' : 'personPage.loadFailed');
+        setPerson(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPerson();
+  }, [id]);
+
+  const filmography = useMemo(() => buildFilmography(person?.combined_credits), [person]);
+
+  // Best-known titles in the person's main department, ranked by how many people voted on them
+  const knownFor = useMemo(() => {
+    const mainDepartment = person?.known_for_department || 'Acting';
+    const inMainDepartment = filmography.filter((entry) =>
+      entry.roles.some((role) => role.department === mainDepartment)
+    );
+    return (inMainDepartment.length ? inMainDepartment : filmography)
+      .filter((entry) => entry.movie.poster_path)
+      .sort((a, b) => (b.movie.vote_count || 0) - (a.movie.vote_count || 0))
+      .slice(0, KNOWN_FOR_COUNT)
+      .map((entry) => entry.movie);
+  }, [person, filmography]);
+
+  // Only offer department filters the person actually has credits in
+  const availableDepartments = useMemo(
+    () => DEPARTMENT_FILTERS.filter((value) =>
+      value === 'all' || filmography.some((entry) => entry.roles.some((role) => role.department === value))
+    ),
+    [filmography]
+  );
+
+  const visibleFilmography = useMemo(() => {
+    const filtered = department === 'all'
+      ? filmography
+      : filmography
+          .map((entry) => ({ ...entry, roles: entry.roles.filter((role) => role.department === department) }))
+          .filter((entry) => entry.roles.length > 0);
+    return [...filtered].sort(sortBy === 'popularity' ? byPopularity : byYear);
+  }, [filmography, department, sortBy]);
+
+  const updateParam = (key, value, defaultValue) => {
+    const next = new URLSearchParams(searchParams);
+    if (value === defaultValue) next.delete(key);
+    else next.set(key, value);
+    setSearchParams(next, { replace: true });
+  };
+
+  const departmentName = (name) =>
+    DEPARTMENT_KEYS[name] ? t(`personPage.departments.${DEPARTMENT_KEYS[name]}`) : name;
+
+  if (loading) {
+    return <div className="movie-details-loading">{t('common.loading')}</div>;
+  }
+
+  if (error || !person) {
+    return <div className="movie-details-error">{t(error || 'personPage.notFound')}</div>;
+  }
+
+  const { name, profile_path, biography, known_for_department, birthday, deathday, place_of_birth } = person;
+
+  return (
+    <div className="movie-details-page person-page">
+      <div className="person-header">
+        <TmdbImage path={profile_path} type="profile" alt={name} width={220} priority className="person-photo-large" />
+        <div className="person-info-header">
+          <h1>{name}</h1>
+          <ul className="details-list">
+            {known_for_department && (
+              <li><strong>{t('personPage.knownForDepartment')}</strong> {departmentName(known_for_department)}</li>
+            )}
+            {birthday && (
+              <li>
+                <strong>{t('personPage.born')}</strong>{' '}
+                {place_of_birth
+                  ? t('personPage.bornIn', { date: formatDate(birthday), place: place_of_birth })
+                  : formatDate(birthday)}
+              </li>
+            )}
+            {deathday && (
+              <li><strong>{t('personPage.died')}</strong> {formatDate(deathday)}</li>
+            )}
+            <li><strong>{t('personPage.credits')}</strong> {formatNumber(filmography.length)}</li>
+          </ul>
+        </div>
+      </div>
+
+      <div className="movie-body-content">
+        <section className="section-block">
+          <h2 className="section-title">{t('personPage.biography')}</h2>
+          <p className="storyline-text person-biography">{biography || t('personPage.noBiography', { name })}</p>
+        </section>
+
+        {/* Known For */}
+        {knownFor.length > 0 && (
+          <section className="section-block similar-movies-section">
+            <h2 className="section-title">{t('personPage.knownFor')}</h2>
+            <div className="similar-movies-grid movies-grid">
+              {knownFor.map((movie) => (
+                movie.media_type === 'tv'
+                  ? <TvCard key={`tv-${movie.id}`} show={movie} />
+                  : <MovieCard key={`movie-${movie.id}`} movie={movie} />
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Filmography */}
+        {filmography.length > 0 && (
+          <section className="section-block">
+            <h2 className="section-title">{t('personPage.filmography')}</h2>
+            <div className="filmography-controls">
+              <div className="filmography-filters" role="group" aria-label={t('personPage.departmentFilter')}>
+                {availableDepartments.map((value) => (
+                  <button
+                    key={value}
+                    className={`filmography-filter-button ${department === value ? 'active' : ''}`}
+                    onClick={() => updateParam('dept', value, 'all')}
+                    aria-pressed={department === value}
+                  >
+                    {value === 'all' ? t('personPage.allDepartments') : departmentName(value)}
+                  </button>
+                ))}
+              </div>
+              <label className="filmography-sort">
+                {t('personPage.sortLabel')}{' '}
+                <select value={sortBy} onChange={(e) => updateParam('sort', e.target.value, 'year')}>
+                  {SORT_OPTIONS.map((value) => (
+                    <option key={value} value={value}>{t(`personPage.sort.${value}`)}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {visibleFilmography.length === 0 ? (
+              <p className="storyline-text">{t('personPage.noCredits')}</p>
+            ) : (
+              <ul className="filmography-list">
+                {visibleFilmography.map(({ key, movie, roles }) => (
+                  <li key={key} className="filmography-item">
+                    <span className="filmography-year">{getYear(movie) ? formatYear(getYear(movie)) : '—'}</span>
+                    <div className="filmography-text">
+                      <Link to={`/${movie.media_type}/${movie.id}`} className="filmography-title">
+                        {movie.title ?? movie.name}
+                      </Link>
+                      <span className="filmography-role">
+                        {movie.media_type === 'tv' && `${t('personPage.tvSeries')} · `}
+                        {roles.map((role) => role.label || t('personPage.unknownRole')).join(', ')}
+                      </span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+
+        {/* Photos */}
+        <ImageGallery key={person.id} images={person.images} title={name} />
+      </div>
+    </div>
+  );
+}
+
+export default PersonPage;
@@ -0,0 +1,86 @@
+// Pages/Ratings.jsx
+import { useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import TmdbImage from "../Components/TmdbImage";
+import { useMovieContext } from "../contexts/MovieContext";
+import { useI18n } from "../contexts/I18nContext";
+import "../css/UserLists.css";
+
+// Labels are ratings.sort.<option>
+const SORT_OPTIONS = {
+    recent: (a, b) => b.ratedAt.localeCompare(a.ratedAt),
+    highest: (a, b) => b.rating - a.rating || b.ratedAt.localeCompare(a.ratedAt),
+    lowest: (a, b) => a.rating - b.rating || b.ratedAt.localeCompare(a.ratedAt),
+};
+
+function Ratings() {
+    const { ratings, isListLoading } = useMovieContext();
+    const { t, formatDate, formatDecimal, formatYear } = useI18n();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const sortBy = SORT_OPTIONS[searchParams.get("sort")] ? searchParams.get("sort") : "recent";
+
+    const sortedRatings = useMemo(
+        () => [...ratings].sort(SORT_OPTIONS[sortBy]),
+        [ratings, sortBy]
+    );
+
+    if (isListLoading("ratings")) {
+        return <div className="user-list-loading">{t("ratings.loading")}</div>;
+    }
+
+    if (ratings.length === 0) {
+        return (
+            <div className="user-list-empty">
+                <h2>{t("ratings.emptyTitle")}</h2>
+                <p>{t("ratings.emptyMessage")}</p>
+            </div>
+        );
+    }
+
+    const averageRating = ratings.reduce((sum, entry) => sum + entry.rating, 0) / ratings.length;
+
+    return (
+        <div className="user-list-page">
+            <h2>{t("ratings.title")}</h2>
+            <div className="user-list-toolbar">
+                <p className="user-list-summary">
+                    {t("ratings.summary", { count: ratings.length, average: formatDecimal(averageRating) })}
+                </p>
+                <label className="user-list-sort">
+                    {t("ratings.sortLabel")}{" "}
+                    <select
+                        value={sortBy}
+                        onChange={(e) => setSearchParams(e.target.value === "recent" ? {} : { sort: e.target.value }, { replace: true })}
+                    >
+                        {Object.keys(SORT_OPTIONS).map((value) => (
+                            <option key={value} value={value}>{t(`ratings.sort.${value}`)}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <ul className="user-list-rows">
+                {sortedRatings.map((entry) => (
+                    <li key={entry.id} className="user-list-row">
+                        <Link to={`/movie/${entry.id}`} className="user-list-poster">
+                            <TmdbImage path={entry.poster_path} type="poster" alt={entry.title} width={46} />
+                        </Link>
+                        <div className="user-list-row-text">
+                            <Link to={`/movie/${entry.id}`} className="user-list-title">{entry.title}</Link>
+                            <span className="user-list-meta">
+                                {[
+                                    entry.release_date && formatYear(Number(entry.release_date.split("-")[0])),
+                                    t("ratings.ratedOn", { date: formatDate(entry.ratedAt, { year: "numeric", month: "short", day: "numeric" }) }),
+                                ].filter(Boolean).join(" · ")}
+                            </span>
+                            {entry.review && <p className="user-list-review">{entry.review}</p>}
+                        </div>
+                        <span className="user-list-rating">★ {t("common.score", { score: entry.rating })}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default Ratings;
@@ -0,0 +1,303 @@
+// Pages/SearchResults.jsx
+import { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
+import MovieCard from "../Components/MovieCard";
+import TvCard from "../Components/TvCard";
+import PersonCard from "../Components/PersonCard";
+import CollectionCard from "../Components/CollectionCard";
+import MyServicesToggle from "../Components/MyServicesToggle";
+import { searchMovies, searchTv, searchAll } from "../services/api";
+import { MY_SERVICES_PARAM, filterToMyServices } from "../services/streamingServices";
+import { useSettingsContext } from "../contexts/SettingsContext";
+import { useI18n } from "../contexts/I18nContext";
+import { useScrollRestoration } from "../hooks/useScrollRestoration";
+import "../css/Home.css";
+import "../css/SearchResults.css";
+
+const MAX_TMDB_PAGE = 500; // TMDB refuses page numbers above 500
+const PAGE_WINDOW = 2; // Page buttons shown on each side of the current page
+
+// Search modes, selected with ?type=. "all" (the default) also finds people and collections.
+// Labels are searchResults.types.<mode> in the message catalogs.
+const SEARCH_TYPES = ["all", "movie", "tv"];
+
+const EMPTY_RESULTS = { movies: [], shows: [], people: [], collections: [] };
+
+// Page numbers to render, with null marking a gap ("…")
+const getPageNumbers = (current, total) => {
+  const pages = [];
+  for (let p = 1; p <= total; p++) {
+    if (p === 1 || p === total || Math.abs(p - current) <= PAGE_WINDOW) {
+      pages.push(p);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+};
+
+function SearchResults() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = (searchParams.get("q") || "").trim();
+  const page = Math.min(MAX_TMDB_PAGE, Math.max(1, parseInt(searchParams.get("page"), 10) || 1));
+  const searchType = SEARCH_TYPES.includes(searchParams.get("type")) ? searchParams.get("type") : "all";
+  const wantsMyServices = searchParams.get(MY_SERVICES_PARAM) === "1";
+  const { streamingServices } = useSettingsContext();
+  const { t, formatNumber } = useI18n();
+  const onMyServices = wantsMyServices && streamingServices.length > 0;
+
+  const [inputValue, setInputValue] = useState(query);
+  const [results, setResults] = useState(EMPTY_RESULTS);
+  const [totalResults, setTotalResults] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(Boolean(query));
+  const [error, setError] = useState(null); // Message key, translated when rendered
+
+  // --- Keep the refine box in sync when the URL changes (back/forward, NavBar search) ---
+  useEffect(() => {
+    setInputValue(query);
+  }, [query]);
+
+  // --- Fetch the requested page whenever the URL changes ---
+  useEffect(() => {
+    if (!query) {
+      setResults(EMPTY_RESULTS);
+      setTotalResults(0);
+      setTotalPages(0);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const fetchResults = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        let data;
+        let nextResults;
+        if (searchType === "movie") {
+          data = await searchMovies(query, page, { signal: controller.signal });
+          nextResults = { ...EMPTY_RESULTS, movies: data.results || [] };
+        } else if (searchType === "tv") {
+          data = await searchTv(query, page, { signal: controller.signal });
+          nextResults = { ...EMPTY_RESULTS, shows: data.results || [] };
+        } else {
+          data = await searchAll(query, page, { signal: controller.signal });
+          nextResults = { movies: data.movies, shows: data.shows, people: data.people, collections: data.collections };
+        }
+        // Search can't be narrowed by provider on TMDB's side, so this page's movies are checked one by one.
+        // TV shows aren't checked.
+        if (onMyServices) {
+          nextResults.movies = await filterToMyServices(nextResults.movies, streamingServices);
+          if (controller.signal.aborted) return;
+        }
+        setResults(nextResults);
+        setTotalResults(data.total_results || 0);
+        setTotalPages(Math.min(data.total_pages || 0, MAX_TMDB_PAGE));
+        console.log(`[SearchResults] "${query}" (${searchType}) page ${page}: ${data.total_results} results.`);
+      } catch (err) {
+        if (err.name === "AbortError") return; // A newer search replaced this one
+        console.error("[SearchResults] Search failed:", err);
+        setError("searchResults.error");
+        setResults(EMPTY_RESULTS);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    fetchResults();
+    return () => controller.abort();
+  }, [query, page, searchType, onMyServices, streamingServices]);
+
+  const { movies, shows, people, collections } = results;
+  const hasResults = movies.length + shows.length + people.length + collections.length > 0;
+
+  useScrollRestoration(`search:${searchType}:${query}:${page}:${onMyServices}`, !loading && hasResults);
+
+  // Only non-default params go into the URL, so old /search?q= links stay canonical
+  const buildParams = (params) => {
+    const next = { q: params.q ?? query };
+    if ((params.type ?? searchType) !== "all") next.type = params.type ?? searchType;
+    if (params.page && params.page > 1) next.page = String(params.page);
+    if (params.myServices ?? wantsMyServices) next[MY_SERVICES_PARAM] = "1";
+    return next;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = inputValue.trim();
+    if (!trimmed || trimmed === query) return;
+    setSearchParams(buildParams({ q: trimmed }));
+  };
+
+  const goToPage = (newPage) => {
+    setSearchParams(buildParams({ page: newPage }));
+    window.scrollTo(0, 0);
+  };
+
+  const changeType = (type) => {
+    if (type !== searchType) setSearchParams(buildParams({ type }));
+  };
+
+  // Back to page 1: the filtered pages don't line up with TMDB's
+  const toggleMyServices = (active) => {
+    setSearchParams(buildParams({ myServices: active }));
+  };
+
+  // The count is bold, so it's placed into the translated sentence by hand
+  const [summaryBefore, summaryAfter = ""] = t("searchResults.summary", { count: totalResults, query }).split("{total}");
+
+  return (
+    <div className="home search-page">
+      {/* Refine Search */}
+      <form onSubmit={handleSubmit} className="search-form">
+        <input
+          type="search"
+          placeholder={t("searchResults.placeholder")}
+          className="search-input"
+          value={inputValue}
+          onChange={(e) => setInputValue(e.target.value)}
+        />
+        <button type="submit" className="search-button">{t("searchResults.search")}</button>
+      </form>
+
+      <div className="search-type-toggle" role="group" aria-label={t("searchResults.typeLabel")}>
+        {SEARCH_TYPES.map((value) => (
+          <button
+            key={value}
+            className={`search-type-button ${searchType === value ? "active" : ""}`}
+            onClick={() => changeType(value)}
+            aria-pressed={searchType === value}
+          >
+            {t(`searchResults.types.${value}`)}
+          </button>
+        ))}
+        <MyServicesToggle active={onMyServices} onChange={toggleMyServices} />
+      </div>
+
+      {!query && <div className="search-summary">{t("searchResults.prompt")}</div>}
+
+      {query && !loading && !error && (
+        <div className="search-summary">
+          {totalResults > 0 ? (
+            <>
+              {summaryBefore}<strong>{formatNumber(totalResults)}</strong>{summaryAfter}
+              {totalPages > 1 && (
+                <span className="search-summary-page"> · {t("searchResults.page", { page, total: totalPages })}</span>
+              )}
+            </>
+          ) : (
+            <>{t("searchResults.noResults", { query })}</>
+          )}
+          {onMyServices && (
+            <span className="search-summary-note">
+              {" "}· {t("searchResults.myServicesNote")} {t("searchResults.tvNotChecked")}
+            </span>
+          )}
+        </div>
+      )}
+
+      {error && <div className="error_message">{t(error)}</div>}
+      {loading && <div className="loading">{t("searchBox.searching")}</div>}
+
+      {!loading && searchType === "movie" && (
+        <div className="movies-grid">
+          {movies.map((movie) => (
+            <MovieCard movie={movie} key={movie.id} />
+          ))}
+        </div>
+      )}
+
+      {!loading && searchType === "tv" && (
+        <div className="movies-grid">
+          {shows.map((show) => (
+            <TvCard show={show} key={show.id} />
+          ))}
+        </div>
+      )}
+
+      {/* Grouped results for "Everything" */}
+      {!loading && searchType === "all" && (
+        <>
+          {movies.length > 0 && (
+            <section className="search-group">
+              <h2 className="search-group-title">{t("searchResults.groups.movies")}</h2>
+              <div className="movies-grid">
+                {movies.map((movie) => (
+                  <MovieCard movie={movie} key={movie.id} />
+                ))}
+              </div>
+            </section>
+          )}
+          {shows.length > 0 && (
+            <section className="search-group">
+              <h2 className="search-group-title">{t("searchResults.groups.shows")}</h2>
+              <div className="movies-grid">
+                {shows.map((show) => (
+                  <TvCard show={show} key={show.id} />
+                ))}
+              </div>
+            </section>
+          )}
+          {people.length > 0 && (
+            <section className="search-group">
+              <h2 className="search-group-title">{t("searchResults.groups.people")}</h2>
+              <div className="movies-grid">
+                {people.map((person) => (
+                  <PersonCard person={person} key={person.id} />
+                ))}
+              </div>
+            </section>
+          )}
+          {collections.length > 0 && (
+            <section className="search-group">
+              <h2 className="search-group-title">{t("searchResults.groups.collections")}</h2>
+              <div className="movies-grid">
+                {collections.map((collection) => (
+                  <CollectionCard collection={collection} key={collection.id} />
+                ))}
+              </div>
+            </section>
+          )}
+        </>
+      )}
+
+      {/* Pagination */}
+      {!loading && totalPages > 1 && (
+        <nav className="pagination" aria-label={t("searchResults.pages")}>
+          <button
+            className="pagination-button"
+            onClick={() => goToPage(page - 1)}
+            disabled={page <= 1}
+          >
+            {t("searchResults.previous")}
+          </button>
+          {getPageNumbers(page, totalPages).map((p, index) =>
+            p === null ? (
+              <span key={`gap-${index}`} className="pagination-gap">…</span>
+            ) : (
+              <button
+                key={p}
+                className={`pagination-button ${p === page ? "active" : ""}`}
+                onClick={() => goToPage(p)}
+                aria-current={p === page ? "page" : undefined}
+              >
+                {formatNumber(p)}
+              </button>
+            )
+          )}
+          <button
+            className="pagination-button"
+            onClick={() => goToPage(page + 1)}
+            disabled={page >= totalPages}
+          >
+            {t("searchResults.next")}
+          </button>
+        </nav>
+      )}
+    </div>
+  );
+}
+
+export default SearchResults;
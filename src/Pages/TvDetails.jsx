@@ -0,0 +1,256 @@
+// Pages/TvDetails.jsx
+// A TV show's page: MovieDetails' layout with the season and episode browser in place of
+// where to watch and similar movies. Shows can be favourited but not put on the watchlist,
+// diary or ratings, which are for movies.
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getTvDetails, NotFoundError, RateLimitError, NetworkError, AuthError } from '../services/api';
+import { getShowYears, getContentRating } from '../services/tvShows';
+import { getLanguageName } from '../services/userSettings';
+import SeasonBrowser from '../Components/SeasonBrowser';
+import ImageGallery from '../Components/ImageGallery';
+import VideoHub from '../Components/VideoHub';
+import TmdbImage from '../Components/TmdbImage';
+import { useMovieContext } from '../contexts/MovieContext';
+import { useSettingsContext } from '../contexts/SettingsContext';
+import { useI18n } from '../contexts/I18nContext';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faHeart as solidHeart } from '@fortawesome/free-solid-svg-icons';
+import { faHeart as regularHeart } from '@fortawesome/free-regular-svg-icons';
+import '../css/MovieDetails.css';
+import '../css/TvDetails.css';
+
+const INITIAL_PHOTO_COUNT = 15;
+
+// TMDB's status values; anything else is shown as it comes
+const STATUS_KEYS = {
+  'Returning Series': 'returning',
+  'In Production': 'inProduction',
+  Planned: 'planned',
+  Pilot: 'pilot',
+  Ended: 'ended',
+  Canceled: 'canceled',
+};
+
+// Comma-separated list of names, each linking to the person's page
+const renderPeopleLinks = (people, emptyText) => {
+  if (!people?.length) return emptyText;
+  return people.map((person, index) => (
+    <React.Fragment key={person.id}>
+      {index > 0 && ', '}
+      <Link to={`/person/${person.id}`} className="person-link">{person.name}</Link>
+    </React.Fragment>
+  ));
+};
+
+function TvDetails() {
+  const { id } = useParams();
+  const [show, setShow] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null); // Message key, translated when rendered
+
+  const { isFavourite, addToFavourites, removeFromFavourites } = useMovieContext();
+  const { region } = useSettingsContext();
+  const { t, language, formatDate, formatRuntime, formatDecimal, formatCompactNumber, formatYear } = useI18n();
+  const notAvailable = t('common.notAvailable');
+  const favourite = show ? isFavourite(show.id, 'tv') : false;
+
+  const onFavouriteClick = () => {
+    if (favourite) removeFromFavourites(show.id, 'tv');
+    else addToFavourites({ ...show, media_type: 'tv' });
+  };
+
+  useEffect(() => {
+    const fetchShow = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const showData = await getTvDetails(id);
+        setShow(showData);
+      } catch (err) {
+        console.error("[TvDetails] Failed to load TV show:", err);
+        if (err instanceof NotFoundError) setError('tvDetails.notFound');
+        else if (err instanceof RateLimitError) setError('movieDetails.rateLimited');
+        else if (err instanceof NetworkError) setError('movieDetails.networkError');
+        else if (err instanceof AuthError) setError('tvDetails.unavailable');
+        else setError('tvDetails.loadFailed');
+        setShow(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchShow();
+  }, [id]);
+
+  if (loading) {
+    return <div className="movie-details-loading">{t('tvDetails.loading')}</div>;
+  }
+
+  if (error || !show) {
+    return <div className="movie-details-error">{t(error || 'tvDetails.notFound')}</div>;
+  }
+
+  const {
+    name,
+    overview,
+    poster_path,
+    backdrop_path,
+    vote_average,
+    vote_count,
+    genres,
+    first_air_date,
+    last_air_date,
+    status,
+    episode_run_time,
+    number_of_seasons,
+    number_of_episodes,
+    seasons,
+    networks,
+    created_by,
+    homepage,
+    spoken_languages,
+    production_companies,
+    content_ratings,
+    credits,
+    videos,
+    images,
+  } = show;
+
+  const contentRating = getContentRating(content_ratings, region);
+  // TMDB has stopped filling in episode_run_time for newer shows
+  const runtime = episode_run_time?.length ? formatRuntime(Math.min(...episode_run_time)) : null;
+  const languageCode = spoken_languages?.[0]?.iso_639_1 || show.original_language;
+  const statusLabel = STATUS_KEYS[status] ? t(`tvDetails.statuses.${STATUS_KEYS[status]}`) : status;
+  const castToShow = credits?.cast ? credits.cast.slice(0, 20) : [];
+
+  return (
+    <div className="movie-details-page tv-details-page">
+      <div className="movie-header-backdrop">
+        {backdrop_path && (
+          <TmdbImage path={backdrop_path} type="backdrop" width={1280} sizes="100vw" priority className="header-backdrop-image" />
+        )}
+        <div className="backdrop-overlay"></div>
+        <div className="movie-header-content">
+          <TmdbImage path={poster_path} type="poster" alt={name} width={250} priority className="movie-poster-large" />
+          <div className="movie-info-header">
+            <div className="title-and-favorite">
+              <h1>{name}</h1>
+              <button
+                className={`favourite-btn-details ${favourite ? "active" : ""}`}
+                onClick={onFavouriteClick}
+                title={favourite ? t('movieDetails.removeFavourite') : t('movieDetails.addFavourite')}
+              >
+                <FontAwesomeIcon icon={favourite ? solidHeart : regularHeart} />
+              </button>
+            </div>
+
+            <div className="subtitle-info">
+              <span>{getShowYears(show, formatYear) || notAvailable}</span>
+              {contentRating && <span>{contentRating}</span>}
+              {number_of_seasons > 0 && <span>{t('tvDetails.seasonCount', { count: number_of_seasons })}</span>}
+              {runtime && <span>{t('tvDetails.perEpisode', { runtime })}</span>}
+            </div>
+            <div className="rating-info">
+              <span className="star-icon">⭐</span>
+              <span className="score">
+                {vote_average ? t('common.score', { score: formatDecimal(vote_average) }) : notAvailable}
+              </span>
+              {vote_count > 0 && (
+                <span className="vote-count">
+                  {t('movieDetails.votes', { count: vote_count, votes: formatCompactNumber(vote_count) })}
+                </span>
+              )}
+            </div>
+            {/* TV genres don't all exist for movies, so they aren't links to the genre pages */}
+            <div className="genres">
+              {genres && genres.map((genre) => (
+                <span key={genre.id} className="genre-tag">{genre.name}</span>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="movie-body-content">
+        <section className="section-block">
+          <h2 className="section-title">{t('movieDetails.storyline')}</h2>
+          <p className="storyline-text">{overview || t('movieDetails.noStoryline')}</p>
+        </section>
+
+        {/* Trailers, teasers, clips and featurettes; nothing loads from YouTube until one is played */}
+        <VideoHub key={show.id} videos={videos} title={name} />
+
+        {/* Seasons and their episodes, loaded a season at a time */}
+        {seasons?.length > 0 && <SeasonBrowser key={show.id} showId={show.id} seasons={seasons} />}
+
+        <section className="section-block">
+          <h2 className="section-title">{t('movieDetails.details')}</h2>
+          <ul className="details-list">
+            <li>
+              <strong>{t('tvDetails.firstAired')}</strong> {formatDate(first_air_date) || notAvailable}
+            </li>
+            {last_air_date && last_air_date !== first_air_date && (
+              <li>
+                <strong>{t('tvDetails.lastAired')}</strong> {formatDate(last_air_date)}
+              </li>
+            )}
+            <li>
+              <strong>{t('tvDetails.status')}</strong> {statusLabel || notAvailable}
+            </li>
+            <li>
+              <strong>{t('tvDetails.episodes')}</strong>{' '}
+              {number_of_episodes ? t('tvDetails.episodeCount', { count: number_of_episodes }) : notAvailable}
+            </li>
+            <li>
+              <strong>{t('tvDetails.createdBy')}</strong>{' '}
+              {renderPeopleLinks(created_by, notAvailable)}
+            </li>
+            <li>
+              <strong>{t('tvDetails.networks')}</strong>{' '}
+              {networks?.map((network) => network.name).join(', ') || notAvailable}
+            </li>
+            {homepage && (
+              <li>
+                <strong>{t('movieDetails.officialSite')}</strong>{' '}
+                <a href={homepage} target="_blank" rel="noopener noreferrer">
+                  {homepage}
+                </a>
+              </li>
+            )}
+            <li>
+              <strong>{t('movieDetails.language')}</strong>{' '}
+              {languageCode ? getLanguageName(languageCode, language) : notAvailable}
+            </li>
+            <li>
+              <strong>{t('movieDetails.productionCompanies')}</strong>{' '}
+              {production_companies?.map((company) => company.name).join(', ') || notAvailable}
+            </li>
+          </ul>
+        </section>
+
+        {castToShow.length > 0 && (
+          <section className="section-block">
+            <h2 className="section-title">{t('tvDetails.cast')}</h2>
+            <div className="cast-grid">
+              {castToShow.map((person) => (
+                <Link to={`/person/${person.id}`} key={person.id} className="cast-item">
+                  <TmdbImage path={person.profile_path} type="profile" label={person.name} width={100} className="cast-photo" />
+                  <div className="cast-info">
+                    <span className="cast-name">{person.name}</span>
+                    <span className="cast-character">{person.character}</span>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Photos: backdrops, posters and logos, with a full-screen viewer */}
+        <ImageGallery key={show.id} images={images} title={name} initialCount={INITIAL_PHOTO_COUNT} />
+      </div>
+    </div>
+  );
+}
+
+export default TvDetails;
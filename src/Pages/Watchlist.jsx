@@ -0,0 +1,43 @@
+// Pages/Watchlist.jsx
+import { Link } from "react-router-dom";
+import { useMovieContext } from "../contexts/MovieContext";
+import MovieCard from "../Components/MovieCard";
+import { useI18n } from "../contexts/I18nContext";
+import "../css/UserLists.css";
+
+// Most recently added first
+const byAddedAt = (a, b) => (b.addedAt || "").localeCompare(a.addedAt || "");
+
+function Watchlist() {
+    const { watchlist, isListLoading } = useMovieContext();
+    const { t } = useI18n();
+
+    if (isListLoading("watchlist")) {
+        return <div className="user-list-loading">{t("watchlist.loading")}</div>;
+    }
+
+    if (watchlist.length === 0) {
+        // The link goes where the translation puts {link}
+        const [before, after] = t("watchlist.emptyMessage").split("{link}");
+        return (
+            <div className="user-list-empty">
+                <h2>{t("watchlist.emptyTitle")}</h2>
+                <p>{before}<Link to="/">{t("watchlist.findSomething")}</Link>{after}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="user-list-page">
+            <h2>{t("watchlist.title")}</h2>
+            <p className="user-list-summary">{t("watchlist.count", { count: watchlist.length })}</p>
+            <div className="movies-grid">
+                {[...watchlist].sort(byAddedAt).map((movie) => (
+                    <MovieCard movie={movie} key={movie.id} />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default Watchlist;
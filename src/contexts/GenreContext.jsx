@@ -1,13 +1,16 @@
 // src/contexts/GenreContext.jsx
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import { getMovieGenres } from '../services/api'; // Import the new API function
+import { getMovieGenres, getTvGenres } from '../services/api'; // Import the new API function
+import { useSettingsContext } from './SettingsContext';
 
 const GenreContext = createContext();
 
 export const useGenreContext = () => useContext(GenreContext);
 
 export const GenreProvider = ({ children }) => {
+  const { language } = useSettingsContext();
   const [genres, setGenres] = useState([]);
+  const [tvGenres, setTvGenres] = useState([]); // Only needed to name the genres of favourite TV shows
   const [genresLoading, setGenresLoading] = useState(true);
   const [genresError, setGenresError] = useState(null);
 
@@ -16,9 +19,16 @@ export const GenreProvider = ({ children }) => {
       setGenresLoading(true);
       setGenresError(null);
       try {
-        const genreList = await getMovieGenres();
+        const [genreList, tvGenreList] = await Promise.all([
+          getMovieGenres(),
+          getTvGenres().catch((err) => {
+            console.warn("[GenreContext] Couldn't load TV genres:", err);
+            return [];
+          }),
+        ]);
         setGenres(genreList);
-        console.log("[GenreContext] Fetched genres:", genreList);
+        setTvGenres(tvGenreList);
+        console.log("[GenreContext] Fetched genres:", genreList, "TV genres:", tvGenreList);
       } catch (err) {
         console.error("[GenreContext] Error fetching genres:", err);
         setGenresError("Failed to load genres.");
@@ -27,10 +37,11 @@ export const GenreProvider = ({ children }) => {
       }
     };
     fetchGenres();
-  }, []); // Fetch genres only once on mount
+  }, [language]); // Genre names come in the content language
 
   const value = {
     genres,
+    tvGenres,
     genresLoading,
     genresError,
   };
@@ -0,0 +1,27 @@
+// src/contexts/I18nContext.jsx
+import React, { createContext, useMemo, useLayoutEffect, useContext } from 'react';
+import { useSettingsContext } from './SettingsContext';
+import { createTranslator } from '../services/i18n';
+
+const I18nContext = createContext();
+
+// { t, formatDate, formatRuntime, formatNumber, ..., language, locale, dir }
+export const useI18n = () => useContext(I18nContext);
+
+export const I18nProvider = ({ children }) => {
+  const { uiLanguage, region } = useSettingsContext();
+  const i18n = useMemo(() => createTranslator(uiLanguage, region), [uiLanguage, region]);
+
+  // lang picks fonts and hyphenation, dir mirrors the whole layout for Arabic.
+  // Set before paint so a right-to-left page never flashes left-to-right.
+  useLayoutEffect(() => {
+    document.documentElement.lang = i18n.language;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
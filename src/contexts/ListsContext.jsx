@@ -0,0 +1,99 @@
+// src/contexts/ListsContext.jsx
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { useMovieContext } from './MovieContext';
+import * as customLists from '../services/customLists';
+
+const ListsContext = createContext();
+
+export const useListsContext = () => useContext(ListsContext);
+
+// Custom lists need an account: they live under the signed-in user's Firestore doc
+export const ListsProvider = ({ children }) => {
+  const { currentUser } = useMovieContext();
+  const [lists, setLists] = useState([]);
+  const [listsLoading, setListsLoading] = useState(true);
+  const [listsError, setListsError] = useState(null);
+
+  useEffect(() => {
+    setListsError(null);
+    if (!currentUser) {
+      setLists([]);
+      setListsLoading(false);
+      return;
+    }
+
+    setListsLoading(true);
+    const unsubscribe = customLists.subscribeToLists(
+      currentUser.uid,
+      (userLists) => {
+        setLists(userLists);
+        setListsLoading(false);
+        console.log("[ListsContext] Lists synced from Firestore:", userLists.length, "lists.");
+      },
+      (err) => {
+        console.error("[ListsContext] Error listening to Firestore lists:", err);
+        setListsError("lists.loadFailed"); // Message key, translated when rendered
+        setListsLoading(false);
+      }
+    );
+    return () => unsubscribe();
+  }, [currentUser]);
+
+  const ownerName = currentUser?.displayName;
+  const getList = (listId) => lists.find((list) => list.id === listId) || null;
+
+  // Runs a service call against the current version of a list, logging failures for the caller to show
+  const withList = (actionName, listId, action) => {
+    const list = getList(listId);
+    if (!currentUser || !list) {
+      return Promise.reject(new Error(`List ${listId} is not one of your lists.`));
+    }
+    return action(currentUser.uid, list).catch((err) => {
+      console.error(`[ListsContext] Error trying to ${actionName}:`, err);
+      throw err;
+    });
+  };
+
+  // `movies` are added to the new list straight away
+  const createList = async (name, description, movies) => {
+    if (!currentUser) throw new Error("Sign in to create lists.");
+    try {
+      const list = await customLists.createList(currentUser.uid, name, description, movies);
+      console.log(`[ListsContext] Created list "${list.name}" (${list.id}).`);
+      return list;
+    } catch (err) {
+      console.error("[ListsContext] Error creating list:", err);
+      throw err;
+    }
+  };
+
+  const value = {
+    lists,
+    listsLoading,
+    listsError,
+    getList,
+    createList,
+    updateListDetails: (listId, details) =>
+      withList("update list details", listId, (uid, list) => customLists.updateListDetails(uid, list, details, ownerName)),
+    deleteList: (listId) =>
+      withList("delete list", listId, (uid, list) => customLists.deleteList(uid, list)),
+    setListPublic: (listId, isPublic) =>
+      withList("change list visibility", listId, (uid, list) => customLists.setListPublic(uid, list, isPublic, ownerName)),
+    addMovieToList: (listId, movie) =>
+      withList("add movie to list", listId, (uid, list) => customLists.addMovieToList(uid, list, movie, ownerName)),
+    removeMovieFromList: (listId, movieId) =>
+      withList("remove movie from list", listId, (uid, list) => customLists.removeMovieFromList(uid, list, movieId, ownerName)),
+    moveListEntry: (listId, fromIndex, toIndex) =>
+      withList("reorder list", listId, (uid, list) =>
+        customLists.setListEntries(uid, list, customLists.moveEntry(list.entries, fromIndex, toIndex), ownerName)
+      ),
+    setEntryNote: (listId, movieId, note) =>
+      withList("save note", listId, (uid, list) => customLists.setEntryNote(uid, list, movieId, note, ownerName)),
+  };
+
+  return (
+    <ListsContext.Provider value={value}>
+      {children}
+    </ListsContext.Provider>
+  );
+};
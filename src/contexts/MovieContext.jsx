@@ -1,149 +1,430 @@
-import { createContext, useState, useContext, useEffect, useRef } from "react"; 
+import { createContext, useState, useContext, useEffect, useRef, useCallback, useMemo } from "react";
 // Firebase Imports for Context
 import { auth, db } from '../firebase';
 import {
     doc,
     setDoc,
     deleteDoc,
-    getDoc,
+    getDocs,
     collection,
     onSnapshot,
-    writeBatch,
 } from 'firebase/firestore';
+import {
+    USER_LIST_NAMES,
+    MIN_RATING,
+    MAX_RATING,
+    MAX_REVIEW_LENGTH,
+    getListCollectionPath,
+    emptyLists,
+    readLocalList,
+    writeLocalList,
+    clearLocalList,
+    toMovieSummary,
+    toFavouriteRecord,
+    isOversizedFavourite,
+    getEntryKey,
+    getLocalDateString,
+} from '../services/userLists';
+import {
+    createOperationId,
+    loadQueuedWrites,
+    saveQueuedWrite,
+    removeQueuedWrite,
+    applyQueuedWrites,
+    isRetryableWriteError,
+} from '../services/writeQueue';
+import { prepareForOffline } from '../services/offlineCache';
+import { commitInChunks } from '../services/firestoreBatches';
 
 
 const MovieContext = createContext();
 
 export const useMovieContext = () => useContext(MovieContext);
 
+// Queued writes that keep failing with retryable errors are given up after this many tries
+const MAX_WRITE_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+
+// Shared by the sign-in merge and the Account page import
+const commitListEntries = (uid, listName, entries) => {
+    const listCollectionRef = collection(db, getListCollectionPath(uid, listName));
+    return commitInChunks(entries, (batch, entry) => batch.set(doc(listCollectionRef, String(getEntryKey(entry))), entry));
+};
+
+const deleteListEntries = (uid, listName, entryKeys) => {
+    const listCollectionRef = collection(db, getListCollectionPath(uid, listName));
+    return commitInChunks(entryKeys, (batch, entryKey) => batch.delete(doc(listCollectionRef, String(entryKey))));
+};
+
+// --- Merge a guest's lists into their account on sign-in ---
+// One read per list finds what the account already has; entries already in Firestore win.
+// A list's local copy is only cleared once all of its batches have committed, so a failed
+// merge is simply retried on the next sign-in. Returns one summary per list that had local entries.
+const mergeLocalLists = async (uid) => {
+    const summaries = [];
+    for (const listName of USER_LIST_NAMES) {
+        const localEntries = readLocalList(listName);
+        if (localEntries.length === 0) continue;
+
+        console.log(`[MovieContext] Merging local ${listName} into Firestore...`);
+        try {
+            const remoteSnapshot = await getDocs(collection(db, getListCollectionPath(uid, listName)));
+            const remoteIds = new Set(remoteSnapshot.docs.map((remoteDoc) => remoteDoc.id));
+            const added = localEntries.filter((entry) => !remoteIds.has(String(getEntryKey(entry))));
+            const alreadyThere = localEntries.filter((entry) => remoteIds.has(String(getEntryKey(entry))));
+
+            await commitListEntries(uid, listName, added);
+            clearLocalList(listName);
+            console.log(`[MovieContext] Local ${listName} merged: ${added.length} added, ${alreadyThere.length} already there.`);
+            summaries.push({ listName, added, alreadyThere, failed: false });
+        } catch (error) {
+            console.error(`[MovieContext] Error merging local ${listName} into Firestore:`, error);
+            summaries.push({ listName, added: [], alreadyThere: [], failed: true });
+        }
+    }
+    return summaries;
+};
+
+// --- Shrink favourites saved as whole TMDB objects ---
+// Older favourites hold whatever object was on screen when the heart was clicked, sometimes
+// the full details payload with credits and images. Rewrites those in the slim shape once;
+// afterwards there is nothing left to shrink and this only costs one read.
+const shrinkStoredFavourites = async (uid) => {
+    const snapshot = await getDocs(collection(db, getListCollectionPath(uid, 'favourites')));
+    const oversized = snapshot.docs.map((favouriteDoc) => favouriteDoc.data()).filter(isOversizedFavourite);
+    if (oversized.length === 0) return;
+
+    // Favourites from before addedAt existed keep sorting as the oldest
+    await commitListEntries(uid, 'favourites', oversized.map((entry) => toFavouriteRecord(entry, entry.addedAt || null)));
+    console.log(`[MovieContext] Shrank ${oversized.length} stored favourites.`);
+};
+
+const shrinkLocalFavourites = () => {
+    const entries = readLocalList('favourites');
+    if (!entries.some(isOversizedFavourite)) return entries;
+    const slimmed = entries.map((entry) => (isOversizedFavourite(entry) ? toFavouriteRecord(entry, entry.addedAt || null) : entry));
+    writeLocalList('favourites', slimmed);
+    return slimmed;
+};
+
 export const MovieProvider = ({ children }) => {
-    const [favourites, setFavourites] = useState([]);
+    const [lists, setLists] = useState(emptyLists);
+    const [loadingLists, setLoadingLists] = useState(USER_LIST_NAMES); // Lists not synced yet
     const [currentUser, setCurrentUser] = useState(null);
-    const [isFavoritesLoading, setIsFavoritesLoading] = useState(true);
     const [showSignInPrompt, setShowSignInPrompt] = useState(false);
+    // What the last sign-in merge did, shown once in a dialog
+    const [mergeSummary, setMergeSummary] = useState(null);
+    // Signed-in writes not yet confirmed by Firestore (see services/writeQueue.js)
+    const [pendingWrites, setPendingWrites] = useState([]);
+    const [failedWrites, setFailedWrites] = useState([]);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
 
     // useRef for session-based prompt dismissal
     const hasPromptBeenShownAndDismissedThisSession = useRef(
         sessionStorage.getItem('signInPromptDismissed') === 'true'
     );
-    // END NEW / CORRECTED: useRef --->
+    // Firestore listeners of the signed-in user, stopped when the auth state changes
+    const firestoreUnsubscribesRef = useRef([]);
+    // The queue as of now, for the replay loop which outlives any single render
+    const pendingWritesRef = useRef([]);
+    const isFlushingRef = useRef(false);
+    const retryTimerRef = useRef(null);
+
+    const setQueue = useCallback((operations) => {
+        pendingWritesRef.current = operations;
+        setPendingWrites(operations);
+    }, []);
+
+    // --- Write Queue Replay ---
+    // Sends queued writes to Firestore in order. A retryable failure pauses the queue and
+    // tries again later; anything else drops the write, which rolls the UI back, and reports it.
+    const flushQueue = useCallback(async () => {
+        if (isFlushingRef.current || !navigator.onLine) return;
+        isFlushingRef.current = true;
+        clearTimeout(retryTimerRef.current);
+
+        try {
+            while (pendingWritesRef.current.length > 0) {
+                const operation = pendingWritesRef.current[0];
+                if (auth.currentUser?.uid !== operation.uid) break; // Signed out; resumes on next sign-in
+
+                try {
+                    const entryDocRef = doc(db, getListCollectionPath(operation.uid, operation.listName), String(operation.movieId));
+                    if (operation.type === 'set') await setDoc(entryDocRef, operation.entry);
+                    else await deleteDoc(entryDocRef);
+                    console.log(`[MovieContext] Synced ${operation.type} of ${operation.movieId} in Firestore ${operation.listName}.`);
+                } catch (error) {
+                    const attempts = operation.attempts + 1;
+                    if (isRetryableWriteError(error) && attempts < MAX_WRITE_ATTEMPTS) {
+                        console.warn(`[MovieContext] Write to ${operation.listName} failed, retrying (attempt ${attempts}):`, error);
+                        const retried = { ...operation, attempts };
+                        await saveQueuedWrite(retried);
+                        setQueue(pendingWritesRef.current.map(queued => (queued.id === operation.id ? retried : queued)));
+                        retryTimerRef.current = setTimeout(flushQueue, RETRY_BASE_DELAY_MS * 2 ** attempts);
+                        break;
+                    }
+                    console.error(`[MovieContext] Giving up on write to Firestore ${operation.listName}:`, error);
+                    setFailedWrites(prev => [...prev, operation]);
+                }
+
+                await removeQueuedWrite(operation.id);
+                setQueue(pendingWritesRef.current.filter(queued => queued.id !== operation.id));
+            }
+        } finally {
+            isFlushingRef.current = false;
+        }
+    }, [setQueue]);
+
+    // Replay as soon as the browser is back online
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            flushQueue();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            clearTimeout(retryTimerRef.current);
+        };
+    }, [flushQueue]);
 
     // --- Authentication State Listener ---
     useEffect(() => {
+        const stopFirestoreListeners = () => {
+            firestoreUnsubscribesRef.current.forEach((unsubscribe) => unsubscribe());
+            firestoreUnsubscribesRef.current = [];
+        };
+
         const unsubscribeAuth = auth.onAuthStateChanged(async (user) => {
+            stopFirestoreListeners();
             setCurrentUser(user);
-            setIsFavoritesLoading(true);
+            setLoadingLists(USER_LIST_NAMES);
             setShowSignInPrompt(false); // Hide prompt if auth state changes (e.g., user logs in/out)
+            setMergeSummary(null);
+            setQueue([]);
 
             if (user) {
                 console.log("[MovieContext] User logged in:", user.uid);
-                // User is logged in. Handle favorites:
-                const localFavsJSON = localStorage.getItem("favourites");
-                if (localFavsJSON) {
-                    const localFavs = JSON.parse(localFavsJSON);
-                    if (localFavs.length > 0) {
-                        console.log("[MovieContext] Migrating local favorites to Firestore...");
-                        const batch = writeBatch(db);
-                        const userFavoritesCollectionRef = collection(db, `users/${user.uid}/favorites`);
-                        
-                        for (const movie of localFavs) {
-                            const favDocRef = doc(userFavoritesCollectionRef, String(movie.id));
-                            const docSnap = await getDoc(favDocRef);
-                            if (!docSnap.exists()) {
-                                batch.set(favDocRef, movie);
-                            }
-                        }
-                        await batch.commit();
-                        console.log("[MovieContext] Local favorites migration complete. Clearing localStorage.");
-                        localStorage.removeItem("favourites");
-                    }
+                const mergeSummaries = await mergeLocalLists(user.uid);
+                if (auth.currentUser?.uid !== user.uid) return; // Signed out again mid-merge
+                if (mergeSummaries.length > 0) setMergeSummary({ uid: user.uid, lists: mergeSummaries, undone: false });
+
+                try {
+                    await shrinkStoredFavourites(user.uid);
+                } catch (error) {
+                    console.error("[MovieContext] Error shrinking stored favourites:", error); // Tried again next sign-in
                 }
+                if (auth.currentUser?.uid !== user.uid) return;
 
-                // Set up real-time listener to user's favorites in Firestore
-                const userFavoritesCollectionRef = collection(db, `users/${user.uid}/favorites`);
-                const unsubscribeFirestore = onSnapshot(userFavoritesCollectionRef, (snapshot) => {
-                    const firestoreFavs = [];
-                    snapshot.forEach((doc) => {
-                        firestoreFavs.push(doc.data());
+                // Writes queued in an earlier session (e.g. made offline, then the tab was closed)
+                setQueue(await loadQueuedWrites(user.uid));
+                if (auth.currentUser?.uid !== user.uid) return;
+                flushQueue();
+
+                // Set up a real-time listener per list
+                firestoreUnsubscribesRef.current = USER_LIST_NAMES.map((listName) => {
+                    const markSynced = () => setLoadingLists(prev => prev.filter(name => name !== listName));
+                    return onSnapshot(collection(db, getListCollectionPath(user.uid, listName)), (snapshot) => {
+                        const entries = [];
+                        snapshot.forEach((doc) => {
+                            entries.push(doc.data());
+                        });
+                        setLists(prev => ({ ...prev, [listName]: entries }));
+                        markSynced();
+                        console.log(`[MovieContext] ${listName} synced from Firestore:`, entries.length, "movies.");
+                    }, (error) => {
+                        console.error(`[MovieContext] Error listening to Firestore ${listName}:`, error);
+                        setLists(prev => ({ ...prev, [listName]: [] }));
+                        markSynced();
                     });
-                    setFavourites(firestoreFavs);
-                    setIsFavoritesLoading(false);
-                    console.log("[MovieContext] Favorites synced from Firestore:", firestoreFavs.length, "movies.");
-                }, (error) => {
-                    console.error("[MovieContext] Error listening to Firestore favorites:", error);
-                    setFavourites([]);
-                    setIsFavoritesLoading(false);
                 });
-
-                return () => unsubscribeFirestore();
             } else {
-                console.log("[MovieContext] User logged out or no user. Loading favorites from localStorage.");
-                const localFavsJSON = localStorage.getItem("favourites");
-                if (localFavsJSON) {
-                    setFavourites(JSON.parse(localFavsJSON));
-                } else {
-                    setFavourites([]);
-                }
-                setIsFavoritesLoading(false);
+                console.log("[MovieContext] User logged out or no user. Loading lists from localStorage.");
+                setLists({
+                    ...Object.fromEntries(USER_LIST_NAMES.map(listName => [listName, readLocalList(listName)])),
+                    favourites: shrinkLocalFavourites(),
+                });
+                setLoadingLists([]);
             }
         });
 
-        return () => unsubscribeAuth();
-    }, []);
+        return () => {
+            unsubscribeAuth();
+            stopFirestoreListeners();
+        };
+    }, [setQueue, flushQueue]);
+
+    // Confirmed entries with the queued changes applied on top
+    const visibleLists = useMemo(() => Object.fromEntries(
+        USER_LIST_NAMES.map(listName => [listName, applyQueuedWrites(lists[listName], pendingWrites, listName)])
+    ), [lists, pendingWrites]);
+
+    // --- Shared List Operations ---
+
+    // Signed-in changes show up straight away and are queued until Firestore confirms them
+    const queueWrite = async (listName, type, movieId, entry = null) => {
+        const operation = {
+            id: createOperationId(),
+            uid: currentUser.uid,
+            listName,
+            type,
+            movieId,
+            entry,
+            title: entry?.title || findListEntry(listName, movieId)?.title || '',
+            attempts: 0,
+        };
+        setQueue([...pendingWritesRef.current, operation]);
+        await saveQueuedWrite(operation);
+        flushQueue();
+    };
+
+    // Adds the entry, or replaces the one with the same key (see getEntryKey)
+    const saveListEntry = async (listName, entry) => {
+        const entryKey = getEntryKey(entry);
+        if (currentUser) {
+            await queueWrite(listName, 'set', entryKey, entry);
+            return;
+        }
+
+        const isSameEntry = (existing) => getEntryKey(existing) === entryKey;
+        const isNewEntry = !lists[listName].some(isSameEntry);
+        setLists(prev => {
+            const entries = prev[listName].some(isSameEntry)
+                ? prev[listName].map(existing => (isSameEntry(existing) ? entry : existing))
+                : [...prev[listName], entry];
+            writeLocalList(listName, entries);
+            return { ...prev, [listName]: entries };
+        });
+        console.log(`[MovieContext] Saved ${entry.title} (${entryKey}) to localStorage ${listName}.`);
+
+        // Conditional prompt display
+        if (isNewEntry && !hasPromptBeenShownAndDismissedThisSession.current) {
+            setShowSignInPrompt(true);
+        }
+    };
+
+    // `entryKey` is the movie id, or "tv-<id>" for a TV show
+    const removeListEntry = async (listName, entryKey) => {
+        if (currentUser) {
+            await queueWrite(listName, 'delete', entryKey);
+            return;
+        }
+
+        setLists(prev => {
+            const entries = prev[listName].filter(entry => getEntryKey(entry) !== entryKey);
+            writeLocalList(listName, entries);
+            return { ...prev, [listName]: entries };
+        });
+        console.log(`[MovieContext] Removed ${entryKey} from localStorage ${listName}.`);
+    };
+
+    const findListEntry = (listName, entryKey) => visibleLists[listName].find(entry => getEntryKey(entry) === entryKey) || null;
 
     // --- Core Favorite Functions ---
+    // Favourites hold movies and TV shows; pass mediaType "tv" (or a show with media_type "tv") for a show.
 
     const addToFavourites = async (movie) => {
+        if (findListEntry('favourites', getEntryKey(movie))) return;
+        await saveListEntry('favourites', toFavouriteRecord(movie, new Date().toISOString()));
+        // Once, here: re-fetching every favourite on each visit would use up the proxy's rate limit
+        prepareForOffline(movie);
+    };
+
+    const removeFromFavourites = (id, mediaType = 'movie') =>
+        removeListEntry('favourites', getEntryKey({ id, media_type: mediaType }));
+
+    const isFavourite = (id, mediaType = 'movie') =>
+        Boolean(findListEntry('favourites', getEntryKey({ id, media_type: mediaType })));
+
+    // Saves imported favourites in one go; entries with the same key are replaced
+    const importFavourites = async (importedMovies) => {
+        if (importedMovies.length === 0) return;
+        const movies = importedMovies.map(movie => toFavouriteRecord(movie));
         if (currentUser) {
-            try {
-                const favDocRef = doc(db, `users/${currentUser.uid}/favorites`, String(movie.id));
-                await setDoc(favDocRef, movie);
-                console.log(`[MovieContext] Added movie ${movie.title} (${movie.id}) to Firestore favorites.`);
-            } catch (error) {
-                console.error("[MovieContext] Error adding favorite to Firestore:", error);
-            }
-        } else {
-            setFavourites(prev => {
-                if (!prev.some(favMovie => favMovie.id === movie.id)) {
-                    const newFavs = [...prev, movie];
-                    localStorage.setItem('favourites', JSON.stringify(newFavs));
-                    console.log(`[MovieContext] Added movie ${movie.title} (${movie.id}) to localStorage favorites.`);
-                    
-                    // Conditional prompt display
-                    if (!hasPromptBeenShownAndDismissedThisSession.current) {
-                        setShowSignInPrompt(true);
-                    }
-                    
-                    return newFavs;
-                }
-                return prev;
-            });
+            await commitListEntries(currentUser.uid, 'favourites', movies);
+            console.log(`[MovieContext] Imported ${movies.length} favourites to Firestore.`);
+            return;
         }
+
+        setLists(prev => {
+            const importedKeys = new Set(movies.map(getEntryKey));
+            const entries = [...prev.favourites.filter(entry => !importedKeys.has(getEntryKey(entry))), ...movies];
+            writeLocalList('favourites', entries);
+            return { ...prev, favourites: entries };
+        });
+        console.log(`[MovieContext] Imported ${movies.length} favourites to localStorage.`);
     };
 
-    const removeFromFavourites = async (movieId) => {
-        if (currentUser) {
-            try {
-                const favDocRef = doc(db, `users/${currentUser.uid}/favorites`, String(movieId));
-                await deleteDoc(favDocRef);
-                console.log(`[MovieContext] Removed movie ${movieId} from Firestore favorites.`);
-            } catch (error) {
-                console.error("[MovieContext] Error removing favorite from Firestore:", error);
-            }
-        } else {
-            setFavourites(prev => {
-                const newFavs = prev.filter(movie => movie.id !== movieId);
-                localStorage.setItem('favourites', JSON.stringify(newFavs));
-                console.log(`[MovieContext] Removed movie ${movieId} from localStorage favorites.`);
-                return newFavs;
-            });
+    // --- Watchlist ---
+
+    const addToWatchlist = async (movie) => {
+        if (findListEntry('watchlist', movie.id)) return;
+        await saveListEntry('watchlist', { ...toMovieSummary(movie), addedAt: new Date().toISOString() });
+    };
+
+    const removeFromWatchlist = (movieId) => removeListEntry('watchlist', movieId);
+
+    const isOnWatchlist = (movieId) => Boolean(findListEntry('watchlist', movieId));
+
+    // --- Watched Diary ---
+
+    // `watchedOn` is a YYYY-MM-DD date. Watching a movie takes it off the watchlist.
+    const markAsWatched = async (movie, watchedOn = getLocalDateString()) => {
+        await saveListEntry('watched', {
+            ...toMovieSummary(movie),
+            watchedOn,
+            loggedAt: findListEntry('watched', movie.id)?.loggedAt || new Date().toISOString(),
+        });
+        if (findListEntry('watchlist', movie.id)) await removeListEntry('watchlist', movie.id);
+    };
+
+    const removeFromWatched = (movieId) => removeListEntry('watched', movieId);
+
+    const getWatchedEntry = (movieId) => findListEntry('watched', movieId);
+
+    // --- Ratings & Reviews ---
+
+    const rateMovie = async (movie, rating, review = '') => {
+        if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+            throw new RangeError(`Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}, got ${rating}.`);
         }
+        await saveListEntry('ratings', {
+            ...toMovieSummary(movie),
+            rating,
+            review: review.trim().slice(0, MAX_REVIEW_LENGTH),
+            ratedAt: new Date().toISOString(),
+        });
     };
 
-    const isFavourite = (movieId) => {
-        return favourites.some(movie => movie.id === movieId);
+    const removeRating = (movieId) => removeListEntry('ratings', movieId);
+
+    const getRating = (movieId) => findListEntry('ratings', movieId);
+
+    // --- Sign-in Merge Summary ---
+
+    // Takes the entries the merge added back out of the account
+    const undoLocalMerge = async () => {
+        if (!mergeSummary || mergeSummary.undone) return;
+        for (const { listName, added } of mergeSummary.lists) {
+            await deleteListEntries(mergeSummary.uid, listName, added.map(getEntryKey));
+        }
+        console.log("[MovieContext] Undid the sign-in merge.");
+        setMergeSummary(prev => (prev ? { ...prev, undone: true } : prev));
     };
 
+    const dismissMergeSummary = () => setMergeSummary(null);
+
+    // --- Sync Status ---
+
+    const dismissFailedWrite = (operationId) => setFailedWrites(prev => prev.filter(operation => operation.id !== operationId));
+
+    let syncStatus = 'synced';
+    if (!isOnline) syncStatus = 'offline';
+    else if (pendingWrites.length > 0) syncStatus = 'syncing';
+
     // Function to dismiss the sign-in prompt permanently for this session
     const dismissSignInPromptForSession = () => {
         setShowSignInPrompt(false);
@@ -151,14 +432,36 @@ export const MovieProvider = ({ children }) => {
         sessionStorage.setItem('signInPromptDismissed', 'true'); // Persist for session
         console.log("[MovieContext] Sign-in prompt dismissed for this session.");
     };
-   
+
 
     const value = {
-        favourites,
-        isFavoritesLoading,
+        favourites: visibleLists.favourites,
+        isFavoritesLoading: loadingLists.includes('favourites'),
         isFavourite,
         addToFavourites,
         removeFromFavourites,
+        importFavourites,
+        watchlist: visibleLists.watchlist,
+        isOnWatchlist,
+        addToWatchlist,
+        removeFromWatchlist,
+        watched: visibleLists.watched,
+        getWatchedEntry,
+        markAsWatched,
+        removeFromWatched,
+        ratings: visibleLists.ratings,
+        getRating,
+        rateMovie,
+        removeRating,
+        isListLoading: (listName) => loadingLists.includes(listName),
+        mergeSummary,
+        undoLocalMerge,
+        dismissMergeSummary,
+        syncStatus,
+        isOnline,
+        pendingWriteCount: pendingWrites.length,
+        failedWrites,
+        dismissFailedWrite,
         currentUser,
         showSignInPrompt,
         dismissSignInPromptForSession,
@@ -169,4 +472,4 @@ export const MovieProvider = ({ children }) => {
             {children}
         </MovieContext.Provider>
     );
-};
\ No newline at end of file
+};
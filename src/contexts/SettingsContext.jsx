@@ -0,0 +1,97 @@
+// src/contexts/SettingsContext.jsx
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { doc, onSnapshot, setDoc } from 'firebase/firestore';
+import { db } from '../firebase';
+import { useMovieContext } from './MovieContext';
+import { setRequestLocale } from '../services/tmdbClient';
+import {
+  detectSettings,
+  normalizeSettings,
+  readLocalSettings,
+  writeLocalSettings,
+  getSettingsDocPath,
+  isSameSettings,
+} from '../services/userSettings';
+
+const SettingsContext = createContext();
+
+export const useSettingsContext = () => useContext(SettingsContext);
+
+// Stored settings, or a guess from the browser on the first visit.
+// Applied to the TMDB client right away, before any page starts fetching.
+const loadInitialSettings = () => {
+  const settings = readLocalSettings() || detectSettings();
+  setRequestLocale(settings);
+  return settings;
+};
+
+export const SettingsProvider = ({ children }) => {
+  const { currentUser } = useMovieContext();
+  const [settings, setSettings] = useState(loadInitialSettings);
+
+  // Every change goes through here so the TMDB client never lags behind the UI
+  const applySettings = (next) => {
+    setRequestLocale(next);
+    writeLocalSettings(next);
+    setSettings(next);
+  };
+
+  // --- Firestore sync for signed-in users ---
+  // The account's settings win over this device's; an account without any gets this device's.
+  useEffect(() => {
+    if (!currentUser) return;
+    const settingsDocRef = doc(db, getSettingsDocPath(currentUser.uid));
+    const unsubscribe = onSnapshot(
+      settingsDocRef,
+      (snapshot) => {
+        if (!snapshot.exists()) {
+          setDoc(settingsDocRef, readLocalSettings() || detectSettings()).catch((err) =>
+            console.error("[SettingsContext] Error saving settings to Firestore:", err)
+          );
+          return;
+        }
+        const remote = normalizeSettings(snapshot.data());
+        setRequestLocale(remote);
+        writeLocalSettings(remote);
+        setSettings((prev) => (isSameSettings(prev, remote) ? prev : remote));
+        console.log("[SettingsContext] Settings synced from Firestore:", remote);
+      },
+      (err) => console.error("[SettingsContext] Error listening to Firestore settings:", err)
+    );
+    return () => unsubscribe();
+  }, [currentUser]);
+
+  const updateSettings = async (changes) => {
+    const next = normalizeSettings({ ...settings, ...changes });
+    applySettings(next);
+    if (!currentUser) return;
+    try {
+      await setDoc(doc(db, getSettingsDocPath(currentUser.uid)), next);
+    } catch (err) {
+      console.error("[SettingsContext] Error saving settings to Firestore:", err);
+      throw err;
+    }
+  };
+
+  // Only the TMDB settings; the UI language has its own switcher in the NavBar
+  const resetToDetectedSettings = () => {
+    const { region, language } = detectSettings();
+    return updateSettings({ region, language });
+  };
+
+  const value = {
+    settings,
+    region: settings.region,
+    language: settings.language,
+    uiLanguage: settings.uiLanguage,
+    streamingServices: settings.streamingServices,
+    updateSettings,
+    resetToDetectedSettings,
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
@@ -0,0 +1,35 @@
+// hooks/useCertificationOptions.js
+import { useState, useEffect } from "react";
+import { useSettingsContext } from "../contexts/SettingsContext";
+import { getMovieCertifications } from "../services/api";
+import { getCertificationOptions } from "../services/discoverFilters";
+
+/**
+ * The age ratings the discover certification filter offers in the user's region.
+ * Falls back to the US ratings when TMDB has none for the region or the lists fail to load.
+ * @returns {{country: string, certifications: string[], loading: boolean}}
+ */
+export function useCertificationOptions() {
+  const { region } = useSettingsContext();
+  const [certificationLists, setCertificationLists] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    getMovieCertifications()
+      .then((lists) => {
+        if (!cancelled) setCertificationLists(lists);
+      })
+      .catch(() => {
+        // Already logged by the API layer; the US fallback list is offered instead
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { ...getCertificationOptions(certificationLists, region), loading };
+}
@@ -0,0 +1,90 @@
+// hooks/useHydratedMovies.js
+import { useState, useEffect, useMemo } from "react";
+import { getMovieDetails, getTvDetails } from "../services/api";
+import { toMovieSummary, getEntryKey, getMediaType } from "../services/userLists";
+
+// Fresh details per entry key (see getEntryKey), shared by every component using the hooks.
+// getMovieDetails has its own cache too; this one just makes the result available synchronously.
+const hydratedMovies = new Map(); // entryKey -> { ...summary, overview }
+const requested = new Set(); // Entry keys loaded or being loaded
+const listeners = new Set(); // Called whenever hydratedMovies gains an entry
+
+const fetchDetails = { movie: getMovieDetails, tv: getTvDetails };
+
+// Until details arrive, a slim record's year stands in for the release date
+const toDisplayMovie = (record) => ({
+  ...record,
+  release_date: record.release_date ?? (record.year ? String(record.year) : ""),
+});
+
+const mergeDetails = (record) => {
+  const details = hydratedMovies.get(getEntryKey(record));
+  // Keep what only the stored record knows, like when it was added
+  return details ? { ...toDisplayMovie(record), ...details, addedAt: record.addedAt } : toDisplayMovie(record);
+};
+
+// Loads one record's details in the background request budget (services/requestLimiter.js).
+// The details page's cached response is reused when there is one.
+const hydrate = async (record) => {
+  const key = getEntryKey(record);
+  if (requested.has(key)) return;
+  requested.add(key);
+  try {
+    const details = await fetchDetails[getMediaType(record)](record.id, { limited: true });
+    hydratedMovies.set(key, { ...toMovieSummary(details), overview: details.overview || "" });
+    listeners.forEach((listener) => listener());
+  } catch (err) {
+    console.error(`[useHydratedMovies] Couldn't load details for ${key}:`, err);
+    requested.delete(key); // Tried again the next time it's on screen
+  }
+};
+
+/**
+ * Fills in slim stored records (see toFavouriteRecord) with the TMDB details loaded so far.
+ * Nothing is fetched here: details load for the rows on screen, see useHydrateOnScreen.
+ * Records are returned straight away and re-rendered as their details arrive.
+ * @param {object[]} records
+ * TV shows keep their media_type and are given a title and release_date like movies (see toMovieSummary).
+ * @returns {object[]} Movie objects with at least id, title, poster_path, release_date, vote_average and genre_ids.
+ */
+export function useHydratedMovies(records) {
+  const [loadedCount, setLoadedCount] = useState(0);
+
+  useEffect(() => {
+    const listener = () => setLoadedCount((count) => count + 1);
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  }, []);
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps -- loadedCount changes when hydratedMovies does
+  return useMemo(() => records.map(mergeDetails), [records, loadedCount]);
+}
+
+/**
+ * Loads the details of the movies whose element scrolls into view, so a long list of
+ * favourites doesn't fetch every one of them each time it's opened.
+ * @param {object[]} movies - What the container renders, in order: its n-th child shows movies[n].
+ * @returns {(node: Element|null) => void} Ref for the container.
+ */
+export function useHydrateOnScreen(movies) {
+  const [container, setContainer] = useState(null);
+
+  useEffect(() => {
+    if (!container) return;
+    const rows = Array.from(container.children);
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        const movie = movies[rows.indexOf(entry.target)];
+        if (movie) hydrate(movie);
+      });
+    });
+    rows.forEach((row) => observer.observe(row));
+    return () => observer.disconnect();
+  }, [container, movies]);
+
+  return setContainer;
+}
@@ -0,0 +1,54 @@
+// hooks/useMyServicesForMovie.js
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useSettingsContext } from "../contexts/SettingsContext";
+import { getStreamingProviders, findMyServices } from "../services/streamingServices";
+
+// Cards only scrolled past aren't looked up: a card has to stay on screen this long
+const LOOKUP_DELAY_MS = 400;
+
+/**
+ * Which of the user's streaming services carry a movie, for the MovieCard badge.
+ * Nothing is fetched until the element given to `ref` has been on screen for a moment,
+ * and nothing at all when the user hasn't picked any services. Lookups are rate limited
+ * in services/requestLimiter.js.
+ * @param {number} movieId
+ * @returns {{ref: (node: Element|null) => void, services: object[]}}
+ */
+export function useMyServicesForMovie(movieId) {
+  const { streamingServices } = useSettingsContext();
+  const [isVisible, setIsVisible] = useState(false);
+  const [providers, setProviders] = useState(null); // The movie's subscription providers, once known
+  const observerRef = useRef(null);
+  const enabled = streamingServices.length > 0;
+
+  const ref = useCallback((node) => {
+    observerRef.current?.disconnect();
+    observerRef.current = null;
+    if (!node) return;
+
+    observerRef.current = new IntersectionObserver((entries) => {
+      setIsVisible(entries[entries.length - 1].isIntersecting);
+    });
+    observerRef.current.observe(node);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !isVisible) return;
+    let cancelled = false;
+    // Lookups are shared per movie, so coming back to a card doesn't fetch it again
+    const timer = setTimeout(() => {
+      getStreamingProviders(movieId).then((result) => {
+        if (!cancelled) setProviders(result);
+      });
+    }, LOOKUP_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [movieId, enabled, isVisible]);
+
+  return {
+    ref,
+    services: enabled && providers ? findMyServices(providers, streamingServices) : [],
+  };
+}
@@ -0,0 +1,148 @@
+// hooks/usePaginatedFeed.js
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useScrollRestoration } from "./useScrollRestoration";
+import { getRequestLocale } from "../services/tmdbClient";
+
+const MAX_CACHED_FEEDS = 10;
+const SENTINEL_ROOT_MARGIN = "600px"; // Start fetching before the user actually hits the bottom
+
+// Loaded pages per feed key, so coming back to a feed (e.g. from /movie/:id)
+// shows what was already there instead of starting over from page 1.
+const feedCache = new Map(); // feedKey -> { key, items, page, totalPages, totalResults }
+
+const rememberFeed = (feed) => {
+  feedCache.delete(feed.key); // Re-insert so the Map order doubles as an LRU list
+  feedCache.set(feed.key, feed);
+  if (feedCache.size > MAX_CACHED_FEEDS) {
+    feedCache.delete(feedCache.keys().next().value);
+  }
+};
+
+const emptyFeed = (key) => ({ key, items: [], page: 0, totalPages: 1, totalResults: 0 });
+
+/**
+ * Loads a TMDB-style paginated list one page at a time, as the user scrolls.
+ * @param {string} listKey - Identifies the list; changing it starts (or restores) another feed.
+ *   Feeds are kept apart per content language and region as well.
+ * @param {(page: number) => Promise<{results: object[], total_pages: number, total_results: number}>} fetchPage
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - When false nothing is fetched.
+ * @returns {{items: object[], loading: boolean, error: Error|null, hasMore: boolean,
+ *   totalResults: number, loadMore: () => void, sentinelRef: (node: Element|null) => void}}
+ */
+export function usePaginatedFeed(listKey, fetchPage, { enabled = true } = {}) {
+  const { language, region } = getRequestLocale();
+  const feedKey = `${listKey}|${language}-${region}`;
+  const [feed, setFeed] = useState(() => feedCache.get(feedKey) || emptyFeed(feedKey));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchPageRef = useRef(fetchPage);
+  const activeKeyRef = useRef(feedKey);
+  const loadingKeyRef = useRef(null); // Key of the feed currently fetching, if any
+  const feedRef = useRef(feed);
+
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  });
+
+  // The state may still hold the previous feed for one render after the key changes
+  const currentFeed = feed.key === feedKey ? feed : feedCache.get(feedKey) || emptyFeed(feedKey);
+  feedRef.current = currentFeed;
+  const hasMore = enabled && currentFeed.page < currentFeed.totalPages;
+
+  const loadPage = useCallback(async (key, page) => {
+    if (loadingKeyRef.current === key) return; // Already fetching for this feed
+    loadingKeyRef.current = key;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await fetchPageRef.current(page);
+      if (activeKeyRef.current !== key) return; // The user moved on to another feed
+
+      setFeed((prev) => {
+        const base = prev.key === key ? prev : feedCache.get(key) || emptyFeed(key);
+        const seenIds = new Set(base.items.map((item) => item.id));
+        const newItems = (data.results || []).filter((item) => !seenIds.has(item.id));
+        return {
+          key,
+          items: [...base.items, ...newItems],
+          page,
+          totalPages: data.total_pages || 1,
+          totalResults: data.total_results ?? base.items.length + newItems.length,
+        };
+      });
+      console.log(`[usePaginatedFeed] Loaded page ${page} of "${key}".`);
+    } catch (err) {
+      console.error(`[usePaginatedFeed] Failed to load page ${page} of "${key}":`, err);
+      if (activeKeyRef.current === key) setError(err);
+    } finally {
+      if (loadingKeyRef.current === key) loadingKeyRef.current = null;
+      if (activeKeyRef.current === key) setLoading(false);
+    }
+  }, []);
+
+  // --- Keep the module cache in sync with what is on screen ---
+  useEffect(() => {
+    if (feed.page > 0) rememberFeed(feed);
+  }, [feed]);
+
+  // --- Switch feeds: restore from cache or fetch the first page ---
+  useEffect(() => {
+    activeKeyRef.current = feedKey;
+    setError(null);
+    setLoading(loadingKeyRef.current === feedKey);
+
+    const cached = feedCache.get(feedKey);
+    setFeed(cached || emptyFeed(feedKey));
+    if (enabled && !cached) loadPage(feedKey, 1);
+  }, [feedKey, enabled, loadPage]);
+
+  const loadMore = useCallback(() => {
+    const current = feedRef.current;
+    if (!enabled || loadingKeyRef.current === current.key) return;
+    if (current.page >= current.totalPages) return;
+    loadPage(current.key, current.page + 1);
+  }, [enabled, loadPage]);
+
+  // --- Infinite scroll: fetch the next page when the sentinel comes into view ---
+  const observerRef = useRef(null);
+  const sentinelVisibleRef = useRef(false);
+
+  const sentinelRef = useCallback((node) => {
+    if (observerRef.current) {
+      observerRef.current.disconnect();
+      observerRef.current = null;
+    }
+    sentinelVisibleRef.current = false;
+    if (!node) return;
+
+    observerRef.current = new IntersectionObserver(
+      (entries) => {
+        sentinelVisibleRef.current = entries.some((entry) => entry.isIntersecting);
+        if (sentinelVisibleRef.current) loadMore();
+      },
+      { rootMargin: SENTINEL_ROOT_MARGIN }
+    );
+    observerRef.current.observe(node);
+  }, [loadMore]);
+
+  // A short page may leave the sentinel on screen, which the observer won't report again.
+  // After an error, wait for an explicit retry instead of hammering the API.
+  useEffect(() => {
+    if (!loading && !error && hasMore && sentinelVisibleRef.current) loadMore();
+  }, [loading, error, hasMore, currentFeed.page, loadMore]);
+
+  useScrollRestoration(`feed:${feedKey}`, currentFeed.items.length > 0);
+
+  return {
+    items: currentFeed.items,
+    loading,
+    error,
+    hasMore,
+    totalResults: currentFeed.totalResults,
+    loadMore,
+    sentinelRef,
+  };
+}
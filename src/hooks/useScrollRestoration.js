@@ -0,0 +1,43 @@
+// hooks/useScrollRestoration.js
+import { useEffect, useLayoutEffect, useRef } from "react";
+import { useNavigationType } from "react-router-dom";
+
+// Last known window scroll position per key, kept for the lifetime of the tab
+const scrollPositions = new Map();
+
+/**
+ * Remembers the window scroll position under `key` and restores it when the
+ * user comes back to the page with the browser's back/forward buttons.
+ * @param {string} key - Identifies the page/view whose position is tracked.
+ * @param {boolean} ready - Pass true once the content is rendered tall enough to scroll into.
+ */
+export function useScrollRestoration(key, ready) {
+  const navigationType = useNavigationType();
+  const restoredKeyRef = useRef(null);
+
+  // --- Track the scroll position while the page is mounted ---
+  useEffect(() => {
+    let frame = null;
+    const handleScroll = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        scrollPositions.set(key, window.scrollY);
+      });
+    };
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", handleScroll);
+    };
+  }, [key]);
+
+  // --- Restore it once, after the content is back on screen ---
+  useLayoutEffect(() => {
+    if (!ready || restoredKeyRef.current === key) return;
+    restoredKeyRef.current = key;
+    if (navigationType === "POP" && scrollPositions.has(key)) {
+      window.scrollTo(0, scrollPositions.get(key));
+    }
+  }, [key, ready, navigationType]);
+}
@@ -0,0 +1,783 @@
+// locales/ar.js
+// Arabic messages. Arabic is written right to left (see UI_LANGUAGES in services/i18n.js)
+// and has six plural forms: zero, one, two, few (3-10), many (11-99) and other.
+
+export default {
+  common: {
+    notAvailable: "غير متوفر",
+    loading: "جارٍ التحميل...",
+    tryAgain: "إعادة المحاولة",
+    cancel: "إلغاء",
+    close: "إغلاق",
+    score: "{score}/10",
+  },
+
+  nav: {
+    brand: "مكتبة الأفلام",
+    home: "الرئيسية",
+    favourites: "المفضلة",
+    watchlist: "قائمة المشاهدة",
+    diary: "اليوميات",
+    ratings: "التقييمات",
+    lists: "القوائم",
+    genres: "التصنيفات",
+    account: "الحساب",
+    loadingGenres: "جارٍ تحميل التصنيفات...",
+    genresError: "تعذّر تحميل التصنيفات.",
+    noGenres: "لم يتم العثور على تصنيفات.",
+    offline: "غير متصل",
+    offlinePending: {
+      zero: "غير متصل",
+      one: "غير متصل · تغيير واحد بانتظار المزامنة",
+      two: "غير متصل · تغييران بانتظار المزامنة",
+      few: "غير متصل · {count} تغييرات بانتظار المزامنة",
+      many: "غير متصل · {count} تغييرًا بانتظار المزامنة",
+      other: "غير متصل · {count} تغيير بانتظار المزامنة",
+    },
+    syncing: "جارٍ المزامنة...",
+    language: "اللغة",
+  },
+
+  home: {
+    loadError: "تعذّر تحميل الأفلام الرائجة. يُرجى المحاولة مرة أخرى.",
+    loadingMore: "جارٍ تحميل المزيد من الأفلام...",
+    mediaTypeLabel: "عرض الأفلام أو المسلسلات",
+    mediaTypes: { movie: "أفلام", tv: "مسلسلات" },
+    loadErrorTv: "تعذّر تحميل المسلسلات الرائجة. يُرجى المحاولة مرة أخرى.",
+    loadingMoreTv: "جارٍ تحميل المزيد من المسلسلات...",
+  },
+
+  signInPrompt: {
+    title: "احفظ أفلامك المفضلة!",
+    message: "سجّل الدخول لحفظ أفلامك المفضلة بشكل دائم على جميع أجهزتك. وإلا فستفقدها عند إغلاق المتصفح أو إعادة تحميل الصفحة.",
+    signIn: "تسجيل الدخول / إنشاء حساب",
+    continueAsGuest: "المتابعة كضيف",
+  },
+
+  account: {
+    title: "حسابي",
+    profileTitle: "معلومات الملف الشخصي",
+    avatarAlt: "صورة المستخدم",
+    avatarTitle: "صورة ملفك الشخصي",
+    welcome: "مرحبًا،",
+    email: "البريد الإلكتروني:",
+    memberSince: "عضو منذ:",
+    signOut: "تسجيل الخروج",
+    signIn: "تسجيل الدخول",
+    signUp: "إنشاء حساب",
+    createAccount: "إنشاء حساب",
+    displayNamePlaceholder: "الاسم المعروض",
+    emailPlaceholder: "البريد الإلكتروني",
+    passwordPlaceholder: "كلمة المرور",
+    or: "أو",
+    googleSignIn: "تسجيل الدخول باستخدام Google",
+    haveAccount: "لديك حساب بالفعل؟",
+    noAccount: "ليس لديك حساب؟",
+    favouritesTitle: "مفضلتي ({count})",
+    guestPrompt: "سجّل الدخول لحفظ أفلامك المفضلة بشكل دائم!",
+    noFavouritesSignedIn: "لم تُضف أي أفلام إلى المفضلة بعد. ابدأ الاستكشاف واعثر على ما يعجبك!",
+    noFavouritesGuest: "لم تُضف أي أفلام إلى المفضلة. ستُحفظ أفلامك المفضلة هنا بعد تسجيل الدخول.",
+    deleteAccount: "حذف الحساب",
+    confirmDeleteTitle: "تأكيد حذف الحساب",
+    confirmDeleteMessage: "تحذير: حذف حسابك نهائي. ستفقد جميع بياناتك، بما في ذلك المفضلة وقائمة المشاهدة واليوميات والتقييمات والقوائم. لا يمكن التراجع عن ذلك. هل أنت متأكد تمامًا؟",
+    confirmDelete: "نعم، احذف حسابي",
+    signedUp: "تم إنشاء الحساب بنجاح! أنت الآن مسجّل الدخول.",
+    signedOut: "تم تسجيل خروجك بنجاح.",
+    popupClosed: "تم إغلاق نافذة تسجيل الدخول عبر Google.",
+    noUserToDelete: "لا يوجد مستخدم مسجّل الدخول لحذفه.",
+    deleting: "جارٍ حذف الحساب...",
+    deleted: "تم حذف حسابك بنجاح، وتم تسجيل خروجك.",
+    recentLoginRequired: "يُرجى تسجيل الدخول مجددًا لحذف حسابك. (سجّل الخروج ثم سجّل الدخول، ثم أعد المحاولة).",
+    deleteFailed: "تعذّر حذف الحساب: {message}",
+    deleteCancelled: "تم إلغاء حذف الحساب.",
+  },
+
+  preferences: {
+    title: "التفضيلات",
+    region: "المنطقة",
+    regionHint: "تُستخدم لأماكن المشاهدة والتصنيفات العمرية وتواريخ الإصدار.",
+    contentLanguage: "لغة المحتوى",
+    contentLanguageHint: "تُعرض العناوين والملخصات والتصنيفات بهذه اللغة عندما تتوفر ترجمة في TMDB.",
+    useBrowserSettings: "استخدام إعدادات المتصفح ({region}، {language})",
+    syncFailed: "تم الحفظ على هذا الجهاز، لكن تعذّرت المزامنة مع حسابك. ستتم المحاولة مرة أخرى لاحقًا.",
+  },
+
+  favourites: {
+    title: "مفضلتك",
+    searchPlaceholder: "ابحث في المفضلة...",
+    searchLabel: "ابحث في المفضلة",
+    sortLabel: "الترتيب حسب",
+    sort: {
+      added: "المضافة حديثًا",
+      title: "العنوان (أ-ي)",
+      newest: "سنة الإصدار (الأحدث)",
+      oldest: "سنة الإصدار (الأقدم)",
+      rating: "تقييم TMDB",
+    },
+    genreLabel: "التصنيف",
+    allGenres: "كل التصنيفات",
+    decadeLabel: "العقد",
+    allDecades: "كل العقود",
+    decade: "عقد {decade}",
+    rating: "التقييم",
+    minRating: "أدنى تقييم في TMDB",
+    maxRating: "أعلى تقييم في TMDB",
+    layout: "طريقة العرض",
+    grid: "شبكة",
+    compact: "قائمة مختصرة",
+    count: {
+      zero: "لا توجد عناصر مفضلة",
+      one: "عنصر مفضل واحد",
+      two: "عنصران مفضلان",
+      few: "{count} عناصر مفضلة",
+      many: "{count} عنصرًا مفضلًا",
+      other: "{count} عنصر مفضل",
+    },
+    showing: { other: "عرض {visible} من {count}" },
+    clearFilters: "مسح عوامل التصفية",
+    noMatches: "لا توجد عناصر مفضلة تطابق عوامل التصفية هذه.",
+    remove: "إزالة من المفضلة",
+    typeLabel: "النوع",
+    allTypes: "الأفلام والمسلسلات",
+    types: { movie: "أفلام", tv: "مسلسلات" },
+    emptyTitle: "لا توجد عناصر مفضلة بعد",
+    emptyMessage: "ابدأ بإضافة الأفلام والمسلسلات إلى المفضلة وستظهر هنا!",
+  },
+
+  tvCard: {
+    badge: "مسلسل",
+  },
+
+  movieCard: {
+    addFavourite: "إضافة إلى المفضلة",
+    removeFavourite: "إزالة من المفضلة",
+    addWatchlist: "إضافة إلى قائمة المشاهدة",
+    removeWatchlist: "إزالة من قائمة المشاهدة",
+    markWatched: "تحديد كمُشاهَد",
+    removeWatched: "إزالة من المُشاهَدة",
+    yourRating: "تقييمك",
+  },
+  myServices: {
+    toggle: "متوفر على خدماتي",
+    setUp: "اختر خدمات البث لديك",
+    badge: "يُعرض على {services}",
+    noResults: "لا شيء هنا يُعرض على خدماتك.",
+    settingsTitle: "خدمات البث لديّ",
+    settingsHint: "خدمات الاشتراك المتوفرة في {region}. اختر الخدمات المشترك فيها لتصفية القوائم إلى ما يمكنك مشاهدته.",
+    loading: "جارٍ تحميل الخدمات...",
+    loadError: "تعذّر تحميل خدمات البث. يُرجى المحاولة لاحقًا.",
+    showAll: {
+      zero: "عرض الكل",
+      one: "عرض الكل (خدمة واحدة)",
+      two: "عرض الكل (خدمتان)",
+      few: "عرض الكل ({count} خدمات)",
+      many: "عرض الكل ({count} خدمة)",
+      other: "عرض الكل ({count} خدمة)",
+    },
+    showFewer: "عرض أقل",
+    clear: {
+      zero: "مسح",
+      one: "مسح (خدمة واحدة محددة)",
+      two: "مسح (خدمتان محددتان)",
+      few: "مسح ({count} خدمات محددة)",
+      many: "مسح ({count} خدمة محددة)",
+      other: "مسح ({count} خدمة محددة)",
+    },
+  },
+  movieDetails: {
+    loading: "جارٍ تحميل تفاصيل الفيلم...",
+    notFound: "لم يتم العثور على الفيلم.",
+    noData: "لم يتم العثور على بيانات لهذا الفيلم أو حدث خطأ في الواجهة البرمجية.",
+    rateLimited: "عدد الطلبات كبير جدًا الآن. يُرجى الانتظار قليلًا ثم المحاولة مرة أخرى.",
+    networkError: "خطأ في الشبكة. يُرجى التحقق من اتصالك بالإنترنت والمحاولة مرة أخرى.",
+    unavailable: "بيانات الأفلام غير متاحة الآن. يُرجى المحاولة لاحقًا.",
+    loadFailed: "تعذّر تحميل تفاصيل الفيلم. يُرجى المحاولة لاحقًا.",
+    addFavourite: "إضافة إلى المفضلة",
+    removeFavourite: "إزالة من المفضلة",
+    votes: {
+      zero: "(لا توجد أصوات)",
+      one: "(صوت واحد)",
+      two: "(صوتان)",
+      few: "({votes} أصوات)",
+      many: "({votes} صوتًا)",
+      other: "({votes} صوت)",
+    },
+    storyline: "القصة",
+    noStoryline: "لا يتوفر ملخص للقصة.",
+    whereToWatch: "أين تشاهده",
+    findAllOptions: "اعثر على كل الخيارات في {link}",
+    stream: "بث",
+    rent: "استئجار",
+    buy: "شراء",
+    noProviders: "لا تتوفر خيارات للبث أو الاستئجار أو الشراء في {region}.",
+    details: "التفاصيل",
+    releaseDate: "تاريخ الإصدار:",
+    countries: "بلدان الإنتاج:",
+    officialSite: "الموقع الرسمي:",
+    language: "اللغة:",
+    alsoKnownAs: "يُعرف أيضًا باسم:",
+    productionCompanies: "شركات الإنتاج:",
+    castAndCrew: "طاقم التمثيل والعمل",
+    director: "المخرج:",
+    writers: "الكتّاب:",
+    stars: "البطولة:",
+    similar: "أفلام مشابهة",
+    partOfCollection: "جزء من {name}",
+    viewCollection: "عرض السلسلة ←",
+  },
+  collection: {
+    loading: "جارٍ تحميل السلسلة...",
+    notFound: "لم يتم العثور على السلسلة.",
+    loadFailed: "تعذّر تحميل هذه السلسلة. يُرجى المحاولة لاحقًا.",
+    movieCount: {
+      zero: "لا توجد أفلام",
+      one: "فيلم واحد",
+      two: "فيلمان",
+      few: "{count} أفلام",
+      many: "{count} فيلمًا",
+      other: "{count} فيلم",
+    },
+    progress: "شاهدت {seen} من {count}",
+    complete: {
+      zero: "شاهدتها كلها",
+      one: "شاهدته",
+      two: "شاهدت الفيلمين",
+      few: "شاهدت الأفلام الـ{count} كلها",
+      many: "شاهدت الأفلام الـ{count} كلها",
+      other: "شاهدت الأفلام الـ{count} كلها",
+    },
+    progressLabel: "تقدّم المشاهدة في السلسلة",
+    overview: "نظرة عامة",
+    noOverview: "لا تتوفر نظرة عامة.",
+    watchInOrder: "شاهدها بالترتيب",
+    dateUnknown: "لم يُعلن تاريخ الإصدار",
+    comingOn: "يُعرض في {date}",
+    watched: "تمت المشاهدة",
+    watchedOn: "شوهد في {date}",
+    upNext: "التالي",
+  },
+  gallery: {
+    title: "الصور ({count})",
+    imageAlt: "الصورة {number} من {title}",
+    viewAll: {
+      one: "عرض صورة أخرى",
+      two: "عرض صورتين أخريين",
+      few: "عرض {count} صور أخرى",
+      many: "عرض {count} صورة أخرى",
+      other: "عرض {count} صورة أخرى",
+    },
+    typeFilter: "نوع الصورة",
+    types: {
+      all: "الكل",
+      backdrop: "الخلفيات",
+      poster: "الملصقات",
+      logo: "الشعارات",
+      profile: "الصور",
+      still: "اللقطات",
+    },
+    language: "اللغة",
+    allLanguages: "كل اللغات",
+    noText: "بلا نص",
+    noMatches: "لا توجد صور تطابق هذه الفلاتر.",
+    showLess: "عرض أقل",
+    lightboxLabel: "صور {title}",
+    previous: "الصورة السابقة",
+    next: "الصورة التالية",
+    position: "{number} من {count}",
+    openOriginal: "فتح بالحجم الكامل",
+  },
+  videos: {
+    title: "الفيديوهات ({count})",
+    play: "تشغيل {name}",
+    privacyNote: "يُشغَّل من {site}. لا يُحمَّل أي شيء من {site} قبل أن تضغط على تشغيل.",
+    watchOn: "المشاهدة على {site}",
+    pickerLabel: "فيديوهات {title}",
+    typeFilter: "نوع الفيديو",
+    types: {
+      all: "الكل",
+      trailer: "الإعلانات",
+      teaser: "الإعلانات القصيرة",
+      clip: "المقاطع",
+      featurette: "الفيديوهات الخاصة",
+      behindTheScenes: "كواليس التصوير",
+      other: "أخرى",
+    },
+    typeNames: {
+      trailer: "إعلان",
+      teaser: "إعلان قصير",
+      clip: "مقطع",
+      featurette: "فيديو خاص",
+      behindTheScenes: "كواليس التصوير",
+      other: "فيديو",
+    },
+    language: "اللغة",
+    allLanguages: "كل اللغات",
+    noMatches: "لا توجد فيديوهات تطابق هذه الفلاتر.",
+    viewAll: {
+      one: "عرض فيديو آخر",
+      two: "عرض فيديوهين آخرين",
+      few: "عرض {count} فيديوهات أخرى",
+      many: "عرض {count} فيديو آخر",
+      other: "عرض {count} فيديو آخر",
+    },
+    showLess: "عرض أقل",
+  },
+
+  tvDetails: {
+    loading: "جارٍ تحميل المسلسل...",
+    notFound: "لم يتم العثور على المسلسل.",
+    unavailable: "تفاصيل المسلسل غير متاحة حاليًا.",
+    loadFailed: "تعذّر تحميل تفاصيل المسلسل. يُرجى المحاولة مرة أخرى.",
+    seasonCount: {
+      zero: "لا مواسم",
+      one: "موسم واحد",
+      two: "موسمان",
+      few: "{count} مواسم",
+      many: "{count} موسمًا",
+      other: "{count} موسم",
+    },
+    perEpisode: "{runtime} للحلقة",
+    episodeCount: {
+      zero: "لا حلقات",
+      one: "حلقة واحدة",
+      two: "حلقتان",
+      few: "{count} حلقات",
+      many: "{count} حلقة",
+      other: "{count} حلقة",
+    },
+    firstAired: "أول عرض:",
+    lastAired: "آخر عرض:",
+    status: "الحالة:",
+    statuses: {
+      returning: "مستمر",
+      inProduction: "قيد الإنتاج",
+      planned: "مخطط له",
+      pilot: "حلقة تجريبية",
+      ended: "انتهى",
+      canceled: "أُلغي",
+    },
+    episodes: "الحلقات:",
+    createdBy: "من إبداع:",
+    networks: "الشبكات:",
+    cast: "طاقم المسلسل",
+    seasons: "المواسم",
+    seasonPicker: "الموسم",
+    loadingSeason: "جارٍ تحميل الحلقات...",
+    seasonFailed: "تعذّر تحميل حلقات هذا الموسم.",
+    noEpisodes: "لم يُعلن عن حلقات هذا الموسم بعد.",
+    airsOn: "يُعرض في {date}",
+    showCredits: "عرض فريق العمل",
+    hideCredits: "إخفاء فريق العمل",
+    directedBy: "إخراج:",
+    writtenBy: "تأليف:",
+    guestStars: "ضيوف الشرف:",
+    creditsFailed: "تعذّر تحميل فريق عمل هذه الحلقة.",
+    noCredits: "لا يوجد فريق عمل مدرج لهذه الحلقة.",
+  },
+
+  ratings: {
+    title: "تقييماتك",
+    loading: "جارٍ تحميل تقييماتك...",
+    emptyTitle: "لا توجد تقييمات بعد",
+    emptyMessage: "قيّم فيلمًا من صفحته وستُحفظ درجتك ومراجعتك هنا.",
+    summary: {
+      zero: "لم تُقيَّم أي أفلام · المتوسط {average}/10",
+      one: "فيلم واحد مُقيَّم · المتوسط {average}/10",
+      two: "فيلمان مُقيَّمان · المتوسط {average}/10",
+      few: "{count} أفلام مُقيَّمة · المتوسط {average}/10",
+      many: "{count} فيلمًا مُقيَّمًا · المتوسط {average}/10",
+      other: "{count} فيلم مُقيَّم · المتوسط {average}/10",
+    },
+    sortLabel: "الترتيب حسب",
+    sort: {
+      recent: "الأحدث تقييمًا",
+      highest: "الأعلى تقييمًا",
+      lowest: "الأدنى تقييمًا",
+    },
+    ratedOn: "قُيّم في {date}",
+  },
+
+  userLists: {
+    favourites: "المفضلة",
+    watchlist: "قائمة المشاهدة",
+    watched: "اليوميات",
+    ratings: "التقييمات",
+  },
+
+  watchlist: {
+    title: "قائمة مشاهدتك",
+    loading: "جارٍ تحميل قائمة المشاهدة...",
+    emptyTitle: "قائمة مشاهدتك فارغة",
+    emptyMessage: "استخدم الإشارة المرجعية على أي فيلم لحفظه لوقت لاحق. {link}.",
+    findSomething: "ابحث عن شيء لمشاهدته",
+    count: {
+      zero: "لا أفلام للمشاهدة",
+      one: "فيلم واحد للمشاهدة",
+      two: "فيلمان للمشاهدة",
+      few: "{count} أفلام للمشاهدة",
+      many: "{count} فيلمًا للمشاهدة",
+      other: "{count} فيلم للمشاهدة",
+    },
+  },
+
+  diary: {
+    title: "يومياتك",
+    loading: "جارٍ تحميل يومياتك...",
+    emptyTitle: "يومياتك فارغة",
+    emptyMessage: "ضع علامة على الأفلام التي شاهدتها وستظهر هنا حسب التاريخ.",
+    count: {
+      zero: "لم تُشاهَد أي أفلام",
+      one: "فيلم واحد تمت مشاهدته",
+      two: "فيلمان تمت مشاهدتهما",
+      few: "{count} أفلام تمت مشاهدتها",
+      many: "{count} فيلمًا تمت مشاهدته",
+      other: "{count} فيلم تمت مشاهدته",
+    },
+    seeRatings: "عرض تقييماتك",
+    remove: "إزالة",
+    removeTitle: "إزالة من اليوميات",
+  },
+
+  offlineBanner: {
+    message: "أنت غير متصل. لا تزال {link} وصفحاتها تعمل؛ وتعرض الصفحات الأخرى ما تم تحميله من قبل.",
+    favouritesLink: "مفضلتك",
+  },
+
+  syncToast: {
+    saveFailed: "تعذّر حفظ {title} في {list}.",
+    removeFailed: "تعذّرت إزالة {title} من {list}.",
+    untitled: "فيلم",
+    undone: "تم التراجع عن التغيير.",
+    dismiss: "إغلاق",
+    lists: {
+      favourites: "المفضلة",
+      watchlist: "قائمة المشاهدة",
+      watched: "اليوميات",
+      ratings: "التقييمات",
+    },
+  },
+
+  mergeSummary: {
+    title: "مرحبًا بعودتك!",
+    message: "أُضيفت إلى حسابك الأفلام التي حفظتها قبل تسجيل الدخول.",
+    undoneTitle: "تم التراجع عن الدمج",
+    undoneMessage: {
+      zero: "لم يُحذف أي فيلم من حسابك.",
+      one: "أُزيل من حسابك الفيلم الوحيد المحفوظ على هذا الجهاز.",
+      two: "أُزيل من حسابك الفيلمان المحفوظان على هذا الجهاز.",
+      few: "أُزيلت من حسابك {count} أفلام محفوظة على هذا الجهاز.",
+      many: "أُزيل من حسابك {count} فيلمًا محفوظًا على هذا الجهاز.",
+      other: "أُزيل من حسابك {count} فيلم محفوظ على هذا الجهاز.",
+    },
+    listLabel: "{list}:",
+    listResult: {
+      zero: "لم يُضف أي فيلم، و{existing} موجودة في حسابك بالفعل.",
+      one: "أُضيف فيلم واحد، و{existing} موجودة في حسابك بالفعل.",
+      two: "أُضيف فيلمان، و{existing} موجودة في حسابك بالفعل.",
+      few: "أُضيفت {count} أفلام، و{existing} موجودة في حسابك بالفعل.",
+      many: "أُضيف {count} فيلمًا، و{existing} موجودة في حسابك بالفعل.",
+      other: "أُضيف {count} فيلم، و{existing} موجودة في حسابك بالفعل.",
+    },
+    listFailed: "تعذّر دمجها. لا تزال محفوظة على هذا الجهاز وستُعاد المحاولة عند تسجيل دخولك في المرة القادمة.",
+    showAdded: "عرض ما أُضيف",
+    ok: "حسنًا",
+    done: "تم",
+    undo: {
+      zero: "تراجع",
+      one: "تراجع (إزالة فيلم واحد)",
+      two: "تراجع (إزالة فيلمين)",
+      few: "تراجع (إزالة {count} أفلام)",
+      many: "تراجع (إزالة {count} فيلمًا)",
+      other: "تراجع (إزالة {count} فيلم)",
+    },
+    undoing: "جارٍ التراجع...",
+    undoFailed: "تعذّر التراجع عن الدمج. يُرجى المحاولة مرة أخرى.",
+  },
+
+  addToList: {
+    add: "إضافة إلى قائمة",
+    onLists: {
+      zero: "ليس في أي قائمة",
+      one: "في قائمة واحدة",
+      two: "في قائمتين",
+      few: "في {count} قوائم",
+      many: "في {count} قائمة",
+      other: "في {count} قائمة",
+    },
+    signInHint: "{link} لإنشاء قوائمك الخاصة.",
+    signIn: "سجّل الدخول",
+    noLists: "ليست لديك أي قوائم بعد.",
+    newListPlaceholder: "قائمة جديدة...",
+    newListLabel: "اسم القائمة الجديدة",
+    create: "إنشاء",
+    manage: "إدارة قوائمك",
+    updateFailed: "تعذّر تحديث القائمة. يُرجى المحاولة مرة أخرى.",
+    createFailed: "تعذّر إنشاء القائمة. يُرجى المحاولة مرة أخرى.",
+  },
+
+  personCard: {
+    badge: "شخص",
+  },
+
+  collectionCard: {
+    badge: "سلسلة",
+  },
+
+  lists: {
+    title: "قوائمك",
+    signedOut: "{link} لإنشاء قوائمك الخاصة، مثل ترشيحات ليلة الأفلام أو أفضل أفلام السرقة، ومشاركتها برابط.",
+    signIn: "سجّل الدخول",
+    namePlaceholder: "اسم القائمة الجديدة، مثل ترشيحات ليلة الأفلام",
+    descriptionPlaceholder: "الوصف (اختياري)",
+    create: "إنشاء قائمة",
+    creating: "جارٍ الإنشاء...",
+    createFailed: "تعذّر إنشاء القائمة. يُرجى المحاولة مرة أخرى.",
+    loading: "جارٍ تحميل قوائمك...",
+    loadFailed: "تعذّر تحميل قوائمك.",
+    none: "لم تُنشئ أي قوائم بعد.",
+    movieCount: {
+      zero: "لا أفلام",
+      one: "فيلم واحد",
+      two: "فيلمان",
+      few: "{count} أفلام",
+      many: "{count} فيلمًا",
+      other: "{count} فيلم",
+    },
+    public: "عامة",
+  },
+
+  listPage: {
+    loading: "جارٍ تحميل القائمة...",
+    unavailable: "القائمة غير متاحة",
+    notPublic: "هذه القائمة غير موجودة أو ليست عامة.",
+    loadFailed: "تعذّر تحميل هذه القائمة. يُرجى المحاولة لاحقًا.",
+    byOwner: "قائمة من {owner}",
+    unknownOwner: "مستخدم لمكتبة الأفلام",
+    allLists: "كل قوائمك",
+    addNote: "+ إضافة ملاحظة",
+    notePlaceholder: "لماذا هو في القائمة؟",
+    nameLabel: "اسم القائمة",
+    descriptionLabel: "وصف القائمة",
+    save: "حفظ",
+    saveFailed: "تعذّر حفظ التغيير. يُرجى المحاولة مرة أخرى.",
+    rename: "إعادة التسمية",
+    publicToggle: "عامة (يمكن لأي شخص لديه الرابط مشاهدتها)",
+    deleteList: "حذف القائمة",
+    shareLink: "رابط المشاركة",
+    copyLink: "نسخ الرابط",
+    copied: "تم النسخ!",
+    copyFailed: "تعذّر نسخ الرابط. يمكنك نسخه من المربع بدلًا من ذلك.",
+    confirmDelete: "هل تريد حذف «{name}»؟ لا يمكن التراجع عن ذلك.",
+    confirmDeletePublic: "هل تريد حذف «{name}»؟ لا يمكن التراجع عن ذلك وسيتوقف رابط المشاركة عن العمل.",
+    delete: "حذف",
+    empty: "هذه القائمة فارغة. أضف الأفلام من صفحاتها باستخدام زر «إضافة إلى قائمة».",
+    dragHandle: "اسحب لإعادة الترتيب",
+    moveUp: "نقل {title} إلى الأعلى",
+    moveDown: "نقل {title} إلى الأسفل",
+    remove: "إزالة",
+    removeTitle: "إزالة من القائمة",
+  },
+
+  userActivity: {
+    title: "نشاطك",
+    addWatchlist: "إضافة إلى قائمة المشاهدة",
+    onWatchlist: "في قائمة مشاهدتك",
+    markWatched: "وضع علامة كمُشاهَد",
+    watched: "تمت المشاهدة",
+    watchedOn: "في",
+    ratingLabel: "تقييمك",
+    ratingValue: "{rating} من {max}",
+    notRated: "غير مُقيَّم",
+    reviewPlaceholder: "أضف مراجعة قصيرة (اختياري)",
+    saveRating: "حفظ التقييم",
+    updateRating: "تحديث التقييم",
+    deleteRating: "حذف التقييم",
+    saved: "تم الحفظ!",
+    ratingRemoved: "تمت إزالة التقييم.",
+  },
+
+  genrePage: {
+    title: "استكشف التصنيفات",
+    genresError: "تعذّر تحميل التصنيفات.",
+    states: {
+      off: "غير محدد",
+      included: "مُضمَّن",
+      excluded: "مُستبعَد",
+    },
+    genreState: "{genre}: {state}",
+    hint: "انقر على التصنيف مرة لتضمينه، ومرتين لاستبعاده.",
+    matchLabel: "كيفية الجمع بين التصنيفات المحددة",
+    matchPrefix: "عرض الأفلام التي تضم",
+    matchAll: "كل التصنيفات المحددة",
+    matchAny: "أيًّا من التصنيفات المحددة",
+    loading: "جارٍ تحميل الأفلام...",
+    loadError: "تعذّر تحميل أفلام التصنيفات المحددة. يُرجى المحاولة مرة أخرى.",
+    noResults: "لا توجد أفلام تطابق التصنيفات وعوامل التصفية المحددة. جرّب تخفيف بعضها.",
+  },
+
+  discoverFilters: {
+    show: "مزيد من عوامل التصفية",
+    hide: "إخفاء عوامل التصفية",
+    active: "(عوامل التصفية مفعّلة)",
+    sortLabel: "الترتيب حسب",
+    sort: {
+      popular: "الأكثر رواجًا",
+      highestRated: "الأعلى تقييمًا",
+      mostVoted: "الأكثر تصويتًا",
+      newest: "الأحدث",
+      oldest: "الأقدم",
+      title: "العنوان (أ-ي)",
+    },
+    releaseYear: "سنة الإصدار",
+    from: "من",
+    to: "إلى",
+    yearFromLabel: "صدر من سنة",
+    yearToLabel: "صدر حتى سنة",
+    runtime: "المدة (بالدقائق)",
+    min: "الأدنى",
+    max: "الأقصى",
+    minRuntimeLabel: "أدنى مدة بالدقائق",
+    maxRuntimeLabel: "أقصى مدة بالدقائق",
+    rating: "التقييم",
+    minScore: "أدنى درجة",
+    minScoreLabel: "أدنى متوسط تقييم من 10",
+    minVotes: "أدنى عدد أصوات",
+    minVotesLabel: "أدنى عدد من الأصوات",
+    languageAndCertification: "اللغة والتصنيف العمري",
+    languageLabel: "اللغة الأصلية",
+    anyLanguage: "أي لغة",
+    certificationLabel: "التصنيف العمري ({country})",
+    anyRating: "أي تصنيف",
+    reset: "إعادة تعيين",
+    apply: "تطبيق عوامل التصفية",
+  },
+
+  personPage: {
+    notFound: "لم يتم العثور على الشخص.",
+    loadFailed: "تعذّر تحميل هذا الشخص. يُرجى المحاولة لاحقًا.",
+    knownForDepartment: "معروف بـ:",
+    born: "الميلاد:",
+    bornIn: "{date} في {place}",
+    died: "الوفاة:",
+    credits: "الأعمال:",
+    biography: "السيرة الذاتية",
+    noBiography: "لا تتوفر لدينا سيرة ذاتية لـ {name} بعد.",
+    knownFor: "أشهر أعماله",
+    filmography: "الأعمال",
+    departmentFilter: "التصفية حسب القسم",
+    allDepartments: "الكل",
+    departments: {
+      acting: "التمثيل",
+      directing: "الإخراج",
+      writing: "الكتابة",
+      production: "الإنتاج",
+      creator: "الإبداع",
+      camera: "التصوير",
+      editing: "المونتاج",
+      sound: "الصوت",
+      art: "الفن",
+      costume: "الأزياء والمكياج",
+      visualEffects: "المؤثرات البصرية",
+      lighting: "الإضاءة",
+      crew: "فريق العمل",
+    },
+    sortLabel: "الترتيب حسب",
+    sort: {
+      year: "السنة",
+      popularity: "الشعبية",
+    },
+    noCredits: "لا توجد أعمال في هذا القسم.",
+    unknownRole: "دور غير معروف",
+    tvSeries: "مسلسل",
+  },
+
+  searchBox: {
+    placeholder: "ابحث عن أفلام ومسلسلات وأشخاص...",
+    searching: "جارٍ البحث...",
+    noMatches: "لا توجد نتائج مطابقة",
+    seeAll: "عرض كل نتائج «{query}»",
+    person: "شخص",
+    tvSeries: "مسلسل · {year}",
+  },
+
+  searchResults: {
+    search: "بحث",
+    placeholder: "ابحث عن أفلام ومسلسلات وأشخاص ومجموعات",
+    typeLabel: "ما الذي تبحث عنه",
+    types: {
+      all: "الكل",
+      movie: "الأفلام فقط",
+      tv: "المسلسلات فقط",
+    },
+    prompt: "اكتب عنوانًا لبدء البحث.",
+    summary: {
+      zero: "{total} نتيجة لـ«{query}»",
+      one: "{total} نتيجة لـ«{query}»",
+      two: "{total} نتيجتان لـ«{query}»",
+      few: "{total} نتائج لـ«{query}»",
+      many: "{total} نتيجة لـ«{query}»",
+      other: "{total} نتيجة لـ«{query}»",
+    },
+    page: "الصفحة {page} من {total}",
+    noResults: "لم يُعثر على شيء لـ«{query}».",
+    myServicesNote: "الأفلام في هذه الصفحة غير المتوفرة على خدماتك مخفية.",
+    tvNotChecked: "لا يُتحقق من المسلسلات.",
+    error: "تعذّر البحث. يُرجى المحاولة مرة أخرى.",
+    groups: {
+      movies: "أفلام",
+      shows: "مسلسلات",
+      people: "أشخاص",
+      collections: "مجموعات",
+    },
+    pages: "صفحات نتائج البحث",
+    previous: "السابق",
+    next: "التالي",
+  },
+
+  favouritesTransfer: {
+    title: "الاستيراد والتصدير",
+    exportTitle: "تصدير المفضلة",
+    letterboxdHint: "يمكن استيراد ملف Letterboxd من letterboxd.com/import. يحتوي على الأفلام فقط: لا يدعم Letterboxd المسلسلات.",
+    importTitle: "استيراد المفضلة",
+    importHint: "يقبل الملفات المصدّرة من هنا وكذلك ملفات Letterboxd. تُطابَق الأفلام التي ليس لها معرّف TMDB حسب العنوان والسنة.",
+    importHintSignedOut: "تبقى المفضلة المستوردة على هذا الجهاز حتى تسجّل الدخول.",
+    lookingUp: "جارٍ البحث عن الأفلام... {done}/{total}",
+    readFailed: "تعذّرت قراءة {file}: {reason}",
+    readErrors: {
+      invalid: "ليس ملف JSON أو CSV صالحًا.",
+      noColumns: "يحتاج ملف CSV إلى عمود tmdbID أو Title.",
+      noFavourites: "لا يحتوي ملف JSON على أي مفضلة.",
+    },
+    imported: {
+      zero: "لم يُستورد أي فيلم إلى مفضلتك.",
+      one: "استُورد فيلم واحد إلى مفضلتك.",
+      two: "استُورد فيلمان إلى مفضلتك.",
+      few: "استُوردت {count} أفلام إلى مفضلتك.",
+      many: "استُورد {count} فيلمًا إلى مفضلتك.",
+      other: "استُورد {count} فيلم إلى مفضلتك.",
+    },
+    importFailed: "فشل الاستيراد ولم يُحفظ شيء. يُرجى المحاولة مرة أخرى.",
+    previewSummary: "ملف {format}: {added} جديد، {conflicts} موجود في مفضلتك، {unresolved} غير موجود.",
+    previewSummaryRepeated: "ملف {format}: {added} جديد، {conflicts} موجود في مفضلتك، {unresolved} غير موجود، {repeated} مكرر.",
+    newFavourites: "مفضلة جديدة ({count})",
+    alreadySaved: "موجود في مفضلتك ({count})",
+    addedOn: "أُضيف في {date}",
+    replace: "استبدالها بالنسخ المستوردة",
+    notFound: "غير موجود ({count})",
+    row: "الصف {line}: {title}",
+    tmdbId: "معرّف TMDB {id}",
+    reasons: {
+      notFound: "لا تطابق على TMDB",
+      lookupFailed: "فشل البحث",
+    },
+    importing: "جارٍ الاستيراد...",
+    importButton: {
+      zero: "استيراد {count} فيلم",
+      one: "استيراد فيلم واحد",
+      two: "استيراد فيلمين",
+      few: "استيراد {count} أفلام",
+      many: "استيراد {count} فيلمًا",
+      other: "استيراد {count} فيلم",
+    },
+  },
+};
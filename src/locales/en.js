@@ -0,0 +1,644 @@
+// locales/en.js
+// English messages, the reference catalog: every key used in the app exists here, and
+// other catalogs fall back to it for anything they don't translate yet.
+// Plural messages list the forms Intl.PluralRules returns for the language.
+
+export default {
+  common: {
+    notAvailable: "N/A",
+    loading: "Loading...",
+    tryAgain: "Try Again",
+    cancel: "Cancel",
+    close: "Close",
+    score: "{score}/10",
+  },
+
+  nav: {
+    brand: "Movie Library",
+    home: "Home",
+    favourites: "Favourites",
+    watchlist: "Watchlist",
+    diary: "Diary",
+    ratings: "Ratings",
+    lists: "Lists",
+    genres: "Genres",
+    account: "Account",
+    loadingGenres: "Loading genres...",
+    genresError: "Error loading genres.",
+    noGenres: "No genres found.",
+    offline: "Offline",
+    offlinePending: { one: "Offline · {count} to sync", other: "Offline · {count} to sync" },
+    syncing: "Syncing...",
+    language: "Language",
+  },
+
+  home: {
+    loadError: "Failed to load popular movies. Please try again.",
+    loadingMore: "Loading more movies...",
+    mediaTypeLabel: "Show movies or TV shows",
+    mediaTypes: { movie: "Movies", tv: "TV Shows" },
+    loadErrorTv: "Failed to load popular TV shows. Please try again.",
+    loadingMoreTv: "Loading more TV shows...",
+  },
+
+  signInPrompt: {
+    title: "Save Your Favorites!",
+    message: "Sign in to permanently save your favorite movies across devices. Otherwise, your liked movies will be lost if you close your browser or refresh the page.",
+    signIn: "Sign In / Create Account",
+    continueAsGuest: "Continue as Guest",
+  },
+
+  account: {
+    title: "My Account",
+    profileTitle: "Profile Information",
+    avatarAlt: "User Avatar",
+    avatarTitle: "Your profile picture",
+    welcome: "Welcome,",
+    email: "Email:",
+    memberSince: "Member Since:",
+    signOut: "Sign Out",
+    signIn: "Sign In",
+    signUp: "Sign Up",
+    createAccount: "Create Account",
+    displayNamePlaceholder: "Display Name",
+    emailPlaceholder: "Email",
+    passwordPlaceholder: "Password",
+    or: "OR",
+    googleSignIn: "Sign In with Google",
+    haveAccount: "Already have an account?",
+    noAccount: "Don't have an account?",
+    favouritesTitle: "My Favorites ({count})",
+    guestPrompt: "Sign in to permanently save your favorites!",
+    noFavouritesSignedIn: "You haven't added any movies to your favorites yet. Start exploring and find some!",
+    noFavouritesGuest: "You haven't added any movies to your favorites. Your favorites will be saved here after you sign in.",
+    deleteAccount: "Delete Account",
+    confirmDeleteTitle: "Confirm Account Deletion",
+    confirmDeleteMessage: "WARNING: Deleting your account is permanent. All your data, including favorites, watchlist, diary, ratings and lists, will be lost. This cannot be undone. Are you absolutely sure?",
+    confirmDelete: "Yes, Delete My Account",
+    signedUp: "Account created successfully! You are now signed in.",
+    signedOut: "You have been successfully signed out.",
+    popupClosed: "Google sign-in popup was closed.",
+    noUserToDelete: "No user is logged in to delete.",
+    deleting: "Deleting account...",
+    deleted: "Your account has been successfully deleted. You have been logged out.",
+    recentLoginRequired: "Please sign in again recently to delete your account. (Sign out and sign back in, then try again).",
+    deleteFailed: "Failed to delete account: {message}",
+    deleteCancelled: "Account deletion cancelled.",
+  },
+
+  preferences: {
+    title: "Preferences",
+    region: "Region",
+    regionHint: "Used for where to watch, age ratings and release dates.",
+    contentLanguage: "Content language",
+    contentLanguageHint: "Titles, overviews and genres are shown in this language when TMDB has a translation.",
+    useBrowserSettings: "Use my browser's settings ({region}, {language})",
+    syncFailed: "Saved on this device, but couldn't sync to your account. It will be tried again next time.",
+  },
+
+  favourites: {
+    title: "Your Favourites",
+    searchPlaceholder: "Search your favourites...",
+    searchLabel: "Search your favourites",
+    sortLabel: "Sort by",
+    sort: {
+      added: "Recently Added",
+      title: "Title (A-Z)",
+      newest: "Release Year (Newest)",
+      oldest: "Release Year (Oldest)",
+      rating: "TMDB Rating",
+    },
+    genreLabel: "Genre",
+    allGenres: "All genres",
+    decadeLabel: "Decade",
+    allDecades: "All decades",
+    decade: "{decade}s",
+    rating: "Rating",
+    minRating: "Minimum TMDB rating",
+    maxRating: "Maximum TMDB rating",
+    layout: "Layout",
+    grid: "Grid",
+    compact: "Compact list",
+    count: { one: "{count} favourite", other: "{count} favourites" },
+    showing: { one: "Showing {visible} of {count} favourite", other: "Showing {visible} of {count} favourites" },
+    clearFilters: "Clear filters",
+    noMatches: "No favourites match these filters.",
+    remove: "Remove from favorites",
+    typeLabel: "Type",
+    allTypes: "Movies and TV shows",
+    types: { movie: "Movies", tv: "TV shows" },
+    emptyTitle: "No Favourites Yet",
+    emptyMessage: "Start adding movies and TV shows to your favourites and they will appear here!",
+  },
+
+  tvCard: {
+    badge: "TV",
+  },
+
+  movieCard: {
+    addFavourite: "Add to favourites",
+    removeFavourite: "Remove from favourites",
+    addWatchlist: "Add to watchlist",
+    removeWatchlist: "Remove from watchlist",
+    markWatched: "Mark as watched",
+    removeWatched: "Remove from watched",
+    yourRating: "Your rating",
+  },
+  myServices: {
+    toggle: "Available on my services",
+    setUp: "Pick your streaming services",
+    badge: "Streaming on {services}",
+    noResults: "Nothing here is streaming on your services.",
+    settingsTitle: "My streaming services",
+    settingsHint: "Subscription services available in {region}. Pick the ones you have to filter lists down to what you can watch.",
+    loading: "Loading services...",
+    loadError: "Couldn't load the streaming services. Please try again later.",
+    showAll: "Show all ({count})",
+    showFewer: "Show fewer",
+    clear: "Clear ({count} selected)",
+  },
+  movieDetails: {
+    loading: "Loading movie details...",
+    notFound: "Movie not found.",
+    noData: "No movie data found for this ID or API error.",
+    rateLimited: "Too many requests right now. Please wait a moment and try again.",
+    networkError: "Network error. Please check your internet connection and try again.",
+    unavailable: "Movie data is unavailable right now. Please try again later.",
+    loadFailed: "Failed to load movie details. Please try again later.",
+    addFavourite: "Add to favorites",
+    removeFavourite: "Remove from favorites",
+    votes: { one: "({votes} vote)", other: "({votes} votes)" },
+    storyline: "Storyline",
+    noStoryline: "No storyline available.",
+    whereToWatch: "Where to Watch",
+    findAllOptions: "Find all options at {link}",
+    stream: "Stream",
+    rent: "Rent",
+    buy: "Buy",
+    noProviders: "No streaming, rent, or buy options available in {region}.",
+    details: "Details",
+    releaseDate: "Release Date:",
+    countries: "Countries of Origin:",
+    officialSite: "Official Site:",
+    language: "Language:",
+    alsoKnownAs: "Also Known As:",
+    productionCompanies: "Production Companies:",
+    castAndCrew: "Cast & Crew",
+    director: "Director:",
+    writers: "Writers:",
+    stars: "Stars:",
+    similar: "Similar Movies",
+    partOfCollection: "Part of {name}",
+    viewCollection: "View the collection →",
+  },
+  collection: {
+    loading: "Loading collection...",
+    notFound: "Collection not found.",
+    loadFailed: "Failed to load this collection. Please try again later.",
+    movieCount: { one: "{count} movie", other: "{count} movies" },
+    progress: "You've seen {seen} of {count}",
+    complete: { one: "You've seen it", other: "You've seen all {count}" },
+    progressLabel: "Collection progress",
+    overview: "Overview",
+    noOverview: "No overview available.",
+    watchInOrder: "Watch in Order",
+    dateUnknown: "Release date not announced",
+    comingOn: "Coming {date}",
+    watched: "Watched",
+    watchedOn: "Watched {date}",
+    upNext: "Up next",
+  },
+  gallery: {
+    title: "Photos ({count})",
+    imageAlt: "{title} image {number}",
+    viewAll: { one: "View {count} More Photo", other: "View All {count} Photos" },
+    typeFilter: "Image type",
+    types: {
+      all: "All",
+      backdrop: "Backdrops",
+      poster: "Posters",
+      logo: "Logos",
+      profile: "Photos",
+      still: "Stills",
+    },
+    language: "Language",
+    allLanguages: "All languages",
+    noText: "No text",
+    noMatches: "No images match these filters.",
+    showLess: "Show Less",
+    lightboxLabel: "Images of {title}",
+    previous: "Previous image",
+    next: "Next image",
+    position: "{number} of {count}",
+    openOriginal: "Open full size",
+  },
+  videos: {
+    title: "Videos ({count})",
+    play: "Play {name}",
+    privacyNote: "Plays from {site}. Nothing is loaded from {site} until you press play.",
+    watchOn: "Watch on {site}",
+    pickerLabel: "Videos of {title}",
+    typeFilter: "Video type",
+    types: {
+      all: "All",
+      trailer: "Trailers",
+      teaser: "Teasers",
+      clip: "Clips",
+      featurette: "Featurettes",
+      behindTheScenes: "Behind the Scenes",
+      other: "Other",
+    },
+    typeNames: {
+      trailer: "Trailer",
+      teaser: "Teaser",
+      clip: "Clip",
+      featurette: "Featurette",
+      behindTheScenes: "Behind the Scenes",
+      other: "Video",
+    },
+    language: "Language",
+    allLanguages: "All languages",
+    noMatches: "No videos match these filters.",
+    viewAll: { one: "View {count} More Video", other: "View All {count} Videos" },
+    showLess: "Show Less",
+  },
+
+  tvDetails: {
+    loading: "Loading TV show...",
+    notFound: "TV show not found.",
+    unavailable: "TV show details are unavailable right now.",
+    loadFailed: "Failed to load TV show details. Please try again.",
+    seasonCount: { one: "{count} season", other: "{count} seasons" },
+    perEpisode: "{runtime} per episode",
+    episodeCount: { one: "{count} episode", other: "{count} episodes" },
+    firstAired: "First Aired:",
+    lastAired: "Last Aired:",
+    status: "Status:",
+    statuses: {
+      returning: "Returning series",
+      inProduction: "In production",
+      planned: "Planned",
+      pilot: "Pilot",
+      ended: "Ended",
+      canceled: "Canceled",
+    },
+    episodes: "Episodes:",
+    createdBy: "Created By:",
+    networks: "Networks:",
+    cast: "Series Cast",
+    seasons: "Seasons",
+    seasonPicker: "Season",
+    loadingSeason: "Loading episodes...",
+    seasonFailed: "Couldn't load this season's episodes.",
+    noEpisodes: "No episodes have been announced for this season yet.",
+    airsOn: "Airs {date}",
+    showCredits: "Show credits",
+    hideCredits: "Hide credits",
+    directedBy: "Directed By:",
+    writtenBy: "Written By:",
+    guestStars: "Guest Stars:",
+    creditsFailed: "Couldn't load this episode's credits.",
+    noCredits: "No credits are listed for this episode.",
+  },
+
+  ratings: {
+    title: "Your Ratings",
+    loading: "Loading your ratings...",
+    emptyTitle: "No Ratings Yet",
+    emptyMessage: "Rate a movie from its page and your score and review will be kept here.",
+    summary: {
+      one: "{count} movie rated · average {average}/10",
+      other: "{count} movies rated · average {average}/10",
+    },
+    sortLabel: "Sort by",
+    sort: {
+      recent: "Recently Rated",
+      highest: "Highest Rated",
+      lowest: "Lowest Rated",
+    },
+    ratedOn: "rated {date}",
+  },
+
+  userLists: {
+    favourites: "Favourites",
+    watchlist: "Watchlist",
+    watched: "Diary",
+    ratings: "Ratings",
+  },
+
+  watchlist: {
+    title: "Your Watchlist",
+    loading: "Loading your watchlist...",
+    emptyTitle: "Your Watchlist Is Empty",
+    emptyMessage: "Use the bookmark on any movie to save it for later. {link}.",
+    findSomething: "Find something to watch",
+    count: { one: "{count} movie to watch", other: "{count} movies to watch" },
+  },
+
+  diary: {
+    title: "Your Diary",
+    loading: "Loading your diary...",
+    emptyTitle: "Your Diary Is Empty",
+    emptyMessage: "Mark movies as watched and they will show up here, by date.",
+    count: { one: "{count} movie watched", other: "{count} movies watched" },
+    seeRatings: "See your ratings",
+    remove: "Remove",
+    removeTitle: "Remove from diary",
+  },
+
+  offlineBanner: {
+    message: "You're offline. {link} and their pages still work; other pages show what was loaded before.",
+    favouritesLink: "Your favourites",
+  },
+
+  syncToast: {
+    saveFailed: "{title} couldn't be saved to your {list}.",
+    removeFailed: "{title} couldn't be removed from your {list}.",
+    untitled: "A movie",
+    undone: "The change has been undone.",
+    dismiss: "Dismiss",
+    lists: {
+      favourites: "favourites",
+      watchlist: "watchlist",
+      watched: "diary",
+      ratings: "ratings",
+    },
+  },
+
+  mergeSummary: {
+    title: "Welcome Back!",
+    message: "Movies you saved before signing in have been added to your account.",
+    undoneTitle: "Merge Undone",
+    undoneMessage: {
+      one: "The {count} movie saved on this device was taken back out of your account.",
+      other: "The {count} movies saved on this device were taken back out of your account.",
+    },
+    listLabel: "{list}:",
+    listResult: {
+      one: "{count} movie added, {existing} already in your account.",
+      other: "{count} movies added, {existing} already in your account.",
+    },
+    listFailed: "couldn't be merged. It's still saved on this device and will be tried again next time you sign in.",
+    showAdded: "Show added",
+    ok: "OK",
+    done: "Done",
+    undo: { one: "Undo (remove {count} movie)", other: "Undo (remove {count} movies)" },
+    undoing: "Undoing...",
+    undoFailed: "Couldn't undo the merge. Please try again.",
+  },
+
+  addToList: {
+    add: "Add to List",
+    onLists: { one: "On {count} List", other: "On {count} Lists" },
+    signInHint: "{link} to make your own lists.",
+    signIn: "Sign in",
+    noLists: "You don't have any lists yet.",
+    newListPlaceholder: "New list...",
+    newListLabel: "New list name",
+    create: "Create",
+    manage: "Manage your lists",
+    updateFailed: "Couldn't update the list. Please try again.",
+    createFailed: "Couldn't create the list. Please try again.",
+  },
+
+  personCard: {
+    badge: "Person",
+  },
+
+  collectionCard: {
+    badge: "Collection",
+  },
+
+  lists: {
+    title: "Your Lists",
+    signedOut: "{link} to make your own lists, like a movie night shortlist or the best heist films, and share them with a link.",
+    signIn: "Sign in",
+    namePlaceholder: "New list name, e.g. Movie night shortlist",
+    descriptionPlaceholder: "Description (optional)",
+    create: "Create List",
+    creating: "Creating...",
+    createFailed: "Couldn't create the list. Please try again.",
+    loading: "Loading your lists...",
+    loadFailed: "Failed to load your lists.",
+    none: "You haven't made any lists yet.",
+    movieCount: { one: "{count} movie", other: "{count} movies" },
+    public: "Public",
+  },
+
+  listPage: {
+    loading: "Loading list...",
+    unavailable: "List Unavailable",
+    notPublic: "This list doesn't exist or isn't public.",
+    loadFailed: "Failed to load this list. Please try again later.",
+    byOwner: "A list by {owner}",
+    unknownOwner: "a Movie Library user",
+    allLists: "All your lists",
+    addNote: "+ Add a note",
+    notePlaceholder: "Why is it on the list?",
+    nameLabel: "List name",
+    descriptionLabel: "List description",
+    save: "Save",
+    saveFailed: "Couldn't save your change. Please try again.",
+    rename: "Rename",
+    publicToggle: "Public (anyone with the link can view)",
+    deleteList: "Delete List",
+    shareLink: "Share link",
+    copyLink: "Copy Link",
+    copied: "Copied!",
+    copyFailed: "Couldn't copy the link. You can copy it from the box instead.",
+    confirmDelete: "Delete “{name}”? This can't be undone.",
+    confirmDeletePublic: "Delete “{name}”? This can't be undone and the share link will stop working.",
+    delete: "Delete",
+    empty: "This list is empty. Add movies from their page with the “Add to List” button.",
+    dragHandle: "Drag to reorder",
+    moveUp: "Move {title} up",
+    moveDown: "Move {title} down",
+    remove: "Remove",
+    removeTitle: "Remove from list",
+  },
+
+  userActivity: {
+    title: "Your Activity",
+    addWatchlist: "Add to Watchlist",
+    onWatchlist: "On Your Watchlist",
+    markWatched: "Mark as Watched",
+    watched: "Watched",
+    watchedOn: "on",
+    ratingLabel: "Your rating",
+    ratingValue: "{rating} out of {max}",
+    notRated: "Not rated",
+    reviewPlaceholder: "Add a short review (optional)",
+    saveRating: "Save Rating",
+    updateRating: "Update Rating",
+    deleteRating: "Delete Rating",
+    saved: "Saved!",
+    ratingRemoved: "Rating removed.",
+  },
+
+  genrePage: {
+    title: "Explore Genres",
+    genresError: "Failed to load genres.",
+    states: {
+      off: "not selected",
+      included: "included",
+      excluded: "excluded",
+    },
+    genreState: "{genre}: {state}",
+    hint: "Click a genre once to include it, twice to exclude it.",
+    matchLabel: "How selected genres are combined",
+    matchPrefix: "Show movies with",
+    matchAll: "All selected genres",
+    matchAny: "Any selected genre",
+    loading: "Loading movies...",
+    loadError: "Failed to load movies for the selected genres. Please try again.",
+    noResults: "No movies match the selected genres and filters. Try loosening some of them.",
+  },
+
+  discoverFilters: {
+    show: "More Filters",
+    hide: "Hide Filters",
+    active: "(filters active)",
+    sortLabel: "Sort by",
+    sort: {
+      popular: "Most Popular",
+      highestRated: "Highest Rated",
+      mostVoted: "Most Voted",
+      newest: "Newest",
+      oldest: "Oldest",
+      title: "Title (A-Z)",
+    },
+    releaseYear: "Release Year",
+    from: "From",
+    to: "To",
+    yearFromLabel: "Released from year",
+    yearToLabel: "Released until year",
+    runtime: "Runtime (minutes)",
+    min: "Min",
+    max: "Max",
+    minRuntimeLabel: "Minimum runtime in minutes",
+    maxRuntimeLabel: "Maximum runtime in minutes",
+    rating: "Rating",
+    minScore: "Min score",
+    minScoreLabel: "Minimum average rating out of 10",
+    minVotes: "Min votes",
+    minVotesLabel: "Minimum number of votes",
+    languageAndCertification: "Language & Certification",
+    languageLabel: "Original language",
+    anyLanguage: "Any language",
+    certificationLabel: "Certification ({country})",
+    anyRating: "Any rating",
+    reset: "Reset",
+    apply: "Apply Filters",
+  },
+
+  personPage: {
+    notFound: "Person not found.",
+    loadFailed: "Failed to load this person. Please try again later.",
+    knownForDepartment: "Known For:",
+    born: "Born:",
+    bornIn: "{date} in {place}",
+    died: "Died:",
+    credits: "Credits:",
+    biography: "Biography",
+    noBiography: "We don't have a biography for {name} yet.",
+    knownFor: "Known For",
+    filmography: "Filmography",
+    departmentFilter: "Filter by department",
+    allDepartments: "All",
+    departments: {
+      acting: "Acting",
+      directing: "Directing",
+      writing: "Writing",
+      production: "Production",
+      creator: "Creator",
+      camera: "Camera",
+      editing: "Editing",
+      sound: "Sound",
+      art: "Art",
+      costume: "Costume & Make-Up",
+      visualEffects: "Visual Effects",
+      lighting: "Lighting",
+      crew: "Crew",
+    },
+    sortLabel: "Sort by",
+    sort: {
+      year: "Year",
+      popularity: "Popularity",
+    },
+    noCredits: "No credits in this department.",
+    unknownRole: "Unknown role",
+    tvSeries: "TV series",
+  },
+
+  searchBox: {
+    placeholder: "Search movies, TV, people...",
+    searching: "Searching...",
+    noMatches: "No matches",
+    seeAll: "See all results for “{query}”",
+    person: "Person",
+    tvSeries: "TV series · {year}",
+  },
+
+  searchResults: {
+    search: "Search",
+    placeholder: "Search for movies, TV shows, people or collections",
+    typeLabel: "What to search",
+    types: {
+      all: "Everything",
+      movie: "Movies only",
+      tv: "TV shows only",
+    },
+    prompt: "Type a title to start searching.",
+    summary: { one: "{total} result for “{query}”", other: "{total} results for “{query}”" },
+    page: "Page {page} of {total}",
+    noResults: "Nothing found for “{query}”.",
+    myServicesNote: "Movies on this page that aren't on your services are hidden.",
+    tvNotChecked: "TV shows aren't checked.",
+    error: "Failed to search. Please try again.",
+    groups: {
+      movies: "Movies",
+      shows: "TV Shows",
+      people: "People",
+      collections: "Collections",
+    },
+    pages: "Search results pages",
+    previous: "Previous",
+    next: "Next",
+  },
+
+  favouritesTransfer: {
+    title: "Import & Export",
+    exportTitle: "Export favourites",
+    letterboxdHint: "The Letterboxd file can be imported at letterboxd.com/import. It only has movies: Letterboxd doesn't list TV shows.",
+    importTitle: "Import favourites",
+    importHint: "Accepts the files exported here as well as Letterboxd exports. Movies without a TMDB id are matched by title and year.",
+    importHintSignedOut: "Imported favourites are kept on this device until you sign in.",
+    lookingUp: "Looking up movies... {done}/{total}",
+    readFailed: "Couldn't read {file}: {reason}",
+    readErrors: {
+      invalid: "It isn't a valid JSON or CSV file.",
+      noColumns: "The CSV needs a tmdbID or Title column.",
+      noFavourites: "The JSON file has no favourites in it.",
+    },
+    imported: {
+      one: "Imported {count} movie into your favourites.",
+      other: "Imported {count} movies into your favourites.",
+    },
+    importFailed: "The import failed and nothing was saved. Please try again.",
+    previewSummary: "{format} file: {added} new, {conflicts} already in your favourites, {unresolved} not found.",
+    previewSummaryRepeated: "{format} file: {added} new, {conflicts} already in your favourites, {unresolved} not found, {repeated} repeated.",
+    newFavourites: "New favourites ({count})",
+    alreadySaved: "Already in your favourites ({count})",
+    addedOn: "added {date}",
+    replace: "Replace these with the imported copies",
+    notFound: "Not found ({count})",
+    row: "Row {line}: {title}",
+    tmdbId: "TMDB id {id}",
+    reasons: {
+      notFound: "No match on TMDB",
+      lookupFailed: "Lookup failed",
+    },
+    importing: "Importing...",
+    importButton: { one: "Import {count} movie", other: "Import {count} movies" },
+  },
+};
@@ -0,0 +1,630 @@
+// locales/ja.js
+// Japanese messages. Japanese has a single plural form, so plural messages only need "other".
+
+export default {
+  common: {
+    notAvailable: "不明",
+    loading: "読み込み中...",
+    tryAgain: "再試行",
+    cancel: "キャンセル",
+    close: "閉じる",
+    score: "{score}/10",
+  },
+
+  nav: {
+    brand: "ムービーライブラリ",
+    home: "ホーム",
+    favourites: "お気に入り",
+    watchlist: "ウォッチリスト",
+    diary: "日記",
+    ratings: "評価",
+    lists: "リスト",
+    genres: "ジャンル",
+    account: "アカウント",
+    loadingGenres: "ジャンルを読み込み中...",
+    genresError: "ジャンルを読み込めませんでした。",
+    noGenres: "ジャンルが見つかりません。",
+    offline: "オフライン",
+    offlinePending: { other: "オフライン · 未同期 {count} 件" },
+    syncing: "同期中...",
+    language: "言語",
+  },
+
+  home: {
+    loadError: "人気の映画を読み込めませんでした。もう一度お試しください。",
+    loadingMore: "さらに映画を読み込み中...",
+    mediaTypeLabel: "映画とテレビ番組の切り替え",
+    mediaTypes: { movie: "映画", tv: "テレビ番組" },
+    loadErrorTv: "人気のテレビ番組を読み込めませんでした。もう一度お試しください。",
+    loadingMoreTv: "さらにテレビ番組を読み込み中...",
+  },
+
+  signInPrompt: {
+    title: "お気に入りを保存しましょう！",
+    message: "サインインすると、お気に入りの映画をすべてのデバイスで保存できます。サインインしない場合、ブラウザを閉じたりページを再読み込みしたりするとお気に入りが失われます。",
+    signIn: "サインイン / アカウント作成",
+    continueAsGuest: "ゲストとして続ける",
+  },
+
+  account: {
+    title: "マイアカウント",
+    profileTitle: "プロフィール情報",
+    avatarAlt: "ユーザーアバター",
+    avatarTitle: "プロフィール画像",
+    welcome: "ようこそ、",
+    email: "メール:",
+    memberSince: "登録日:",
+    signOut: "サインアウト",
+    signIn: "サインイン",
+    signUp: "登録",
+    createAccount: "アカウント作成",
+    displayNamePlaceholder: "表示名",
+    emailPlaceholder: "メールアドレス",
+    passwordPlaceholder: "パスワード",
+    or: "または",
+    googleSignIn: "Google でサインイン",
+    haveAccount: "アカウントをお持ちですか？",
+    noAccount: "アカウントをお持ちでないですか？",
+    favouritesTitle: "お気に入り（{count}）",
+    guestPrompt: "サインインしてお気に入りを保存しましょう！",
+    noFavouritesSignedIn: "お気に入りの映画はまだありません。映画を探して追加してみましょう！",
+    noFavouritesGuest: "お気に入りの映画はまだありません。サインインすると、お気に入りはここに保存されます。",
+    deleteAccount: "アカウントを削除",
+    confirmDeleteTitle: "アカウント削除の確認",
+    confirmDeleteMessage: "警告: アカウントの削除は取り消せません。お気に入り、ウォッチリスト、日記、評価、リストを含むすべてのデータが失われます。本当に削除しますか？",
+    confirmDelete: "はい、アカウントを削除します",
+    signedUp: "アカウントを作成しました。サインインしています。",
+    signedOut: "サインアウトしました。",
+    popupClosed: "Google サインインのポップアップが閉じられました。",
+    noUserToDelete: "削除するユーザーがサインインしていません。",
+    deleting: "アカウントを削除しています...",
+    deleted: "アカウントを削除しました。サインアウトしています。",
+    recentLoginRequired: "アカウントを削除するには、もう一度サインインしてください（サインアウトして再度サインインしてから、もう一度お試しください）。",
+    deleteFailed: "アカウントを削除できませんでした: {message}",
+    deleteCancelled: "アカウントの削除をキャンセルしました。",
+  },
+
+  preferences: {
+    title: "設定",
+    region: "地域",
+    regionHint: "配信サービス、年齢制限、公開日に使われます。",
+    contentLanguage: "コンテンツの言語",
+    contentLanguageHint: "TMDB に翻訳がある場合、タイトル、あらすじ、ジャンルがこの言語で表示されます。",
+    useBrowserSettings: "ブラウザの設定を使う（{region}、{language}）",
+    syncFailed: "この端末には保存しましたが、アカウントに同期できませんでした。次回もう一度試します。",
+  },
+
+  favourites: {
+    title: "お気に入り",
+    searchPlaceholder: "お気に入りを検索...",
+    searchLabel: "お気に入りを検索",
+    sortLabel: "並べ替え",
+    sort: {
+      added: "追加日（新しい順）",
+      title: "タイトル（A-Z）",
+      newest: "公開年（新しい順）",
+      oldest: "公開年（古い順）",
+      rating: "TMDB 評価",
+    },
+    genreLabel: "ジャンル",
+    allGenres: "すべてのジャンル",
+    decadeLabel: "年代",
+    allDecades: "すべての年代",
+    decade: "{decade}年代",
+    rating: "評価",
+    minRating: "TMDB 評価の下限",
+    maxRating: "TMDB 評価の上限",
+    layout: "表示",
+    grid: "グリッド",
+    compact: "コンパクトリスト",
+    count: { other: "お気に入り {count} 件" },
+    showing: { other: "{count} 件中 {visible} 件を表示" },
+    clearFilters: "絞り込みを解除",
+    noMatches: "条件に一致するお気に入りはありません。",
+    remove: "お気に入りから削除",
+    typeLabel: "種類",
+    allTypes: "映画とテレビ番組",
+    types: { movie: "映画", tv: "テレビ番組" },
+    emptyTitle: "お気に入りはまだありません",
+    emptyMessage: "映画やテレビ番組をお気に入りに追加すると、ここに表示されます！",
+  },
+
+  tvCard: {
+    badge: "TV",
+  },
+
+  movieCard: {
+    addFavourite: "お気に入りに追加",
+    removeFavourite: "お気に入りから削除",
+    addWatchlist: "ウォッチリストに追加",
+    removeWatchlist: "ウォッチリストから削除",
+    markWatched: "視聴済みにする",
+    removeWatched: "視聴済みから削除",
+    yourRating: "あなたの評価",
+  },
+  myServices: {
+    toggle: "契約中のサービスで見られる作品",
+    setUp: "配信サービスを選ぶ",
+    badge: "{services} で配信中",
+    noResults: "契約中のサービスで配信中の作品はありません。",
+    settingsTitle: "契約中の配信サービス",
+    settingsHint: "{region}で利用できる定額制サービスです。契約中のものを選ぶと、見られる作品だけに絞り込めます。",
+    loading: "サービスを読み込み中...",
+    loadError: "配信サービスを読み込めませんでした。しばらくしてからもう一度お試しください。",
+    showAll: "すべて表示（{count}）",
+    showFewer: "表示を減らす",
+    clear: "クリア（{count} 件選択中）",
+  },
+  movieDetails: {
+    loading: "映画の詳細を読み込み中...",
+    notFound: "映画が見つかりません。",
+    noData: "この ID の映画データが見つからないか、API エラーが発生しました。",
+    rateLimited: "現在リクエストが多すぎます。しばらく待ってからもう一度お試しください。",
+    networkError: "ネットワークエラーです。インターネット接続を確認して、もう一度お試しください。",
+    unavailable: "現在、映画データを利用できません。後でもう一度お試しください。",
+    loadFailed: "映画の詳細を読み込めませんでした。後でもう一度お試しください。",
+    addFavourite: "お気に入りに追加",
+    removeFavourite: "お気に入りから削除",
+    votes: { other: "（{votes} 票）" },
+    storyline: "あらすじ",
+    noStoryline: "あらすじはありません。",
+    whereToWatch: "視聴方法",
+    findAllOptions: "すべての視聴方法は {link} で確認できます",
+    stream: "定額見放題",
+    rent: "レンタル",
+    buy: "購入",
+    noProviders: "{region}では配信、レンタル、購入の方法はありません。",
+    details: "詳細",
+    releaseDate: "公開日:",
+    countries: "製作国:",
+    officialSite: "公式サイト:",
+    language: "言語:",
+    alsoKnownAs: "別題:",
+    productionCompanies: "製作会社:",
+    castAndCrew: "キャストとスタッフ",
+    director: "監督:",
+    writers: "脚本:",
+    stars: "出演:",
+    similar: "似ている映画",
+    partOfCollection: "{name} の作品",
+    viewCollection: "シリーズを見る →",
+  },
+  collection: {
+    loading: "シリーズを読み込み中...",
+    notFound: "シリーズが見つかりません。",
+    loadFailed: "シリーズを読み込めませんでした。しばらくしてからもう一度お試しください。",
+    movieCount: { other: "{count} 作品" },
+    progress: "{count} 作品中 {seen} 作品を視聴済み",
+    complete: { other: "{count} 作品すべて視聴済み" },
+    progressLabel: "シリーズの視聴状況",
+    overview: "概要",
+    noOverview: "概要はありません。",
+    watchInOrder: "公開順に観る",
+    dateUnknown: "公開日未定",
+    comingOn: "{date} 公開予定",
+    watched: "視聴済み",
+    watchedOn: "{date} に視聴",
+    upNext: "次に観る",
+  },
+  gallery: {
+    title: "写真（{count}）",
+    imageAlt: "{title} の画像 {number}",
+    viewAll: { other: "残りの写真 {count} 枚を表示" },
+    typeFilter: "画像の種類",
+    types: {
+      all: "すべて",
+      backdrop: "背景画像",
+      poster: "ポスター",
+      logo: "ロゴ",
+      profile: "写真",
+      still: "スチール",
+    },
+    language: "言語",
+    allLanguages: "すべての言語",
+    noText: "文字なし",
+    noMatches: "条件に合う画像はありません。",
+    showLess: "表示を減らす",
+    lightboxLabel: "{title} の画像",
+    previous: "前の画像",
+    next: "次の画像",
+    position: "{count} 枚中 {number} 枚目",
+    openOriginal: "元のサイズで開く",
+  },
+  videos: {
+    title: "動画（{count}）",
+    play: "{name} を再生",
+    privacyNote: "{site} から再生されます。再生ボタンを押すまで {site} からは何も読み込まれません。",
+    watchOn: "{site} で観る",
+    pickerLabel: "{title} の動画",
+    typeFilter: "動画の種類",
+    types: {
+      all: "すべて",
+      trailer: "予告編",
+      teaser: "ティーザー",
+      clip: "クリップ",
+      featurette: "特集映像",
+      behindTheScenes: "メイキング",
+      other: "その他",
+    },
+    typeNames: {
+      trailer: "予告編",
+      teaser: "ティーザー",
+      clip: "クリップ",
+      featurette: "特集映像",
+      behindTheScenes: "メイキング",
+      other: "動画",
+    },
+    language: "言語",
+    allLanguages: "すべての言語",
+    noMatches: "条件に合う動画はありません。",
+    viewAll: { other: "残りの動画 {count} 本を表示" },
+    showLess: "表示を減らす",
+  },
+
+  tvDetails: {
+    loading: "テレビ番組を読み込み中...",
+    notFound: "テレビ番組が見つかりません。",
+    unavailable: "現在テレビ番組の詳細を表示できません。",
+    loadFailed: "テレビ番組の詳細を読み込めませんでした。もう一度お試しください。",
+    seasonCount: { other: "{count} シーズン" },
+    perEpisode: "1 話 {runtime}",
+    episodeCount: { other: "{count} 話" },
+    firstAired: "初回放送日:",
+    lastAired: "最終放送日:",
+    status: "ステータス:",
+    statuses: {
+      returning: "放送継続中",
+      inProduction: "制作中",
+      planned: "企画中",
+      pilot: "パイロット",
+      ended: "終了",
+      canceled: "打ち切り",
+    },
+    episodes: "エピソード数:",
+    createdBy: "クリエイター:",
+    networks: "放送局:",
+    cast: "シリーズキャスト",
+    seasons: "シーズン",
+    seasonPicker: "シーズン",
+    loadingSeason: "エピソードを読み込み中...",
+    seasonFailed: "このシーズンのエピソードを読み込めませんでした。",
+    noEpisodes: "このシーズンのエピソードはまだ発表されていません。",
+    airsOn: "{date} 放送予定",
+    showCredits: "クレジットを表示",
+    hideCredits: "クレジットを隠す",
+    directedBy: "監督:",
+    writtenBy: "脚本:",
+    guestStars: "ゲスト出演:",
+    creditsFailed: "このエピソードのクレジットを読み込めませんでした。",
+    noCredits: "このエピソードのクレジットはありません。",
+  },
+
+  ratings: {
+    title: "あなたの評価",
+    loading: "評価を読み込み中...",
+    emptyTitle: "評価はまだありません",
+    emptyMessage: "映画のページで評価すると、スコアとレビューがここに保存されます。",
+    summary: { other: "{count} 作品を評価 · 平均 {average}/10" },
+    sortLabel: "並べ替え",
+    sort: {
+      recent: "評価した日が新しい順",
+      highest: "評価が高い順",
+      lowest: "評価が低い順",
+    },
+    ratedOn: "{date} に評価",
+  },
+
+  userLists: {
+    favourites: "お気に入り",
+    watchlist: "ウォッチリスト",
+    watched: "視聴日記",
+    ratings: "評価",
+  },
+
+  watchlist: {
+    title: "あなたのウォッチリスト",
+    loading: "ウォッチリストを読み込み中...",
+    emptyTitle: "ウォッチリストは空です",
+    emptyMessage: "映画のブックマークを押すと、後で観る作品として保存できます。{link}。",
+    findSomething: "観たい作品を探す",
+    count: { other: "観たい作品 {count} 本" },
+  },
+
+  diary: {
+    title: "あなたの視聴日記",
+    loading: "視聴日記を読み込み中...",
+    emptyTitle: "視聴日記は空です",
+    emptyMessage: "映画を視聴済みにすると、日付順にここに表示されます。",
+    count: { other: "{count} 本を視聴" },
+    seeRatings: "評価を見る",
+    remove: "削除",
+    removeTitle: "視聴日記から削除",
+  },
+
+  offlineBanner: {
+    message: "オフラインです。{link}とその作品のページは引き続き使えます。その他のページには以前に読み込んだ内容が表示されます。",
+    favouritesLink: "お気に入り",
+  },
+
+  syncToast: {
+    saveFailed: "「{title}」を{list}に保存できませんでした。",
+    removeFailed: "「{title}」を{list}から削除できませんでした。",
+    untitled: "映画",
+    undone: "変更は取り消されました。",
+    dismiss: "閉じる",
+    lists: {
+      favourites: "お気に入り",
+      watchlist: "ウォッチリスト",
+      watched: "視聴日記",
+      ratings: "評価",
+    },
+  },
+
+  mergeSummary: {
+    title: "おかえりなさい！",
+    message: "サインイン前に保存した映画をアカウントに追加しました。",
+    undoneTitle: "統合を取り消しました",
+    undoneMessage: { other: "この端末に保存されていた {count} 本の映画をアカウントから取り除きました。" },
+    listLabel: "{list}:",
+    listResult: { other: "{count} 本を追加、{existing} 本は登録済みでした。" },
+    listFailed: "を統合できませんでした。この端末には保存されたままなので、次回サインイン時に再試行します。",
+    showAdded: "追加した作品を表示",
+    ok: "OK",
+    done: "完了",
+    undo: { other: "取り消す（{count} 本を削除）" },
+    undoing: "取り消し中...",
+    undoFailed: "統合を取り消せませんでした。もう一度お試しください。",
+  },
+
+  addToList: {
+    add: "リストに追加",
+    onLists: { other: "{count} 件のリストに登録済み" },
+    signInHint: "自分のリストを作るには{link}してください。",
+    signIn: "サインイン",
+    noLists: "リストはまだありません。",
+    newListPlaceholder: "新しいリスト...",
+    newListLabel: "新しいリストの名前",
+    create: "作成",
+    manage: "リストを管理",
+    updateFailed: "リストを更新できませんでした。もう一度お試しください。",
+    createFailed: "リストを作成できませんでした。もう一度お試しください。",
+  },
+
+  personCard: {
+    badge: "人物",
+  },
+
+  collectionCard: {
+    badge: "コレクション",
+  },
+
+  lists: {
+    title: "あなたのリスト",
+    signedOut: "{link}すると、映画ナイトの候補や最高の強盗映画など自分だけのリストを作り、リンクで共有できます。",
+    signIn: "サインイン",
+    namePlaceholder: "新しいリストの名前（例: 映画ナイトの候補）",
+    descriptionPlaceholder: "説明（任意）",
+    create: "リストを作成",
+    creating: "作成中...",
+    createFailed: "リストを作成できませんでした。もう一度お試しください。",
+    loading: "リストを読み込み中...",
+    loadFailed: "リストを読み込めませんでした。",
+    none: "リストはまだありません。",
+    movieCount: { other: "{count} 作品" },
+    public: "公開",
+  },
+
+  listPage: {
+    loading: "リストを読み込み中...",
+    unavailable: "リストを表示できません",
+    notPublic: "このリストは存在しないか、公開されていません。",
+    loadFailed: "リストを読み込めませんでした。しばらくしてからもう一度お試しください。",
+    byOwner: "{owner} のリスト",
+    unknownOwner: "Movie Library のユーザー",
+    allLists: "すべてのリスト",
+    addNote: "+ メモを追加",
+    notePlaceholder: "リストに入れた理由は？",
+    nameLabel: "リストの名前",
+    descriptionLabel: "リストの説明",
+    save: "保存",
+    saveFailed: "変更を保存できませんでした。もう一度お試しください。",
+    rename: "名前を変更",
+    publicToggle: "公開（リンクを知っている人なら誰でも閲覧可能）",
+    deleteList: "リストを削除",
+    shareLink: "共有リンク",
+    copyLink: "リンクをコピー",
+    copied: "コピーしました！",
+    copyFailed: "リンクをコピーできませんでした。ボックスからコピーしてください。",
+    confirmDelete: "「{name}」を削除しますか？この操作は元に戻せません。",
+    confirmDeletePublic: "「{name}」を削除しますか？この操作は元に戻せず、共有リンクも使えなくなります。",
+    delete: "削除",
+    empty: "このリストは空です。映画のページの「リストに追加」ボタンから追加してください。",
+    dragHandle: "ドラッグして並べ替え",
+    moveUp: "「{title}」を上へ移動",
+    moveDown: "「{title}」を下へ移動",
+    remove: "削除",
+    removeTitle: "リストから削除",
+  },
+
+  userActivity: {
+    title: "あなたのアクティビティ",
+    addWatchlist: "ウォッチリストに追加",
+    onWatchlist: "ウォッチリストに登録済み",
+    markWatched: "視聴済みにする",
+    watched: "視聴済み",
+    watchedOn: "視聴日",
+    ratingLabel: "あなたの評価",
+    ratingValue: "{max} 点中 {rating} 点",
+    notRated: "未評価",
+    reviewPlaceholder: "短いレビューを追加（任意）",
+    saveRating: "評価を保存",
+    updateRating: "評価を更新",
+    deleteRating: "評価を削除",
+    saved: "保存しました！",
+    ratingRemoved: "評価を削除しました。",
+  },
+
+  genrePage: {
+    title: "ジャンルを探す",
+    genresError: "ジャンルを読み込めませんでした。",
+    states: {
+      off: "未選択",
+      included: "含める",
+      excluded: "除外",
+    },
+    genreState: "{genre}: {state}",
+    hint: "ジャンルを 1 回クリックすると含め、2 回クリックすると除外します。",
+    matchLabel: "選択したジャンルの組み合わせ方",
+    matchPrefix: "表示する映画:",
+    matchAll: "選択したすべてのジャンル",
+    matchAny: "選択したいずれかのジャンル",
+    loading: "映画を読み込み中...",
+    loadError: "選択したジャンルの映画を読み込めませんでした。もう一度お試しください。",
+    noResults: "選択したジャンルと条件に一致する映画はありません。条件をゆるめてみてください。",
+  },
+
+  discoverFilters: {
+    show: "詳細な絞り込み",
+    hide: "絞り込みを隠す",
+    active: "（絞り込み中）",
+    sortLabel: "並べ替え",
+    sort: {
+      popular: "人気順",
+      highestRated: "評価が高い順",
+      mostVoted: "投票数が多い順",
+      newest: "新しい順",
+      oldest: "古い順",
+      title: "タイトル（A-Z）",
+    },
+    releaseYear: "公開年",
+    from: "開始",
+    to: "終了",
+    yearFromLabel: "公開年（開始）",
+    yearToLabel: "公開年（終了）",
+    runtime: "上映時間（分）",
+    min: "最短",
+    max: "最長",
+    minRuntimeLabel: "最短上映時間（分）",
+    maxRuntimeLabel: "最長上映時間（分）",
+    rating: "評価",
+    minScore: "最低スコア",
+    minScoreLabel: "10 点満点の平均評価の下限",
+    minVotes: "最低投票数",
+    minVotesLabel: "投票数の下限",
+    languageAndCertification: "言語とレーティング",
+    languageLabel: "原語",
+    anyLanguage: "すべての言語",
+    certificationLabel: "レーティング（{country}）",
+    anyRating: "すべてのレーティング",
+    reset: "リセット",
+    apply: "絞り込む",
+  },
+
+  personPage: {
+    notFound: "人物が見つかりません。",
+    loadFailed: "この人物を読み込めませんでした。しばらくしてからもう一度お試しください。",
+    knownForDepartment: "主な分野:",
+    born: "生年月日:",
+    bornIn: "{date}（{place}）",
+    died: "没年月日:",
+    credits: "クレジット数:",
+    biography: "経歴",
+    noBiography: "{name} の経歴はまだありません。",
+    knownFor: "代表作",
+    filmography: "フィルモグラフィー",
+    departmentFilter: "分野で絞り込む",
+    allDepartments: "すべて",
+    departments: {
+      acting: "出演",
+      directing: "監督",
+      writing: "脚本",
+      production: "製作",
+      creator: "クリエイター",
+      camera: "撮影",
+      editing: "編集",
+      sound: "音響",
+      art: "美術",
+      costume: "衣装・メイク",
+      visualEffects: "視覚効果",
+      lighting: "照明",
+      crew: "スタッフ",
+    },
+    sortLabel: "並べ替え",
+    sort: {
+      year: "年",
+      popularity: "人気",
+    },
+    noCredits: "この分野のクレジットはありません。",
+    unknownRole: "役名不明",
+    tvSeries: "テレビシリーズ",
+  },
+
+  searchBox: {
+    placeholder: "映画、テレビ番組、人物を検索...",
+    searching: "検索中...",
+    noMatches: "一致する結果はありません",
+    seeAll: "「{query}」のすべての結果を見る",
+    person: "人物",
+    tvSeries: "テレビシリーズ · {year}",
+  },
+
+  searchResults: {
+    search: "検索",
+    placeholder: "映画、テレビ番組、人物、コレクションを検索",
+    typeLabel: "検索対象",
+    types: {
+      all: "すべて",
+      movie: "映画のみ",
+      tv: "テレビ番組のみ",
+    },
+    prompt: "タイトルを入力して検索を始めましょう。",
+    summary: { other: "「{query}」の検索結果 {total} 件" },
+    page: "{page} / {total} ページ",
+    noResults: "「{query}」に一致するものは見つかりませんでした。",
+    myServicesNote: "このページの映画のうち、利用中のサービスにないものは非表示です。",
+    tvNotChecked: "テレビ番組は確認されません。",
+    error: "検索に失敗しました。もう一度お試しください。",
+    groups: {
+      movies: "映画",
+      shows: "テレビ番組",
+      people: "人物",
+      collections: "コレクション",
+    },
+    pages: "検索結果のページ",
+    previous: "前へ",
+    next: "次へ",
+  },
+
+  favouritesTransfer: {
+    title: "インポートとエクスポート",
+    exportTitle: "お気に入りをエクスポート",
+    letterboxdHint: "Letterboxd 用のファイルは letterboxd.com/import でインポートできます。Letterboxd はテレビ番組を扱わないため、映画のみが含まれます。",
+    importTitle: "お気に入りをインポート",
+    importHint: "ここでエクスポートしたファイルと Letterboxd のエクスポートに対応しています。TMDB の ID がない映画はタイトルと公開年で照合します。",
+    importHintSignedOut: "インポートしたお気に入りは、サインインするまでこの端末に保存されます。",
+    lookingUp: "映画を検索中... {done}/{total}",
+    readFailed: "{file} を読み込めませんでした: {reason}",
+    readErrors: {
+      invalid: "有効な JSON または CSV ファイルではありません。",
+      noColumns: "CSV には tmdbID 列または Title 列が必要です。",
+      noFavourites: "JSON ファイルにお気に入りが含まれていません。",
+    },
+    imported: { other: "{count} 本の映画をお気に入りにインポートしました。" },
+    importFailed: "インポートに失敗したため、何も保存されませんでした。もう一度お試しください。",
+    previewSummary: "{format} ファイル: 新規 {added} 件、お気に入り登録済み {conflicts} 件、見つからない {unresolved} 件。",
+    previewSummaryRepeated: "{format} ファイル: 新規 {added} 件、お気に入り登録済み {conflicts} 件、見つからない {unresolved} 件、重複 {repeated} 件。",
+    newFavourites: "新しいお気に入り ({count})",
+    alreadySaved: "お気に入り登録済み ({count})",
+    addedOn: "{date} に追加",
+    replace: "インポートしたものに置き換える",
+    notFound: "見つかりません ({count})",
+    row: "{line} 行目: {title}",
+    tmdbId: "TMDB ID {id}",
+    reasons: {
+      notFound: "TMDB に一致なし",
+      lookupFailed: "検索に失敗",
+    },
+    importing: "インポート中...",
+    importButton: { other: "{count} 本の映画をインポート" },
+  },
+};
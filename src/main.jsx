@@ -4,6 +4,7 @@ import { BrowserRouter } from "react-router-dom"
 import './css/index.css'
 import App from './App.jsx'
 import './firebase';
+import { registerServiceWorker } from './services/offlineCache';
 import AppWrapper from './App.jsx'
 
 import { library } from '@fortawesome/fontawesome-svg-core'
@@ -11,6 +12,8 @@ import { faUserCircle } from '@fortawesome/free-solid-svg-icons'
 
 library.add(faUserCircle)
 
+registerServiceWorker();
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <BrowserRouter>
@@ -1,60 +1,126 @@
 // services/api.js
+import { tmdbFetch, getRequestLocale } from "./tmdbClient";
 
-// Use environment variable for the API key
-const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
-const BASE_URL = "https://api.themoviedb.org/3";
+// Re-export the typed errors so pages can import everything API-related from here
+export { TmdbError, NotFoundError, RateLimitError, NetworkError, AuthError } from "./tmdbClient";
 
-// Ensure API_KEY is loaded, otherwise throw an error (important for production)
-if (!API_KEY) {
-  console.error("TMDB API Key is not defined. Please set VITE_TMDB_API_KEY in your .env file or environment variables.");
-  // Depending on your app's needs, you might want to throw an error here
-  // or handle this gracefully in the UI.
-}
+// --- Cache lifetimes per endpoint ---
+const MINUTE = 60 * 1000;
+const CACHE_TTL = {
+  popular: 10 * MINUTE,
+  search: 5 * MINUTE,
+  details: 60 * MINUTE,
+  similar: 60 * MINUTE,
+  watchProviders: 6 * 60 * MINUTE,
+  providerList: 24 * 60 * MINUTE,
+  genres: 24 * 60 * MINUTE,
+  certifications: 24 * 60 * MINUTE,
+  discover: 10 * MINUTE,
+  person: 60 * MINUTE,
+  collection: 60 * MINUTE,
+  season: 60 * MINUTE,
+  episode: 60 * MINUTE,
+};
 
 export const getPopularMovies = async (page = 1) => {
   try {
-    const response = await fetch(`${BASE_URL}/movie/popular?api_key=${API_KEY}&page=${page}`);
-    if (!response.ok) {
-      // Include more context in the error message for debugging
-      const errorBody = await response.text(); // Get response body for more details
-      throw new Error(`HTTP error! Status: ${response.status}, Message: ${errorBody} for page ${page}`);
-    }
-    const data = await response.json();
-    return data; // Returns { page, results, total_pages, total_results }
+    return await tmdbFetch("/movie/popular", { page }, { ttl: CACHE_TTL.popular }); // Returns { page, results, total_pages, total_results }
   } catch (error) {
     console.error("Error fetching popular movies:", error);
     throw error;
   }
 };
 
-export const searchMovies = async (query) => {
+// Returns { page, results, total_pages, total_results }.
+// Pass an AbortSignal to drop the result when a newer search supersedes it.
+export const searchMovies = async (query, page = 1, { signal } = {}) => {
   try {
-    const response = await fetch(
-      `${BASE_URL}/search/movie?api_key=${API_KEY}&query=${encodeURIComponent(query)}`
-    );
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`HTTP error! Status: ${response.status}, Message: ${errorBody}`);
-    }
-    const data = await response.json();
-    return data.results;
+    return await tmdbFetch("/search/movie", { query, page }, { ttl: CACHE_TTL.search, signal });
+  } catch (error) {
+    if (error.name !== "AbortError") console.error("Error searching movies:", error);
+    throw error;
+  }
+};
+
+export const getPopularTv = async (page = 1) => {
+  try {
+    return await tmdbFetch("/tv/popular", { page }, { ttl: CACHE_TTL.popular }); // Returns { page, results, total_pages, total_results }
+  } catch (error) {
+    console.error("Error fetching popular TV shows:", error);
+    throw error;
+  }
+};
+
+// Same shape as searchMovies, over TV shows
+export const searchTv = async (query, page = 1, { signal } = {}) => {
+  try {
+    return await tmdbFetch("/search/tv", { query, page }, { ttl: CACHE_TTL.search, signal });
+  } catch (error) {
+    if (error.name !== "AbortError") console.error("Error searching TV shows:", error);
+    throw error;
+  }
+};
+
+// --- Multi-search over movies, TV shows and people (TMDB's /search/multi) ---
+// Returns { page, results, total_pages, total_results }; every result carries a media_type.
+// Types the app has no pages for yet are dropped.
+const SUPPORTED_MULTI_TYPES = ["movie", "tv", "person"];
+
+export const searchMulti = async (query, page = 1, { signal } = {}) => {
+  try {
+    const data = await tmdbFetch("/search/multi", { query, page }, { ttl: CACHE_TTL.search, signal });
+    return { ...data, results: (data.results || []).filter((r) => SUPPORTED_MULTI_TYPES.includes(r.media_type)) };
+  } catch (error) {
+    if (error.name !== "AbortError") console.error("Error running multi-search:", error);
+    throw error;
+  }
+};
+
+// --- Search everything: movies, TV shows, people and collections, grouped by type ---
+// Collections aren't part of /search/multi, so they are searched in parallel.
+// Returns { page, total_pages, total_results, movies, shows, people, collections }.
+export const searchAll = async (query, page = 1, { signal } = {}) => {
+  try {
+    const [multi, collections] = await Promise.all([
+      searchMulti(query, page, { signal }),
+      tmdbFetch("/search/collection", { query, page }, { ttl: CACHE_TTL.search, signal }),
+    ]);
+    return {
+      page,
+      total_pages: Math.max(multi.total_pages || 0, collections.total_pages || 0),
+      total_results: (multi.total_results || 0) + (collections.total_results || 0),
+      movies: multi.results.filter((r) => r.media_type === "movie"),
+      shows: multi.results.filter((r) => r.media_type === "tv"),
+      people: multi.results.filter((r) => r.media_type === "person"),
+      collections: collections.results || [],
+    };
   } catch (error) {
-    console.error("Error searching movies:", error);
+    if (error.name !== "AbortError") console.error("Error searching movies, TV shows, people and collections:", error);
     throw error;
   }
 };
 
-export const getMovieDetails = async (movieId) => {
+// With a content language set, TMDB only returns images in that language. Asking for
+// English and text-free ("null") images as well gives the gallery's language filter something to show.
+const getImageLanguages = () =>
+  [...new Set([getRequestLocale().language.split("-")[0], "en", "null"])].join(",");
+
+// Videos are filtered the same way; English ones are added so the video hub has trailers
+// for movies that were never dubbed or subtitled
+const getVideoLanguages = () => [...new Set([getRequestLocale().language.split("-")[0], "en"])].join(",");
+
+// `limited` marks a background request (see tmdbFetch)
+export const getMovieDetails = async (movieId, { limited } = {}) => {
   try {
-    const response = await fetch(
-      `${BASE_URL}/movie/${movieId}?api_key=${API_KEY}&append_to_response=videos,credits,images,release_dates`
+    return await tmdbFetch(
+      `/movie/${movieId}`,
+      {
+        append_to_response: "videos,credits,images,release_dates",
+        include_image_language: getImageLanguages(),
+        include_video_language: getVideoLanguages(),
+      },
+      { ttl: CACHE_TTL.details, limited }
     );
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`Error fetching movie details for ID ${movieId}: HTTP status ${response.status}, Message: ${errorBody}`);
-    }
-    const data = await response.json();
-    return data;
   } catch (error) {
     console.error(`Failed to fetch movie details for ID ${movieId}:`, error);
     throw error;
@@ -63,14 +129,7 @@ export const getMovieDetails = async (movieId) => {
 
 export const getSimilarMovies = async (movieId) => {
   try {
-    const response = await fetch(
-      `${BASE_URL}/movie/${movieId}/similar?api_key=${API_KEY}`
-    );
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`Error fetching similar movies for ID ${movieId}: HTTP status ${response.status}, Message: ${errorBody}`);
-    }
-    const data = await response.json();
+    const data = await tmdbFetch(`/movie/${movieId}/similar`, {}, { ttl: CACHE_TTL.similar });
     return data.results;
   } catch (error) {
     console.error(`Failed to fetch similar movies for ID ${movieId}:`, error);
@@ -78,16 +137,10 @@ export const getSimilarMovies = async (movieId) => {
   }
 };
 
-export const getMovieWatchProviders = async (movieId, region = 'US') => {
+// `region` defaults to the one in the user's settings; `limited` marks a background request (see tmdbFetch)
+export const getMovieWatchProviders = async (movieId, region = getRequestLocale().region, { limited } = {}) => {
   try {
-    const response = await fetch(
-      `${BASE_URL}/movie/${movieId}/watch/providers?api_key=${API_KEY}`
-    );
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`Error fetching watch providers for ID ${movieId}: HTTP status ${response.status}, Message: ${errorBody}`);
-    }
-    const data = await response.json();
+    const data = await tmdbFetch(`/movie/${movieId}/watch/providers`, {}, { ttl: CACHE_TTL.watchProviders, limited });
     // TMDB watch providers API returns results nested under a 'results' object,
     // and then by region code (e.g., 'US', 'GB'). If a region isn't found,
     // data.results[region] might be undefined.
@@ -98,15 +151,24 @@ export const getMovieWatchProviders = async (movieId, region = 'US') => {
   }
 };
 
-// --- NEW FUNCTION: Fetch all movie genres ---
+// --- Streaming services offered in the user's region (TMDB's /watch/providers/movie) ---
+// Returns [{ provider_id, provider_name, logo_path, ... }], in TMDB's order of importance for the region.
+export const getWatchProviderList = async () => {
+  const { region } = getRequestLocale();
+  const rank = (provider) => provider.display_priorities?.[region] ?? provider.display_priority;
+  try {
+    const data = await tmdbFetch("/watch/providers/movie", {}, { ttl: CACHE_TTL.providerList });
+    return [...(data.results || [])].sort((a, b) => rank(a) - rank(b)); // A copy: the cached response is shared
+  } catch (error) {
+    console.error("Error fetching the watch provider list:", error);
+    throw error;
+  }
+};
+
+// --- Fetch all movie genres ---
 export const getMovieGenres = async () => {
   try {
-    const response = await fetch(`${BASE_URL}/genre/movie/list?api_key=${API_KEY}`);
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`HTTP error! Status: ${response.status}, Message: ${errorBody}`);
-    }
-    const data = await response.json();
+    const data = await tmdbFetch("/genre/movie/list", {}, { ttl: CACHE_TTL.genres });
     return data.genres; // Returns an array of { id, name } objects
   } catch (error) {
     console.error("Error fetching movie genres:", error);
@@ -114,22 +176,130 @@ export const getMovieGenres = async () => {
   }
 };
 
-// --- NEW FUNCTION: Discover movies by genre IDs ---
-// Accepts an array of genre IDs and a page number
-export const getMoviesByGenres = async (genreIds = [], page = 1) => {
+// --- Age ratings per country (TMDB's /certification/movie/list) ---
+// Returns { US: [{ certification, meaning, order }, ...], GB: [...], ... }
+export const getMovieCertifications = async () => {
   try {
-    const genresParam = genreIds.length > 0 ? `&with_genres=${genreIds.join(',')}` : '';
-    const response = await fetch(
-      `${BASE_URL}/discover/movie?api_key=${API_KEY}&sort_by=popularity.desc&page=${page}${genresParam}`
+    const data = await tmdbFetch("/certification/movie/list", {}, { ttl: CACHE_TTL.certifications });
+    return data.certifications;
+  } catch (error) {
+    console.error("Error fetching movie certifications:", error);
+    throw error;
+  }
+};
+
+// --- Discover movies ---
+// Accepts TMDB /discover/movie parameters (see services/discoverFilters.js) and a page number
+export const discoverMovies = async (params = {}, page = 1) => {
+  try {
+    return await tmdbFetch(
+      "/discover/movie",
+      { sort_by: "popularity.desc", ...params, page },
+      { ttl: CACHE_TTL.discover }
+    ); // Returns { page, results, total_pages, total_results }
+  } catch (error) {
+    console.error("Error discovering movies:", error);
+    throw error;
+  }
+};
+
+// --- Discover TV shows ---
+// Takes the same parameters as discoverMovies, apart from the movie-only release date and runtime filters
+export const discoverTv = async (params = {}, page = 1) => {
+  try {
+    return await tmdbFetch(
+      "/discover/tv",
+      { sort_by: "popularity.desc", ...params, page },
+      { ttl: CACHE_TTL.discover }
+    ); // Returns { page, results, total_pages, total_results }
+  } catch (error) {
+    console.error("Error discovering TV shows:", error);
+    throw error;
+  }
+};
+
+// --- Fetch all TV genres. Most ids are shared with movie genres, but some
+// (e.g. "Action & Adventure", 10759) only exist for TV. ---
+export const getTvGenres = async () => {
+  try {
+    const data = await tmdbFetch("/genre/tv/list", {}, { ttl: CACHE_TTL.genres });
+    return data.genres; // Returns an array of { id, name } objects
+  } catch (error) {
+    console.error("Error fetching TV genres:", error);
+    throw error;
+  }
+};
+
+// --- TV show details ---
+// Lists the show's seasons (without their episodes) under `seasons`; the regional
+// age ratings come from `content_ratings` rather than a movie's `release_dates`.
+// `limited` marks a background request (see tmdbFetch)
+export const getTvDetails = async (tvId, { limited } = {}) => {
+  try {
+    return await tmdbFetch(
+      `/tv/${tvId}`,
+      {
+        append_to_response: "videos,credits,images,content_ratings",
+        include_image_language: getImageLanguages(),
+        include_video_language: getVideoLanguages(),
+      },
+      { ttl: CACHE_TTL.details, limited }
     );
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`HTTP error! Status: ${response.status}, Message: ${errorBody}`);
-    }
-    const data = await response.json();
-    return data; // Returns { page, results, total_pages, total_results }
-  } catch (error) {
-    console.error("Error discovering movies by genres:", error);
+  } catch (error) {
+    console.error(`Failed to fetch TV details for ID ${tvId}:`, error);
+    throw error;
+  }
+};
+
+// --- One season of a show, with its `episodes` (each with its own crew and guest stars) ---
+export const getTvSeasonDetails = async (tvId, seasonNumber) => {
+  try {
+    return await tmdbFetch(`/tv/${tvId}/season/${seasonNumber}`, {}, { ttl: CACHE_TTL.season });
+  } catch (error) {
+    console.error(`Failed to fetch season ${seasonNumber} of TV show ${tvId}:`, error);
+    throw error;
+  }
+};
+
+// --- One episode, with `credits` ({ cast, crew, guest_stars }) covering the regular cast as well ---
+export const getTvEpisodeDetails = async (tvId, seasonNumber, episodeNumber) => {
+  try {
+    return await tmdbFetch(
+      `/tv/${tvId}/season/${seasonNumber}/episode/${episodeNumber}`,
+      { append_to_response: "credits" },
+      { ttl: CACHE_TTL.episode }
+    );
+  } catch (error) {
+    console.error(`Failed to fetch episode ${seasonNumber}x${episodeNumber} of TV show ${tvId}:`, error);
+    throw error;
+  }
+};
+
+// --- Person (actor, director, writer...) details ---
+// Includes `combined_credits` ({ cast, crew }) for the filmography and `images` ({ profiles }).
+export const getPersonDetails = async (personId) => {
+  try {
+    return await tmdbFetch(
+      `/person/${personId}`,
+      { append_to_response: "combined_credits,images" },
+      { ttl: CACHE_TTL.person }
+    );
+  } catch (error) {
+    console.error(`Failed to fetch person details for ID ${personId}:`, error);
+    throw error;
+  }
+};
+
+// --- Collection (franchise) details, including its movies under `parts` and its `images` ---
+export const getCollectionDetails = async (collectionId) => {
+  try {
+    return await tmdbFetch(
+      `/collection/${collectionId}`,
+      { append_to_response: "images", include_image_language: getImageLanguages() },
+      { ttl: CACHE_TTL.collection }
+    );
+  } catch (error) {
+    console.error(`Failed to fetch collection details for ID ${collectionId}:`, error);
     throw error;
   }
 };
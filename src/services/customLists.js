@@ -0,0 +1,141 @@
+// services/customLists.js
+// User-made movie lists ("Movie night shortlist", "Best heist films"...).
+// Each list is one document in users/{uid}/lists, with its movies kept in order
+// in an `entries` array. Public lists are copied to the top-level publicLists/{listId}
+// collection, which anyone can read, so /lists/:listId works without signing in.
+import { db } from "../firebase";
+import { collection, doc, getDoc, onSnapshot, writeBatch } from "firebase/firestore";
+import { toMovieSummary } from "./userLists";
+
+export const MAX_LIST_NAME_LENGTH = 80;
+export const MAX_NOTE_LENGTH = 500;
+
+const getListsCollection = (uid) => collection(db, `users/${uid}/lists`);
+const getPublicListDoc = (listId) => doc(db, "publicLists", listId);
+
+// What the public copy of a list contains; the owner's name is shown on the shared page.
+// Without a display name it is null and the page shows a fallback in the reader's language.
+const toPublicList = (list, ownerName) => ({
+  ownerUid: list.ownerUid,
+  ownerName: ownerName || null,
+  name: list.name,
+  description: list.description || "",
+  entries: list.entries,
+  updatedAt: list.updatedAt,
+});
+
+const cleanName = (name) => {
+  const trimmed = String(name || "").trim().slice(0, MAX_LIST_NAME_LENGTH);
+  if (!trimmed) throw new Error("A list needs a name.");
+  return trimmed;
+};
+
+// Writes the list (and its public copy, if it has one) in a single batch
+const commitList = async (uid, list, ownerName) => {
+  const batch = writeBatch(db);
+  batch.set(doc(getListsCollection(uid), list.id), list);
+  if (list.isPublic) batch.set(getPublicListDoc(list.id), toPublicList(list, ownerName));
+  await batch.commit();
+  return list;
+};
+
+const touch = (list, changes) => ({ ...list, ...changes, updatedAt: new Date().toISOString() });
+
+/**
+ * Calls `onChange` with the user's lists, newest first, whenever they change.
+ * @returns {() => void} Unsubscribe function.
+ */
+export const subscribeToLists = (uid, onChange, onError) =>
+  onSnapshot(
+    getListsCollection(uid),
+    (snapshot) => {
+      const lists = [];
+      snapshot.forEach((listDoc) => lists.push(listDoc.data()));
+      lists.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      onChange(lists);
+    },
+    onError
+  );
+
+const toListEntry = (movie) => ({ ...toMovieSummary(movie), note: "", addedAt: new Date().toISOString() });
+
+export const createList = async (uid, name, description = "", movies = []) => {
+  const now = new Date().toISOString();
+  const list = {
+    id: doc(getListsCollection(uid)).id, // Firestore-generated id, also used for the public copy
+    ownerUid: uid,
+    name: cleanName(name),
+    description: description.trim(),
+    isPublic: false,
+    entries: movies.map(toListEntry),
+    createdAt: now,
+    updatedAt: now,
+  };
+  return commitList(uid, list);
+};
+
+export const updateListDetails = (uid, list, { name, description }, ownerName) =>
+  commitList(
+    uid,
+    touch(list, {
+      name: name === undefined ? list.name : cleanName(name),
+      description: description === undefined ? list.description : description.trim(),
+    }),
+    ownerName
+  );
+
+export const deleteList = async (uid, list) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(getListsCollection(uid), list.id));
+  batch.delete(getPublicListDoc(list.id)); // Deleting a missing doc is a no-op
+  await batch.commit();
+};
+
+export const setListPublic = async (uid, list, isPublic, ownerName) => {
+  const updated = touch(list, { isPublic });
+  if (isPublic) return commitList(uid, updated, ownerName);
+
+  const batch = writeBatch(db);
+  batch.set(doc(getListsCollection(uid), list.id), updated);
+  batch.delete(getPublicListDoc(list.id));
+  await batch.commit();
+  return updated;
+};
+
+export const setListEntries = (uid, list, entries, ownerName) =>
+  commitList(uid, touch(list, { entries }), ownerName);
+
+export const addMovieToList = (uid, list, movie, ownerName) => {
+  if (list.entries.some((entry) => entry.id === movie.id)) return Promise.resolve(list);
+  return setListEntries(uid, list, [...list.entries, toListEntry(movie)], ownerName);
+};
+
+export const removeMovieFromList = (uid, list, movieId, ownerName) =>
+  setListEntries(uid, list, list.entries.filter((entry) => entry.id !== movieId), ownerName);
+
+export const setEntryNote = (uid, list, movieId, note, ownerName) =>
+  setListEntries(
+    uid,
+    list,
+    list.entries.map((entry) =>
+      entry.id === movieId ? { ...entry, note: note.trim().slice(0, MAX_NOTE_LENGTH) } : entry
+    ),
+    ownerName
+  );
+
+// Moves the entry at `fromIndex` to `toIndex`, shifting the ones in between
+export const moveEntry = (entries, fromIndex, toIndex) => {
+  const reordered = [...entries];
+  const [moved] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, moved);
+  return reordered;
+};
+
+/**
+ * Reads a public list for the shared /lists/:listId page.
+ * @returns {Promise<object|null>} The list, or null when it doesn't exist or isn't public.
+ */
+export const getPublicList = async (listId) => {
+  const snapshot = await getDoc(getPublicListDoc(listId));
+  return snapshot.exists() ? { id: listId, ...snapshot.data() } : null;
+};
@@ -0,0 +1,524 @@
+// services/dataSources/fixtureSource.js
+// Offline movie and TV data source backed by the JSON files in src/fixtures/tmdb.
+// Answers the same TMDB paths as the live source and returns TMDB-shaped
+// payloads, so the rest of the app cannot tell the difference.
+import { NotFoundError } from "../errors";
+
+const PAGE_SIZE = 20; // Same page size TMDB uses
+
+// Fields TMDB includes for a movie inside list endpoints (popular, search, discover, similar)
+const LIST_FIELDS = [
+  "id",
+  "title",
+  "original_title",
+  "original_language",
+  "overview",
+  "release_date",
+  "poster_path",
+  "backdrop_path",
+  "genre_ids",
+  "vote_average",
+  "vote_count",
+  "popularity",
+  "adult",
+  "video",
+];
+
+// The same for a TV show
+const TV_LIST_FIELDS = [
+  "id",
+  "name",
+  "original_name",
+  "original_language",
+  "origin_country",
+  "overview",
+  "first_air_date",
+  "poster_path",
+  "backdrop_path",
+  "genre_ids",
+  "vote_average",
+  "vote_count",
+  "popularity",
+  "adult",
+];
+
+// The fixture files are only downloaded the first time this source is used.
+let fixturesPromise = null;
+const loadFixtures = () => {
+  if (!fixturesPromise) {
+    fixturesPromise = Promise.all([
+      import("../../fixtures/tmdb/movies.json"),
+      import("../../fixtures/tmdb/genres.json"),
+      import("../../fixtures/tmdb/watchProviders.json"),
+      import("../../fixtures/tmdb/people.json"),
+      import("../../fixtures/tmdb/collections.json"),
+      import("../../fixtures/tmdb/tv.json"),
+      import("../../fixtures/tmdb/certifications.json"),
+    ]).then(([movies, genres, watchProviders, people, collections, tv, certifications]) => ({
+      movies: movies.default,
+      genres: genres.default.genres,
+      watchProviders: watchProviders.default,
+      people: buildPeople(movies.default, tv.default.shows, people.default),
+      collections: buildCollections(movies.default, collections.default),
+      shows: tv.default.shows,
+      tvGenres: tv.default.genres,
+      certifications: certifications.default.certifications,
+    }));
+  }
+  return fixturesPromise;
+};
+
+// People aren't stored on their own: everyone credited in a fixture movie or show becomes
+// a person, enriched with the extra details in people.json when present.
+const buildPeople = (movies, shows, extraDetails) => {
+  const people = new Map();
+  const addPerson = (credit) => {
+    if (!people.has(credit.id)) {
+      people.set(credit.id, {
+        id: credit.id,
+        name: credit.name,
+        profile_path: credit.profile_path,
+        known_for_department: credit.department || credit.known_for_department || "Acting",
+        popularity: 1,
+        biography: "",
+        birthday: null,
+        deathday: null,
+        place_of_birth: null,
+        ...extraDetails[credit.id],
+        movieIds: [],
+        credits: [],
+      });
+    }
+    return people.get(credit.id);
+  };
+
+  movies.forEach((movie) => {
+    [...movie.credits.cast, ...movie.credits.crew].forEach((credit) => {
+      const person = addPerson(credit);
+      if (!person.movieIds.includes(movie.id)) person.movieIds.push(movie.id);
+      person.credits.push({ movieId: movie.id, character: credit.character, job: credit.job, department: credit.department });
+    });
+  });
+  // A show's creators are listed apart from its crew
+  shows.forEach((show) => {
+    const creators = show.created_by.map((creator) => ({ ...creator, job: "Creator", department: "Writing" }));
+    [...show.credits.cast, ...show.credits.crew, ...creators].forEach((credit) => {
+      addPerson(credit).credits.push({ showId: show.id, character: credit.character, job: credit.job, department: credit.department });
+    });
+  });
+  return people;
+};
+
+// Likewise, collections are assembled from the movies' belongs_to_collection field.
+const buildCollections = (movies, extraDetails) => {
+  const collections = new Map();
+  movies.forEach((movie) => {
+    const collection = movie.belongs_to_collection;
+    if (!collection) return;
+    if (!collections.has(collection.id)) {
+      collections.set(collection.id, { ...collection, overview: "", ...extraDetails[collection.id], movieIds: [] });
+    }
+    collections.get(collection.id).movieIds.push(movie.id);
+  });
+  return collections;
+};
+
+const pickFields = (fields) => (source) =>
+  fields.reduce((item, field) => {
+    item[field] = source[field];
+    return item;
+  }, {});
+
+const toListItem = pickFields(LIST_FIELDS);
+const toShowListItem = pickFields(TV_LIST_FIELDS);
+
+const paginate = (items, page = 1, toItem = toListItem) => {
+  const pageNumber = Math.max(1, Number(page) || 1);
+  const start = (pageNumber - 1) * PAGE_SIZE;
+  return {
+    page: pageNumber,
+    results: items.slice(start, start + PAGE_SIZE).map(toItem),
+    total_pages: Math.max(1, Math.ceil(items.length / PAGE_SIZE)),
+    total_results: items.length,
+  };
+};
+
+// Strips the internal movieIds/credits indexes before an item leaves this module
+const omitIndexes = (item) => {
+  const copy = { ...item };
+  delete copy.movieIds;
+  delete copy.credits;
+  return copy;
+};
+
+// TMDB's appended `images` for people and collections, made from the one image of each
+// kind the fixtures have. Sizes aren't known, so only the aspect ratio is filled in.
+const buildImages = (lists) =>
+  Object.fromEntries(
+    Object.entries(lists).map(([listName, [filePath, aspectRatio]]) => [
+      listName,
+      filePath ? [{ file_path: filePath, aspect_ratio: aspectRatio, iso_639_1: null }] : [],
+    ])
+  );
+
+// Same shape as TMDB's /person/:id/combined_credits
+const buildCombinedCredits = (person, movies, shows) => {
+  const cast = [];
+  const crew = [];
+  person.credits.forEach(({ movieId, showId, character, job, department }) => {
+    const item = showId
+      ? { ...toShowListItem(shows.find((show) => show.id === showId)), media_type: "tv" }
+      : { ...toListItem(movies.find((m) => m.id === movieId)), media_type: "movie" };
+    if (job) crew.push({ ...item, job, department });
+    else cast.push({ ...item, character });
+  });
+  return { cast, crew };
+};
+
+const toPersonListItem = (person, movies) => ({
+  id: person.id,
+  name: person.name,
+  profile_path: person.profile_path,
+  known_for_department: person.known_for_department,
+  popularity: person.popularity,
+  known_for: movies.filter((m) => person.movieIds.includes(m.id)).slice(0, 3).map(toListItem),
+});
+
+const matchesQuery = (text, query) => Boolean(query) && String(text || "").toLowerCase().includes(query);
+
+const byPopularity = (a, b) => b.popularity - a.popularity;
+
+const findById = (map, id, path, kind) => {
+  const item = map.get(Number(id));
+  if (!item) {
+    throw new NotFoundError(`Fixture ${kind} ${id} not found`, { status: 404, endpoint: path });
+  }
+  return item;
+};
+
+const findShow = (shows, id, path) => {
+  const show = shows.find((s) => s.id === Number(id));
+  if (!show) {
+    throw new NotFoundError(`Fixture TV show ${id} not found`, { status: 404, endpoint: path });
+  }
+  return show;
+};
+
+// Only some seasons have their episodes written out; the rest get numbered placeholders
+const getSeasonEpisodes = (show, season) =>
+  (season.episodes || Array.from({ length: season.episode_count }, (_, index) => ({
+    episode_number: index + 1,
+    name: `Episode ${index + 1}`,
+    air_date: null,
+    runtime: null,
+    overview: "",
+    still_path: null,
+    vote_average: 0,
+    vote_count: 0,
+    crew: [],
+    guest_stars: [],
+  }))).map((episode) => ({
+    ...episode,
+    id: show.id * 10000 + season.season_number * 100 + episode.episode_number,
+    show_id: show.id,
+    season_number: season.season_number,
+  }));
+
+const findSeason = (show, seasonNumber, path) => {
+  const season = show.seasons.find((s) => s.season_number === Number(seasonNumber));
+  if (!season) {
+    throw new NotFoundError(`Fixture season ${seasonNumber} of TV show ${show.id} not found`, { status: 404, endpoint: path });
+  }
+  return season;
+};
+
+const findMovie = (movies, id, path) => {
+  const movie = movies.find((m) => m.id === Number(id));
+  if (!movie) {
+    throw new NotFoundError(`Fixture movie ${id} not found`, { status: 404, endpoint: path });
+  }
+  return movie;
+};
+
+// TMDB treats a comma-separated genre list as AND and a pipe-separated list as OR.
+const matchesGenreParam = (movie, withGenres) => {
+  if (!withGenres) return true;
+  if (withGenres.includes("|")) {
+    return withGenres.split("|").map(Number).some((id) => movie.genre_ids.includes(id));
+  }
+  return withGenres.split(",").map(Number).every((id) => movie.genre_ids.includes(id));
+};
+
+const getCertifications = (movie, country) =>
+  (movie.release_dates?.results || [])
+    .filter((r) => r.iso_3166_1 === country)
+    .flatMap((r) => r.release_dates.map((d) => d.certification))
+    .filter(Boolean);
+
+// with_watch_providers works like with_genres ("|" is OR, "," is AND), in watch_region,
+// counting only the monetization types asked for (all of them by default)
+const matchesWatchProviders = (movieProviders, params) => {
+  if (!params.with_watch_providers) return true;
+  const regionProviders = movieProviders?.[params.watch_region] || {};
+  const types = params.with_watch_monetization_types
+    ? String(params.with_watch_monetization_types).split("|")
+    : ["flatrate", "free", "ads", "rent", "buy"];
+  const available = types.flatMap((type) => regionProviders[type] || []).map((provider) => provider.provider_id);
+  const wanted = String(params.with_watch_providers);
+  return wanted.includes("|")
+    ? wanted.split("|").map(Number).some((id) => available.includes(id))
+    : wanted.split(",").map(Number).every((id) => available.includes(id));
+};
+
+// Every provider that appears in the fixtures for a region, shaped like TMDB's /watch/providers/movie
+const listWatchProviders = (watchProviders, region) => {
+  const providers = new Map();
+  Object.values(watchProviders).forEach((movieProviders) => {
+    Object.values(movieProviders[region] || {})
+      .filter(Array.isArray)
+      .flat()
+      .forEach(({ provider_id, provider_name, logo_path, display_priority }) => {
+        providers.set(provider_id, {
+          provider_id,
+          provider_name,
+          logo_path,
+          display_priority,
+          display_priorities: { [region]: display_priority },
+        });
+      });
+  });
+  return [...providers.values()];
+};
+
+// The /discover/movie filters besides with_genres. Unset parameters match everything.
+const matchesDiscoverFilters = (movie, params) => {
+  const atLeast = (value, min) => min === undefined || value >= Number(min);
+  const atMost = (value, max) => max === undefined || value <= Number(max);
+  const withoutGenres = params.without_genres ? String(params.without_genres).split(/[,|]/).map(Number) : [];
+
+  return (
+    !withoutGenres.some((id) => movie.genre_ids.includes(id)) &&
+    // ISO dates compare correctly as strings
+    (!params["primary_release_date.gte"] || movie.release_date >= params["primary_release_date.gte"]) &&
+    (!params["primary_release_date.lte"] || movie.release_date <= params["primary_release_date.lte"]) &&
+    atLeast(movie.vote_average, params["vote_average.gte"]) &&
+    atLeast(movie.vote_count, params["vote_count.gte"]) &&
+    atLeast(movie.runtime, params["with_runtime.gte"]) &&
+    atMost(movie.runtime, params["with_runtime.lte"]) &&
+    (!params.with_original_language || movie.original_language === params.with_original_language) &&
+    (!params.certification || getCertifications(movie, params.certification_country).includes(params.certification))
+  );
+};
+
+// /discover/tv has no runtime or certification filters and dates shows by their first episode
+const matchesTvDiscoverFilters = (show, params) => {
+  const atLeast = (value, min) => min === undefined || value >= Number(min);
+  const withoutGenres = params.without_genres ? String(params.without_genres).split(/[,|]/).map(Number) : [];
+
+  return (
+    !withoutGenres.some((id) => show.genre_ids.includes(id)) &&
+    (!params["first_air_date.gte"] || show.first_air_date >= params["first_air_date.gte"]) &&
+    (!params["first_air_date.lte"] || show.first_air_date <= params["first_air_date.lte"]) &&
+    atLeast(show.vote_average, params["vote_average.gte"]) &&
+    atLeast(show.vote_count, params["vote_count.gte"]) &&
+    (!params.with_original_language || show.original_language === params.with_original_language)
+  );
+};
+
+// sort_by values look like "vote_average.desc"
+const DISCOVER_SORT_FIELDS = {
+  popularity: "popularity",
+  vote_average: "vote_average",
+  vote_count: "vote_count",
+  primary_release_date: "release_date",
+  first_air_date: "first_air_date",
+  title: "title",
+  name: "name",
+};
+
+const getDiscoverSort = (sortBy = "popularity.desc") => {
+  const [key, direction] = sortBy.split(".");
+  const field = DISCOVER_SORT_FIELDS[key] || "popularity";
+  const sign = direction === "asc" ? 1 : -1;
+  return (a, b) => {
+    const order = typeof a[field] === "string" ? a[field].localeCompare(b[field]) : a[field] - b[field];
+    return sign * order;
+  };
+};
+
+// --- Route table: [pattern, handler(fixtures, params, match, path)] ---
+const routes = [
+  [/^\/movie\/popular$/, ({ movies }, params) => paginate([...movies].sort(byPopularity), params.page)],
+
+  [/^\/search\/movie$/, ({ movies }, params) => {
+    const query = String(params.query || "").trim().toLowerCase();
+    const matches = query
+      ? movies.filter(
+          (m) => m.title.toLowerCase().includes(query) || m.original_title.toLowerCase().includes(query)
+        )
+      : [];
+    return paginate(matches.sort(byPopularity), params.page);
+  }],
+
+  [/^\/tv\/popular$/, ({ shows }, params) => paginate([...shows].sort(byPopularity), params.page, toShowListItem)],
+
+  [/^\/search\/tv$/, ({ shows }, params) => {
+    const query = String(params.query || "").trim().toLowerCase();
+    const matches = shows.filter((show) => matchesQuery(show.name, query) || matchesQuery(show.original_name, query));
+    return paginate(matches.sort(byPopularity), params.page, toShowListItem);
+  }],
+
+  [/^\/search\/multi$/, ({ movies, shows, people }, params) => {
+    const query = String(params.query || "").trim().toLowerCase();
+    const matches = [
+      ...movies
+        .filter((m) => matchesQuery(m.title, query))
+        .map((m) => ({ ...toListItem(m), media_type: "movie" })),
+      ...shows
+        .filter((show) => matchesQuery(show.name, query))
+        .map((show) => ({ ...toShowListItem(show), media_type: "tv" })),
+      ...[...people.values()]
+        .filter((p) => matchesQuery(p.name, query))
+        .map((p) => ({ ...toPersonListItem(p, movies), media_type: "person" })),
+    ].sort((a, b) => b.popularity - a.popularity);
+    return paginate(matches, params.page, (item) => item);
+  }],
+
+  [/^\/search\/collection$/, ({ collections }, params) => {
+    const query = String(params.query || "").trim().toLowerCase();
+    const matches = [...collections.values()].filter((c) => matchesQuery(c.name, query));
+    return paginate(matches, params.page, omitIndexes);
+  }],
+
+  [/^\/person\/(\d+)$/, ({ movies, shows, people }, params, match, path) => {
+    const person = findById(people, match[1], path, "person");
+    const appended = String(params.append_to_response || "").split(",");
+    return {
+      ...omitIndexes(person),
+      ...(appended.includes("combined_credits") && { combined_credits: buildCombinedCredits(person, movies, shows) }),
+      ...(appended.includes("images") && { images: buildImages({ profiles: [person.profile_path, 0.667] }) }),
+    };
+  }],
+
+  [/^\/collection\/(\d+)$/, ({ movies, collections }, params, match, path) => {
+    const collection = findById(collections, match[1], path, "collection");
+    const appended = String(params.append_to_response || "").split(",");
+    return {
+      ...omitIndexes(collection),
+      parts: movies.filter((m) => collection.movieIds.includes(m.id)).map(toListItem),
+      ...(appended.includes("images") && {
+        images: buildImages({
+          backdrops: [collection.backdrop_path, 1.778],
+          posters: [collection.poster_path, 0.667],
+        }),
+      }),
+    };
+  }],
+
+  [/^\/genre\/movie\/list$/, ({ genres }) => ({ genres })],
+
+  [/^\/discover\/movie$/, ({ movies, watchProviders }, params) => {
+    const matches = movies.filter(
+      (m) =>
+        matchesGenreParam(m, params.with_genres) &&
+        matchesDiscoverFilters(m, params) &&
+        matchesWatchProviders(watchProviders[m.id], params)
+    );
+    return paginate(matches.sort(getDiscoverSort(params.sort_by)), params.page);
+  }],
+
+  [/^\/movie\/(\d+)\/similar$/, ({ movies }, params, match, path) => {
+    const movie = findMovie(movies, match[1], path);
+    const shared = (other) => other.genre_ids.filter((id) => movie.genre_ids.includes(id)).length;
+    const similar = movies
+      .filter((m) => m.id !== movie.id && shared(m) > 0)
+      .sort((a, b) => shared(b) - shared(a) || byPopularity(a, b));
+    return paginate(similar, params.page);
+  }],
+
+  [/^\/certification\/movie\/list$/, ({ certifications }) => ({ certifications })],
+
+  [/^\/watch\/providers\/movie$/, ({ watchProviders }, params) => ({
+    results: listWatchProviders(watchProviders, params.watch_region || "US"),
+  })],
+
+  [/^\/movie\/(\d+)\/watch\/providers$/, ({ movies, watchProviders }, params, match, path) => {
+    const movie = findMovie(movies, match[1], path);
+    return { id: movie.id, results: watchProviders[movie.id] || {} };
+  }],
+
+  [/^\/movie\/(\d+)$/, ({ movies, genres }, params, match, path) => {
+    const { genre_ids, ...movie } = findMovie(movies, match[1], path);
+    return {
+      ...movie,
+      genres: genres.filter((g) => genre_ids.includes(g.id)),
+    };
+  }],
+
+  [/^\/genre\/tv\/list$/, ({ tvGenres }) => ({ genres: tvGenres })],
+
+  [/^\/discover\/tv$/, ({ shows }, params) => {
+    const matches = shows.filter(
+      (show) =>
+        matchesGenreParam(show, params.with_genres) &&
+        matchesTvDiscoverFilters(show, params) &&
+        matchesWatchProviders(show.watch_providers, params)
+    );
+    return paginate(matches.sort(getDiscoverSort(params.sort_by)), params.page, toShowListItem);
+  }],
+
+  [/^\/tv\/(\d+)$/, ({ shows, tvGenres }, params, match, path) => {
+    const { genre_ids, seasons, ...show } = findShow(shows, match[1], path);
+    delete show.watch_providers; // Fixture-only, for the /discover/tv provider filter
+    return {
+      ...show,
+      genres: tvGenres.filter((g) => genre_ids.includes(g.id)),
+      seasons: seasons.map((season) => {
+        const summary = { ...season };
+        delete summary.episodes;
+        return summary;
+      }),
+    };
+  }],
+
+  [/^\/tv\/(\d+)\/season\/(\d+)$/, ({ shows }, params, match, path) => {
+    const show = findShow(shows, match[1], path);
+    const season = findSeason(show, match[2], path);
+    return { ...season, episodes: getSeasonEpisodes(show, season) };
+  }],
+
+  [/^\/tv\/(\d+)\/season\/(\d+)\/episode\/(\d+)$/, ({ shows }, params, match, path) => {
+    const show = findShow(shows, match[1], path);
+    const season = findSeason(show, match[2], path);
+    const episode = getSeasonEpisodes(show, season).find((e) => e.episode_number === Number(match[3]));
+    if (!episode) {
+      throw new NotFoundError(`Fixture episode ${match[3]} of ${path} not found`, { status: 404, endpoint: path });
+    }
+    const appended = String(params.append_to_response || "").split(",");
+    return {
+      ...episode,
+      ...(appended.includes("credits") && {
+        credits: { cast: show.credits.cast, crew: episode.crew, guest_stars: episode.guest_stars },
+      }),
+    };
+  }],
+];
+
+const request = async (path, params = {}) => {
+  const fixtures = await loadFixtures();
+  for (const [pattern, handler] of routes) {
+    const match = path.match(pattern);
+    if (match) return handler(fixtures, params, match, path);
+  }
+  throw new NotFoundError(`No fixture data for ${path}`, { status: 404, endpoint: path });
+};
+
+const fixtureSource = {
+  name: "fixtures",
+  init() {
+    console.log("[fixtureSource] Serving movie data from local fixtures (offline mode).");
+  },
+  request,
+};
+
+export default fixtureSource;
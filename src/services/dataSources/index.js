@@ -0,0 +1,31 @@
+// services/dataSources/index.js
+// Picks the movie data source the API client talks to.
+//
+// A data source is an object of the shape:
+//   {
+//     name: string,                                   // used to namespace cached responses
+//     init(): void,                                   // called once when the source is selected
+//     request(path, params): Promise<object>,         // resolves with a TMDB-shaped JSON payload
+//   }
+// `path` is a TMDB endpoint path (e.g. "/movie/popular") and `params` its query parameters.
+// Sources reject with the typed errors from services/errors.js.
+//
+// Set VITE_MOVIE_DATA_SOURCE=fixtures to run the whole app offline; anything else uses TMDB.
+import tmdbSource from "./tmdbSource";
+import fixtureSource from "./fixtureSource";
+
+const sources = {
+  [tmdbSource.name]: tmdbSource,
+  [fixtureSource.name]: fixtureSource,
+};
+
+const requestedSource = import.meta.env.VITE_MOVIE_DATA_SOURCE || tmdbSource.name;
+
+if (!sources[requestedSource]) {
+  console.warn(`[dataSources] Unknown VITE_MOVIE_DATA_SOURCE "${requestedSource}". Falling back to "${tmdbSource.name}".`);
+}
+
+const activeSource = sources[requestedSource] || tmdbSource;
+activeSource.init();
+
+export const getDataSource = () => activeSource;
@@ -0,0 +1,89 @@
+// services/dataSources/tmdbSource.js
+// Live movie data source: talks to TMDB through our server-side proxy
+// (server/tmdbProxy.js), which adds the API key so it never reaches the browser.
+// Retries 429/5xx responses and maps failures onto the typed errors.
+import { TmdbError, NotFoundError, RateLimitError, NetworkError, AuthError } from "../errors";
+
+const BASE_URL = import.meta.env.VITE_TMDB_PROXY_URL || "/api/tmdb";
+
+// --- Retry settings ---
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After may be either a number of seconds or an HTTP date.
+const parseRetryAfter = (headerValue) => {
+  if (!headerValue) return null;
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(headerValue);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const getBackoffDelay = (attempt) => {
+  const exponential = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  const jitter = Math.random() * BASE_RETRY_DELAY_MS;
+  return Math.min(exponential + jitter, MAX_RETRY_DELAY_MS);
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const toTypedError = async (response, endpoint, retryAfterMs) => {
+  let statusMessage = "";
+  try {
+    const body = await response.json();
+    statusMessage = body.status_message || "";
+  } catch {
+    // Body was not JSON; the status code alone will have to do.
+  }
+  const message = `TMDB request ${endpoint} failed with status ${response.status}${statusMessage ? `: ${statusMessage}` : ""}`;
+  const options = { status: response.status, endpoint };
+
+  if (response.status === 404) return new NotFoundError(message, options);
+  if (response.status === 401 || response.status === 403) return new AuthError(message, options);
+  if (response.status === 429) return new RateLimitError(message, { ...options, retryAfterMs });
+  return new TmdbError(message, options);
+};
+
+const buildUrl = (path, params) => {
+  const url = new URL(`${BASE_URL}${path}`, window.location.origin);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") url.searchParams.set(key, value);
+  });
+  return url;
+};
+
+const request = async (path, params = {}) => {
+  const url = buildUrl(path, params);
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new NetworkError(`Network error while requesting ${path}`, { endpoint: path, cause: error });
+    }
+
+    if (response.ok) return response.json();
+
+    const retryAfterMs = parseRetryAfter(response.headers.get("Retry-After"));
+    if (isRetryableStatus(response.status) && attempt < MAX_RETRIES) {
+      const delay = retryAfterMs ?? getBackoffDelay(attempt);
+      console.warn(`[tmdbSource] ${path} returned ${response.status}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${MAX_RETRIES}).`);
+      await sleep(Math.min(delay, MAX_RETRY_DELAY_MS));
+      continue;
+    }
+
+    throw await toTypedError(response, path, retryAfterMs);
+  }
+};
+
+const tmdbSource = {
+  name: "tmdb",
+  init() {},
+  request,
+};
+
+export default tmdbSource;
@@ -0,0 +1,225 @@
+// services/discoverFilters.js
+// The GenrePage genre selection and discover filters: how they are written to the
+// URL (so filtered views can be shared) and how they translate into TMDB
+// /discover/movie parameters.
+import { MY_SERVICES_PARAM, toMyServicesParams } from "./streamingServices";
+
+export const DEFAULT_SORT = "popularity.desc";
+
+// Labels are discoverFilters.sort.<labelKey> in the message catalogs
+export const DISCOVER_SORT_OPTIONS = [
+  { value: "popularity.desc", labelKey: "popular" },
+  { value: "vote_average.desc", labelKey: "highestRated" },
+  { value: "vote_count.desc", labelKey: "mostVoted" },
+  { value: "primary_release_date.desc", labelKey: "newest" },
+  { value: "primary_release_date.asc", labelKey: "oldest" },
+  { value: "title.asc", labelKey: "title" },
+];
+
+// Certifications are looked up for a single country; TMDB needs both parameters.
+// The user's region is used when TMDB has age ratings for it, the US otherwise.
+export const FALLBACK_CERTIFICATION_COUNTRY = "US";
+// Offered when TMDB's certification lists can't be loaded
+const FALLBACK_CERTIFICATIONS = ["G", "PG", "PG-13", "R", "NC-17"];
+
+// ISO 639-1 codes offered in the original language dropdown
+export const ORIGINAL_LANGUAGES = ["en", "fr", "es", "de", "it", "ja", "ko", "zh", "hi", "pt", "ru", "sv", "da", "tr"];
+
+// Without a vote floor "Highest Rated" is topped by films with a single 10/10 vote
+const MIN_VOTES_FOR_RATING_SORT = 200;
+
+// Filter name -> URL query parameter
+const URL_PARAMS = {
+  yearFrom: "from",
+  yearTo: "to",
+  minRating: "rating",
+  minVotes: "votes",
+  minRuntime: "minRuntime",
+  maxRuntime: "maxRuntime",
+  language: "lang",
+  certification: "cert",
+  myServices: MY_SERVICES_PARAM,
+  sortBy: "sort",
+};
+
+export const EMPTY_DISCOVER_FILTERS = {
+  yearFrom: "",
+  yearTo: "",
+  minRating: "",
+  minVotes: "",
+  minRuntime: "",
+  maxRuntime: "",
+  language: "",
+  certification: "",
+  myServices: "", // "1" when only movies on the user's streaming services are wanted
+  sortBy: DEFAULT_SORT,
+};
+
+const isNumber = (value) => /^\d+(\.\d+)?$/.test(value);
+
+const readNumber = (searchParams, name) => {
+  const value = searchParams.get(name)?.trim() || "";
+  return isNumber(value) ? value : "";
+};
+
+const readChoice = (searchParams, name, allowed, fallback = "") => {
+  const value = searchParams.get(name);
+  return allowed.includes(value) ? value : fallback;
+};
+
+// Certifications are short codes like "PG-13", "12A" or "R15+"
+const readCertification = (searchParams, name) => {
+  const value = searchParams.get(name)?.trim() || "";
+  return /^[\w+-]{1,10}$/.test(value) ? value : "";
+};
+
+const parseGenreIds = (value) =>
+  Array.from(
+    new Set(
+      (value || "")
+        .split(",")
+        .map(Number)
+        .filter((n) => n > 0)
+    )
+  ).sort((a, b) => a - b);
+
+// --- Genre selection ---
+// Included genres come from ?ids= (or /genres/:id for a single genre, the older
+// link format), excluded ones from ?exclude=. ?match=any combines included
+// genres with OR instead of the default AND.
+
+/**
+ * Reads the genre selection from the route.
+ * @param {URLSearchParams} searchParams
+ * @param {string} [pathGenreId] - The :id of /genres/:id, if any.
+ * @returns {{included: number[], excluded: number[], matchAny: boolean}}
+ */
+export const readGenreSelection = (searchParams, pathGenreId) => {
+  const included = parseGenreIds(searchParams.has("ids") ? searchParams.get("ids") : pathGenreId);
+  return {
+    included,
+    // A genre can't be both; inclusion wins if a hand-edited URL says otherwise
+    excluded: parseGenreIds(searchParams.get("exclude")).filter((id) => !included.includes(id)),
+    matchAny: searchParams.get("match") === "any",
+  };
+};
+
+/**
+ * Builds the /genres URL for a genre selection. A lone included genre gets the
+ * short /genres/:id form when `preferShortPath` is set.
+ * @param {{included: number[], excluded: number[], matchAny: boolean}} selection
+ * @param {URLSearchParams} [filterParams] - Discover filters to carry along.
+ * @param {{preferShortPath?: boolean}} [options]
+ * @returns {string}
+ */
+export const buildGenresPath = ({ included, excluded, matchAny }, filterParams, { preferShortPath = false } = {}) => {
+  const params = new URLSearchParams();
+  const useShortPath = preferShortPath && included.length === 1 && excluded.length === 0;
+  if (included.length > 0 && !useShortPath) params.set("ids", included.join(","));
+  if (excluded.length > 0) params.set("exclude", excluded.join(","));
+  if (matchAny && included.length > 1) params.set("match", "any");
+  filterParams?.forEach((value, key) => params.set(key, value));
+
+  const query = params.toString().replace(/%2C/g, ","); // Keep ?ids=28,12 readable
+  const path = useShortPath ? `/genres/${included[0]}` : "/genres";
+  return query ? `${path}?${query}` : path;
+};
+
+export const hasGenreSelection = ({ included, excluded }) => included.length > 0 || excluded.length > 0;
+
+/**
+ * Reads the discover filters from the URL. Invalid values are ignored.
+ * @param {URLSearchParams} searchParams
+ * @returns {typeof EMPTY_DISCOVER_FILTERS}
+ */
+export const readDiscoverFilters = (searchParams) => ({
+  yearFrom: readNumber(searchParams, URL_PARAMS.yearFrom),
+  yearTo: readNumber(searchParams, URL_PARAMS.yearTo),
+  minRating: readNumber(searchParams, URL_PARAMS.minRating),
+  minVotes: readNumber(searchParams, URL_PARAMS.minVotes),
+  minRuntime: readNumber(searchParams, URL_PARAMS.minRuntime),
+  maxRuntime: readNumber(searchParams, URL_PARAMS.maxRuntime),
+  language: readChoice(searchParams, URL_PARAMS.language, ORIGINAL_LANGUAGES),
+  certification: readCertification(searchParams, URL_PARAMS.certification),
+  myServices: readChoice(searchParams, URL_PARAMS.myServices, ["1"]),
+  sortBy: readChoice(
+    searchParams,
+    URL_PARAMS.sortBy,
+    DISCOVER_SORT_OPTIONS.map((option) => option.value),
+    DEFAULT_SORT
+  ),
+});
+
+/**
+ * Returns a copy of `searchParams` with the filter parameters replaced by `filters`.
+ * Empty and default values are left out to keep shared URLs short.
+ * @param {URLSearchParams} searchParams
+ * @param {typeof EMPTY_DISCOVER_FILTERS} filters
+ * @returns {URLSearchParams}
+ */
+export const writeDiscoverFilters = (searchParams, filters) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(URL_PARAMS).forEach(([filter, param]) => {
+    const value = String(filters[filter] ?? "").trim();
+    if (value && value !== EMPTY_DISCOVER_FILTERS[filter]) next.set(param, value);
+    else next.delete(param);
+  });
+  return next;
+};
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(EMPTY_DISCOVER_FILTERS).some((filter) => filters[filter] !== EMPTY_DISCOVER_FILTERS[filter]);
+
+/**
+ * The country whose age ratings the certification filter uses, and its ratings from
+ * least to most restrictive.
+ * @param {object|null} certificationLists - From getMovieCertifications, keyed by country; null if not loaded.
+ * @param {string} region - The user's region.
+ * @returns {{country: string, certifications: string[]}}
+ */
+export const getCertificationOptions = (certificationLists, region) => {
+  if (!certificationLists) {
+    return { country: FALLBACK_CERTIFICATION_COUNTRY, certifications: FALLBACK_CERTIFICATIONS };
+  }
+  const country = certificationLists[region]?.length ? region : FALLBACK_CERTIFICATION_COUNTRY;
+  const certifications = [...(certificationLists[country] || [])]
+    .sort((a, b) => a.order - b.order)
+    .map((entry) => entry.certification);
+  return { country, certifications };
+};
+
+/**
+ * Translates the genre selection and filters into TMDB /discover/movie query parameters.
+ * @param {{included: number[], excluded: number[], matchAny: boolean}} genreSelection
+ * @param {typeof EMPTY_DISCOVER_FILTERS} filters
+ * @param {number[]} [serviceIds] - The user's streaming services, used by the myServices filter.
+ * @param {string} [certificationCountry] - From getCertificationOptions.
+ * @returns {object}
+ */
+export const toDiscoverParams = (
+  { included, excluded, matchAny },
+  filters,
+  serviceIds = [],
+  certificationCountry = FALLBACK_CERTIFICATION_COUNTRY
+) => {
+  const minVotes =
+    filters.minVotes || (filters.sortBy === "vote_average.desc" ? String(MIN_VOTES_FOR_RATING_SORT) : "");
+
+  return {
+    sort_by: filters.sortBy,
+    // TMDB reads "|" as OR and "," as AND
+    with_genres: included.length > 0 ? included.join(matchAny ? "|" : ",") : undefined,
+    without_genres: excluded.length > 0 ? excluded.join(",") : undefined,
+    "primary_release_date.gte": filters.yearFrom ? `${filters.yearFrom}-01-01` : undefined,
+    "primary_release_date.lte": filters.yearTo ? `${filters.yearTo}-12-31` : undefined,
+    "vote_average.gte": filters.minRating || undefined,
+    "vote_count.gte": minVotes || undefined,
+    "with_runtime.gte": filters.minRuntime || undefined,
+    "with_runtime.lte": filters.maxRuntime || undefined,
+    with_original_language: filters.language || undefined,
+    certification_country: filters.certification ? certificationCountry : undefined,
+    certification: filters.certification || undefined,
+    // Without any services picked the flag is ignored rather than matching nothing
+    ...(filters.myServices && serviceIds.length > 0 && toMyServicesParams(serviceIds)),
+  };
+};
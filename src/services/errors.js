@@ -0,0 +1,41 @@
+// services/errors.js
+// Typed errors shared by the API client and every data source.
+// Pages can branch on these with `instanceof` instead of parsing messages.
+
+export class TmdbError extends Error {
+  constructor(message, { status = null, endpoint = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "TmdbError";
+    this.status = status;
+    this.endpoint = endpoint;
+  }
+}
+
+export class NotFoundError extends TmdbError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NotFoundError";
+  }
+}
+
+export class RateLimitError extends TmdbError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, options);
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class NetworkError extends TmdbError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NetworkError";
+  }
+}
+
+export class AuthError extends TmdbError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AuthError";
+  }
+}
@@ -0,0 +1,290 @@
+// services/favouritesTransfer.js
+// Export and import of favourites for the Account page.
+// Three formats: JSON (the stored movie objects, as-is), a plain CSV, and a CSV in
+// Letterboxd's import layout (tmdbID, Title, Year). Imports accept all three, plus
+// Letterboxd's own export, whose rows only have a Name and Year and get looked up on TMDB.
+// Letterboxd only knows movies, so favourite TV shows are left out of its files.
+import { searchMovies, getMovieDetails, getTvDetails } from "./api";
+import { toMovieSummary, getMovieYear, getMediaType, getEntryKey } from "./userLists";
+
+const JSON_EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = ["tmdb_id", "media_type", "title", "year", "vote_average", "poster_path", "genre_ids", "added_at"];
+const LETTERBOXD_COLUMNS = ["tmdbID", "Title", "Year"];
+
+// --- CSV helpers ---
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns, ...rows].map((row) => row.map(escapeCsvValue).join(",")).join("\r\n") + "\r\n";
+
+// Splits CSV text into rows of fields; handles quoted fields with commas, quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+};
+
+const getYear = (movie) => getMovieYear(movie) || "";
+
+// --- Export ---
+
+export const EXPORT_FORMATS = {
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  letterboxd: { label: "Letterboxd CSV", extension: "csv", mimeType: "text/csv" },
+};
+
+const buildExportContent = (favourites, format) => {
+  switch (format) {
+    case "json":
+      return JSON.stringify(
+        { version: JSON_EXPORT_VERSION, exportedAt: new Date().toISOString(), favourites },
+        null,
+        2
+      );
+    case "csv":
+      return toCsv(
+        CSV_COLUMNS,
+        favourites.map((movie) => [
+          movie.id,
+          getMediaType(movie),
+          movie.title,
+          getYear(movie),
+          movie.vote_average,
+          movie.poster_path,
+          toMovieSummary(movie).genre_ids.join(";"),
+          movie.addedAt,
+        ])
+      );
+    case "letterboxd":
+      return toCsv(
+        LETTERBOXD_COLUMNS,
+        favourites.filter((movie) => getMediaType(movie) === "movie").map((movie) => [movie.id, movie.title, getYear(movie)])
+      );
+    default:
+      throw new Error(`Unknown export format "${format}".`);
+  }
+};
+
+/**
+ * Builds a downloadable export of the favourites.
+ * @returns {{ filename: string, content: string, mimeType: string }}
+ */
+export const exportFavourites = (favourites, format) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format] || {};
+  const suffix = format === "letterboxd" ? "-letterboxd" : "";
+  return {
+    filename: `favourites${suffix}-${new Date().toISOString().slice(0, 10)}.${extension}`,
+    content: buildExportContent(favourites, format),
+    mimeType,
+  };
+};
+
+// --- Import: parsing ---
+
+// Header names used by our CSV, Letterboxd's import layout and Letterboxd's own exports
+const COLUMN_ALIASES = {
+  tmdbId: ["tmdb_id", "tmdbid", "id"],
+  mediaType: ["media_type"],
+  title: ["title", "name"],
+  year: ["year"],
+  releaseDate: ["release_date"],
+  voteAverage: ["vote_average"],
+  posterPath: ["poster_path"],
+  genreIds: ["genre_ids"],
+  addedAt: ["added_at", "date", "watcheddate"],
+};
+
+// Letterboxd dates are plain YYYY-MM-DD; anything unreadable is dropped
+const toIsoDate = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date.toISOString() : null;
+};
+
+// `reason` names the problem for the UI (favouritesTransfer.readErrors.<reason>)
+const importFileError = (message, reason) => Object.assign(new Error(message), { reason });
+
+const parseCsvRows = (text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const normalizedHeader = header.map((name) => name.trim().toLowerCase());
+  const columnIndex = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([key, aliases]) => [
+      key,
+      normalizedHeader.findIndex((name) => aliases.includes(name)),
+    ])
+  );
+  if (columnIndex.tmdbId === -1 && columnIndex.title === -1) {
+    throw importFileError("The CSV needs a tmdbID or Title column.", "noColumns");
+  }
+
+  const format = normalizedHeader.includes("tmdb_id") ? "csv" : "letterboxd";
+  const rows = records.map((record, index) => {
+    const read = (key) => (columnIndex[key] === -1 ? "" : (record[columnIndex[key]] || "").trim());
+    const tmdbId = Number(read("tmdbId")) || null;
+    const row = {
+      line: index + 2, // 1-based, after the header
+      tmdbId,
+      mediaType: read("mediaType") === "tv" ? "tv" : "movie", // Files from before TV shows only had movies
+      title: read("title"),
+      year: read("year") || read("releaseDate").split("-")[0],
+      addedAt: toIsoDate(read("addedAt")),
+      movie: null,
+    };
+    // Our own CSV carries enough to rebuild the favourite without asking TMDB
+    if (tmdbId && columnIndex.posterPath !== -1) {
+      row.movie = {
+        id: tmdbId,
+        media_type: row.mediaType,
+        title: row.title,
+        poster_path: read("posterPath") || null,
+        year: Number(row.year) || null,
+        vote_average: Number(read("voteAverage")) || 0,
+        genre_ids: read("genreIds").split(";").filter(Boolean).map(Number),
+      };
+    }
+    return row;
+  });
+  return { format, rows };
+};
+
+const parseJsonRows = (text) => {
+  const data = JSON.parse(text);
+  const movies = Array.isArray(data) ? data : data?.favourites;
+  if (!Array.isArray(movies)) throw importFileError("The JSON file has no favourites in it.", "noFavourites");
+  return {
+    format: "json",
+    rows: movies.map((movie, index) => ({
+      line: index + 1,
+      tmdbId: Number(movie?.id) || null,
+      mediaType: movie ? getMediaType(movie) : "movie",
+      title: movie?.title || "",
+      year: movie ? getYear(movie) : "",
+      addedAt: movie?.addedAt || null,
+      movie: movie?.id && movie?.title ? movie : null,
+    })),
+  };
+};
+
+/**
+ * Reads an exported file into import rows.
+ * @returns {{ format: "json"|"csv"|"letterboxd", rows: object[] }}
+ * @throws {Error} When the file is neither valid JSON nor a CSV with usable columns.
+ *   Errors about the file's contents carry a `reason`; invalid JSON throws a plain SyntaxError.
+ */
+export const parseImportFile = (text, fileName = "") => {
+  const trimmed = text.replace(/^\uFEFF/, "").trim(); // Spreadsheet apps like to add a BOM
+  if (fileName.toLowerCase().endsWith(".json") || trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    return parseJsonRows(trimmed);
+  }
+  return parseCsvRows(trimmed);
+};
+
+// --- Import: resolving rows to movies and shows ---
+// Rows with only a title are looked up as movies: they come from Letterboxd.
+
+// Prefers a result from the same year, allowing one year either way since
+// Letterboxd and TMDB sometimes disagree on festival vs. theatrical release
+const pickSearchResult = (results, year) => {
+  if (!year) return results[0] || null;
+  const yearOf = (movie) => Number(getYear(movie));
+  return (
+    results.find((movie) => yearOf(movie) === Number(year)) ||
+    results.find((movie) => Math.abs(yearOf(movie) - Number(year)) === 1) ||
+    null
+  );
+};
+
+const resolveRow = async (row) => {
+  if (row.movie) return row.movie;
+  if (row.tmdbId && row.mediaType === "tv") return { ...toMovieSummary(await getTvDetails(row.tmdbId)), media_type: "tv" };
+  if (row.tmdbId) return toMovieSummary(await getMovieDetails(row.tmdbId));
+  if (!row.title) return null;
+  const { results = [] } = await searchMovies(row.title);
+  return pickSearchResult(results, row.year);
+};
+
+/**
+ * Turns import rows into favourites, looking up the ones without full movie data.
+ * Rows are resolved one at a time to stay clear of TMDB's rate limit.
+ * @returns {Promise<{ resolved: object[], unresolved: object[] }>}
+ *   `resolved` holds the favourites to save, `unresolved` the rows that matched nothing,
+ *   each with a `reason` of "notFound" or "lookupFailed".
+ */
+export const resolveImportRows = async (rows, { onProgress } = {}) => {
+  const resolved = [];
+  const unresolved = [];
+  for (const [index, row] of rows.entries()) {
+    try {
+      const movie = await resolveRow(row);
+      if (movie) resolved.push({ ...movie, addedAt: row.addedAt || movie.addedAt || new Date().toISOString() });
+      else unresolved.push({ ...row, reason: "notFound" });
+    } catch (error) {
+      console.error(`[favouritesTransfer] Couldn't resolve import row ${row.line}:`, error);
+      unresolved.push({ ...row, reason: "lookupFailed" });
+    }
+    onProgress?.(index + 1, rows.length);
+  }
+  return { resolved, unresolved };
+};
+
+/**
+ * Compares resolved imports with the current favourites.
+ * @returns {{ toAdd: object[], conflicts: { incoming: object, existing: object }[], duplicates: object[] }}
+ *   `conflicts` are movies that are already favourites; `duplicates` repeat an earlier row of the file.
+ *   Movies and shows are matched by entry key (see getEntryKey), since their ids can clash.
+ */
+export const buildImportPreview = (resolved, favourites) => {
+  const existingByKey = new Map(favourites.map((movie) => [getEntryKey(movie), movie]));
+  const seen = new Set();
+  const preview = { toAdd: [], conflicts: [], duplicates: [] };
+
+  resolved.forEach((movie) => {
+    const key = getEntryKey(movie);
+    if (seen.has(key)) {
+      preview.duplicates.push(movie);
+      return;
+    }
+    seen.add(key);
+    if (existingByKey.has(key)) preview.conflicts.push({ incoming: movie, existing: existingByKey.get(key) });
+    else preview.toAdd.push(movie);
+  });
+  return preview;
+};
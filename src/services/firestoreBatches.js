@@ -0,0 +1,23 @@
+// services/firestoreBatches.js
+// Firestore writes too many for one batch, split across as many batches as needed.
+import { db } from "../firebase";
+import { writeBatch } from "firebase/firestore";
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Adds every item to a batch with `addToBatch` and commits the batches one after another.
+ * Resolves once every batch has committed; rejects on the first one that fails, leaving
+ * the batches before it committed.
+ * @param {any[]} items
+ * @param {(batch: import("firebase/firestore").WriteBatch, item: any) => void} addToBatch - Adds one write per item.
+ * @returns {Promise<void>}
+ */
+export const commitInChunks = async (items, addToBatch) => {
+  for (let start = 0; start < items.length; start += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    items.slice(start, start + MAX_BATCH_WRITES).forEach((item) => addToBatch(batch, item));
+    await batch.commit();
+  }
+};
@@ -0,0 +1,98 @@
+// services/i18n.js
+// Translation and Intl-based formatting for the app's own text. The language TMDB content
+// comes back in is a separate setting (see userSettings.js). Catalogs live in src/locales
+// as nested objects and are looked up with dotted keys, e.g. t("nav.home").
+import en from "../locales/en";
+import ja from "../locales/ja";
+import ar from "../locales/ar";
+
+// Names are written in the language itself, so the switcher reads right in any UI language
+export const UI_LANGUAGES = {
+  en: { name: "English", dir: "ltr", messages: en },
+  ja: { name: "日本語", dir: "ltr", messages: ja },
+  ar: { name: "العربية", dir: "rtl", messages: ar },
+};
+
+export const DEFAULT_UI_LANGUAGE = "en";
+
+// TMDB dates ("2024-05-01", or midnight UTC from release_dates) are calendar days, not instants:
+// formatting them in UTC keeps them from moving to the day before west of Greenwich.
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}(T00:00:00(\.000)?Z)?$/;
+
+const lookup = (messages, key) => key.split(".").reduce((node, part) => node?.[part], messages);
+
+/**
+ * Builds the translate and format functions for a UI language. The region only
+ * changes formatting conventions (day/month order, separators), e.g. en-US vs en-GB.
+ *
+ * Messages can contain {name} placeholders; numbers passed in are formatted for the
+ * language. A message written as an object of plural forms is picked with
+ * Intl.PluralRules using the `count` param. Placeholders without a param are left
+ * as they are, so a caller can split on one to put an element there (see findAllOptions).
+ */
+export const createTranslator = (uiLanguage, region) => {
+  const language = UI_LANGUAGES[uiLanguage] ? uiLanguage : DEFAULT_UI_LANGUAGE;
+  const { dir, messages } = UI_LANGUAGES[language];
+  const locale = region ? `${language}-${region}` : language;
+  const pluralRules = new Intl.PluralRules(locale);
+
+  const formatNumber = (value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+  const t = (key, params = {}) => {
+    let message = lookup(messages, key) ?? lookup(en, key);
+    if (message === undefined) {
+      console.warn(`[i18n] Missing message "${key}"`);
+      return key;
+    }
+    if (typeof message === "object") {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      const value = params[name];
+      return typeof value === "number" ? formatNumber(value) : value;
+    });
+  };
+
+  // 7.25 -> "7.3"; ratings and scores always show one decimal
+  const formatDecimal = (value) => formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+  // 1234567 -> "1.2M" / "123万" / "١٫٢ مليون"
+  const formatCompactNumber = (value) => formatNumber(value, { notation: "compact", maximumFractionDigits: 1 });
+
+  // Years and decades read as labels, so no grouping separator ("1990", not "1,990")
+  const formatYear = (value) => formatNumber(value, { useGrouping: false });
+
+  const formatDate = (value, options = { year: "numeric", month: "long", day: "numeric" }) => {
+    const isCalendarDate = typeof value === "string" && CALENDAR_DATE.test(value);
+    const date = isCalendarDate ? new Date(`${value.slice(0, 10)}T00:00:00Z`) : new Date(value);
+    if (isNaN(date)) return "";
+    return new Intl.DateTimeFormat(locale, { ...options, ...(isCalendarDate && { timeZone: "UTC" }) }).format(date);
+  };
+
+  // 142 -> "2h 22m" / "2時間22分"; Intl.DurationFormat where the browser has it
+  const formatRuntime = (minutes) => {
+    if (!minutes) return "";
+    const duration = { hours: Math.floor(minutes / 60), minutes: minutes % 60 };
+    if (typeof Intl.DurationFormat === "function") {
+      return new Intl.DurationFormat(locale, { style: "narrow" }).format(duration);
+    }
+    const parts = Object.entries(duration)
+      .filter(([, amount]) => amount > 0)
+      .map(([unit, amount]) => formatNumber(amount, { style: "unit", unit: unit.slice(0, -1), unitDisplay: "narrow" }));
+    return new Intl.ListFormat(locale, { type: "unit", style: "narrow" }).format(parts);
+  };
+
+  return {
+    language,
+    locale,
+    dir,
+    t,
+    formatNumber,
+    formatDecimal,
+    formatCompactNumber,
+    formatYear,
+    formatDate,
+    formatRuntime,
+  };
+};
@@ -0,0 +1,49 @@
+// services/offlineCache.js
+// The page side of the service worker (public/sw.js): registers it, tells it which
+// posters belong to saved movies, and fetches a movie's details once when it is saved so
+// they are cached for offline use. The worker only runs in production builds; in dev these are no-ops.
+import { getMovieDetails, getTvDetails } from "./api";
+import { getEntryKey, getMediaType } from "./userLists";
+
+const isEnabled = () => import.meta.env.PROD && "serviceWorker" in navigator;
+
+export const registerServiceWorker = () => {
+  if (!isEnabled()) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("/sw.js")
+      .then((registration) => console.log("[offlineCache] Service worker registered, scope:", registration.scope))
+      .catch((error) => console.error("[offlineCache] Service worker registration failed:", error));
+  });
+};
+
+// A saved movie's or show's details, which is what its page needs to open offline;
+// the page's extras (similar movies, watch providers, seasons) need a connection.
+const fetchDetails = { movie: getMovieDetails, tv: getTvDetails };
+
+/**
+ * Tells the service worker which posters belong to saved movies and shows, so it keeps them.
+ * Only posts a message: nothing is fetched.
+ */
+export const keepSavedPostersOffline = async (movies) => {
+  if (!isEnabled()) return;
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({
+    type: "SAVED_POSTERS",
+    posterPaths: movies.map((movie) => movie.poster_path).filter(Boolean),
+  });
+};
+
+/**
+ * Fetches a newly saved movie's or show's details once, through the service worker's cache,
+ * so its page works offline. Runs in the background request budget (services/requestLimiter.js);
+ * a failure is only logged.
+ */
+export const prepareForOffline = async (movie) => {
+  if (!isEnabled() || !navigator.onLine) return;
+  try {
+    await fetchDetails[getMediaType(movie)](movie.id, { limited: true });
+  } catch (error) {
+    console.warn(`[offlineCache] Couldn't prepare ${getEntryKey(movie)} for offline use:`, error);
+  }
+};
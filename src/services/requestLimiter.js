@@ -0,0 +1,56 @@
+// services/requestLimiter.js
+// One shared budget for the requests the app makes in the background, not for the page
+// the user opened: streaming badges, favourite details and offline prefetches. They run
+// a few at a time and well under the proxy's 120 requests a minute per IP
+// (server/tmdbProxy.js), so the pages' own requests still get through.
+
+const MAX_CONCURRENT_REQUESTS = 4;
+const MAX_REQUESTS_PER_MINUTE = 40;
+const WINDOW_MS = 60 * 1000;
+
+let activeRequests = 0;
+const waitingRequests = [];
+const recentRequestStarts = []; // Start times of the requests in the last minute, oldest first
+let windowTimer = null;
+
+const startWaitingRequests = () => {
+  const now = Date.now();
+  while (recentRequestStarts.length > 0 && recentRequestStarts[0] <= now - WINDOW_MS) {
+    recentRequestStarts.shift();
+  }
+  while (
+    waitingRequests.length > 0 &&
+    activeRequests < MAX_CONCURRENT_REQUESTS &&
+    recentRequestStarts.length < MAX_REQUESTS_PER_MINUTE
+  ) {
+    recentRequestStarts.push(now);
+    waitingRequests.shift()();
+  }
+  // Out of requests for this minute: carry on when the oldest one leaves the window
+  if (waitingRequests.length > 0 && recentRequestStarts.length >= MAX_REQUESTS_PER_MINUTE && !windowTimer) {
+    windowTimer = setTimeout(() => {
+      windowTimer = null;
+      startWaitingRequests();
+    }, recentRequestStarts[0] + WINDOW_MS - now);
+  }
+};
+
+/**
+ * Runs a background request once the shared budget has room for it.
+ * @param {() => Promise<T>} task - Starts the request.
+ * @returns {Promise<T>} Settles like the task's promise.
+ * @template T
+ */
+export const runLimited = (task) =>
+  new Promise((resolve, reject) => {
+    waitingRequests.push(() => {
+      activeRequests++;
+      task()
+        .then(resolve, reject)
+        .finally(() => {
+          activeRequests--;
+          startWaitingRequests();
+        });
+    });
+    startWaitingRequests();
+  });
@@ -0,0 +1,65 @@
+// services/streamingServices.js
+// "Available on my services": narrowing lists down to the subscription services the
+// user picked on the Account page (settings.streamingServices, TMDB provider ids),
+// and looking up which of them stream a given movie for the MovieCard badge.
+import { getMovieWatchProviders } from "./api";
+import { getRequestLocale } from "./tmdbClient";
+
+// URL flag (?myServices=1) shared by Home, GenrePage and search
+export const MY_SERVICES_PARAM = "myServices";
+
+// Subscription streaming only; almost everything can be rented or bought somewhere
+const MY_SERVICES_MONETIZATION = "flatrate";
+
+/**
+ * /discover/movie parameters for movies streaming on any of the services.
+ * watch_region is added by tmdbClient from the user's region.
+ * @param {number[]} serviceIds
+ * @returns {object}
+ */
+export const toMyServicesParams = (serviceIds) => ({
+  with_watch_providers: serviceIds.join("|"), // "|" is OR
+  with_watch_monetization_types: MY_SERVICES_MONETIZATION,
+});
+
+// --- Per-movie lookups ---
+
+// The badge looks movies up one by one, so they go through the shared background budget
+// (services/requestLimiter.js) to keep scrolling from flooding the proxy's rate limit
+const lookups = new Map(); // "region|movieId" -> Promise of the movie's subscription providers
+
+/**
+ * Subscription services streaming a movie in the user's region, e.g. [{ provider_id: 8, provider_name: "Netflix", ... }].
+ * Never rejects: a failed lookup resolves to [] and is tried again on the next call.
+ * @param {number} movieId
+ * @returns {Promise<object[]>}
+ */
+export const getStreamingProviders = (movieId) => {
+  const { region } = getRequestLocale();
+  const key = `${region}|${movieId}`;
+  if (!lookups.has(key)) {
+    const lookup = getMovieWatchProviders(movieId, region, { limited: true })
+      .then((providers) => providers?.flatrate || [])
+      .catch(() => {
+        lookups.delete(key);
+        return [];
+      });
+    lookups.set(key, lookup);
+  }
+  return lookups.get(key);
+};
+
+export const findMyServices = (providers, serviceIds) =>
+  providers.filter((provider) => serviceIds.includes(provider.provider_id));
+
+/**
+ * Keeps the movies that stream on one of the services. For lists TMDB can't filter
+ * itself, like search results; discover lists should use toMyServicesParams instead.
+ * @param {object[]} movies
+ * @param {number[]} serviceIds
+ * @returns {Promise<object[]>}
+ */
+export const filterToMyServices = async (movies, serviceIds) => {
+  const providers = await Promise.all(movies.map((movie) => getStreamingProviders(movie.id)));
+  return movies.filter((movie, index) => findMyServices(providers[index], serviceIds).length > 0);
+};
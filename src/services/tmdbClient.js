@@ -0,0 +1,167 @@
+// services/tmdbClient.js
+// Shared request core behind every function in services/api.js.
+// Handles response caching (memory + sessionStorage) and merging of identical
+// in-flight requests. The actual transport (and its retries/typed errors) is
+// provided by the active data source, see services/dataSources.
+
+import { getDataSource } from "./dataSources";
+import { runLimited } from "./requestLimiter";
+
+export { TmdbError, NotFoundError, RateLimitError, NetworkError, AuthError } from "./errors";
+
+// --- Cache settings ---
+const SESSION_CACHE_PREFIX = "tmdb-cache:";
+
+// --- Cache ---
+const memoryCache = new Map(); // key -> { data, expiresAt }
+const inFlightRequests = new Map(); // key -> Promise
+
+const buildCacheKey = (path, params) => {
+  const sourceName = getDataSource().name;
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null && params[key] !== "")
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+  return `${sourceName}:${query ? `${path}?${query}` : path}`;
+};
+
+const readSessionEntry = (key) => {
+  try {
+    const raw = sessionStorage.getItem(SESSION_CACHE_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const pruneSessionCache = () => {
+  const now = Date.now();
+  for (let i = sessionStorage.length - 1; i >= 0; i--) {
+    const storageKey = sessionStorage.key(i);
+    if (!storageKey?.startsWith(SESSION_CACHE_PREFIX)) continue;
+    try {
+      const entry = JSON.parse(sessionStorage.getItem(storageKey));
+      if (!entry || entry.expiresAt <= now) sessionStorage.removeItem(storageKey);
+    } catch {
+      sessionStorage.removeItem(storageKey);
+    }
+  }
+};
+
+const writeSessionEntry = (key, entry) => {
+  const storageKey = SESSION_CACHE_PREFIX + key;
+  try {
+    sessionStorage.setItem(storageKey, JSON.stringify(entry));
+  } catch {
+    // Most likely the storage quota is full: drop expired entries and try once more.
+    // Pruning can throw too (storage disabled, Safari private mode).
+    try {
+      pruneSessionCache();
+      sessionStorage.setItem(storageKey, JSON.stringify(entry));
+    } catch {
+      // Still no room or no storage; the in-memory copy is enough for this session.
+    }
+  }
+};
+
+const getCached = (key) => {
+  const now = Date.now();
+  const memoryEntry = memoryCache.get(key);
+  if (memoryEntry && memoryEntry.expiresAt > now) return memoryEntry;
+
+  const sessionEntry = readSessionEntry(key);
+  if (sessionEntry && sessionEntry.expiresAt > now) {
+    memoryCache.set(key, sessionEntry); // Promote to memory for faster repeat reads
+    return sessionEntry;
+  }
+  return null;
+};
+
+const setCached = (key, data, ttl) => {
+  const entry = { data, expiresAt: Date.now() + ttl };
+  memoryCache.set(key, entry);
+  writeSessionEntry(key, entry);
+};
+
+export const clearTmdbCache = () => {
+  memoryCache.clear();
+  try {
+    for (let i = sessionStorage.length - 1; i >= 0; i--) {
+      const storageKey = sessionStorage.key(i);
+      if (storageKey?.startsWith(SESSION_CACHE_PREFIX)) sessionStorage.removeItem(storageKey);
+    }
+  } catch {
+    // sessionStorage unavailable (e.g. privacy mode); nothing else to clear.
+  }
+};
+
+// --- Locale ---
+// Content language and region sent with every request, set from the user's settings
+// (contexts/SettingsContext.jsx). They are part of the cache key like any other parameter.
+let requestLocale = { language: "en-US", region: "US" };
+
+export const setRequestLocale = ({ language, region }) => {
+  requestLocale = { language, region };
+};
+
+export const getRequestLocale = () => requestLocale;
+
+const withLocaleParams = (params) => ({
+  language: requestLocale.language,
+  region: requestLocale.region,
+  watch_region: requestLocale.region,
+  ...params, // An explicit parameter wins over the user's setting
+});
+
+// Lets one caller stop waiting without cancelling a request other callers share.
+// The underlying request still completes and fills the cache.
+const withAbortSignal = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", handleAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", handleAbort));
+  });
+};
+
+/**
+ * Fetches a TMDB endpoint from the active data source through the shared cache.
+ * @param {string} path - Endpoint path, e.g. "/movie/popular".
+ * @param {object} [requestParams] - Query parameters. `language`, `region` and `watch_region`
+ *   are added from the user's settings unless given here.
+ * @param {object} [options]
+ * @param {number} [options.ttl] - How long the response stays cached, in ms. 0 disables caching.
+ * @param {AbortSignal} [options.signal] - Rejects this call with an AbortError when aborted.
+ * @param {boolean} [options.limited] - For background requests: a cache miss waits for room in
+ *   the shared request budget (services/requestLimiter.js). Cached responses come straight back.
+ * @returns {Promise<object>} The parsed JSON body.
+ */
+export const tmdbFetch = (path, requestParams = {}, { ttl = 0, signal, limited = false } = {}) => {
+  const params = withLocaleParams(requestParams);
+  const key = buildCacheKey(path, params);
+
+  if (ttl > 0) {
+    const cached = getCached(key);
+    if (cached) return Promise.resolve(cached.data);
+  }
+
+  // Identical requests already on the wire share the same promise.
+  if (inFlightRequests.has(key)) return withAbortSignal(inFlightRequests.get(key), signal);
+
+  const send = () => getDataSource().request(path, params);
+  const request = (limited ? runLimited(send) : send())
+    .then((data) => {
+      if (ttl > 0) setCached(key, data, ttl);
+      return data;
+    })
+    .finally(() => {
+      inFlightRequests.delete(key);
+    });
+
+  inFlightRequests.set(key, request);
+  return withAbortSignal(request, signal);
+};
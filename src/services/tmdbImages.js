@@ -0,0 +1,54 @@
+// services/tmdbImages.js
+// TMDB image URLs. Every image is served in a fixed set of widths per type (the sizes
+// listed by TMDB's /configuration), so components can hand the browser a srcset and
+// let it pick, instead of always loading one size.
+export const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p";
+
+const widths = (...values) => values.map((width) => [`w${width}`, width]);
+
+// Sizes below "original" for each image type, as [size, width in pixels]. Profiles also
+// come 632px high ("h632"), which is about 421px wide since profile photos are 2:3.
+export const IMAGE_SIZES = {
+  backdrop: widths(300, 780, 1280),
+  poster: widths(92, 154, 185, 342, 500, 780),
+  logo: widths(45, 92, 154, 185, 300, 500),
+  profile: [...widths(45, 185), ["h632", 421]],
+  still: widths(92, 185, 300),
+};
+
+// `sizes` for images in .movies-grid cards: 160-250px wide, two to a row on phones
+export const CARD_IMAGE_SIZES = "(max-width: 480px) 45vw, 220px";
+
+/**
+ * @param {string|null} filePath - TMDB path such as "/kXfqcdQKsToO0OUXHcrrNCHDBzO.jpg"
+ * @param {string} [size] - "w300", "original", ...
+ * @returns {string|null} null when there is no image
+ */
+export const getImageUrl = (filePath, size = "original") =>
+  filePath ? `${TMDB_IMAGE_BASE}/${size}${filePath}` : null;
+
+/**
+ * Smallest size of a type at least `width` pixels wide, e.g. ("poster", 300) -> "w342".
+ * Falls back to "original" when every size is narrower.
+ * @param {keyof IMAGE_SIZES} type
+ * @param {number} width
+ * @returns {string}
+ */
+export const getSizeForWidth = (type, width) =>
+  IMAGE_SIZES[type].find(([, candidate]) => candidate >= width)?.[0] || "original";
+
+/**
+ * srcset candidates for an image, smallest first. The original file is only offered
+ * when its width is known (TMDB's images lists give it), as the largest candidate.
+ * @param {string} filePath
+ * @param {keyof IMAGE_SIZES} type
+ * @param {number} [originalWidth]
+ * @returns {string}
+ */
+export const buildSrcSet = (filePath, type, originalWidth) => {
+  const candidates = IMAGE_SIZES[type]
+    .filter(([, width]) => !originalWidth || width < originalWidth)
+    .map(([size, width]) => `${getImageUrl(filePath, size)} ${width}w`);
+  if (originalWidth) candidates.push(`${getImageUrl(filePath)} ${originalWidth}w`);
+  return candidates.join(", ");
+};
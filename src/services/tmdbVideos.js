@@ -0,0 +1,57 @@
+// services/tmdbVideos.js
+// TMDB lists a movie's videos by the site that hosts them and that site's key. These turn
+// one into the URLs the video hub needs. Only YouTube and Vimeo can be played here.
+
+// Embeds use YouTube's privacy-enhanced domain and Vimeo's do-not-track flag. They autoplay
+// because they are only created once the user has pressed play.
+const SITES = {
+  YouTube: {
+    getEmbedUrl: (key) => `https://www.youtube-nocookie.com/embed/${key}?autoplay=1&rel=0`,
+    getWatchUrl: (key) => `https://www.youtube.com/watch?v=${key}`,
+    getThumbnailUrl: (key, large) => `https://i.ytimg.com/vi/${key}/${large ? "hqdefault" : "mqdefault"}.jpg`,
+  },
+  Vimeo: {
+    getEmbedUrl: (key) => `https://player.vimeo.com/video/${key}?autoplay=1&dnt=1`,
+    getWatchUrl: (key) => `https://vimeo.com/${key}`,
+    getThumbnailUrl: () => null, // Only available from Vimeo's API
+  },
+};
+
+// TMDB's `type` values, in the order the hub lists them. Anything else (bloopers,
+// opening credits, ...) goes under "other".
+const VIDEO_TYPES = {
+  Trailer: "trailer",
+  Teaser: "teaser",
+  Clip: "clip",
+  Featurette: "featurette",
+  "Behind the Scenes": "behindTheScenes",
+};
+export const VIDEO_TYPE_ORDER = [...Object.values(VIDEO_TYPES), "other"];
+
+export const isPlayableVideo = (video) => Boolean(SITES[video.site]);
+
+/** @returns {string} One of VIDEO_TYPE_ORDER */
+export const getVideoType = (video) => VIDEO_TYPES[video.type] || "other";
+
+export const getEmbedUrl = (video) => SITES[video.site].getEmbedUrl(video.key);
+
+export const getWatchUrl = (video) => SITES[video.site].getWatchUrl(video.key);
+
+/**
+ * @param {object} video
+ * @param {boolean} [large] - For the main player rather than a picker thumbnail
+ * @returns {string|null} null when the site has no static thumbnail URL
+ */
+export const getThumbnailUrl = (video, large = false) => SITES[video.site].getThumbnailUrl(video.key, large);
+
+/**
+ * The video the player starts on: trailers before other types, official ones before fan
+ * uploads, and the content language before others. Ties keep TMDB's order.
+ * @param {object[]} videos - Playable videos
+ * @param {string} language - ISO 639-1 code, e.g. "ja"
+ */
+export const pickFeaturedVideo = (videos, language) => {
+  const score = (video) =>
+    (getVideoType(video) === "trailer" ? 4 : 0) + (video.official ? 2 : 0) + (video.iso_639_1 === language ? 1 : 0);
+  return videos.reduce((best, video) => (best && score(best) >= score(video) ? best : video), null);
+};
@@ -0,0 +1,35 @@
+// services/tvShows.js
+// TV show helpers shared by the show page, its season browser and the offline cache.
+
+// Used when TMDB has no age rating for the user's region
+const FALLBACK_REGION = "US";
+
+const getYear = (date) => Number(date?.split("-")[0]) || null;
+
+// Specials are season 0 and go after the regular seasons
+const seasonOrder = (season) => (season.season_number === 0 ? Infinity : season.season_number);
+
+export const sortSeasons = (seasons = []) => [...seasons].sort((a, b) => seasonOrder(a) - seasonOrder(b));
+
+/** The season the browser opens on: the first regular one, or the specials if that's all there is. */
+export const getDefaultSeasonNumber = (seasons = []) => sortSeasons(seasons)[0]?.season_number ?? null;
+
+/**
+ * The years a show ran, e.g. "2008–2013", "2019–" while it is still running, or just "2019".
+ * @param {object} show - TMDB show details or list item
+ * @param {(year: number) => string} formatYear - From useI18n
+ */
+export const getShowYears = (show, formatYear) => {
+  const firstYear = getYear(show.first_air_date);
+  if (!firstYear) return "";
+  const lastYear = getYear(show.last_air_date);
+  if (show.in_production) return `${formatYear(firstYear)}–`;
+  if (!lastYear || lastYear === firstYear) return formatYear(firstYear);
+  return `${formatYear(firstYear)}–${formatYear(lastYear)}`;
+};
+
+/** The show's age rating (e.g. "TV-MA") in the region, falling back to the US one. */
+export const getContentRating = (contentRatings, region) =>
+  [region, FALLBACK_REGION]
+    .map((country) => contentRatings?.results?.find((rating) => rating.iso_3166_1 === country)?.rating)
+    .find(Boolean) || null;
@@ -0,0 +1,92 @@
+// services/userLists.js
+// The per-user movie lists kept by MovieContext. Signed-in users get one Firestore
+// collection per list under users/{uid}/; guests get one localStorage array per list.
+// Entries are keyed by movie id in both places, except TV shows (see getEntryKey).
+
+// Display names are userLists.<name> in the message catalogs
+export const USER_LISTS = {
+  favourites: { collectionName: "favorites", storageKey: "favourites" },
+  watchlist: { collectionName: "watchlist", storageKey: "watchlist" },
+  watched: { collectionName: "watched", storageKey: "watched" }, // One entry per movie with the date it was watched
+  ratings: { collectionName: "ratings", storageKey: "ratings" }, // 1-10 rating plus an optional short review
+};
+
+export const USER_LIST_NAMES = Object.keys(USER_LISTS);
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 10;
+export const MAX_REVIEW_LENGTH = 1000;
+
+export const getListCollectionPath = (uid, listName) => `users/${uid}/${USER_LISTS[listName].collectionName}`;
+
+export const emptyLists = () => Object.fromEntries(USER_LIST_NAMES.map((listName) => [listName, []]));
+
+export const readLocalList = (listName) => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_LISTS[listName].storageKey)) || [];
+  } catch {
+    return []; // Corrupt entry; start over rather than break the app
+  }
+};
+
+export const writeLocalList = (listName, entries) => {
+  localStorage.setItem(USER_LISTS[listName].storageKey, JSON.stringify(entries));
+};
+
+export const clearLocalList = (listName) => {
+  localStorage.removeItem(USER_LISTS[listName].storageKey);
+};
+
+// --- Media types ---
+// Entries are movies unless they say otherwise. Favourites can also hold TV shows, marked
+// with media_type "tv". Movie and show ids overlap, so entries are told apart by their key,
+// which is also their Firestore document id: the movie id as before, or "tv-<id>" for shows.
+export const getMediaType = (entry) => (entry.media_type === "tv" ? "tv" : "movie");
+
+export const getEntryKey = (entry) => (getMediaType(entry) === "tv" ? `tv-${entry.id}` : entry.id);
+
+// The entry's page, /movie/:id or /tv/:id
+export const getEntryPath = (entry) => `/${getMediaType(entry)}/${entry.id}`;
+
+// Just what the list pages display. MovieDetails hands over the whole details
+// payload (credits, images...), which has no business in a Firestore document.
+// Shows are given a movie's title and release date from their name and first air date.
+export const toMovieSummary = (movie) => ({
+  id: movie.id,
+  title: movie.title ?? movie.name,
+  poster_path: movie.poster_path || null,
+  release_date: movie.release_date || movie.first_air_date || "",
+  vote_average: movie.vote_average ?? null,
+  genre_ids: movie.genre_ids || movie.genres?.map((genre) => genre.id) || [],
+});
+
+// --- Favourites ---
+// Favourites are stored in this fixed, slim shape wherever the heart was clicked.
+// Anything else a page shows (overview, a fresh rating...) is filled in from TMDB
+// when the favourite is displayed, by hooks/useHydratedMovies.js.
+// `media_type` is "movie" or "tv"; favourites saved before shows could be added don't have one.
+export const FAVOURITE_FIELDS = ["id", "media_type", "title", "poster_path", "year", "genre_ids", "vote_average", "addedAt"];
+
+export const getMovieYear = (movie) =>
+  Number((movie.release_date || movie.first_air_date)?.split("-")[0]) || movie.year || null;
+
+export const toFavouriteRecord = (movie, addedAt = movie.addedAt || new Date().toISOString()) => ({
+  id: movie.id,
+  media_type: getMediaType(movie),
+  title: movie.title ?? movie.name,
+  poster_path: movie.poster_path || null,
+  year: getMovieYear(movie),
+  genre_ids: movie.genre_ids || movie.genres?.map((genre) => genre.id) || [],
+  vote_average: movie.vote_average ?? null,
+  addedAt,
+});
+
+// True for favourites saved before the slim shape, which still hold a whole TMDB object
+export const isOversizedFavourite = (entry) =>
+  Object.keys(entry).some((key) => !FAVOURITE_FIELDS.includes(key));
+
+// Today's date in the user's time zone, as YYYY-MM-DD
+export const getLocalDateString = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
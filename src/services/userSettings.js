@@ -0,0 +1,95 @@
+// services/userSettings.js
+// Per-user preferences: the region (watch providers, certifications, release dates),
+// the language TMDB content is returned in, the language of the app's own text and
+// the streaming services the user subscribes to (TMDB provider ids).
+// Guests keep them in localStorage; signed-in users also get them synced to
+// users/{uid}/settings/preferences.
+import { UI_LANGUAGES, DEFAULT_UI_LANGUAGE } from "./i18n";
+
+const STORAGE_KEY = "settings";
+
+export const DEFAULT_SETTINGS = { region: "US", language: "en-US", uiLanguage: DEFAULT_UI_LANGUAGE, streamingServices: [] };
+
+// ISO 3166-1 codes offered on the Account page; names come from Intl.DisplayNames
+export const SUPPORTED_REGIONS = [
+  "AR", "AU", "AT", "BE", "BR", "CA", "CL", "CO", "CZ", "DK", "EG", "FI", "FR", "DE", "GR",
+  "HK", "HU", "IN", "ID", "IE", "IL", "IT", "JP", "MY", "MX", "NL", "NZ", "NG", "NO", "PH",
+  "PL", "PT", "RO", "SA", "SG", "ZA", "KR", "ES", "SE", "CH", "TW", "TH", "TR", "AE", "GB", "US",
+];
+
+// TMDB content languages (language-REGION, as TMDB's `language` parameter takes them).
+// For each base language the most common variant comes first; detection falls back to it.
+export const SUPPORTED_LANGUAGES = [
+  "en-US", "en-GB", "en-AU", "en-CA", "es-ES", "es-MX", "fr-FR", "fr-CA", "pt-BR", "pt-PT",
+  "zh-CN", "zh-TW", "ar-SA", "cs-CZ", "da-DK", "de-DE", "el-GR", "fi-FI", "he-IL", "hi-IN",
+  "hu-HU", "id-ID", "it-IT", "ja-JP", "ko-KR", "nl-NL", "no-NO", "pl-PL", "ro-RO", "ru-RU",
+  "sv-SE", "th-TH", "tr-TR", "uk-UA",
+];
+
+// Names are given in the UI language when one is passed, e.g. getRegionName("DE", "ja") -> "ドイツ"
+export const getRegionName = (region, displayLanguage = DEFAULT_UI_LANGUAGE) =>
+  new Intl.DisplayNames([displayLanguage], { type: "region" }).of(region) || region;
+export const getLanguageName = (language, displayLanguage = DEFAULT_UI_LANGUAGE) =>
+  new Intl.DisplayNames([displayLanguage], { type: "language" }).of(language) || language;
+
+const getBrowserLanguages = () => (navigator.languages || [navigator.language]).filter(Boolean);
+
+// First browser language the app has a catalog for, by base language ("ja-JP" -> ja)
+const detectUiLanguage = (browserLanguages = getBrowserLanguages()) =>
+  browserLanguages.map((language) => language.split("-")[0].toLowerCase()).find((base) => UI_LANGUAGES[base]) ||
+  DEFAULT_UI_LANGUAGE;
+
+/**
+ * Guesses settings from the browser's preferred languages, e.g. "en-GB" -> GB / en-GB.
+ * Falls back to a supported language with the same base ("es-AR" -> es-ES) and to the defaults.
+ */
+export const detectSettings = (browserLanguages = getBrowserLanguages()) => {
+  const uiLanguage = detectUiLanguage(browserLanguages);
+  for (const browserLanguage of browserLanguages) {
+    const [base, subtag] = browserLanguage.split("-");
+    const region = subtag?.toUpperCase();
+    const exact = SUPPORTED_LANGUAGES.find((language) => language.toLowerCase() === browserLanguage.toLowerCase());
+    const sameBase = SUPPORTED_LANGUAGES.find((language) => language.startsWith(`${base.toLowerCase()}-`));
+    const language = exact || sameBase;
+    if (!language) continue;
+    return {
+      language,
+      region: SUPPORTED_REGIONS.includes(region) ? region : language.split("-")[1],
+      uiLanguage,
+      streamingServices: [],
+    };
+  }
+  return { ...DEFAULT_SETTINGS, uiLanguage, streamingServices: [] };
+};
+
+// Keeps only known values, so a bad stored doc can't break every request.
+// Settings saved before the UI language existed get it from the browser.
+export const normalizeSettings = (settings) => ({
+  region: SUPPORTED_REGIONS.includes(settings?.region) ? settings.region : DEFAULT_SETTINGS.region,
+  language: SUPPORTED_LANGUAGES.includes(settings?.language) ? settings.language : DEFAULT_SETTINGS.language,
+  uiLanguage: UI_LANGUAGES[settings?.uiLanguage] ? settings.uiLanguage : detectUiLanguage(),
+  streamingServices: Array.isArray(settings?.streamingServices)
+    ? [...new Set(settings.streamingServices.filter((id) => Number.isInteger(id) && id > 0))]
+    : [],
+});
+
+export const isSameSettings = (a, b) =>
+  a.region === b.region &&
+  a.language === b.language &&
+  a.uiLanguage === b.uiLanguage &&
+  a.streamingServices.join(",") === b.streamingServices.join(",");
+
+export const readLocalSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored ? normalizeSettings(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+export const writeLocalSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+export const getSettingsDocPath = (uid) => `users/${uid}/settings/preferences`;
@@ -0,0 +1,94 @@
+// services/writeQueue.js
+// Pending list writes of signed-in users, kept in IndexedDB so they survive a reload
+// or going offline. MovieContext adds an operation per change, shows it straight away,
+// and removes it once Firestore has confirmed the write.
+//
+// An operation looks like:
+//   { id, uid, listName, type: "set" | "delete", movieId, entry, title, attempts }
+// `id` sorts in the order the operations were queued. `movieId` is the entry's key
+// (see getEntryKey in services/userLists.js), so "tv-<id>" for a TV show.
+//
+// If IndexedDB isn't available (some private browsing modes) every function degrades
+// to a no-op and the queue only lives in memory for the session.
+
+import { getEntryKey } from "./userLists";
+
+const DB_NAME = "movie-library";
+const DB_VERSION = 1;
+const STORE_NAME = "pendingWrites";
+
+let databasePromise = null;
+let sequence = 0;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+// Runs `action` against the store, logging instead of throwing when IndexedDB fails
+const withStore = async (mode, action, fallback) => {
+  try {
+    const database = await openDatabase();
+    const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return await requestToPromise(action(store));
+  } catch (error) {
+    console.error("[writeQueue] IndexedDB operation failed:", error);
+    return fallback;
+  }
+};
+
+/** A new operation id; ids compare in the order they were created. */
+export const createOperationId = () => `${Date.now()}-${String(sequence++).padStart(6, "0")}`;
+
+/**
+ * The user's queued operations, oldest first.
+ * @returns {Promise<object[]>}
+ */
+export const loadQueuedWrites = async (uid) => {
+  const operations = await withStore("readonly", (store) => store.getAll(), []);
+  return operations.filter((operation) => operation.uid === uid).sort((a, b) => a.id.localeCompare(b.id));
+};
+
+export const saveQueuedWrite = (operation) => withStore("readwrite", (store) => store.put(operation));
+
+export const removeQueuedWrite = (operationId) => withStore("readwrite", (store) => store.delete(operationId));
+
+/**
+ * Applies queued operations on top of a list's confirmed entries,
+ * so the UI shows changes that haven't reached Firestore yet.
+ */
+export const applyQueuedWrites = (entries, operations, listName) =>
+  operations.reduce((current, operation) => {
+    if (operation.listName !== listName) return current;
+    const isTarget = (entry) => getEntryKey(entry) === operation.movieId;
+    const others = current.filter((entry) => !isTarget(entry));
+    if (operation.type === "delete") return others;
+    return current.some(isTarget)
+      ? current.map((entry) => (isTarget(entry) ? operation.entry : entry))
+      : [...others, operation.entry];
+  }, entries);
+
+// Firestore error codes worth retrying; anything else (permission-denied,
+// invalid-argument...) won't succeed on a second try.
+const RETRYABLE_ERROR_CODES = ["unavailable", "deadline-exceeded", "resource-exhausted", "aborted", "internal"];
+
+export const isRetryableWriteError = (error) => RETRYABLE_ERROR_CODES.includes(error?.code);
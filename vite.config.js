@@ -4,5 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
-  
+  server: {
+    proxy: {
+      // TMDB proxy, served by `npm run dev:api` (server/devServer.js)
+      '/api': `http://localhost:${process.env.API_PORT || 8787}`,
+    },
+  },
 })